@@ -1,7 +1,7 @@
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { isInitializeRequest, SubscribeRequestSchema, UnsubscribeRequestSchema } from '@modelcontextprotocol/sdk/types.js';
 import express from 'express';
 import cors from 'cors';
 import { WebSocketServer } from 'ws';
@@ -9,9 +9,11 @@ import { randomUUID } from 'node:crypto';
 import { AsyncLocalStorage } from 'node:async_hooks';
 import { z } from 'zod';
 import { fileURLToPath } from 'node:url';
-import { dirname, join } from 'node:path';
+import { dirname, extname, join, resolve } from 'node:path';
 import { existsSync, readFileSync } from 'node:fs';
+import { mkdir, readFile, readdir, stat, unlink, writeFile } from 'node:fs/promises';
 import { appleCrayonColorsHexStrings } from './src/utils/color/color.js';
+import { materialPresets, normalizeMaterialPresetName, resolveMaterialPreset, usesPhysicalProperties } from './src/utils/material/materialPresets.js';
 
 // Load environment variables from .env file if it exists
 // Using manual parsing instead of dotenv package to avoid any stdout output
@@ -64,6 +66,10 @@ function parseCommandLineArgs() {
       args.browserUrl = process.argv[++i];
     } else if (arg.startsWith('--browser-url=')) {
       args.browserUrl = arg.split('=')[1];
+    } else if (arg === '--models-dir' || arg === '-m') {
+      args.modelsDir = process.argv[++i];
+    } else if (arg.startsWith('--models-dir=')) {
+      args.modelsDir = arg.split('=')[1];
     } else if (arg === '--help' || arg === '-h') {
       console.log(`
 Usage: node server.js [options]
@@ -71,11 +77,14 @@ Usage: node server.js [options]
 Options:
   --browser-url, -u <url>    Browser URL for the 3D app (e.g., https://your-app.netlify.app)
                              Overrides BROWSER_URL environment variable and .env file
+  --models-dir, -m <dir>     Model library directory, in addition to public/models (default: ./models next to server.js)
+                             Overrides MODELS_DIR environment variable and .env file
   --help, -h                 Show this help message
 
 Environment Variables:
   BROWSER_URL                Browser URL (used if --browser-url not provided)
                              Can also be set in .env file
+  MODELS_DIR                 Model library directory (used if --models-dir not provided)
   MCP_PORT                   MCP server port (default: 3000)
   WS_PORT                    WebSocket server port (default: 3001)
 
@@ -104,6 +113,10 @@ const WS_PORT = process.env.WS_PORT ? parseInt(process.env.WS_PORT, 10) : 3001;
 //           3) .env file (BROWSER_URL), 4) Default (localhost)
 // Note: dotenv.config() was called earlier, so process.env.BROWSER_URL may come from .env file
 const BROWSER_URL = cliArgs.browserUrl || process.env.BROWSER_URL || 'http://localhost:5173';
+// Model library directory (models loadable by name in addition to those in public/models)
+// Priority: 1) Command line argument (--models-dir), 2) Environment variable (MODELS_DIR),
+//           3) .env file (MODELS_DIR), 4) Default (models/ next to server.js)
+const MODELS_LIBRARY_DIR = resolve(cliArgs.modelsDir || process.env.MODELS_DIR || join(__dirname, 'models'));
 
 /**
  * Converts a color input (hex code or Apple crayon color name) to a hex code
@@ -150,9 +163,43 @@ const pendingStateQueries = new Map();
 // Map<sessionId, {state: object, timestamp: number}>
 const sessionStateCache = new Map();
 
+// Store pending command acknowledgements for request-response correlation
+// Map<requestId, {sessionId, resolve, timeout}> (sessionId is null for broadcast commands)
+const pendingCommandAcks = new Map();
+
+// Store undo/redo history of scene state snapshots per session
+// Built from the stateUpdate messages the browser pushes after each command
+// Map<sessionId, {entries: Array<{state: object, timestamp: number, cause: string}>, index: number}>
+const sessionHistory = new Map();
+
+// Request IDs of restore commands issued by undo/redo
+// The state updates they cause must not be recorded as new history entries
+const historyNavigationRequests = new Set();
+
+// Maximum number of history entries kept per session
+const MAX_HISTORY_ENTRIES = 50;
+
+// Store keyframe timelines per session, built up incrementally by the timeline tools
+// Map<sessionId, {keyframes: Array<{timeMs: number, state: object, easing: string}>, loop: boolean}>
+const sessionTimelines = new Map();
+
+// Sessions whose model is spinning in turntable mode (started by start_turntable)
+// Map<sessionId, {axis: string, speed: number, direction: string}>
+const activeTurntables = new Map();
+
+// Track MCP resource subscriptions per session
+// Map<sessionId, Set<resourceUri>>
+const resourceSubscriptions = new Map();
+
 // Default timeout for state queries (2 seconds)
 const STATE_QUERY_TIMEOUT = 2000;
 
+// Default timeout for command acknowledgements (5 seconds)
+const COMMAND_ACK_TIMEOUT = 5000;
+
+// Timeout for screenshot capture (15 seconds); rendering and encoding large images takes longer than other commands
+const SCREENSHOT_TIMEOUT = 15000;
+
 // Create WebSocket server for browser communication
 const wss = new WebSocketServer({ port: WS_PORT });
 
@@ -211,13 +258,44 @@ wss.on('connection', (ws) => {
           return;
         }
         
+        // Handle command acknowledgements (outcome of a command executed by the browser)
+        if (data.type === 'commandAck' && data.requestId) {
+          const pending = pendingCommandAcks.get(data.requestId);
+          if (pending) {
+            clearTimeout(pending.timeout);
+            pendingCommandAcks.delete(data.requestId);
+            pending.resolve({
+              success: data.success === true,
+              error: data.error || null,
+              result: data.result || {}
+            });
+          } else {
+            console.warn(`Received command ack for unknown requestId: ${data.requestId}`);
+          }
+          return;
+        }
+        
         // Handle state update messages (push updates)
         if (data.type === 'stateUpdate' && data.state) {
+          const previous = sessionStateCache.get(sessionId);
           sessionStateCache.set(sessionId, {
             state: data.state,
             timestamp: data.timestamp || Date.now()
           });
           console.warn(`State cache updated for session ${sessionId}`);
+          
+          // A freshly loaded page starts without the turntable running
+          if (data.commandType === 'initial') {
+            activeTurntables.delete(sessionId);
+          }
+          
+          // Record in undo history unless the update was caused by undo/redo itself
+          if (!historyNavigationRequests.has(data.requestId)) {
+            recordStateHistory(sessionId, data.state, data.commandType || 'unknown', data.timestamp || Date.now());
+          }
+          
+          // Notify MCP clients subscribed to scene resources that changed
+          notifySceneResourceSubscribers(sessionId, previous ? previous.state : null, data.state);
           return;
         }
         
@@ -260,6 +338,14 @@ wss.on('connection', (ws) => {
         pendingStateQueries.delete(requestId);
         query.reject(new Error('Browser disconnected'));
       }
+      // Resolve any pending command acknowledgements for this session as failed
+      for (const [requestId, pending] of pendingCommandAcks.entries()) {
+        if (pending.sessionId === sessionId) {
+          clearTimeout(pending.timeout);
+          pendingCommandAcks.delete(requestId);
+          pending.resolve({ success: false, error: 'Browser disconnected before acknowledging the command', result: {} });
+        }
+      }
     } else {
       console.warn('Browser client disconnected (unregistered)');
     }
@@ -288,6 +374,54 @@ function generateRequestId() {
   return randomUUID();
 }
 
+// Send a command to a session's browser and wait for its acknowledgement
+// Every command carries a requestId; the browser replies with a commandAck containing
+// success/failure, the error message and the resulting values (after clamping)
+// Always resolves (never rejects) with {success: boolean, error: string|null, result: object}
+function sendCommandAndWaitForAck(sessionId, command, timeout = COMMAND_ACK_TIMEOUT) {
+  return deliverCommandAndWaitForAck(sessionId, command, timeout, (message) => sendToSession(sessionId, message));
+}
+
+// Broadcast a command to every connected browser and wait for the first acknowledgement
+// (used in STDIO mode before the browser has registered the session); resolves like sendCommandAndWaitForAck
+function broadcastCommandAndWaitForAck(command, timeout = COMMAND_ACK_TIMEOUT) {
+  return deliverCommandAndWaitForAck(null, command, timeout, (message) => broadcastToClients(message) > 0);
+}
+
+// Deliver a command with send (which returns whether it reached a browser) and wait for its acknowledgement
+function deliverCommandAndWaitForAck(sessionId, command, timeout, send) {
+  // Callers may pre-assign a requestId to recognize the state update the command causes
+  const requestId = command.requestId || generateRequestId();
+
+  return new Promise((resolve) => {
+    const timeoutId = setTimeout(() => {
+      pendingCommandAcks.delete(requestId);
+      resolve({
+        success: false,
+        error: `Timed out after ${timeout}ms waiting for the browser to acknowledge "${command.type}"`,
+        result: {}
+      });
+    }, timeout);
+
+    pendingCommandAcks.set(requestId, {
+      sessionId,
+      resolve,
+      timeout: timeoutId
+    });
+
+    const sent = send({ ...command, requestId });
+    if (!sent) {
+      clearTimeout(timeoutId);
+      pendingCommandAcks.delete(requestId);
+      resolve({
+        success: false,
+        error: 'Browser not connected. Use get_browser_connection_url to connect the 3D app.',
+        result: {}
+      });
+    }
+  });
+}
+
 // Wait for a state response from the browser
 // Returns a Promise that resolves with the state or rejects on timeout/error
 function waitForStateResponse(requestId, timeout = STATE_QUERY_TIMEOUT) {
@@ -331,7 +465,8 @@ async function getState(sessionId, forceRefresh = false) {
   let wasCached = false;
   
   // If force refresh, always query browser
-  if (forceRefresh) {
+  // (also while the turntable spins, since the cached model rotation is out of date immediately)
+  if (forceRefresh || activeTurntables.has(sessionId)) {
     try {
       state = await queryStateFromBrowser(sessionId, true);
       source = 'fresh';
@@ -377,6 +512,52 @@ async function getState(sessionId, forceRefresh = false) {
   };
 }
 
+// Record a state snapshot in the session's undo history
+// Discards any redo entries beyond the current position and keeps at most MAX_HISTORY_ENTRIES
+function recordStateHistory(sessionId, state, cause, timestamp) {
+  let history = sessionHistory.get(sessionId);
+  if (!history) {
+    history = { entries: [], index: -1 };
+    sessionHistory.set(sessionId, history);
+  }
+
+  // Skip updates that did not change anything (e.g. initial state re-sent on reconnect)
+  const current = history.entries[history.index];
+  if (current && JSON.stringify(current.state) === JSON.stringify(state)) {
+    return;
+  }
+
+  history.entries = history.entries.slice(0, history.index + 1);
+  history.entries.push({ state, timestamp, cause });
+  if (history.entries.length > MAX_HISTORY_ENTRIES) {
+    history.entries.shift();
+  }
+  history.index = history.entries.length - 1;
+}
+
+// Restore the session's scene to the history entry at targetIndex
+// Optional transition ({durationMs, easing}) animates the restore in the browser
+// Returns the browser acknowledgement; the history position only moves on success
+async function restoreHistoryEntry(sessionId, history, targetIndex, transition = {}) {
+  const requestId = generateRequestId();
+  historyNavigationRequests.add(requestId);
+  try {
+    const outcome = await sendCommandAndWaitForAck(sessionId, {
+      type: 'restoreSceneState',
+      state: await resolveStateAssets(history.entries[targetIndex].state, sessionStateCache.get(sessionId)?.state),
+      requestId: requestId,
+      durationMs: transition.durationMs,
+      easing: transition.easing
+    });
+    if (outcome.success) {
+      history.index = targetIndex;
+    }
+    return outcome;
+  } finally {
+    historyNavigationRequests.delete(requestId);
+  }
+}
+
 // Format state response with metadata for tool responses
 function formatStateResponse(value, propertyName, sessionId, forceRefresh, metadata) {
   const timestamp = metadata.timestamp;
@@ -388,6 +569,44 @@ function formatStateResponse(value, propertyName, sessionId, forceRefresh, metad
   return `${propertyName}: ${value} (queried at ${timestamp}, source: ${source}${stalenessWarning})`;
 }
 
+// Build the tool response for a command the browser failed to apply (or never acknowledged)
+function commandFailureResponse(outcome) {
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `Command failed: ${outcome.error || 'Unknown error'}`
+      }
+    ],
+    isError: true
+  };
+}
+
+// Round a numeric value for display in tool responses
+function roundForDisplay(value, decimals = 2) {
+  if (typeof value !== 'number') {
+    return value;
+  }
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+// Format a camera-centric spherical position for display in tool responses
+function formatSphericalPosition(position) {
+  if (!position) {
+    return 'unknown position';
+  }
+  return `azimuth ${roundForDisplay(position.azimuth)}°, elevation ${roundForDisplay(position.elevation)}°, distance ${roundForDisplay(position.distance)}`;
+}
+
+// Format Euler rotation angles for display in tool responses
+function formatRotation(rotation) {
+  if (!rotation) {
+    return 'unknown rotation';
+  }
+  return `X: ${roundForDisplay(rotation.x)}°, Y: ${roundForDisplay(rotation.y)}°, Z: ${roundForDisplay(rotation.z)}°`;
+}
+
 // Helper function to query fresh state before relative manipulations
 async function queryFreshStateForManipulation(sessionId) {
   try {
@@ -404,39 +623,47 @@ async function queryFreshStateForManipulation(sessionId) {
 const sessionContext = new AsyncLocalStorage();
 
 // Helper function for tool handlers to route commands to the current request's session
+// Returns a Promise resolving to the browser's acknowledgement: {success, error, result}
 // Note: getCurrentSessionId() is defined later after isStdioMode and STDIO_SESSION_ID are declared
-function routeToCurrentSession(command) {
+async function routeToCurrentSession(command, timeout = COMMAND_ACK_TIMEOUT) {
   const sessionId = sessionContext.getStore();
   if (sessionId) {
     console.error(`Routing command to session: ${sessionId}`, command.type);
-    sendToSession(sessionId, command);
+    return await sendCommandAndWaitForAck(sessionId, command, timeout);
   } else if (isStdioMode) {
     // In STDIO mode, route to the unique STDIO session ID
     if (STDIO_SESSION_ID) {
       console.error(`Routing command in STDIO mode to session: ${STDIO_SESSION_ID}`, command.type);
-      sendToSession(STDIO_SESSION_ID, command);
+      return await sendCommandAndWaitForAck(STDIO_SESSION_ID, command, timeout);
     } else {
       console.error('Routing command in STDIO mode - no session ID available, broadcasting to all clients:', command.type);
       if (wsClients.size > 0) {
-        broadcastToClients(command);
+        // The first browser to acknowledge the command reports its outcome
+        return await broadcastCommandAndWaitForAck(command, timeout);
       } else {
         console.error('No WebSocket clients connected. Command not routed:', command.type);
+        return { success: false, error: 'No browser connected', result: {} };
       }
     }
   } else {
     console.warn('Tool handler called but no session context available. Command not routed.');
     console.warn('Current request session ID:', sessionId);
+    return { success: false, error: 'No active session found', result: {} };
   }
 }
 
-// Broadcast command to all connected browser clients (kept for backward compatibility if needed)
+// Broadcast command to all connected browser clients
+// Returns the number of clients the command was sent to
 function broadcastToClients(command) {
   const message = JSON.stringify(command);
+  let sent = 0;
   wsClients.forEach((client, sessionId) => {
     if (client.readyState === 1) { // WebSocket.OPEN
       client.send(message);
+      sent++;
     }
   });
+  return sent;
 }
 
 // Create MCP server
@@ -468,17 +695,55 @@ const colorSchema = z.string().refine(
   }
 ).describe(`Hex color code (e.g., "#ff0000") or Apple crayon color name (e.g., "maraschino", "turquoise", "lemon"). Available colors: ${availableColorNames}`);
 
+// Optional transition parameters accepted by every state-changing tool
+// The browser animates from the current value to the target instead of snapping to it
+const transitionEasings = ['linear', 'ease-in', 'ease-out', 'ease-in-out'];
+const transitionInputSchema = {
+  durationMs: z.number().int().min(0).max(60000).optional().describe('Animate the change over this many milliseconds instead of applying it instantly (0-60000, defaults to 0)'),
+  easing: z.enum(transitionEasings).optional().describe('Easing curve for the animation: linear, ease-in, ease-out or ease-in-out (defaults to ease-in-out)')
+};
+
+// Shared schema for x/y/z values (positions, scales, rotations)
+const vector3Schema = z.object({
+  x: z.number(),
+  y: z.number(),
+  z: z.number()
+});
+
+// Optional object ID accepted by the model tools (see add_object and list_objects)
+const objectIdSchema = z.string().min(1).optional().describe('ID of the object to apply this to (see list_objects); defaults to the selected object');
+
+// Get one object's state from a scene state: the model section (selected object) when no ID is given,
+// otherwise the matching entry of the objects list (null if there is none)
+function getObjectState(state, objectId) {
+  if (objectId === undefined) {
+    return state?.model;
+  }
+  return state?.objects?.find(object => object.id === objectId) || null;
+}
+
 // Register tool: change_model_color
+const changeModelColorInputSchema = {
+  color: colorSchema,
+  target: z.string().min(1).optional().describe(
+    'Which materials to color (defaults to "all"): ' +
+    '"all" gives every mesh the plain model material in this color; ' +
+    '"original" keeps the file\'s own materials and textures and tints their base color; ' +
+    'or a mesh name to color only that mesh. "original" and mesh names need a model loaded with preserveMaterials.'
+  ),
+  objectId: objectIdSchema
+};
+
 mcpServer.registerTool(
   'change_model_color',
   {
     title: 'Change Model Color',
-    description: 'Change the color of the 3D model in the scene',
-    inputSchema: {
-      color: colorSchema
-    }
+    description: 'Change the color of the 3D model in the scene. ' +
+      'For models loaded with preserveMaterials, target selects all materials, the original materials or a named mesh; ' +
+      'only target "all" can be animated with durationMs.',
+    inputSchema: { ...changeModelColorInputSchema, ...transitionInputSchema }
   },
-  async ({ color }) => {
+  async ({ color, target = 'all', objectId, durationMs, easing }) => {
     const hexColor = normalizeColorToHex(color);
     if (!hexColor) {
       return {
@@ -492,17 +757,25 @@ mcpServer.registerTool(
       };
     }
 
-    routeToCurrentSession({
+    const outcome = await routeToCurrentSession({
       type: 'changeColor',
-      color: hexColor
+      color: hexColor,
+      target: target,
+      objectId: objectId,
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     const displayName = /^#[0-9A-Fa-f]{6}$/.test(color) ? hexColor : `${color} (${hexColor})`;
     return {
       content: [
         {
           type: 'text',
-          text: `Model color changed to ${displayName}`
+          text: `Model color changed to ${displayName}${target === 'all' ? '' : ` (target: ${target})`}`
         }
       ]
     };
@@ -510,21 +783,31 @@ mcpServer.registerTool(
 );
 
 // Register tool: change_model_size
+const changeModelSizeInputSchema = {
+  size: z.number().positive().describe('New size value (uniform scaling)'),
+  objectId: objectIdSchema
+};
+
 mcpServer.registerTool(
   'change_model_size',
   {
     title: 'Change Model Size',
     description: 'Change the uniform size of the 3D model',
-    inputSchema: {
-      size: z.number().positive().describe('New size value (uniform scaling)')
-    }
+    inputSchema: { ...changeModelSizeInputSchema, ...transitionInputSchema }
   },
-  async ({ size }) => {
-    routeToCurrentSession({
+  async ({ size, objectId, durationMs, easing }) => {
+    const outcome = await routeToCurrentSession({
       type: 'changeSize',
-      size: size
+      size: size,
+      objectId: objectId,
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     return {
       content: [
         {
@@ -537,25 +820,35 @@ mcpServer.registerTool(
 );
 
 // Register tool: scale_model
+const scaleModelInputSchema = {
+  x: z.number().positive().describe('Scale factor for X axis'),
+  y: z.number().positive().describe('Scale factor for Y axis'),
+  z: z.number().positive().describe('Scale factor for Z axis'),
+  objectId: objectIdSchema
+};
+
 mcpServer.registerTool(
   'scale_model',
   {
     title: 'Scale Model',
     description: 'Scale the 3D model independently in each dimension (x, y, z)',
-    inputSchema: {
-      x: z.number().positive().describe('Scale factor for X axis'),
-      y: z.number().positive().describe('Scale factor for Y axis'),
-      z: z.number().positive().describe('Scale factor for Z axis')
-    }
+    inputSchema: { ...scaleModelInputSchema, ...transitionInputSchema }
   },
-  async ({ x, y, z }) => {
-    routeToCurrentSession({
+  async ({ x, y, z, objectId, durationMs, easing }) => {
+    const outcome = await routeToCurrentSession({
       type: 'scaleModel',
       x: x,
       y: y,
-      z: z
+      z: z,
+      objectId: objectId,
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     return {
       content: [
         {
@@ -567,17 +860,140 @@ mcpServer.registerTool(
   }
 );
 
+// Register tool: set_model_material
+// PBR properties of the model material; colors accept hex codes or Apple crayon names like change_model_color
+const unitIntervalSchema = z.number().min(0).max(1);
+
+const materialPropertiesInputSchema = {
+  roughness: unitIntervalSchema.optional().describe('Surface roughness: 0 = mirror-smooth, 1 = fully matte'),
+  metalness: unitIntervalSchema.optional().describe('0 = non-metal (plastic, skin, stone), 1 = metal'),
+  emissive: colorSchema.optional().describe('Color the surface glows with, independent of lighting ("#000000" = no glow)'),
+  emissiveIntensity: z.number().min(0).max(100).optional().describe('Strength of the emissive glow (defaults to 1)'),
+  opacity: unitIntervalSchema.optional().describe('1 = opaque; lower values make the model transparent'),
+  flatShading: z.boolean().optional().describe('true = faceted flat shading, false = smooth shading'),
+  wireframe: z.boolean().optional().describe('Render the model as a wireframe'),
+  clearcoat: unitIntervalSchema.optional().describe('Physical: strength of a clear lacquer layer (car paint, varnish)'),
+  clearcoatRoughness: unitIntervalSchema.optional().describe('Physical: roughness of the clearcoat layer'),
+  sheen: unitIntervalSchema.optional().describe('Physical: strength of a soft fabric-like sheen (velvet, cloth)'),
+  sheenRoughness: unitIntervalSchema.optional().describe('Physical: roughness of the sheen'),
+  sheenColor: colorSchema.optional().describe('Physical: color of the sheen'),
+  transmission: unitIntervalSchema.optional().describe('Physical: light passing through the surface (glass, water); 1 = fully transmissive'),
+  ior: z.number().min(1).max(2.333).optional().describe('Physical: index of refraction (1.5 = glass, 1.33 = water; defaults to 1.5)'),
+  thickness: z.number().min(0).optional().describe('Physical: thickness of the transmissive volume, in model units')
+};
+
+const materialTypeSchema = z.enum(['standard', 'physical']);
+
+const setModelMaterialInputSchema = {
+  ...materialPropertiesInputSchema,
+  materialType: materialTypeSchema.optional().describe(
+    'Material model: "standard" (MeshStandardMaterial) or "physical" (MeshPhysicalMaterial, needed for the "Physical" properties). ' +
+    'Setting a physical property switches to "physical" automatically; switching back to "standard" drops them'
+  ),
+  objectId: objectIdSchema
+};
+
+const materialColorProperties = ['emissive', 'sheenColor'];
+
+// Convert the color names among material properties to hex codes
+function normalizeMaterialColors(properties) {
+  const normalized = { ...properties };
+  for (const name of materialColorProperties) {
+    if (normalized[name] !== undefined) {
+      normalized[name] = normalizeColorToHex(normalized[name]);
+    }
+  }
+  return normalized;
+}
+
+// Format material properties for tool responses (e.g., "roughness 0.5, metalness 0, ...")
+function formatMaterial(material) {
+  return Object.entries(material)
+    .map(([name, value]) => `${name} ${typeof value === 'number' ? roundForDisplay(value, 3) : value}`)
+    .join(', ');
+}
+
+mcpServer.registerTool(
+  'set_model_material',
+  {
+    title: 'Set Model Material',
+    description: 'Set physically based material properties of the model: roughness, metalness, emissive glow, opacity, ' +
+      'flat or smooth shading and wireframe, and with the physical material type also clearcoat, sheen, transmission and IOR. ' +
+      'Properties that are not given keep their current values. The color is set with change_model_color. ' +
+      'These properties belong to the model material, which models loaded with preserveMaterials only show after ' +
+      'change_model_color with target "all".',
+    inputSchema: { ...setModelMaterialInputSchema, ...transitionInputSchema }
+  },
+  async ({ objectId, durationMs, easing, ...properties }) => {
+    for (const name of materialColorProperties) {
+      if (properties[name] !== undefined) {
+        const hexColor = normalizeColorToHex(properties[name]);
+        if (!hexColor) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Invalid ${name} color: ${properties[name]}. Please use a hex code (e.g., "#ff0000") or an Apple crayon color name.`
+              }
+            ],
+            isError: true
+          };
+        }
+        properties[name] = hexColor;
+      }
+    }
+
+    if (Object.keys(properties).length === 0) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: give at least one material property to change.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const outcome = await routeToCurrentSession({
+      type: 'setModelMaterial',
+      ...properties,
+      objectId: objectId,
+      durationMs: durationMs,
+      easing: easing
+    });
+
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    const { material, modelMaterialInUse } = outcome.result;
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Model material updated: ${formatMaterial(material)}` +
+            (modelMaterialInUse ? '' : '\nNote: the model currently shows its original materials; ' +
+              'use change_model_color with target "all" to show the model material.')
+        }
+      ]
+    };
+  }
+);
+
 // Register tool: change_background_color
+const changeBackgroundColorInputSchema = {
+  color: colorSchema
+};
+
 mcpServer.registerTool(
   'change_background_color',
   {
     title: 'Change Background Color',
     description: 'Change the background color of the 3D scene',
-    inputSchema: {
-      color: colorSchema
-    }
+    inputSchema: { ...changeBackgroundColorInputSchema, ...transitionInputSchema }
   },
-  async ({ color }) => {
+  async ({ color, durationMs, easing }) => {
     const hexColor = normalizeColorToHex(color);
     if (!hexColor) {
       return {
@@ -591,11 +1007,17 @@ mcpServer.registerTool(
       };
     }
 
-    routeToCurrentSession({
+    const outcome = await routeToCurrentSession({
       type: 'changeBackgroundColor',
-      color: hexColor
+      color: hexColor,
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     const displayName = /^#[0-9A-Fa-f]{6}$/.test(color) ? hexColor : `${color} (${hexColor})`;
     return {
       content: [
@@ -676,43 +1098,249 @@ mcpServer.registerTool(
   }
 );
 
+// Studio ground tool (floor or cyclorama under the models, with a shadow catcher)
+const groundShapes = ['floor', 'cyclorama', 'none'];
+const groundSettingsInputSchema = {
+  shape: z.enum(groundShapes).optional().describe(
+    '"floor" (flat floor), "cyclorama" (floor sweeping up into a seamless back wall) or ' +
+    '"none" (no visible surface, only the shadows over the background); defaults to "floor"'
+  ),
+  color: colorSchema.optional().describe('Surface color (hex code or Apple crayon name)'),
+  roughness: unitIntervalSchema.optional().describe('Surface roughness: 0 is polished, 1 is matte'),
+  reflectivity: unitIntervalSchema.optional().describe('How strongly the surface reflects light (0-1)'),
+  shadows: z.boolean().optional().describe('Show the models\' shadows, cast from the key light\'s direction (defaults to true)'),
+  shadowOpacity: unitIntervalSchema.optional().describe('Shadow darkness: 0 is invisible, 1 is black')
+};
+
+// Describe the ground settings for tool responses
+function formatGround(ground) {
+  if (!ground) {
+    return 'off';
+  }
+  const surface = ground.shape === 'none'
+    ? 'no surface'
+    : `${ground.shape} ${ground.color}, roughness ${roundForDisplay(ground.roughness)}, reflectivity ${roundForDisplay(ground.reflectivity)}`;
+  return `${surface}; ${ground.shadows ? `shadows at opacity ${roundForDisplay(ground.shadowOpacity)}` : 'no shadows'}`;
+}
+
+mcpServer.registerTool(
+  'set_ground_plane',
+  {
+    title: 'Set Ground Plane',
+    description: 'Put a studio floor or an infinity-curve cyclorama under the models, so they stand on something instead of floating, ' +
+      'optionally with the models\' shadows. The area lights cannot cast shadows, so shadows come from the key light\'s direction: ' +
+      'moving the key light moves the shadow. The ground is placed under the lowest point of the models when it is turned on ' +
+      'and when models are loaded, added or fitted. Settings that are not given keep their values; enabled: false removes the ground.',
+    inputSchema: {
+      ...groundSettingsInputSchema,
+      enabled: z.boolean().optional().describe('false to remove the ground and its shadows (defaults to true)'),
+      ...transitionInputSchema
+    }
+  },
+  async ({ enabled = true, color, durationMs, easing, ...settings }) => {
+    if (!enabled && (color !== undefined || Object.values(settings).some(value => value !== undefined))) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: enabled: false cannot be combined with other settings.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const hexColor = color !== undefined ? normalizeColorToHex(color) : undefined;
+    const outcome = await routeToCurrentSession({
+      type: 'setGroundPlane',
+      enabled: enabled,
+      color: hexColor,
+      ...settings,
+      durationMs: durationMs,
+      easing: easing
+    });
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Ground: ${formatGround(outcome.result.ground)}.`
+        }
+      ]
+    };
+  }
+);
+
+// Ambient fill tools (uniform ambient light, or a hemisphere light with sky and ground colors)
+const ambientModes = ['ambient', 'hemisphere'];
+const setAmbientLightInputSchema = {
+  mode: z.enum(ambientModes).optional().describe(
+    '"ambient" (the same fill from every direction) or "hemisphere" (color from above blending into groundColor from below)'
+  ),
+  intensity: z.number().nonnegative().optional().describe('Fill intensity (0.0 or higher); sets the overall shadow fill level'),
+  color: colorSchema.optional().describe('Ambient color, or the sky color in hemisphere mode (hex code or Apple crayon name)'),
+  groundColor: colorSchema.optional().describe('Color from below in hemisphere mode (hex code or Apple crayon name)')
+};
+
+// Describe the ambient fill for tool responses
+function formatAmbientLight(ambient) {
+  if (!ambient) {
+    return 'unknown';
+  }
+  const colors = ambient.mode === 'hemisphere'
+    ? `sky ${ambient.color}, ground ${ambient.groundColor}`
+    : `color ${ambient.color}`;
+  return `${ambient.mode}, intensity ${roundForDisplay(ambient.intensity)}, ${colors}`;
+}
+
+mcpServer.registerTool(
+  'set_ambient_light',
+  {
+    title: 'Set Ambient Light',
+    description: 'Set the ambient fill that lights the whole scene, and so how dark the shadows are: its intensity and color, ' +
+      'and whether it is uniform ("ambient") or a hemisphere light blending a sky color from above into a ground color from below. ' +
+      'Settings that are not given keep their values.',
+    inputSchema: { ...setAmbientLightInputSchema, ...transitionInputSchema }
+  },
+  async ({ mode, intensity, color, groundColor, durationMs, easing }) => {
+    if (mode === undefined && intensity === undefined && color === undefined && groundColor === undefined) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: Provide at least one of mode, intensity, color or groundColor.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const outcome = await routeToCurrentSession({
+      type: 'setAmbientLight',
+      mode: mode,
+      intensity: intensity,
+      color: color !== undefined ? normalizeColorToHex(color) : undefined,
+      groundColor: groundColor !== undefined ? normalizeColorToHex(groundColor) : undefined,
+      durationMs: durationMs,
+      easing: easing
+    });
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Ambient light: ${formatAmbientLight(outcome.result.ambient)}`
+        }
+      ]
+    };
+  }
+);
+
+mcpServer.registerTool(
+  'get_ambient_light',
+  {
+    title: 'Get Ambient Light',
+    description: 'Get the ambient fill: mode (ambient or hemisphere), intensity, color (the sky color in hemisphere mode) and ground color. ' +
+      'Query this before relative changes (e.g., "lift the shadows a little") to ensure accuracy.',
+    inputSchema: {
+      forceRefresh: z.boolean().optional().describe(
+        'Force refresh from browser (defaults to false, uses cache). ' +
+        'Set to true if: user manually interacted with the 3D app, state might have changed, ' +
+        'or accuracy is critical. Use false (default) if state was recently queried and no manual interactions occurred.'
+      )
+    }
+  },
+  async ({ forceRefresh = false }) => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: No active session found.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    try {
+      const { state, metadata } = await getState(sessionId, forceRefresh);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: formatStateResponse(formatAmbientLight(state.ambient), 'Ambient light', sessionId, forceRefresh, metadata)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error retrieving ambient light: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
 // Key light control tools
+const setKeyLightIntensityInputSchema = {
+  intensity: z.number().nonnegative().describe('Light intensity value (0.0 or higher)')
+};
+
 mcpServer.registerTool(
   'set_key_light_intensity',
   {
     title: 'Set Key Light Intensity',
     description: 'Set the intensity of the key light (main light source)',
-    inputSchema: {
-      intensity: z.number().nonnegative().describe('Light intensity value (0.0 or higher)')
-    }
+    inputSchema: { ...setKeyLightIntensityInputSchema, ...transitionInputSchema }
   },
-  async ({ intensity }) => {
-    routeToCurrentSession({
+  async ({ intensity, durationMs, easing }) => {
+    const outcome = await routeToCurrentSession({
       type: 'setKeyLightIntensity',
-      intensity: intensity
+      intensity: intensity,
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     return {
       content: [
         {
           type: 'text',
-          text: `Key light intensity set to ${intensity}`
+          text: `Key light intensity set to ${roundForDisplay(outcome.result.intensity ?? intensity)}`
         }
       ]
     };
   }
 );
 
+const setKeyLightColorInputSchema = {
+  color: colorSchema
+};
+
 mcpServer.registerTool(
   'set_key_light_color',
   {
     title: 'Set Key Light Color',
     description: 'Set the color of the key light',
-    inputSchema: {
-      color: colorSchema
-    }
+    inputSchema: { ...setKeyLightColorInputSchema, ...transitionInputSchema }
   },
-  async ({ color }) => {
+  async ({ color, durationMs, easing }) => {
     const hexColor = normalizeColorToHex(color);
     if (!hexColor) {
       return {
@@ -726,11 +1354,17 @@ mcpServer.registerTool(
       };
     }
 
-    routeToCurrentSession({
+    const outcome = await routeToCurrentSession({
       type: 'setKeyLightColor',
-      color: hexColor
+      color: hexColor,
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     const displayName = /^#[0-9A-Fa-f]{6}$/.test(color) ? hexColor : `${color} (${hexColor})`;
     return {
       content: [
@@ -748,18 +1382,24 @@ mcpServer.registerTool(
   {
     title: 'Swing Key Light Up',
     description: 'Rotate the key light upward in an arc around the center of the model',
-    inputSchema: {}
+    inputSchema: transitionInputSchema
   },
-  async () => {
-    routeToCurrentSession({
-      type: 'swingKeyLightUp'
+  async ({ durationMs, easing }) => {
+    const outcome = await routeToCurrentSession({
+      type: 'swingKeyLightUp',
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     return {
       content: [
         {
           type: 'text',
-          text: 'Key light swung up'
+          text: `Key light swung up (now at ${formatSphericalPosition(outcome.result.position)})`
         }
       ]
     };
@@ -771,18 +1411,24 @@ mcpServer.registerTool(
   {
     title: 'Swing Key Light Down',
     description: 'Rotate the key light downward in an arc around the center of the model',
-    inputSchema: {}
+    inputSchema: transitionInputSchema
   },
-  async () => {
-    routeToCurrentSession({
-      type: 'swingKeyLightDown'
+  async ({ durationMs, easing }) => {
+    const outcome = await routeToCurrentSession({
+      type: 'swingKeyLightDown',
+      durationMs: durationMs,
+      easing: easing
     });
 
-    return {
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    return {
       content: [
         {
           type: 'text',
-          text: 'Key light swung down'
+          text: `Key light swung down (now at ${formatSphericalPosition(outcome.result.position)})`
         }
       ]
     };
@@ -794,18 +1440,24 @@ mcpServer.registerTool(
   {
     title: 'Swing Key Light Left',
     description: 'Rotate the key light leftward in an arc around the center of the model',
-    inputSchema: {}
+    inputSchema: transitionInputSchema
   },
-  async () => {
-    routeToCurrentSession({
-      type: 'swingKeyLightLeft'
+  async ({ durationMs, easing }) => {
+    const outcome = await routeToCurrentSession({
+      type: 'swingKeyLightLeft',
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     return {
       content: [
         {
           type: 'text',
-          text: 'Key light swung left'
+          text: `Key light swung left (now at ${formatSphericalPosition(outcome.result.position)})`
         }
       ]
     };
@@ -817,18 +1469,24 @@ mcpServer.registerTool(
   {
     title: 'Swing Key Light Right',
     description: 'Rotate the key light rightward in an arc around the center of the model',
-    inputSchema: {}
+    inputSchema: transitionInputSchema
   },
-  async () => {
-    routeToCurrentSession({
-      type: 'swingKeyLightRight'
+  async ({ durationMs, easing }) => {
+    const outcome = await routeToCurrentSession({
+      type: 'swingKeyLightRight',
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     return {
       content: [
         {
           type: 'text',
-          text: 'Key light swung right'
+          text: `Key light swung right (now at ${formatSphericalPosition(outcome.result.position)})`
         }
       ]
     };
@@ -836,42 +1494,52 @@ mcpServer.registerTool(
 );
 
 // Fill light control tools
+const setFillLightIntensityInputSchema = {
+  intensity: z.number().nonnegative().describe('Light intensity value (0.0 or higher)')
+};
+
 mcpServer.registerTool(
   'set_fill_light_intensity',
   {
     title: 'Set Fill Light Intensity',
     description: 'Set the intensity of the fill light (shadow-filling light)',
-    inputSchema: {
-      intensity: z.number().nonnegative().describe('Light intensity value (0.0 or higher)')
-    }
+    inputSchema: { ...setFillLightIntensityInputSchema, ...transitionInputSchema }
   },
-  async ({ intensity }) => {
-    routeToCurrentSession({
+  async ({ intensity, durationMs, easing }) => {
+    const outcome = await routeToCurrentSession({
       type: 'setFillLightIntensity',
-      intensity: intensity
+      intensity: intensity,
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     return {
       content: [
         {
           type: 'text',
-          text: `Fill light intensity set to ${intensity}`
+          text: `Fill light intensity set to ${roundForDisplay(outcome.result.intensity ?? intensity)}`
         }
       ]
     };
   }
 );
 
+const setFillLightColorInputSchema = {
+  color: colorSchema
+};
+
 mcpServer.registerTool(
   'set_fill_light_color',
   {
     title: 'Set Fill Light Color',
     description: 'Set the color of the fill light',
-    inputSchema: {
-      color: colorSchema
-    }
+    inputSchema: { ...setFillLightColorInputSchema, ...transitionInputSchema }
   },
-  async ({ color }) => {
+  async ({ color, durationMs, easing }) => {
     const hexColor = normalizeColorToHex(color);
     if (!hexColor) {
       return {
@@ -885,11 +1553,17 @@ mcpServer.registerTool(
       };
     }
 
-    routeToCurrentSession({
+    const outcome = await routeToCurrentSession({
       type: 'setFillLightColor',
-      color: hexColor
+      color: hexColor,
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     const displayName = /^#[0-9A-Fa-f]{6}$/.test(color) ? hexColor : `${color} (${hexColor})`;
     return {
       content: [
@@ -907,18 +1581,24 @@ mcpServer.registerTool(
   {
     title: 'Swing Fill Light Up',
     description: 'Rotate the fill light upward in an arc around the center of the model',
-    inputSchema: {}
+    inputSchema: transitionInputSchema
   },
-  async () => {
-    routeToCurrentSession({
-      type: 'swingFillLightUp'
+  async ({ durationMs, easing }) => {
+    const outcome = await routeToCurrentSession({
+      type: 'swingFillLightUp',
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     return {
       content: [
         {
           type: 'text',
-          text: 'Fill light swung up'
+          text: `Fill light swung up (now at ${formatSphericalPosition(outcome.result.position)})`
         }
       ]
     };
@@ -930,18 +1610,24 @@ mcpServer.registerTool(
   {
     title: 'Swing Fill Light Down',
     description: 'Rotate the fill light downward in an arc around the center of the model',
-    inputSchema: {}
+    inputSchema: transitionInputSchema
   },
-  async () => {
-    routeToCurrentSession({
-      type: 'swingFillLightDown'
+  async ({ durationMs, easing }) => {
+    const outcome = await routeToCurrentSession({
+      type: 'swingFillLightDown',
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     return {
       content: [
         {
           type: 'text',
-          text: 'Fill light swung down'
+          text: `Fill light swung down (now at ${formatSphericalPosition(outcome.result.position)})`
         }
       ]
     };
@@ -953,18 +1639,24 @@ mcpServer.registerTool(
   {
     title: 'Swing Fill Light Left',
     description: 'Rotate the fill light leftward in an arc around the center of the model',
-    inputSchema: {}
+    inputSchema: transitionInputSchema
   },
-  async () => {
-    routeToCurrentSession({
-      type: 'swingFillLightLeft'
+  async ({ durationMs, easing }) => {
+    const outcome = await routeToCurrentSession({
+      type: 'swingFillLightLeft',
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     return {
       content: [
         {
           type: 'text',
-          text: 'Fill light swung left'
+          text: `Fill light swung left (now at ${formatSphericalPosition(outcome.result.position)})`
         }
       ]
     };
@@ -976,18 +1668,24 @@ mcpServer.registerTool(
   {
     title: 'Swing Fill Light Right',
     description: 'Rotate the fill light rightward in an arc around the center of the model',
-    inputSchema: {}
+    inputSchema: transitionInputSchema
   },
-  async () => {
-    routeToCurrentSession({
-      type: 'swingFillLightRight'
+  async ({ durationMs, easing }) => {
+    const outcome = await routeToCurrentSession({
+      type: 'swingFillLightRight',
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     return {
       content: [
         {
           type: 'text',
-          text: 'Fill light swung right'
+          text: `Fill light swung right (now at ${formatSphericalPosition(outcome.result.position)})`
         }
       ]
     };
@@ -999,18 +1697,24 @@ mcpServer.registerTool(
   {
     title: 'Walk Key Light In',
     description: 'Move the key light closer to the center of the model along the axis from the model origin',
-    inputSchema: {}
+    inputSchema: transitionInputSchema
   },
-  async () => {
-    routeToCurrentSession({
-      type: 'walkKeyLightIn'
+  async ({ durationMs, easing }) => {
+    const outcome = await routeToCurrentSession({
+      type: 'walkKeyLightIn',
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     return {
       content: [
         {
           type: 'text',
-          text: 'Key light walked in'
+          text: `Key light walked in (now at ${formatSphericalPosition(outcome.result.position)})`
         }
       ]
     };
@@ -1022,18 +1726,24 @@ mcpServer.registerTool(
   {
     title: 'Walk Key Light Out',
     description: 'Move the key light farther from the center of the model along the axis from the model origin',
-    inputSchema: {}
+    inputSchema: transitionInputSchema
   },
-  async () => {
-    routeToCurrentSession({
-      type: 'walkKeyLightOut'
+  async ({ durationMs, easing }) => {
+    const outcome = await routeToCurrentSession({
+      type: 'walkKeyLightOut',
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     return {
       content: [
         {
           type: 'text',
-          text: 'Key light walked out'
+          text: `Key light walked out (now at ${formatSphericalPosition(outcome.result.position)})`
         }
       ]
     };
@@ -1045,18 +1755,24 @@ mcpServer.registerTool(
   {
     title: 'Walk Fill Light In',
     description: 'Move the fill light closer to the center of the model along the axis from the model origin',
-    inputSchema: {}
+    inputSchema: transitionInputSchema
   },
-  async () => {
-    routeToCurrentSession({
-      type: 'walkFillLightIn'
+  async ({ durationMs, easing }) => {
+    const outcome = await routeToCurrentSession({
+      type: 'walkFillLightIn',
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     return {
       content: [
         {
           type: 'text',
-          text: 'Fill light walked in'
+          text: `Fill light walked in (now at ${formatSphericalPosition(outcome.result.position)})`
         }
       ]
     };
@@ -1068,18 +1784,24 @@ mcpServer.registerTool(
   {
     title: 'Walk Fill Light Out',
     description: 'Move the fill light farther from the center of the model along the axis from the model origin',
-    inputSchema: {}
+    inputSchema: transitionInputSchema
   },
-  async () => {
-    routeToCurrentSession({
-      type: 'walkFillLightOut'
+  async ({ durationMs, easing }) => {
+    const outcome = await routeToCurrentSession({
+      type: 'walkFillLightOut',
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     return {
       content: [
         {
           type: 'text',
-          text: 'Fill light walked out'
+          text: `Fill light walked out (now at ${formatSphericalPosition(outcome.result.position)})`
         }
       ]
     };
@@ -1136,17 +1858,19 @@ const azimuthSchema = z.union([
 ]).describe(`Horizontal angle in degrees (0-360) or direction name (e.g., "north", "northwest", "NW"). 0° = camera forward (North), 90° = camera right (East), 180° = behind camera (South), 270° = camera left (West). Available directions: ${availableDirectionNames}`);
 
 // Spherical coordinate tools for camera-centric positioning
+const setKeyLightPositionSphericalInputSchema = {
+  azimuth: azimuthSchema,
+  elevation: z.number().min(0).max(90).describe('Vertical angle in degrees (0-90), 0° = horizon, 90° = overhead')
+};
+
 mcpServer.registerTool(
   'set_key_light_position_spherical',
   {
     title: 'Set Key Light Position (Spherical Coordinates)',
     description: `Set the key light position using camera-centric spherical coordinates. Preserves current distance - only changes azimuth and elevation. Azimuth: 0° = camera forward (North), 90° = camera right (East), 180° = behind camera (South), 270° = camera left (West). Elevation: 0° = horizon, 90° = overhead. Azimuth can be a number (0-360) or a direction name. Available direction names: ${availableDirectionNames}. Examples: "north" (0°), "east" (90°), "northwest" (315°), "southeast" (135°).`,
-    inputSchema: {
-      azimuth: azimuthSchema,
-      elevation: z.number().min(0).max(90).describe('Vertical angle in degrees (0-90), 0° = horizon, 90° = overhead')
-    }
+    inputSchema: { ...setKeyLightPositionSphericalInputSchema, ...transitionInputSchema }
   },
-  async ({ azimuth, elevation }) => {
+  async ({ azimuth, elevation, durationMs, easing }) => {
     // Convert direction name to numeric azimuth if needed
     const azimuthValue = parseAzimuth(azimuth);
     if (azimuthValue === null) {
@@ -1161,18 +1885,24 @@ mcpServer.registerTool(
       };
     }
 
-    routeToCurrentSession({
+    const outcome = await routeToCurrentSession({
       type: 'setKeyLightPositionSpherical',
       azimuth: azimuthValue,
-      elevation: elevation
+      elevation: elevation,
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     const azimuthDisplay = typeof azimuth === 'string' ? `${azimuth} (${azimuthValue}°)` : `${azimuthValue}°`;
     return {
       content: [
         {
           type: 'text',
-          text: `Key light positioned at azimuth ${azimuthDisplay}, elevation ${elevation}° (distance preserved)`
+          text: `Key light positioned at azimuth ${azimuthDisplay}, elevation ${elevation}° (distance preserved, now at ${formatSphericalPosition(outcome.result.position)})`
         }
       ]
     };
@@ -1401,17 +2131,19 @@ mcpServer.registerTool(
   }
 );
 
+const setFillLightPositionSphericalInputSchema = {
+  azimuth: azimuthSchema,
+  elevation: z.number().min(0).max(90).describe('Vertical angle in degrees (0-90), 0° = horizon, 90° = overhead')
+};
+
 mcpServer.registerTool(
   'set_fill_light_position_spherical',
   {
     title: 'Set Fill Light Position (Spherical Coordinates)',
     description: `Set the fill light position using camera-centric spherical coordinates. Preserves current distance - only changes azimuth and elevation. Azimuth: 0° = camera forward (North), 90° = camera right (East), 180° = behind camera (South), 270° = camera left (West). Elevation: 0° = horizon, 90° = overhead. Azimuth can be a number (0-360) or a direction name. Available direction names: ${availableDirectionNames}. Examples: "north" (0°), "east" (90°), "northwest" (315°), "southeast" (135°).`,
-    inputSchema: {
-      azimuth: azimuthSchema,
-      elevation: z.number().min(0).max(90).describe('Vertical angle in degrees (0-90), 0° = horizon, 90° = overhead')
-    }
+    inputSchema: { ...setFillLightPositionSphericalInputSchema, ...transitionInputSchema }
   },
-  async ({ azimuth, elevation }) => {
+  async ({ azimuth, elevation, durationMs, easing }) => {
     // Convert direction name to numeric azimuth if needed
     const azimuthValue = parseAzimuth(azimuth);
     if (azimuthValue === null) {
@@ -1426,18 +2158,24 @@ mcpServer.registerTool(
       };
     }
 
-    routeToCurrentSession({
+    const outcome = await routeToCurrentSession({
       type: 'setFillLightPositionSpherical',
       azimuth: azimuthValue,
-      elevation: elevation
+      elevation: elevation,
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     const azimuthDisplay = typeof azimuth === 'string' ? `${azimuth} (${azimuthValue}°)` : `${azimuthValue}°`;
     return {
       content: [
         {
           type: 'text',
-          text: `Fill light positioned at azimuth ${azimuthDisplay}, elevation ${elevation}° (distance preserved)`
+          text: `Fill light positioned at azimuth ${azimuthDisplay}, elevation ${elevation}° (distance preserved, now at ${formatSphericalPosition(outcome.result.position)})`
         }
       ]
     };
@@ -1667,156 +2405,208 @@ mcpServer.registerTool(
 );
 
 // Camera control tools
+const dollyCameraInputSchema = {
+  distance: z.number().positive().describe('Distance from the selected object\'s pivot')
+};
+
 mcpServer.registerTool(
   'dolly_camera',
   {
     title: 'Dolly Camera',
-    description: 'Set the camera distance from the origin (dollying). Moves the camera closer or farther from the subject.',
-    inputSchema: {
-      distance: z.number().positive().describe('Distance from origin (camera position.z)')
-    }
+    description: 'Set the camera distance from the selected object\'s pivot (dollying). Moves the camera closer or farther from the subject.',
+    inputSchema: { ...dollyCameraInputSchema, ...transitionInputSchema }
   },
-  async ({ distance }) => {
-    routeToCurrentSession({
+  async ({ distance, durationMs, easing }) => {
+    const outcome = await routeToCurrentSession({
       type: 'dollyCamera',
-      distance: distance
+      distance: distance,
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     return {
       content: [
         {
           type: 'text',
-          text: `Camera distance set to ${distance}`
+          text: outcome.result.distance !== undefined && roundForDisplay(outcome.result.distance) !== roundForDisplay(distance)
+            ? `Camera distance set to ${roundForDisplay(outcome.result.distance)} (requested ${distance}, clamped to the allowed range)`
+            : `Camera distance set to ${distance}`
         }
       ]
     };
   }
 );
 
+const dollyCameraInInputSchema = {
+  amount: z.number().positive().optional().describe('Optional amount to move closer (defaults to configured dolly speed)')
+};
+
 mcpServer.registerTool(
   'dolly_camera_in',
   {
     title: 'Dolly Camera In',
     description: 'Move the camera closer to the subject (dolly in)',
-    inputSchema: {
-      amount: z.number().positive().optional().describe('Optional amount to move closer (defaults to configured dolly speed)')
-    }
+    inputSchema: { ...dollyCameraInInputSchema, ...transitionInputSchema }
   },
-  async ({ amount }) => {
-    routeToCurrentSession({
+  async ({ amount, durationMs, easing }) => {
+    const outcome = await routeToCurrentSession({
       type: 'dollyCameraIn',
-      amount: amount
+      amount: amount,
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     return {
       content: [
         {
           type: 'text',
-          text: amount ? `Camera moved ${amount} units closer` : 'Camera moved closer'
+          text: `${amount ? `Camera moved ${amount} units closer` : 'Camera moved closer'} (distance now ${roundForDisplay(outcome.result.distance)})`
         }
       ]
     };
   }
 );
 
+const dollyCameraOutInputSchema = {
+  amount: z.number().positive().optional().describe('Optional amount to move farther (defaults to configured dolly speed)')
+};
+
 mcpServer.registerTool(
   'dolly_camera_out',
   {
     title: 'Dolly Camera Out',
     description: 'Move the camera farther from the subject (dolly out)',
-    inputSchema: {
-      amount: z.number().positive().optional().describe('Optional amount to move farther (defaults to configured dolly speed)')
-    }
+    inputSchema: { ...dollyCameraOutInputSchema, ...transitionInputSchema }
   },
-  async ({ amount }) => {
-    routeToCurrentSession({
+  async ({ amount, durationMs, easing }) => {
+    const outcome = await routeToCurrentSession({
       type: 'dollyCameraOut',
-      amount: amount
+      amount: amount,
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     return {
       content: [
         {
           type: 'text',
-          text: amount ? `Camera moved ${amount} units farther` : 'Camera moved farther'
+          text: `${amount ? `Camera moved ${amount} units farther` : 'Camera moved farther'} (distance now ${roundForDisplay(outcome.result.distance)})`
         }
       ]
     };
   }
 );
 
+const setCameraFovInputSchema = {
+  fov: z.number().positive().describe('Field of view value (typically 0.5-5.0, where lower = wider angle)')
+};
+
 mcpServer.registerTool(
   'set_camera_fov',
   {
     title: 'Set Camera Field of View',
     description: 'Set the camera field of view (FOV). Lower values = wider angle (more of scene visible), higher values = narrower angle (more zoomed in).',
-    inputSchema: {
-      fov: z.number().positive().describe('Field of view value (typically 0.5-5.0, where lower = wider angle)')
-    }
+    inputSchema: { ...setCameraFovInputSchema, ...transitionInputSchema }
   },
-  async ({ fov }) => {
-    routeToCurrentSession({
+  async ({ fov, durationMs, easing }) => {
+    const outcome = await routeToCurrentSession({
       type: 'setCameraFOV',
-      fov: fov
+      fov: fov,
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     return {
       content: [
         {
           type: 'text',
-          text: `Camera field of view set to ${fov}`
+          text: outcome.result.fov !== undefined && roundForDisplay(outcome.result.fov) !== roundForDisplay(fov)
+            ? `Camera field of view set to ${roundForDisplay(outcome.result.fov)} (requested ${fov}, clamped to the allowed range)`
+            : `Camera field of view set to ${fov}`
         }
       ]
     };
   }
 );
 
+const increaseCameraFovInputSchema = {
+  amount: z.number().positive().optional().describe('Optional amount to increase (defaults to configured FOV speed)')
+};
+
 mcpServer.registerTool(
   'increase_camera_fov',
   {
     title: 'Increase Camera Field of View',
     description: 'Increase the camera field of view (wider angle, see more of the scene)',
-    inputSchema: {
-      amount: z.number().positive().optional().describe('Optional amount to increase (defaults to configured FOV speed)')
-    }
+    inputSchema: { ...increaseCameraFovInputSchema, ...transitionInputSchema }
   },
-  async ({ amount }) => {
-    routeToCurrentSession({
+  async ({ amount, durationMs, easing }) => {
+    const outcome = await routeToCurrentSession({
       type: 'increaseCameraFOV',
-      amount: amount
+      amount: amount,
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     return {
       content: [
         {
           type: 'text',
-          text: amount ? `Camera FOV increased by ${amount}` : 'Camera FOV increased (wider angle)'
+          text: `${amount ? `Camera FOV increased by ${amount}` : 'Camera FOV increased (wider angle)'} (FOV now ${roundForDisplay(outcome.result.fov)})`
         }
       ]
     };
   }
 );
 
+const decreaseCameraFovInputSchema = {
+  amount: z.number().positive().optional().describe('Optional amount to decrease (defaults to configured FOV speed)')
+};
+
 mcpServer.registerTool(
   'decrease_camera_fov',
   {
     title: 'Decrease Camera Field of View',
     description: 'Decrease the camera field of view (narrower angle, more zoomed in)',
-    inputSchema: {
-      amount: z.number().positive().optional().describe('Optional amount to decrease (defaults to configured FOV speed)')
-    }
+    inputSchema: { ...decreaseCameraFovInputSchema, ...transitionInputSchema }
   },
-  async ({ amount }) => {
-    routeToCurrentSession({
+  async ({ amount, durationMs, easing }) => {
+    const outcome = await routeToCurrentSession({
       type: 'decreaseCameraFOV',
-      amount: amount
+      amount: amount,
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     return {
       content: [
         {
           type: 'text',
-          text: amount ? `Camera FOV decreased by ${amount}` : 'Camera FOV decreased (more zoomed in)'
+          text: `${amount ? `Camera FOV decreased by ${amount}` : 'Camera FOV decreased (more zoomed in)'} (FOV now ${roundForDisplay(outcome.result.fov)})`
         }
       ]
     };
@@ -1827,7 +2617,7 @@ mcpServer.registerTool(
   'get_camera_distance',
   {
     title: 'Get Camera Distance',
-    description: 'Get the current camera distance from origin (dolly position). ' +
+    description: 'Get the current camera distance from the selected object\'s pivot (dolly position). ' +
       'Query this before relative distance changes to ensure accuracy. ' +
       'For absolute changes, you may use recently queried state from context if no manual interactions occurred.',
     inputSchema: {
@@ -1933,6 +2723,224 @@ mcpServer.registerTool(
   }
 );
 
+// Camera orbit tools
+// The camera orbits the selected object's pivot and keeps looking at it. Its position is in the world frame, unlike the
+// camera-centric light positions: azimuth 0° = front, 90° = right, 180° = back, 270° = left
+// Named views: Map<viewName, {azimuth, elevation}>
+const cameraViews = new Map([
+  ['front', { azimuth: 0, elevation: 0 }],
+  ['back', { azimuth: 180, elevation: 0 }],
+  ['left', { azimuth: 270, elevation: 0 }],
+  ['right', { azimuth: 90, elevation: 0 }],
+  ['top', { azimuth: 0, elevation: 90 }],
+  ['three-quarter', { azimuth: 45, elevation: 20 }]
+]);
+
+// Format a camera position for display, naming the view it matches (if any)
+function formatCameraPosition(position) {
+  const text = formatSphericalPosition(position);
+  const view = Array.from(cameraViews.entries()).find(([, angles]) =>
+    roundForDisplay(angles.azimuth) === roundForDisplay(position.azimuth) &&
+    roundForDisplay(angles.elevation) === roundForDisplay(position.elevation)
+  );
+  return view ? `${text} (${view[0]} view)` : text;
+}
+
+const cameraElevationSchema = z.number().min(-90).max(90);
+
+const setCameraPositionSphericalInputSchema = {
+  azimuth: z.number().optional().describe(
+    'Horizontal angle around the model in degrees: 0° = front (the starting view), 90° = right, 180° = back, 270° = left'
+  ),
+  elevation: cameraElevationSchema.optional().describe('Vertical angle in degrees: 0° = level with the model, 90° = top (looking down), -90° = bottom'),
+  distance: z.number().positive().optional().describe('Distance from the selected object\'s pivot (clamped to the dolly range)')
+};
+
+mcpServer.registerTool(
+  'set_camera_position_spherical',
+  {
+    title: 'Set Camera Position (Spherical)',
+    description: 'Move the camera around the model to an azimuth and elevation, or to a named view, while it keeps looking at the model. ' +
+      'Values that are not given keep their current setting. Azimuth and elevation are in the world frame: 0° azimuth is the front ' +
+      '(the starting view), 90° the right side, 180° the back, 270° the left side; elevation 90° looks straight down. ' +
+      'Lights stay where they are in the scene, so their camera-centric azimuths change with the view.',
+    inputSchema: {
+      ...setCameraPositionSphericalInputSchema,
+      view: z.enum(Array.from(cameraViews.keys())).optional().describe(
+        'Named view instead of azimuth and elevation: front (0°, 0°), back (180°, 0°), left (270°, 0°), right (90°, 0°), ' +
+        'top (0°, 90°) or three-quarter (45°, 20°); left and right place the camera to the left and right of the front view'
+      ),
+      ...transitionInputSchema
+    }
+  },
+  async ({ azimuth, elevation, distance, view, durationMs, easing }) => {
+    if (view && (azimuth !== undefined || elevation !== undefined)) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: Give either a view or azimuth and elevation, not both.'
+          }
+        ],
+        isError: true
+      };
+    }
+    if (!view && azimuth === undefined && elevation === undefined && distance === undefined) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: Provide a view or at least one of azimuth, elevation or distance.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const angles = view ? cameraViews.get(view) : { azimuth, elevation };
+    const outcome = await routeToCurrentSession({
+      type: 'setCameraPositionSpherical',
+      azimuth: angles.azimuth,
+      elevation: angles.elevation,
+      distance: distance,
+      durationMs: durationMs,
+      easing: easing
+    });
+
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Camera moved to ${formatCameraPosition(outcome.result.position)}`
+        }
+      ]
+    };
+  }
+);
+
+const orbitCameraInputSchema = {
+  azimuth: z.number().optional().describe(
+    'Degrees to orbit horizontally around the model (positive moves the camera to its right, negative to its left; defaults to 0)'
+  ),
+  elevation: z.number().optional().describe(
+    'Degrees to orbit vertically (positive moves the camera up to look down on the model; defaults to 0). The elevation stops at ±90°'
+  )
+};
+
+mcpServer.registerTool(
+  'orbit_camera',
+  {
+    title: 'Orbit Camera',
+    description: 'Orbit the camera around the model by relative azimuth and elevation angles, keeping its distance. ' +
+      'The camera keeps looking at the model; lights stay where they are in the scene. ' +
+      'To turn the model itself instead, use the model rotation tools.',
+    inputSchema: { ...orbitCameraInputSchema, ...transitionInputSchema }
+  },
+  async ({ azimuth, elevation, durationMs, easing }) => {
+    if (azimuth === undefined && elevation === undefined) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: Provide at least one of azimuth or elevation.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const outcome = await routeToCurrentSession({
+      type: 'orbitCamera',
+      azimuth: azimuth,
+      elevation: elevation,
+      durationMs: durationMs,
+      easing: easing
+    });
+
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Camera orbited to ${formatCameraPosition(outcome.result.position)}`
+        }
+      ]
+    };
+  }
+);
+
+mcpServer.registerTool(
+  'get_camera_position_spherical',
+  {
+    title: 'Get Camera Position (Spherical)',
+    description: 'Get the current camera position around the model: azimuth (0° = front, 90° = right, 180° = back, 270° = left), ' +
+      'elevation (90° = top) and distance, with the named view it matches and the point it looks at (the selected object\'s pivot). ' +
+      'Query this before relative orbits to ensure accuracy. ' +
+      'For absolute changes, you may use recently queried state from context if no manual interactions occurred.',
+    inputSchema: {
+      forceRefresh: z.boolean().optional().describe(
+        'Force refresh from browser (defaults to false, uses cache). ' +
+        'Set to true if: user manually interacted with the 3D app, state might have changed, ' +
+        'or accuracy is critical. Use false (default) if state was recently queried and no manual interactions occurred.'
+      )
+    }
+  },
+  async ({ forceRefresh = false }) => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: No active session found.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    try {
+      const { state, metadata } = await getState(sessionId, forceRefresh);
+      const position = {
+        azimuth: state.camera?.azimuth ?? 0,
+        elevation: state.camera?.elevation ?? 0,
+        distance: state.camera?.distance ?? 0
+      };
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: formatStateResponse(
+              state.camera?.target
+                ? `${formatCameraPosition(position)}, looking at ${formatObjectPosition(state.camera.target)}`
+                : formatCameraPosition(position),
+              'Camera position', sessionId, forceRefresh, metadata
+            )
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error retrieving camera position: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
 // Model rotation tools
 mcpServer.registerTool(
   'get_model_rotation',
@@ -1946,10 +2954,11 @@ mcpServer.registerTool(
         'Force refresh from browser (defaults to false, uses cache). ' +
         'Set to true if: user manually interacted with the 3D app, state might have changed, ' +
         'or accuracy is critical. Use false (default) if state was recently queried and no manual interactions occurred.'
-      )
+      ),
+      objectId: objectIdSchema
     }
   },
-  async ({ forceRefresh = false }) => {
+  async ({ forceRefresh = false, objectId }) => {
     const sessionId = getCurrentSessionId();
     if (!sessionId) {
       return {
@@ -1965,14 +2974,26 @@ mcpServer.registerTool(
 
     try {
       const { state, metadata } = await getState(sessionId, forceRefresh);
-      const rotation = state.model?.rotation || { x: 0, y: 0, z: 0 };
+      const objectState = getObjectState(state, objectId);
+      if (!objectState && objectId !== undefined) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `No object with ID "${objectId}". Use list_objects to see the object IDs.`
+            }
+          ],
+          isError: true
+        };
+      }
+      const rotation = objectState?.rotation || { x: 0, y: 0, z: 0 };
       const rotationText = `X (pitch): ${rotation.x}°, Y (yaw): ${rotation.y}°, Z (roll): ${rotation.z}°`;
       
       return {
         content: [
           {
             type: 'text',
-            text: formatStateResponse(rotationText, 'Model rotation', sessionId, forceRefresh, metadata)
+            text: formatStateResponse(rotationText, objectId ? `Model rotation (${objectId})` : 'Model rotation', sessionId, forceRefresh, metadata)
           }
         ]
       };
@@ -2002,10 +3023,11 @@ mcpServer.registerTool(
         'Force refresh from browser (defaults to false, uses cache). ' +
         'Set to true if: user manually interacted with the 3D app, state might have changed, ' +
         'or accuracy is critical. Use false (default) if state was recently queried and no manual interactions occurred.'
-      )
+      ),
+      objectId: objectIdSchema
     }
   },
-  async ({ forceRefresh = false }) => {
+  async ({ forceRefresh = false, objectId }) => {
     const sessionId = getCurrentSessionId();
     if (!sessionId) {
       return {
@@ -2021,13 +3043,25 @@ mcpServer.registerTool(
 
     try {
       const { state, metadata } = await getState(sessionId, forceRefresh);
-      const color = state.model?.color || '#808080';
+      const objectState = getObjectState(state, objectId);
+      if (!objectState && objectId !== undefined) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `No object with ID "${objectId}". Use list_objects to see the object IDs.`
+            }
+          ],
+          isError: true
+        };
+      }
+      const color = objectState?.color || '#808080';
       
       return {
         content: [
           {
             type: 'text',
-            text: formatStateResponse(color, 'Model color', sessionId, forceRefresh, metadata)
+            text: formatStateResponse(color, objectId ? `Model color (${objectId})` : 'Model color', sessionId, forceRefresh, metadata)
           }
         ]
       };
@@ -2057,10 +3091,11 @@ mcpServer.registerTool(
         'Force refresh from browser (defaults to false, uses cache). ' +
         'Set to true if: user manually interacted with the 3D app, state might have changed, ' +
         'or accuracy is critical. Use false (default) if state was recently queried and no manual interactions occurred.'
-      )
+      ),
+      objectId: objectIdSchema
     }
   },
-  async ({ forceRefresh = false }) => {
+  async ({ forceRefresh = false, objectId }) => {
     const sessionId = getCurrentSessionId();
     if (!sessionId) {
       return {
@@ -2076,14 +3111,26 @@ mcpServer.registerTool(
 
     try {
       const { state, metadata } = await getState(sessionId, forceRefresh);
-      const scale = state.model?.scale || { x: 1, y: 1, z: 1 };
+      const objectState = getObjectState(state, objectId);
+      if (!objectState && objectId !== undefined) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `No object with ID "${objectId}". Use list_objects to see the object IDs.`
+            }
+          ],
+          isError: true
+        };
+      }
+      const scale = objectState?.scale || { x: 1, y: 1, z: 1 };
       const scaleText = `X: ${scale.x}, Y: ${scale.y}, Z: ${scale.z}`;
       
       return {
         content: [
           {
             type: 'text',
-            text: formatStateResponse(scaleText, 'Model scale', sessionId, forceRefresh, metadata)
+            text: formatStateResponse(scaleText, objectId ? `Model scale (${objectId})` : 'Model scale', sessionId, forceRefresh, metadata)
           }
         ]
       };
@@ -2102,29 +3149,111 @@ mcpServer.registerTool(
 );
 
 mcpServer.registerTool(
-  'set_model_rotation',
+  'get_model_material',
   {
-    title: 'Set Model Rotation',
-    description: 'Set the model rotation using Euler angles in degrees (XYZ order). X = pitch (rotation around X axis), Y = yaw (rotation around Y axis), Z = roll (rotation around Z axis).',
+    title: 'Get Model Material',
+    description: 'Get the model material type and its physically based properties (roughness, metalness, emissive, opacity, ' +
+      'shading, wireframe, and the physical properties when the material type is "physical"), plus its texture maps and matcap. ' +
+      'Query this before relative material changes (e.g., "make it a bit shinier").',
     inputSchema: {
-      x: z.number().describe('Rotation around X axis in degrees (pitch)'),
-      y: z.number().describe('Rotation around Y axis in degrees (yaw)'),
-      z: z.number().describe('Rotation around Z axis in degrees (roll)')
+      forceRefresh: z.boolean().optional().describe(
+        'Force refresh from browser (defaults to false, uses cache). ' +
+        'Set to true if: user manually interacted with the 3D app, state might have changed, ' +
+        'or accuracy is critical. Use false (default) if state was recently queried and no manual interactions occurred.'
+      ),
+      objectId: objectIdSchema
     }
   },
-  async ({ x, y, z }) => {
-    routeToCurrentSession({
-      type: 'setModelRotation',
-      x: x,
-      y: y,
-      z: z
-    });
-
-    return {
-      content: [
+  async ({ forceRefresh = false, objectId }) => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: No active session found.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    try {
+      const { state, metadata } = await getState(sessionId, forceRefresh);
+      const objectState = getObjectState(state, objectId);
+      if (!objectState && objectId !== undefined) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `No object with ID "${objectId}". Use list_objects to see the object IDs.`
+            }
+          ],
+          isError: true
+        };
+      }
+      const materialText = objectState?.material
+        ? formatMaterial(objectState.material) +
+          (objectState.textures ? `; textures: ${formatTextures(objectState.textures)}` : '') +
+          (objectState.matcap ? `; matcap "${objectState.matcap.source}" shown instead of the material` : '')
+        : 'not reported by the browser';
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: formatStateResponse(materialText, objectId ? `Model material (${objectId})` : 'Model material', sessionId, forceRefresh, metadata)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error retrieving model material: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
+const setModelRotationInputSchema = {
+  x: z.number().describe('Rotation around X axis in degrees (pitch)'),
+  y: z.number().describe('Rotation around Y axis in degrees (yaw)'),
+  z: z.number().describe('Rotation around Z axis in degrees (roll)'),
+  objectId: objectIdSchema
+};
+
+mcpServer.registerTool(
+  'set_model_rotation',
+  {
+    title: 'Set Model Rotation',
+    description: 'Set the model rotation using Euler angles in degrees (XYZ order). X = pitch (rotation around X axis), Y = yaw (rotation around Y axis), Z = roll (rotation around Z axis).',
+    inputSchema: { ...setModelRotationInputSchema, ...transitionInputSchema }
+  },
+  async ({ x, y, z, objectId, durationMs, easing }) => {
+    const outcome = await routeToCurrentSession({
+      type: 'setModelRotation',
+      x: x,
+      y: y,
+      z: z,
+      objectId: objectId,
+      durationMs: durationMs,
+      easing: easing
+    });
+
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    return {
+      content: [
         {
           type: 'text',
-          text: `Model rotation set to X: ${x}°, Y: ${y}°, Z: ${z}°`
+          text: `Model rotation set to ${formatRotation(outcome.result.rotation)}`
         }
       ]
     };
@@ -2132,6 +3261,11 @@ mcpServer.registerTool(
 );
 
 // Model rotation relative adjustment tools
+const rotateModelClockwiseInputSchema = {
+  degrees: z.number().positive().optional().describe('Amount to rotate in degrees (defaults to 10°)'),
+  objectId: objectIdSchema
+};
+
 mcpServer.registerTool(
   'rotate_model_clockwise',
   {
@@ -2139,11 +3273,9 @@ mcpServer.registerTool(
     description: 'Rotate the model clockwise around Y axis (yaw) relative to current rotation. ' +
       'This tool automatically queries fresh state before performing the rotation to ensure accuracy, ' +
       'even if the user has manually interacted with the model.',
-    inputSchema: {
-      degrees: z.number().positive().optional().describe('Amount to rotate in degrees (defaults to 10°)')
-    }
+    inputSchema: { ...rotateModelClockwiseInputSchema, ...transitionInputSchema }
   },
-  async ({ degrees }) => {
+  async ({ degrees, objectId, durationMs, easing }) => {
     const sessionId = getCurrentSessionId();
     if (!sessionId) {
       return {
@@ -2161,17 +3293,24 @@ mcpServer.registerTool(
     let currentState = null;
     try {
       const { state } = await getState(sessionId, true); // forceRefresh: true
-      currentState = state.model?.rotation || { x: 0, y: 0, z: 0 };
+      currentState = getObjectState(state, objectId)?.rotation || { x: 0, y: 0, z: 0 };
     } catch (error) {
       // If state query fails, proceed anyway but note it in response
       console.warn(`Failed to query state before rotation: ${error.message}`);
     }
 
-    routeToCurrentSession({
+    const outcome = await routeToCurrentSession({
       type: 'rotateModelClockwise',
-      degrees: degrees
+      degrees: degrees,
+      objectId: objectId,
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     const rotationInfo = currentState 
       ? ` (from current rotation: Y=${currentState.y}°)`
       : '';
@@ -2180,14 +3319,19 @@ mcpServer.registerTool(
         {
           type: 'text',
           text: degrees 
-            ? `Model rotated ${degrees}° clockwise${rotationInfo}` 
-            : `Model rotated 10° clockwise${rotationInfo}`
+            ? `Model rotated ${degrees}° clockwise${rotationInfo}. Now at ${formatRotation(outcome.result.rotation)}` 
+            : `Model rotated 10° clockwise${rotationInfo}. Now at ${formatRotation(outcome.result.rotation)}`
         }
       ]
     };
   }
 );
 
+const rotateModelCounterclockwiseInputSchema = {
+  degrees: z.number().positive().optional().describe('Amount to rotate in degrees (defaults to 10°)'),
+  objectId: objectIdSchema
+};
+
 mcpServer.registerTool(
   'rotate_model_counterclockwise',
   {
@@ -2195,11 +3339,9 @@ mcpServer.registerTool(
     description: 'Rotate the model counterclockwise around Y axis (yaw) relative to current rotation. ' +
       'This tool automatically queries fresh state before performing the rotation to ensure accuracy, ' +
       'even if the user has manually interacted with the model.',
-    inputSchema: {
-      degrees: z.number().positive().optional().describe('Amount to rotate in degrees (defaults to 10°)')
-    }
+    inputSchema: { ...rotateModelCounterclockwiseInputSchema, ...transitionInputSchema }
   },
-  async ({ degrees }) => {
+  async ({ degrees, objectId, durationMs, easing }) => {
     const sessionId = getCurrentSessionId();
     if (!sessionId) {
       return {
@@ -2217,16 +3359,23 @@ mcpServer.registerTool(
     let currentState = null;
     try {
       const { state } = await getState(sessionId, true); // forceRefresh: true
-      currentState = state.model?.rotation || { x: 0, y: 0, z: 0 };
+      currentState = getObjectState(state, objectId)?.rotation || { x: 0, y: 0, z: 0 };
     } catch (error) {
       console.warn(`Failed to query state before rotation: ${error.message}`);
     }
 
-    routeToCurrentSession({
+    const outcome = await routeToCurrentSession({
       type: 'rotateModelCounterclockwise',
-      degrees: degrees
+      degrees: degrees,
+      objectId: objectId,
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     const rotationInfo = currentState 
       ? ` (from current rotation: Y=${currentState.y}°)`
       : '';
@@ -2235,14 +3384,19 @@ mcpServer.registerTool(
         {
           type: 'text',
           text: degrees 
-            ? `Model rotated ${degrees}° counterclockwise${rotationInfo}` 
-            : `Model rotated 10° counterclockwise${rotationInfo}`
+            ? `Model rotated ${degrees}° counterclockwise${rotationInfo}. Now at ${formatRotation(outcome.result.rotation)}` 
+            : `Model rotated 10° counterclockwise${rotationInfo}. Now at ${formatRotation(outcome.result.rotation)}`
         }
       ]
     };
   }
 );
 
+const nudgeModelPitchUpInputSchema = {
+  degrees: z.number().positive().optional().describe('Amount to increase pitch in degrees (defaults to 5°)'),
+  objectId: objectIdSchema
+};
+
 mcpServer.registerTool(
   'nudge_model_pitch_up',
   {
@@ -2250,11 +3404,9 @@ mcpServer.registerTool(
     description: 'Adjust the model pitch (X axis rotation) upward relative to current rotation. ' +
       'This tool automatically queries fresh state before performing the adjustment to ensure accuracy, ' +
       'even if the user has manually interacted with the model.',
-    inputSchema: {
-      degrees: z.number().positive().optional().describe('Amount to increase pitch in degrees (defaults to 5°)')
-    }
+    inputSchema: { ...nudgeModelPitchUpInputSchema, ...transitionInputSchema }
   },
-  async ({ degrees }) => {
+  async ({ degrees, objectId, durationMs, easing }) => {
     const sessionId = getCurrentSessionId();
     if (!sessionId) {
       return {
@@ -2270,27 +3422,39 @@ mcpServer.registerTool(
 
     // Query fresh state before manipulation
     const state = await queryFreshStateForManipulation(sessionId);
-    const currentRotation = state?.model?.rotation || { x: 0, y: 0, z: 0 };
+    const currentRotation = getObjectState(state, objectId)?.rotation || { x: 0, y: 0, z: 0 };
     const rotationInfo = ` (from current pitch: X=${currentRotation.x}°)`;
 
-    routeToCurrentSession({
+    const outcome = await routeToCurrentSession({
       type: 'nudgeModelPitchUp',
-      degrees: degrees
+      degrees: degrees,
+      objectId: objectId,
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     return {
       content: [
         {
           type: 'text',
           text: degrees 
-            ? `Model pitch increased by ${degrees}°${rotationInfo}` 
-            : `Model pitch increased by 5°${rotationInfo}`
+            ? `Model pitch increased by ${degrees}°${rotationInfo}. Now at ${formatRotation(outcome.result.rotation)}` 
+            : `Model pitch increased by 5°${rotationInfo}. Now at ${formatRotation(outcome.result.rotation)}`
         }
       ]
     };
   }
 );
 
+const nudgeModelPitchDownInputSchema = {
+  degrees: z.number().positive().optional().describe('Amount to decrease pitch in degrees (defaults to 5°)'),
+  objectId: objectIdSchema
+};
+
 mcpServer.registerTool(
   'nudge_model_pitch_down',
   {
@@ -2298,11 +3462,9 @@ mcpServer.registerTool(
     description: 'Adjust the model pitch (X axis rotation) downward relative to current rotation. ' +
       'This tool automatically queries fresh state before performing the adjustment to ensure accuracy, ' +
       'even if the user has manually interacted with the model.',
-    inputSchema: {
-      degrees: z.number().positive().optional().describe('Amount to decrease pitch in degrees (defaults to 5°)')
-    }
+    inputSchema: { ...nudgeModelPitchDownInputSchema, ...transitionInputSchema }
   },
-  async ({ degrees }) => {
+  async ({ degrees, objectId, durationMs, easing }) => {
     const sessionId = getCurrentSessionId();
     if (!sessionId) {
       return {
@@ -2318,27 +3480,39 @@ mcpServer.registerTool(
 
     // Query fresh state before manipulation
     const state = await queryFreshStateForManipulation(sessionId);
-    const currentRotation = state?.model?.rotation || { x: 0, y: 0, z: 0 };
+    const currentRotation = getObjectState(state, objectId)?.rotation || { x: 0, y: 0, z: 0 };
     const rotationInfo = ` (from current pitch: X=${currentRotation.x}°)`;
 
-    routeToCurrentSession({
+    const outcome = await routeToCurrentSession({
       type: 'nudgeModelPitchDown',
-      degrees: degrees
+      degrees: degrees,
+      objectId: objectId,
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     return {
       content: [
         {
           type: 'text',
           text: degrees 
-            ? `Model pitch decreased by ${degrees}°${rotationInfo}` 
-            : `Model pitch decreased by 5°${rotationInfo}`
+            ? `Model pitch decreased by ${degrees}°${rotationInfo}. Now at ${formatRotation(outcome.result.rotation)}` 
+            : `Model pitch decreased by 5°${rotationInfo}. Now at ${formatRotation(outcome.result.rotation)}`
         }
       ]
     };
   }
 );
 
+const nudgeModelRollInputSchema = {
+  degrees: z.number().optional().describe('Amount to adjust roll in degrees (defaults to 5°, positive = clockwise)'),
+  objectId: objectIdSchema
+};
+
 mcpServer.registerTool(
   'nudge_model_roll',
   {
@@ -2346,11 +3520,9 @@ mcpServer.registerTool(
     description: 'Adjust the model roll (Z axis rotation) relative to current rotation. Positive values rotate clockwise. ' +
       'This tool automatically queries fresh state before performing the adjustment to ensure accuracy, ' +
       'even if the user has manually interacted with the model.',
-    inputSchema: {
-      degrees: z.number().optional().describe('Amount to adjust roll in degrees (defaults to 5°, positive = clockwise)')
-    }
+    inputSchema: { ...nudgeModelRollInputSchema, ...transitionInputSchema }
   },
-  async ({ degrees }) => {
+  async ({ degrees, objectId, durationMs, easing }) => {
     const sessionId = getCurrentSessionId();
     if (!sessionId) {
       return {
@@ -2366,21 +3538,262 @@ mcpServer.registerTool(
 
     // Query fresh state before manipulation
     const state = await queryFreshStateForManipulation(sessionId);
-    const currentRotation = state?.model?.rotation || { x: 0, y: 0, z: 0 };
+    const currentRotation = getObjectState(state, objectId)?.rotation || { x: 0, y: 0, z: 0 };
     const rotationInfo = ` (from current roll: Z=${currentRotation.z}°)`;
 
-    routeToCurrentSession({
+    const outcome = await routeToCurrentSession({
       type: 'nudgeModelRoll',
-      degrees: degrees !== undefined ? degrees : 5
+      degrees: degrees !== undefined ? degrees : 5,
+      objectId: objectId,
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     return {
       content: [
         {
           type: 'text',
           text: degrees 
-            ? `Model roll adjusted by ${degrees}°${rotationInfo}` 
-            : `Model roll adjusted by 5° clockwise${rotationInfo}`
+            ? `Model roll adjusted by ${degrees}°${rotationInfo}. Now at ${formatRotation(outcome.result.rotation)}` 
+            : `Model roll adjusted by 5° clockwise${rotationInfo}. Now at ${formatRotation(outcome.result.rotation)}`
+        }
+      ]
+    };
+  }
+);
+
+// Model position tools
+// The model position is the world position of its pivot; the area lights orbit the selected object's pivot
+const setModelPositionInputSchema = {
+  x: z.number().describe('X coordinate (world units; positive is right in the default view)'),
+  y: z.number().describe('Y coordinate (world units; positive is up)'),
+  z: z.number().describe('Z coordinate (world units; positive is toward the default camera)'),
+  objectId: objectIdSchema
+};
+
+mcpServer.registerTool(
+  'set_model_position',
+  {
+    title: 'Set Model Position',
+    description: 'Move the model so its pivot is at a world position. The model starts at (0, -0.5, 0). ' +
+      'The area lights orbit the selected object\'s pivot, so they move along with it.',
+    inputSchema: { ...setModelPositionInputSchema, ...transitionInputSchema }
+  },
+  async ({ x, y, z, objectId, durationMs, easing }) => {
+    const outcome = await routeToCurrentSession({
+      type: 'setModelPosition',
+      x: x,
+      y: y,
+      z: z,
+      objectId: objectId,
+      durationMs: durationMs,
+      easing: easing
+    });
+
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Model position set to ${formatObjectPosition(outcome.result.position)}`
+        }
+      ]
+    };
+  }
+);
+
+const nudgeModelInputSchema = {
+  direction: z.enum(['left', 'right', 'up', 'down', 'toward camera', 'away from camera']).describe(
+    'Direction to move the model, as seen from the camera'
+  ),
+  distance: z.number().positive().optional().describe(
+    'Distance to move in world units (defaults to a small step scaled to the scene size)'
+  ),
+  objectId: objectIdSchema
+};
+
+mcpServer.registerTool(
+  'nudge_model',
+  {
+    title: 'Nudge Model',
+    description: 'Move the model a step relative to the camera view: left, right, up, down, toward camera or away from camera.',
+    inputSchema: { ...nudgeModelInputSchema, ...transitionInputSchema }
+  },
+  async ({ direction, distance, objectId, durationMs, easing }) => {
+    const outcome = await routeToCurrentSession({
+      type: 'nudgeModel',
+      direction: direction,
+      distance: distance,
+      objectId: objectId,
+      durationMs: durationMs,
+      easing: easing
+    });
+
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Model moved ${direction}${distance ? ` by ${distance}` : ''}. Now at ${formatObjectPosition(outcome.result.position)}`
+        }
+      ]
+    };
+  }
+);
+
+const setModelPivotInputSchema = {
+  pivot: z.enum(['center', 'bottom', 'custom']).describe(
+    'Point the model rotates and scales around: "center" (bounding box center), ' +
+    '"bottom" (center of the bounding box bottom, so the model spins like on a turntable and scales from the floor), ' +
+    'or "custom" (the given point)'
+  ),
+  point: vector3Schema.optional().describe(
+    'For "custom": offset of the pivot from the bounding box center, in model units before the model scale ' +
+    '(auto-fit models have a radius of 5.5)'
+  ),
+  objectId: objectIdSchema
+};
+
+mcpServer.registerTool(
+  'set_model_pivot',
+  {
+    title: 'Set Model Pivot',
+    description: 'Set the point the model rotates and scales around, and that the area lights orbit. ' +
+      'The model stays where it is on screen; its position changes to the new pivot\'s location.',
+    inputSchema: setModelPivotInputSchema
+  },
+  async ({ pivot, point, objectId }) => {
+    if ((pivot === 'custom') !== (point !== undefined)) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: pivot === 'custom'
+              ? 'Error: pivot "custom" needs a point.'
+              : `Error: point is only used with pivot "custom", not "${pivot}".`
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const outcome = await routeToCurrentSession({
+      type: 'setModelPivot',
+      pivot: pivot,
+      point: point,
+      objectId: objectId
+    });
+
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    const pivotText = pivot === 'custom' ? `custom point ${formatObjectPosition(point)}` : pivot;
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Model pivot set to ${pivotText}. Model position is now ${formatObjectPosition(outcome.result.position)}`
+        }
+      ]
+    };
+  }
+);
+
+// Turntable tools (continuous auto-rotation of the model)
+const turntableInputSchema = {
+  axis: z.enum(['x', 'y', 'z']).optional().describe('World axis to spin around (defaults to "y", a vertical turntable)'),
+  speed: z.number().positive().max(720).optional().describe('Rotation speed in degrees per second (defaults to 30)'),
+  direction: z.enum(['clockwise', 'counterclockwise']).optional().describe(
+    'Spin direction viewed from the positive end of the axis (e.g., from above for "y"); defaults to "counterclockwise"'
+  ),
+  objectId: objectIdSchema
+};
+
+mcpServer.registerTool(
+  'start_turntable',
+  {
+    title: 'Start Turntable',
+    description: 'Spin the model continuously around an axis, like a product turntable. ' +
+      'Dragging the model pauses the spin, which resumes from the new orientation on release. ' +
+      'Calling this while the turntable is running changes its axis, speed or direction. Use stop_turntable to stop.',
+    inputSchema: turntableInputSchema
+  },
+  async ({ axis = 'y', speed = 30, direction = 'counterclockwise', objectId }) => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: No active session found.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const outcome = await routeToCurrentSession({
+      type: 'startTurntable',
+      axis: axis,
+      speed: speed,
+      direction: direction,
+      objectId: objectId
+    });
+
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    // While spinning, cached rotations go stale immediately, so rotation reads query the browser
+    activeTurntables.set(sessionId, { axis, speed, direction });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Turntable started: spinning ${direction} around the ${axis.toUpperCase()} axis at ${speed}°/s ` +
+            `(from ${formatRotation(outcome.result.rotation)})`
+        }
+      ]
+    };
+  }
+);
+
+mcpServer.registerTool(
+  'stop_turntable',
+  {
+    title: 'Stop Turntable',
+    description: 'Stop the turntable spin started with start_turntable, leaving the model at its current orientation.',
+    inputSchema: {}
+  },
+  async () => {
+    const sessionId = getCurrentSessionId();
+    const outcome = await routeToCurrentSession({
+      type: 'stopTurntable'
+    });
+
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    activeTurntables.delete(sessionId);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Turntable stopped. Model rotation is now ${formatRotation(outcome.result.rotation)}`
         }
       ]
     };
@@ -2388,6 +3801,10 @@ mcpServer.registerTool(
 );
 
 // Key light relative adjustment tools
+const rotateKeyLightClockwiseInputSchema = {
+  degrees: z.number().positive().optional().describe('Amount to rotate in degrees (defaults to 10°)')
+};
+
 mcpServer.registerTool(
   'rotate_key_light_clockwise',
   {
@@ -2395,11 +3812,9 @@ mcpServer.registerTool(
     description: 'Rotate the key light clockwise (decreases azimuth) relative to current position. ' +
       'This tool automatically queries fresh state before performing the rotation to ensure accuracy, ' +
       'even if the user has manually moved the light.',
-    inputSchema: {
-      degrees: z.number().positive().optional().describe('Amount to rotate in degrees (defaults to 10°)')
-    }
+    inputSchema: { ...rotateKeyLightClockwiseInputSchema, ...transitionInputSchema }
   },
-  async ({ degrees }) => {
+  async ({ degrees, durationMs, easing }) => {
     const sessionId = getCurrentSessionId();
     if (!sessionId) {
       return {
@@ -2418,24 +3833,34 @@ mcpServer.registerTool(
     const currentPosition = state?.keyLight?.position || { azimuth: 0, elevation: 0, distance: 0 };
     const positionInfo = ` (from current azimuth: ${currentPosition.azimuth}°)`;
 
-    routeToCurrentSession({
+    const outcome = await routeToCurrentSession({
       type: 'rotateKeyLightClockwise',
-      degrees: degrees
+      degrees: degrees,
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     return {
       content: [
         {
           type: 'text',
           text: degrees 
-            ? `Key light rotated ${degrees}° clockwise${positionInfo}` 
-            : `Key light rotated 10° clockwise${positionInfo}`
+            ? `Key light rotated ${degrees}° clockwise${positionInfo}. Now at ${formatSphericalPosition(outcome.result.position)}` 
+            : `Key light rotated 10° clockwise${positionInfo}. Now at ${formatSphericalPosition(outcome.result.position)}`
         }
       ]
     };
   }
 );
 
+const rotateKeyLightCounterclockwiseInputSchema = {
+  degrees: z.number().positive().optional().describe('Amount to rotate in degrees (defaults to 10°)')
+};
+
 mcpServer.registerTool(
   'rotate_key_light_counterclockwise',
   {
@@ -2443,11 +3868,9 @@ mcpServer.registerTool(
     description: 'Rotate the key light counterclockwise (increases azimuth) relative to current position. ' +
       'This tool automatically queries fresh state before performing the rotation to ensure accuracy, ' +
       'even if the user has manually moved the light.',
-    inputSchema: {
-      degrees: z.number().positive().optional().describe('Amount to rotate in degrees (defaults to 10°)')
-    }
+    inputSchema: { ...rotateKeyLightCounterclockwiseInputSchema, ...transitionInputSchema }
   },
-  async ({ degrees }) => {
+  async ({ degrees, durationMs, easing }) => {
     const sessionId = getCurrentSessionId();
     if (!sessionId) {
       return {
@@ -2466,24 +3889,34 @@ mcpServer.registerTool(
     const currentPosition = state?.keyLight?.position || { azimuth: 0, elevation: 0, distance: 0 };
     const positionInfo = ` (from current azimuth: ${currentPosition.azimuth}°)`;
 
-    routeToCurrentSession({
+    const outcome = await routeToCurrentSession({
       type: 'rotateKeyLightCounterclockwise',
-      degrees: degrees
+      degrees: degrees,
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     return {
       content: [
         {
           type: 'text',
           text: degrees 
-            ? `Key light rotated ${degrees}° counterclockwise${positionInfo}` 
-            : `Key light rotated 10° counterclockwise${positionInfo}`
+            ? `Key light rotated ${degrees}° counterclockwise${positionInfo}. Now at ${formatSphericalPosition(outcome.result.position)}` 
+            : `Key light rotated 10° counterclockwise${positionInfo}. Now at ${formatSphericalPosition(outcome.result.position)}`
         }
       ]
     };
   }
 );
 
+const nudgeKeyLightElevationUpInputSchema = {
+  degrees: z.number().positive().optional().describe('Amount to increase elevation in degrees (defaults to 5°)')
+};
+
 mcpServer.registerTool(
   'nudge_key_light_elevation_up',
   {
@@ -2491,11 +3924,9 @@ mcpServer.registerTool(
     description: 'Adjust the key light elevation upward relative to current position. ' +
       'This tool automatically queries fresh state before performing the adjustment to ensure accuracy, ' +
       'even if the user has manually moved the light.',
-    inputSchema: {
-      degrees: z.number().positive().optional().describe('Amount to increase elevation in degrees (defaults to 5°)')
-    }
+    inputSchema: { ...nudgeKeyLightElevationUpInputSchema, ...transitionInputSchema }
   },
-  async ({ degrees }) => {
+  async ({ degrees, durationMs, easing }) => {
     const sessionId = getCurrentSessionId();
     if (!sessionId) {
       return {
@@ -2514,24 +3945,34 @@ mcpServer.registerTool(
     const currentPosition = state?.keyLight?.position || { azimuth: 0, elevation: 0, distance: 0 };
     const positionInfo = ` (from current elevation: ${currentPosition.elevation}°)`;
 
-    routeToCurrentSession({
+    const outcome = await routeToCurrentSession({
       type: 'nudgeKeyLightElevationUp',
-      degrees: degrees
+      degrees: degrees,
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     return {
       content: [
         {
           type: 'text',
           text: degrees 
-            ? `Key light elevation increased by ${degrees}°${positionInfo}` 
-            : `Key light elevation increased by 5°${positionInfo}`
+            ? `Key light elevation increased by ${degrees}°${positionInfo}. Now at ${formatSphericalPosition(outcome.result.position)}` 
+            : `Key light elevation increased by 5°${positionInfo}. Now at ${formatSphericalPosition(outcome.result.position)}`
         }
       ]
     };
   }
 );
 
+const nudgeKeyLightElevationDownInputSchema = {
+  degrees: z.number().positive().optional().describe('Amount to decrease elevation in degrees (defaults to 5°)')
+};
+
 mcpServer.registerTool(
   'nudge_key_light_elevation_down',
   {
@@ -2539,11 +3980,9 @@ mcpServer.registerTool(
     description: 'Adjust the key light elevation downward relative to current position. ' +
       'This tool automatically queries fresh state before performing the adjustment to ensure accuracy, ' +
       'even if the user has manually moved the light.',
-    inputSchema: {
-      degrees: z.number().positive().optional().describe('Amount to decrease elevation in degrees (defaults to 5°)')
-    }
+    inputSchema: { ...nudgeKeyLightElevationDownInputSchema, ...transitionInputSchema }
   },
-  async ({ degrees }) => {
+  async ({ degrees, durationMs, easing }) => {
     const sessionId = getCurrentSessionId();
     if (!sessionId) {
       return {
@@ -2562,24 +4001,35 @@ mcpServer.registerTool(
     const currentPosition = state?.keyLight?.position || { azimuth: 0, elevation: 0, distance: 0 };
     const positionInfo = ` (from current elevation: ${currentPosition.elevation}°)`;
 
-    routeToCurrentSession({
+    const outcome = await routeToCurrentSession({
       type: 'nudgeKeyLightElevationDown',
-      degrees: degrees
+      degrees: degrees,
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     return {
       content: [
         {
           type: 'text',
           text: degrees 
-            ? `Key light elevation decreased by ${degrees}°${positionInfo}` 
-            : `Key light elevation decreased by 5°${positionInfo}`
+            ? `Key light elevation decreased by ${degrees}°${positionInfo}. Now at ${formatSphericalPosition(outcome.result.position)}` 
+            : `Key light elevation decreased by 5°${positionInfo}. Now at ${formatSphericalPosition(outcome.result.position)}`
         }
       ]
     };
   }
 );
 
+const moveKeyLightTowardDirectionInputSchema = {
+  direction: azimuthSchema,
+  degrees: z.number().positive().optional().describe('Amount to move toward target direction in degrees (defaults to 10°)')
+};
+
 mcpServer.registerTool(
   'move_key_light_toward_direction',
   {
@@ -2587,12 +4037,9 @@ mcpServer.registerTool(
     description: `Move the key light toward a specific direction relative to current position. ` +
       `This tool automatically queries fresh state before performing the adjustment to ensure accuracy, ` +
       `even if the user has manually moved the light. Available directions: ${availableDirectionNames}.`,
-    inputSchema: {
-      direction: azimuthSchema,
-      degrees: z.number().positive().optional().describe('Amount to move toward target direction in degrees (defaults to 10°)')
-    }
+    inputSchema: { ...moveKeyLightTowardDirectionInputSchema, ...transitionInputSchema }
   },
-  async ({ direction, degrees }) => {
+  async ({ direction, degrees, durationMs, easing }) => {
     const sessionId = getCurrentSessionId();
     if (!sessionId) {
       return {
@@ -2625,20 +4072,26 @@ mcpServer.registerTool(
     const currentPosition = state?.keyLight?.position || { azimuth: 0, elevation: 0, distance: 0 };
     const positionInfo = ` (from current azimuth: ${currentPosition.azimuth}°)`;
 
-    routeToCurrentSession({
+    const outcome = await routeToCurrentSession({
       type: 'moveKeyLightTowardDirection',
       direction: typeof direction === 'number' ? direction : directionValue,
-      degrees: degrees
+      degrees: degrees,
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     const directionDisplay = typeof direction === 'string' ? direction : `${direction}°`;
     return {
       content: [
         {
           type: 'text',
           text: degrees 
-            ? `Key light moved ${degrees}° toward ${directionDisplay}${positionInfo}` 
-            : `Key light moved 10° toward ${directionDisplay}${positionInfo}`
+            ? `Key light moved ${degrees}° toward ${directionDisplay}${positionInfo}. Now at ${formatSphericalPosition(outcome.result.position)}` 
+            : `Key light moved 10° toward ${directionDisplay}${positionInfo}. Now at ${formatSphericalPosition(outcome.result.position)}`
         }
       ]
     };
@@ -2646,6 +4099,10 @@ mcpServer.registerTool(
 );
 
 // Fill light relative adjustment tools
+const rotateFillLightClockwiseInputSchema = {
+  degrees: z.number().positive().optional().describe('Amount to rotate in degrees (defaults to 10°)')
+};
+
 mcpServer.registerTool(
   'rotate_fill_light_clockwise',
   {
@@ -2653,11 +4110,9 @@ mcpServer.registerTool(
     description: 'Rotate the fill light clockwise (decreases azimuth) relative to current position. ' +
       'This tool automatically queries fresh state before performing the rotation to ensure accuracy, ' +
       'even if the user has manually moved the light.',
-    inputSchema: {
-      degrees: z.number().positive().optional().describe('Amount to rotate in degrees (defaults to 10°)')
-    }
+    inputSchema: { ...rotateFillLightClockwiseInputSchema, ...transitionInputSchema }
   },
-  async ({ degrees }) => {
+  async ({ degrees, durationMs, easing }) => {
     const sessionId = getCurrentSessionId();
     if (!sessionId) {
       return {
@@ -2676,24 +4131,34 @@ mcpServer.registerTool(
     const currentPosition = state?.fillLight?.position || { azimuth: 0, elevation: 0, distance: 0 };
     const positionInfo = ` (from current azimuth: ${currentPosition.azimuth}°)`;
 
-    routeToCurrentSession({
+    const outcome = await routeToCurrentSession({
       type: 'rotateFillLightClockwise',
-      degrees: degrees
+      degrees: degrees,
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     return {
       content: [
         {
           type: 'text',
           text: degrees 
-            ? `Fill light rotated ${degrees}° clockwise${positionInfo}` 
-            : `Fill light rotated 10° clockwise${positionInfo}`
+            ? `Fill light rotated ${degrees}° clockwise${positionInfo}. Now at ${formatSphericalPosition(outcome.result.position)}` 
+            : `Fill light rotated 10° clockwise${positionInfo}. Now at ${formatSphericalPosition(outcome.result.position)}`
         }
       ]
     };
   }
 );
 
+const rotateFillLightCounterclockwiseInputSchema = {
+  degrees: z.number().positive().optional().describe('Amount to rotate in degrees (defaults to 10°)')
+};
+
 mcpServer.registerTool(
   'rotate_fill_light_counterclockwise',
   {
@@ -2701,11 +4166,9 @@ mcpServer.registerTool(
     description: 'Rotate the fill light counterclockwise (increases azimuth) relative to current position. ' +
       'This tool automatically queries fresh state before performing the rotation to ensure accuracy, ' +
       'even if the user has manually moved the light.',
-    inputSchema: {
-      degrees: z.number().positive().optional().describe('Amount to rotate in degrees (defaults to 10°)')
-    }
+    inputSchema: { ...rotateFillLightCounterclockwiseInputSchema, ...transitionInputSchema }
   },
-  async ({ degrees }) => {
+  async ({ degrees, durationMs, easing }) => {
     const sessionId = getCurrentSessionId();
     if (!sessionId) {
       return {
@@ -2724,24 +4187,34 @@ mcpServer.registerTool(
     const currentPosition = state?.fillLight?.position || { azimuth: 0, elevation: 0, distance: 0 };
     const positionInfo = ` (from current azimuth: ${currentPosition.azimuth}°)`;
 
-    routeToCurrentSession({
+    const outcome = await routeToCurrentSession({
       type: 'rotateFillLightCounterclockwise',
-      degrees: degrees
+      degrees: degrees,
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     return {
       content: [
         {
           type: 'text',
           text: degrees 
-            ? `Fill light rotated ${degrees}° counterclockwise${positionInfo}` 
-            : `Fill light rotated 10° counterclockwise${positionInfo}`
+            ? `Fill light rotated ${degrees}° counterclockwise${positionInfo}. Now at ${formatSphericalPosition(outcome.result.position)}` 
+            : `Fill light rotated 10° counterclockwise${positionInfo}. Now at ${formatSphericalPosition(outcome.result.position)}`
         }
       ]
     };
   }
 );
 
+const nudgeFillLightElevationUpInputSchema = {
+  degrees: z.number().positive().optional().describe('Amount to increase elevation in degrees (defaults to 5°)')
+};
+
 mcpServer.registerTool(
   'nudge_fill_light_elevation_up',
   {
@@ -2749,11 +4222,9 @@ mcpServer.registerTool(
     description: 'Adjust the fill light elevation upward relative to current position. ' +
       'This tool automatically queries fresh state before performing the adjustment to ensure accuracy, ' +
       'even if the user has manually moved the light.',
-    inputSchema: {
-      degrees: z.number().positive().optional().describe('Amount to increase elevation in degrees (defaults to 5°)')
-    }
+    inputSchema: { ...nudgeFillLightElevationUpInputSchema, ...transitionInputSchema }
   },
-  async ({ degrees }) => {
+  async ({ degrees, durationMs, easing }) => {
     const sessionId = getCurrentSessionId();
     if (!sessionId) {
       return {
@@ -2772,24 +4243,34 @@ mcpServer.registerTool(
     const currentPosition = state?.fillLight?.position || { azimuth: 0, elevation: 0, distance: 0 };
     const positionInfo = ` (from current elevation: ${currentPosition.elevation}°)`;
 
-    routeToCurrentSession({
+    const outcome = await routeToCurrentSession({
       type: 'nudgeFillLightElevationUp',
-      degrees: degrees
+      degrees: degrees,
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     return {
       content: [
         {
           type: 'text',
           text: degrees 
-            ? `Fill light elevation increased by ${degrees}°${positionInfo}` 
-            : `Fill light elevation increased by 5°${positionInfo}`
+            ? `Fill light elevation increased by ${degrees}°${positionInfo}. Now at ${formatSphericalPosition(outcome.result.position)}` 
+            : `Fill light elevation increased by 5°${positionInfo}. Now at ${formatSphericalPosition(outcome.result.position)}`
         }
       ]
     };
   }
 );
 
+const nudgeFillLightElevationDownInputSchema = {
+  degrees: z.number().positive().optional().describe('Amount to decrease elevation in degrees (defaults to 5°)')
+};
+
 mcpServer.registerTool(
   'nudge_fill_light_elevation_down',
   {
@@ -2797,11 +4278,9 @@ mcpServer.registerTool(
     description: 'Adjust the fill light elevation downward relative to current position. ' +
       'This tool automatically queries fresh state before performing the adjustment to ensure accuracy, ' +
       'even if the user has manually moved the light.',
-    inputSchema: {
-      degrees: z.number().positive().optional().describe('Amount to decrease elevation in degrees (defaults to 5°)')
-    }
+    inputSchema: { ...nudgeFillLightElevationDownInputSchema, ...transitionInputSchema }
   },
-  async ({ degrees }) => {
+  async ({ degrees, durationMs, easing }) => {
     const sessionId = getCurrentSessionId();
     if (!sessionId) {
       return {
@@ -2820,24 +4299,35 @@ mcpServer.registerTool(
     const currentPosition = state?.fillLight?.position || { azimuth: 0, elevation: 0, distance: 0 };
     const positionInfo = ` (from current elevation: ${currentPosition.elevation}°)`;
 
-    routeToCurrentSession({
+    const outcome = await routeToCurrentSession({
       type: 'nudgeFillLightElevationDown',
-      degrees: degrees
+      degrees: degrees,
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     return {
       content: [
         {
           type: 'text',
           text: degrees 
-            ? `Fill light elevation decreased by ${degrees}°${positionInfo}` 
-            : `Fill light elevation decreased by 5°${positionInfo}`
+            ? `Fill light elevation decreased by ${degrees}°${positionInfo}. Now at ${formatSphericalPosition(outcome.result.position)}` 
+            : `Fill light elevation decreased by 5°${positionInfo}. Now at ${formatSphericalPosition(outcome.result.position)}`
         }
       ]
     };
   }
 );
 
+const moveFillLightTowardDirectionInputSchema = {
+  direction: azimuthSchema,
+  degrees: z.number().positive().optional().describe('Amount to move toward target direction in degrees (defaults to 10°)')
+};
+
 mcpServer.registerTool(
   'move_fill_light_toward_direction',
   {
@@ -2845,12 +4335,9 @@ mcpServer.registerTool(
     description: `Move the fill light toward a specific direction relative to current position. ` +
       `This tool automatically queries fresh state before performing the adjustment to ensure accuracy, ` +
       `even if the user has manually moved the light. Available directions: ${availableDirectionNames}.`,
-    inputSchema: {
-      direction: azimuthSchema,
-      degrees: z.number().positive().optional().describe('Amount to move toward target direction in degrees (defaults to 10°)')
-    }
+    inputSchema: { ...moveFillLightTowardDirectionInputSchema, ...transitionInputSchema }
   },
-  async ({ direction, degrees }) => {
+  async ({ direction, degrees, durationMs, easing }) => {
     const sessionId = getCurrentSessionId();
     if (!sessionId) {
       return {
@@ -2883,46 +4370,2703 @@ mcpServer.registerTool(
     const currentPosition = state?.fillLight?.position || { azimuth: 0, elevation: 0, distance: 0 };
     const positionInfo = ` (from current azimuth: ${currentPosition.azimuth}°)`;
 
-    routeToCurrentSession({
+    const outcome = await routeToCurrentSession({
       type: 'moveFillLightTowardDirection',
       direction: typeof direction === 'number' ? direction : directionValue,
-      degrees: degrees
+      degrees: degrees,
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
     const directionDisplay = typeof direction === 'string' ? direction : `${direction}°`;
     return {
       content: [
         {
           type: 'text',
           text: degrees 
-            ? `Fill light moved ${degrees}° toward ${directionDisplay}${positionInfo}` 
-            : `Fill light moved 10° toward ${directionDisplay}${positionInfo}`
+            ? `Fill light moved ${degrees}° toward ${directionDisplay}${positionInfo}. Now at ${formatSphericalPosition(outcome.result.position)}` 
+            : `Fill light moved 10° toward ${directionDisplay}${positionInfo}. Now at ${formatSphericalPosition(outcome.result.position)}`
         }
       ]
     };
   }
 );
 
+const setKeyLightDistanceInputSchema = {
+  distance: z.number().positive().describe('Distance from model origin (positive number, units)')
+};
+
 mcpServer.registerTool(
   'set_key_light_distance',
   {
     title: 'Set Key Light Distance',
     description: 'Set the distance of the key light from the model origin. Preserves current azimuth and elevation angles.',
-    inputSchema: {
-      distance: z.number().positive().describe('Distance from model origin (positive number, units)')
-    }
+    inputSchema: { ...setKeyLightDistanceInputSchema, ...transitionInputSchema }
   },
-  async ({ distance }) => {
-    routeToCurrentSession({
+  async ({ distance, durationMs, easing }) => {
+    const outcome = await routeToCurrentSession({
       type: 'setKeyLightDistance',
-      distance: distance
+      distance: distance,
+      durationMs: durationMs,
+      easing: easing
     });
 
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Key light distance set to ${distance} units (now at ${formatSphericalPosition(outcome.result.position)})`
+        }
+      ]
+    };
+  }
+);
+
+const setFillLightDistanceInputSchema = {
+  distance: z.number().positive().describe('Distance from model origin (positive number, units)')
+};
+
+mcpServer.registerTool(
+  'set_fill_light_distance',
+  {
+    title: 'Set Fill Light Distance',
+    description: 'Set the distance of the fill light from the model origin. Preserves current azimuth and elevation angles.',
+    inputSchema: { ...setFillLightDistanceInputSchema, ...transitionInputSchema }
+  },
+  async ({ distance, durationMs, easing }) => {
+    const outcome = await routeToCurrentSession({
+      type: 'setFillLightDistance',
+      distance: distance,
+      durationMs: durationMs,
+      easing: easing
+    });
+
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Fill light distance set to ${distance} units (now at ${formatSphericalPosition(outcome.result.position)})`
+        }
+      ]
+    };
+  }
+);
+
+// Light collection tools
+// Every studio light, including the key and fill lights, is an entry with an ID; added lights (rim, hair,
+// background, ...) orbit the selected object's pivot like the key and fill lights
+const lightTypes = ['rectArea', 'spot', 'point', 'directional', 'hemisphere'];
+const lightIdSchema = z.string().min(1).describe('ID of the light (see list_lights); "key" and "fill" are the key and fill lights');
+const lightElevationSchema = z.number().min(0).max(90).describe('Vertical angle in degrees (0-90), 0° = horizon, 90° = overhead');
+const lightDistanceSchema = z.number().positive().describe('Distance from the model origin (positive number, units)');
+
+// Settings add_light accepts only for some light types
+const lightTypeSettings = {
+  width: ['rectArea'],
+  height: ['rectArea'],
+  angle: ['spot'],
+  penumbra: ['spot'],
+  groundColor: ['hemisphere']
+};
+
+// Describe a light for tool responses
+function formatLight(light) {
+  const details = [
+    light.type,
+    `intensity ${roundForDisplay(light.intensity)}`,
+    `color ${light.color}`,
+    formatSphericalPosition(light.position)
+  ];
+  if (light.size) {
+    details.push(`size ${roundForDisplay(light.size.width)} x ${roundForDisplay(light.size.height)}`);
+  }
+  if (light.angle !== undefined) {
+    details.push(`beam angle ${roundForDisplay(light.angle)}°, penumbra ${roundForDisplay(light.penumbra)}`);
+  }
+  if (light.groundColor) {
+    details.push(`ground color ${light.groundColor}`);
+  }
+  return `${light.name} [${light.id}]: ${details.join(', ')}`;
+}
+
+const addLightInputSchema = {
+  type: z.enum(lightTypes).describe(
+    'Light type: "rectArea" (soft rectangular light like the key and fill lights), "spot" (cone of light aimed at the model), ' +
+    '"point" (bulb shining in all directions), "directional" (parallel rays like sunlight) or ' +
+    '"hemisphere" (sky color from the light\'s direction blending into a ground color from the opposite side)'
+  ),
+  name: z.string().min(1).optional().describe('Display name, e.g. "rim light" or "hair light" (defaults to the type)'),
+  azimuth: azimuthSchema.optional().describe('Horizontal angle in degrees (0-360) or direction name, camera-centric (defaults to 0° = behind the model, as for a rim light)'),
+  elevation: lightElevationSchema.optional(),
+  distance: lightDistanceSchema.optional().describe('Distance from the model origin (defaults to the key light\'s distance)'),
+  color: colorSchema.optional().describe('Light color (hex code or Apple crayon name; defaults to white)'),
+  intensity: z.number().nonnegative().optional().describe('Light intensity (defaults depend on the type)'),
+  width: z.number().positive().optional().describe('Width of a rectArea light'),
+  height: z.number().positive().optional().describe('Height of a rectArea light'),
+  angle: z.number().positive().max(90).optional().describe('Beam angle of a spot light in degrees from its axis (defaults to 30)'),
+  penumbra: unitIntervalSchema.optional().describe('Fraction of a spot light\'s beam that fades out at its edge (0-1, defaults to 0.3)'),
+  groundColor: colorSchema.optional().describe('Color a hemisphere light gives surfaces facing away from it (defaults to dark gray)')
+};
+
+mcpServer.registerTool(
+  'add_light',
+  {
+    title: 'Add Light',
+    description: 'Add a light to the studio, e.g. a rim, hair or background light. The light orbits the selected object like the key and fill lights ' +
+      'and is aimed at the model; its position uses the same camera-centric spherical coordinates. ' +
+      'Returns the new light\'s ID for set_light_position, set_light_intensity, set_light_color and remove_light.',
+    inputSchema: addLightInputSchema
+  },
+  async ({ type, azimuth, color, ...settings }) => {
+    const mismatched = Object.keys(lightTypeSettings)
+      .filter(setting => settings[setting] !== undefined && !lightTypeSettings[setting].includes(type));
+    if (mismatched.length > 0) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error: ${mismatched.join(', ')} cannot be set on a ${type} light ` +
+              `(${mismatched.map(setting => `${setting}: ${lightTypeSettings[setting].join(', ')} lights`).join('; ')}).`
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const outcome = await routeToCurrentSession({
+      type: 'addLight',
+      lightType: type,
+      ...settings,
+      azimuth: azimuth !== undefined ? parseAzimuth(azimuth) : undefined,
+      color: color !== undefined ? normalizeColorToHex(color) : undefined,
+      groundColor: settings.groundColor !== undefined ? normalizeColorToHex(settings.groundColor) : undefined
+    });
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Added ${formatLight(outcome.result.light)}`
+        }
+      ]
+    };
+  }
+);
+
+mcpServer.registerTool(
+  'remove_light',
+  {
+    title: 'Remove Light',
+    description: 'Remove a light added with add_light. The key and fill lights cannot be removed; set their intensity to 0 instead.',
+    inputSchema: {
+      lightId: lightIdSchema
+    }
+  },
+  async ({ lightId }) => {
+    const outcome = await routeToCurrentSession({
+      type: 'removeLight',
+      lightId: lightId
+    });
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Removed light ${lightId}. Lights: ${outcome.result.lights.map(light => light.id).join(', ')}`
+        }
+      ]
+    };
+  }
+);
+
+mcpServer.registerTool(
+  'list_lights',
+  {
+    title: 'List Lights',
+    description: 'List the studio lights with their IDs, names, types, intensities, colors and camera-centric spherical positions, ' +
+      'including the key and fill lights.',
+    inputSchema: {
+      forceRefresh: z.boolean().optional().describe(
+        'Force refresh from browser (defaults to false, uses cache). ' +
+        'Set to true if: user manually interacted with the 3D app, state might have changed, ' +
+        'or accuracy is critical. Use false (default) if state was recently queried and no manual interactions occurred.'
+      )
+    }
+  },
+  async ({ forceRefresh = false }) => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: No active session found.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    try {
+      const { state, metadata } = await getState(sessionId, forceRefresh);
+      const lines = (state.lights || []).map(light => `- ${formatLight(light)}`);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: formatStateResponse(`${lines.length} light(s):\n${lines.join('\n')}`, 'Lights', sessionId, forceRefresh, metadata)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error retrieving lights: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
+const setLightPositionInputSchema = {
+  lightId: lightIdSchema,
+  azimuth: azimuthSchema.optional(),
+  elevation: lightElevationSchema.optional(),
+  distance: lightDistanceSchema.optional()
+};
+
+mcpServer.registerTool(
+  'set_light_position',
+  {
+    title: 'Set Light Position',
+    description: 'Position any light by ID using camera-centric spherical coordinates around the selected object. ' +
+      'Coordinates that are not given keep their values. Azimuth: 0° = camera forward (North, behind the model), 90° = camera right (East), ' +
+      `180° = behind camera (South), 270° = camera left (West); it can be a number (0-360) or a direction name: ${availableDirectionNames}. ` +
+      'Elevation: 0° = horizon, 90° = overhead.',
+    inputSchema: { ...setLightPositionInputSchema, ...transitionInputSchema }
+  },
+  async ({ lightId, azimuth, elevation, distance, durationMs, easing }) => {
+    if (azimuth === undefined && elevation === undefined && distance === undefined) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: Provide at least one of azimuth, elevation or distance.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const azimuthValue = azimuth !== undefined ? parseAzimuth(azimuth) : undefined;
+    if (azimuthValue === null) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Invalid azimuth: ${azimuth}. Must be a number (0-360) or a direction name.`
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const outcome = await routeToCurrentSession({
+      type: 'setLightPosition',
+      lightId: lightId,
+      azimuth: azimuthValue,
+      elevation: elevation,
+      distance: distance,
+      durationMs: durationMs,
+      easing: easing
+    });
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    const light = outcome.result.light;
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `${light.name} [${light.id}] now at ${formatSphericalPosition(light.position)}`
+        }
+      ]
+    };
+  }
+);
+
+const setLightIntensityInputSchema = {
+  lightId: lightIdSchema,
+  intensity: z.number().nonnegative().describe('Light intensity value (0.0 or higher)')
+};
+
+mcpServer.registerTool(
+  'set_light_intensity',
+  {
+    title: 'Set Light Intensity',
+    description: 'Set the intensity of any light by ID (0 turns it off)',
+    inputSchema: { ...setLightIntensityInputSchema, ...transitionInputSchema }
+  },
+  async ({ lightId, intensity, durationMs, easing }) => {
+    const outcome = await routeToCurrentSession({
+      type: 'setLightIntensity',
+      lightId: lightId,
+      intensity: intensity,
+      durationMs: durationMs,
+      easing: easing
+    });
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    const light = outcome.result.light;
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `${light.name} [${light.id}] intensity set to ${roundForDisplay(light.intensity)}`
+        }
+      ]
+    };
+  }
+);
+
+const setLightColorInputSchema = {
+  lightId: lightIdSchema,
+  color: colorSchema
+};
+
+mcpServer.registerTool(
+  'set_light_color',
+  {
+    title: 'Set Light Color',
+    description: 'Set the color of any light by ID',
+    inputSchema: { ...setLightColorInputSchema, ...transitionInputSchema }
+  },
+  async ({ lightId, color, durationMs, easing }) => {
+    const hexColor = normalizeColorToHex(color);
+    const outcome = await routeToCurrentSession({
+      type: 'setLightColor',
+      lightId: lightId,
+      color: hexColor,
+      durationMs: durationMs,
+      easing: easing
+    });
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    const light = outcome.result.light;
+    const displayName = /^#[0-9A-Fa-f]{6}$/.test(color) ? hexColor : `${color} (${hexColor})`;
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `${light.name} [${light.id}] color changed to ${displayName}`
+        }
+      ]
+    };
+  }
+);
+
+// Scene operations accepted by execute_scene_batch, keyed by browser command type
+// Each entry reuses the input schema of the corresponding individual tool so a
+// batch step is validated exactly like a direct tool call would be
+// Map<commandType, zodShape>
+const sceneBatchOperations = new Map([
+  ['changeColor', changeModelColorInputSchema],
+  ['changeSize', changeModelSizeInputSchema],
+  ['scaleModel', scaleModelInputSchema],
+  ['setModelMaterial', setModelMaterialInputSchema],
+  ['changeBackgroundColor', changeBackgroundColorInputSchema],
+  ['setAmbientLight', setAmbientLightInputSchema],
+  ['setKeyLightIntensity', setKeyLightIntensityInputSchema],
+  ['setKeyLightColor', setKeyLightColorInputSchema],
+  ['swingKeyLightUp', {}],
+  ['swingKeyLightDown', {}],
+  ['swingKeyLightLeft', {}],
+  ['swingKeyLightRight', {}],
+  ['setFillLightIntensity', setFillLightIntensityInputSchema],
+  ['setFillLightColor', setFillLightColorInputSchema],
+  ['swingFillLightUp', {}],
+  ['swingFillLightDown', {}],
+  ['swingFillLightLeft', {}],
+  ['swingFillLightRight', {}],
+  ['walkKeyLightIn', {}],
+  ['walkKeyLightOut', {}],
+  ['walkFillLightIn', {}],
+  ['walkFillLightOut', {}],
+  ['setKeyLightPositionSpherical', setKeyLightPositionSphericalInputSchema],
+  ['setFillLightPositionSpherical', setFillLightPositionSphericalInputSchema],
+  ['dollyCamera', dollyCameraInputSchema],
+  ['dollyCameraIn', dollyCameraInInputSchema],
+  ['dollyCameraOut', dollyCameraOutInputSchema],
+  ['setCameraFOV', setCameraFovInputSchema],
+  ['increaseCameraFOV', increaseCameraFovInputSchema],
+  ['decreaseCameraFOV', decreaseCameraFovInputSchema],
+  ['setCameraPositionSpherical', setCameraPositionSphericalInputSchema],
+  ['orbitCamera', orbitCameraInputSchema],
+  ['setModelRotation', setModelRotationInputSchema],
+  ['rotateModelClockwise', rotateModelClockwiseInputSchema],
+  ['rotateModelCounterclockwise', rotateModelCounterclockwiseInputSchema],
+  ['nudgeModelPitchUp', nudgeModelPitchUpInputSchema],
+  ['nudgeModelPitchDown', nudgeModelPitchDownInputSchema],
+  ['nudgeModelRoll', nudgeModelRollInputSchema],
+  ['setModelPosition', setModelPositionInputSchema],
+  ['nudgeModel', nudgeModelInputSchema],
+  ['rotateKeyLightClockwise', rotateKeyLightClockwiseInputSchema],
+  ['rotateKeyLightCounterclockwise', rotateKeyLightCounterclockwiseInputSchema],
+  ['nudgeKeyLightElevationUp', nudgeKeyLightElevationUpInputSchema],
+  ['nudgeKeyLightElevationDown', nudgeKeyLightElevationDownInputSchema],
+  ['moveKeyLightTowardDirection', moveKeyLightTowardDirectionInputSchema],
+  ['rotateFillLightClockwise', rotateFillLightClockwiseInputSchema],
+  ['rotateFillLightCounterclockwise', rotateFillLightCounterclockwiseInputSchema],
+  ['nudgeFillLightElevationUp', nudgeFillLightElevationUpInputSchema],
+  ['nudgeFillLightElevationDown', nudgeFillLightElevationDownInputSchema],
+  ['moveFillLightTowardDirection', moveFillLightTowardDirectionInputSchema],
+  ['setKeyLightDistance', setKeyLightDistanceInputSchema],
+  ['setFillLightDistance', setFillLightDistanceInputSchema],
+  ['setLightPosition', setLightPositionInputSchema],
+  ['setLightIntensity', setLightIntensityInputSchema],
+  ['setLightColor', setLightColorInputSchema]
+]);
+
+const availableBatchOperations = Array.from(sceneBatchOperations.keys()).join(', ');
+
+// Helper function to convert validated batch step arguments into browser command fields
+// Color names (including material colors) become hex codes and light direction names become numeric azimuths,
+// matching what the individual tools send
+function normalizeBatchStepArgs(operation, args) {
+  const normalized = { ...args };
+  if (typeof normalized.color === 'string') {
+    normalized.color = normalizeColorToHex(normalized.color);
+  }
+  if (typeof normalized.groundColor === 'string') {
+    normalized.groundColor = normalizeColorToHex(normalized.groundColor);
+  }
+  // Camera orbits are relative: a negative azimuth must stay negative
+  if (normalized.azimuth !== undefined && operation !== 'orbitCamera') {
+    normalized.azimuth = parseAzimuth(normalized.azimuth);
+  }
+  if (normalized.direction !== undefined && operation !== 'nudgeModel') {
+    normalized.direction = parseAzimuth(normalized.direction);
+  }
+  return normalizeMaterialColors(normalized);
+}
+
+// Validate every batch step before anything is sent to the browser
+// Returns per-step outcomes plus the browser commands for the valid steps
+function validateSceneBatch(steps) {
+  const outcomes = [];
+  const commands = [];
+
+  steps.forEach((step, index) => {
+    const shape = sceneBatchOperations.get(step.operation);
+    if (!shape) {
+      outcomes.push({
+        step: index + 1,
+        operation: step.operation,
+        valid: false,
+        error: `Unknown operation. Available operations: ${availableBatchOperations}`
+      });
+      return;
+    }
+
+    const result = z.object(shape).strict().safeParse(step.args || {});
+    if (!result.success) {
+      outcomes.push({
+        step: index + 1,
+        operation: step.operation,
+        valid: false,
+        error: result.error.issues
+          .map(issue => (issue.path.length > 0 ? `${issue.path.join('.')}: ${issue.message}` : issue.message))
+          .join('; ')
+      });
+      return;
+    }
+
+    outcomes.push({ step: index + 1, operation: step.operation, valid: true });
+    commands.push({
+      type: step.operation,
+      ...normalizeBatchStepArgs(step.operation, result.data)
+    });
+  });
+
+  return {
+    outcomes,
+    commands,
+    valid: outcomes.every(outcome => outcome.valid)
+  };
+}
+
+// Register tool: execute_scene_batch
+mcpServer.registerTool(
+  'execute_scene_batch',
+  {
+    title: 'Execute Scene Batch',
+    description: 'Execute an ordered list of scene operations as a single unit (one approval, one round-trip). ' +
+      'Each step names an operation (the browser command type of an individual tool, e.g. "setKeyLightPositionSpherical", ' +
+      '"changeColor", "dollyCamera") and the same arguments that tool accepts. ' +
+      'Every step is validated before anything is applied: if any step is invalid, no step is applied and ' +
+      'the result lists the outcome of each step. ' +
+      `Available operations: ${availableBatchOperations}`,
+    inputSchema: {
+      steps: z.array(
+        z.object({
+          operation: z.string().describe('Operation name, e.g. "setKeyLightPositionSpherical", "changeColor", "dollyCamera"'),
+          args: z.record(z.string(), z.any()).optional().describe(
+            'Arguments for the operation, identical to the corresponding tool (e.g. { "azimuth": "northwest", "elevation": 30 })'
+          )
+        })
+      ).min(1).describe('Ordered list of steps to execute'),
+      ...transitionInputSchema
+    }
+  },
+  async ({ steps, durationMs, easing }) => {
+    const { outcomes, commands, valid } = validateSceneBatch(steps);
+
+    if (!valid) {
+      const outcomeLines = outcomes.map(outcome =>
+        outcome.valid
+          ? `${outcome.step}. ${outcome.operation}: valid (not applied)`
+          : `${outcome.step}. ${outcome.operation}: invalid - ${outcome.error}`
+      );
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Batch rejected: no steps were applied.\n${outcomeLines.join('\n')}`
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const outcome = await routeToCurrentSession({
+      type: 'executeBatch',
+      steps: commands,
+      durationMs: durationMs,
+      easing: easing
+    });
+
+    // Per-step results reported by the browser (absent if the batch never reached it)
+    const stepResults = outcome.result.steps || [];
+    const outcomeLines = outcomes.map((stepOutcome, index) => {
+      const stepResult = stepResults[index];
+      if (!stepResult) {
+        return `${stepOutcome.step}. ${stepOutcome.operation}: not applied`;
+      }
+      if (stepResult.skipped) {
+        return `${stepOutcome.step}. ${stepOutcome.operation}: skipped (an earlier step failed)`;
+      }
+      return stepResult.success
+        ? `${stepOutcome.step}. ${stepOutcome.operation}: applied ${JSON.stringify(stepResult.result || {})}`
+        : `${stepOutcome.step}. ${stepOutcome.operation}: failed - ${stepResult.error}`;
+    });
+
+    if (!outcome.success) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Batch failed: ${outcome.error || 'Unknown error'}\n${outcomeLines.join('\n')}`
+          }
+        ],
+        isError: true
+      };
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Batch of ${commands.length} step(s) applied.\n${outcomeLines.join('\n')}`
+        }
+      ]
+    };
+  }
+);
+
+// Classic studio lighting patterns for apply_lighting_pattern
+// Each light is described relative to the subject, which faces the camera:
+// - angle: degrees around the subject from its front (the camera axis) toward the key side;
+//   negative angles are on the opposite side, angles over 90° are behind the subject
+// - elevation, distance, intensity and color map directly to the AreaLight setters
+// The angle is converted to the camera-centric azimuth (180° = front of subject, 90° = camera right)
+// by lightingPatternAzimuth()
+const butterflyLighting = {
+  description: 'Key high and straight in front, casting a small butterfly-shaped shadow under the nose; weak fill straight in front at eye level (light elevations cannot go below the horizon), lifting the shadows under the chin',
+  key: { angle: 0, elevation: 55, distance: 8, intensity: 3, color: '#ffffff' },
+  fill: { angle: 0, elevation: 0, distance: 9, intensity: 0.3, color: '#ffffff' }
+};
+
+const lightingPatterns = new Map([
+  ['rembrandt', {
+    description: 'Key 45° to the side and 45° up, leaving a small triangle of light on the shadow-side cheek; soft fill',
+    key: { angle: 45, elevation: 45, distance: 8, intensity: 3, color: '#ffffff' },
+    fill: { angle: -45, elevation: 10, distance: 9, intensity: 0.4, color: '#ffffff' }
+  }],
+  ['butterfly', butterflyLighting],
+  ['paramount', butterflyLighting],
+  ['loop', {
+    description: 'Key 35° to the side and slightly above eye level, casting a small loop-shaped nose shadow',
+    key: { angle: 35, elevation: 30, distance: 8, intensity: 3, color: '#ffffff' },
+    fill: { angle: -35, elevation: 10, distance: 9, intensity: 0.6, color: '#ffffff' }
+  }],
+  ['split', {
+    description: 'Key at 90° to the side, lighting exactly one half of the face; no fill',
+    key: { angle: 90, elevation: 10, distance: 8, intensity: 3, color: '#ffffff' },
+    fill: { angle: -90, elevation: 0, distance: 10, intensity: 0, color: '#ffffff' }
+  }],
+  ['broad', {
+    description: 'Key on the side of the face turned toward the camera, lighting the broad side of the face; moderate fill',
+    keySide: 'broad',
+    key: { angle: 60, elevation: 30, distance: 8, intensity: 3, color: '#ffffff' },
+    fill: { angle: -30, elevation: 10, distance: 9, intensity: 0.5, color: '#ffffff' }
+  }],
+  ['short', {
+    description: 'Key on the side of the face turned away from the camera, lighting the short side of the face; slimming, low fill',
+    keySide: 'short',
+    key: { angle: 75, elevation: 35, distance: 8, intensity: 3, color: '#ffffff' },
+    fill: { angle: -20, elevation: 10, distance: 9, intensity: 0.3, color: '#ffffff' }
+  }],
+  ['rim', {
+    description: 'Both lights behind the subject on opposite sides, outlining its silhouette with a bright rim',
+    key: { angle: 150, elevation: 30, distance: 8, intensity: 4, color: '#ffffff' },
+    fill: { angle: -150, elevation: 30, distance: 8, intensity: 2.5, color: '#ffffff' }
+  }],
+  ['clamshell', {
+    description: 'Key high in front with a strong fill low in front, like a clamshell opening toward the camera; even, flattering light',
+    key: { angle: 0, elevation: 45, distance: 8, intensity: 2.5, color: '#ffffff' },
+    fill: { angle: 0, elevation: 0, distance: 7, intensity: 1.2, color: '#ffffff' }
+  }],
+  ['high-key', {
+    description: 'Bright, low-contrast light from both sides of the camera with minimal shadows (pairs well with a light background)',
+    key: { angle: 30, elevation: 30, distance: 8, intensity: 3.5, color: '#ffffff' },
+    fill: { angle: -30, elevation: 15, distance: 8, intensity: 2.5, color: '#ffffff' }
+  }],
+  ['low-key', {
+    description: 'Dramatic, high-contrast side light with the rest of the subject falling into shadow (pairs well with a dark background)',
+    key: { angle: 80, elevation: 25, distance: 8, intensity: 3, color: '#ffffff' },
+    fill: { angle: -60, elevation: 10, distance: 10, intensity: 0.05, color: '#ffffff' }
+  }]
+]);
+
+// Angle (degrees, -180 to 180) the subject is turned from facing the camera: positive when it looks toward the
+// camera's right. The subject's front is its +Z axis, turned by the model rotation (Euler XYZ degrees); the camera
+// azimuth is in the world frame (0° = front, looking along -Z)
+// Returns null when the subject faces straight up or down
+function subjectTurnAngle(rotation, cameraAzimuth) {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  // Horizontal part of the rotated +Z axis: (sin y, -, cos x cos y) for the XYZ order
+  const forwardX = Math.sin(toRadians(rotation.y));
+  const forwardZ = Math.cos(toRadians(rotation.x)) * Math.cos(toRadians(rotation.y));
+  if (Math.hypot(forwardX, forwardZ) < 1e-6) {
+    return null;
+  }
+  const yaw = Math.atan2(forwardX, forwardZ) * 180 / Math.PI;
+  return ((yaw - cameraAzimuth) % 360 + 540) % 360 - 180;
+}
+
+// Subject turns smaller than this count as facing the camera, where broad and short lighting are the same
+const LIGHTING_PATTERN_FACING_TOLERANCE = 5;
+
+// Convert a lighting pattern angle to a camera-centric azimuth (see CoordinateSystem.js)
+// 180° is the front of the subject (toward the camera); camera right is 90°, camera left is 270°
+function lightingPatternAzimuth(angle, side) {
+  const azimuth = side === 'left' ? 180 + angle : 180 - angle;
+  return ((azimuth % 360) + 360) % 360;
+}
+
+// Register tool: apply_lighting_pattern
+mcpServer.registerTool(
+  'apply_lighting_pattern',
+  {
+    title: 'Apply Lighting Pattern',
+    description: 'Apply a classic studio lighting setup to the key and fill lights in one step, setting their position (azimuth, elevation, distance), intensity and color. ' +
+      'Patterns: ' + Array.from(lightingPatterns.entries()).map(([name, pattern]) => `${name} (${pattern.description})`).join('; ') + '. ' +
+      'Use side to choose whether the key light is on the camera\'s left or right. ' +
+      'For broad and short, the side follows which way the selected object is turned from the camera (its front is its +Z axis); ' +
+      'side only applies when it faces the camera.',
+    inputSchema: {
+      pattern: z.enum(Array.from(lightingPatterns.keys())).describe('Lighting pattern name'),
+      side: z.enum(['left', 'right']).optional().describe(
+        'Side of the key light as seen from the camera (defaults to right; broad and short use the subject\'s turn instead)'
+      ),
+      ...transitionInputSchema
+    }
+  },
+  async ({ pattern, side: requestedSide = 'right', durationMs, easing }) => {
+    const { key, fill, keySide } = lightingPatterns.get(pattern);
+
+    // Broad lighting puts the key on the side of the face turned toward the camera, the side opposite the way
+    // the subject looks; short lighting puts it on the side the subject looks toward
+    let side = requestedSide;
+    let turnDescription = '';
+    if (keySide) {
+      const sessionId = getCurrentSessionId();
+      if (!sessionId) {
+        return commandFailureResponse({ error: 'No active session found.' });
+      }
+      let turnAngle;
+      try {
+        const { state } = await getState(sessionId, true);
+        turnAngle = subjectTurnAngle(state.model?.rotation ?? { x: 0, y: 0, z: 0 }, state.camera?.azimuth ?? 0);
+      } catch (error) {
+        return commandFailureResponse({ error: `Could not read the subject's rotation: ${error.message}` });
+      }
+      if (turnAngle !== null && Math.abs(turnAngle) >= LIGHTING_PATTERN_FACING_TOLERANCE) {
+        const lookSide = turnAngle > 0 ? 'right' : 'left';
+        side = keySide === 'short' ? lookSide : (lookSide === 'right' ? 'left' : 'right');
+        turnDescription = ` (subject turned ${roundForDisplay(Math.abs(turnAngle))}° to the camera ${lookSide})`;
+      } else {
+        turnDescription = ' (subject facing the camera)';
+      }
+    }
+
+    const lightSteps = (prefix, light) => [
+      { type: `set${prefix}LightPositionSpherical`, azimuth: lightingPatternAzimuth(light.angle, side), elevation: light.elevation },
+      { type: `set${prefix}LightDistance`, distance: light.distance },
+      { type: `set${prefix}LightIntensity`, intensity: light.intensity },
+      { type: `set${prefix}LightColor`, color: light.color }
+    ];
+
+    const outcome = await routeToCurrentSession({
+      type: 'executeBatch',
+      steps: [...lightSteps('Key', key), ...lightSteps('Fill', fill)],
+      durationMs: durationMs,
+      easing: easing
+    });
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    // The distance steps report the final light positions
+    const stepResults = (outcome.result.steps || []).map(step => step.result || {});
+    const keyPosition = stepResults[1] && stepResults[1].position;
+    const fillPosition = stepResults[5] && stepResults[5].position;
+    const describeLight = (name, light, position) =>
+      `${name} light at ${position ? formatSphericalPosition(position) : `azimuth ${lightingPatternAzimuth(light.angle, side)}°, elevation ${light.elevation}°, distance ${light.distance}`}, intensity ${light.intensity}`;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Applied ${pattern} lighting with the key light on the camera ${side}${turnDescription}: ` +
+            `${describeLight('key', key, keyPosition)}; ${describeLight('fill', fill, fillPosition)}.`
+        }
+      ]
+    };
+  }
+);
+
+// Register tool: capture_screenshot
+mcpServer.registerTool(
+  'capture_screenshot',
+  {
+    title: 'Capture Screenshot',
+    description: 'Render the current scene in the browser and return it as a PNG image, ' +
+      'so you can see the result of model, lighting and camera changes. ' +
+      'If only width or height is given, the other follows the browser window\'s aspect ratio.',
+    inputSchema: {
+      width: z.number().int().min(16).max(4096).optional().describe('Image width in pixels (defaults to the browser canvas width)'),
+      height: z.number().int().min(16).max(4096).optional().describe('Image height in pixels (defaults to the browser canvas height)'),
+      transparentBackground: z.boolean().optional().describe('Render without the background color, producing a transparent PNG (defaults to false)')
+    }
+  },
+  async ({ width, height, transparentBackground = false }) => {
+    const outcome = await routeToCurrentSession({
+      type: 'captureScreenshot',
+      width: width,
+      height: height,
+      transparentBackground: transparentBackground
+    }, SCREENSHOT_TIMEOUT);
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    const { data, mimeType, width: imageWidth, height: imageHeight } = outcome.result;
+    if (!data) {
+      return commandFailureResponse({ error: 'Browser did not return image data' });
+    }
+
+    return {
+      content: [
+        {
+          type: 'image',
+          data: data,
+          mimeType: mimeType || 'image/png'
+        },
+        {
+          type: 'text',
+          text: `Screenshot captured (${imageWidth}x${imageHeight}${transparentBackground ? ', transparent background' : ''}).`
+        }
+      ]
+    };
+  }
+);
+
+// Model library and loading tools
+// Models come from two directories:
+// - the app's public/models directory, served to the browser under /models (by Vite in development,
+//   and from the built dist directory in production)
+// - the model library directory (--models-dir / MODELS_DIR), whose files are sent to the browser
+//   over the WebSocket connection, so they can be added without rebuilding the app
+const APP_MODELS_DIR = join(__dirname, 'public', 'models');
+const APP_MODELS_URL_PATH = '/models';
+const modelFormats = ['gltf', 'glb', 'obj', 'stl', 'ply'];
+
+// Largest library model sent to the browser over the WebSocket connection (64 MB)
+const MAX_INLINE_MODEL_SIZE = 64 * 1024 * 1024;
+
+// Largest model file accepted by the upload route (50 MB)
+const MAX_MODEL_UPLOAD_SIZE = 50 * 1024 * 1024;
+
+// Uploaded model file names (no directories)
+const modelUploadNamePattern = /^[A-Za-z0-9][A-Za-z0-9 ._-]*$/;
+
+// Geometry statistics of models that have been loaded, reported by the browser
+// Map<"directory/name", {boundingBox, vertexCount, triangleCount}>
+const loadedModelStats = new Map();
+
+// Get a model file's format from its extension; returns null for unsupported files
+function getModelFormat(fileName) {
+  const extension = extname(fileName).slice(1).toLowerCase();
+  return modelFormats.includes(extension) ? extension : null;
+}
+
+// Recursively list the files in a directory that getFormat recognizes (models by default)
+// as relative paths with forward slashes
+async function listModelFiles(directory, prefix = '', getFormat = getModelFormat) {
+  let entries;
+  try {
+    entries = await readdir(directory, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...await listModelFiles(join(directory, entry.name), relativePath, getFormat));
+    } else if (entry.isFile() && getFormat(entry.name)) {
+      files.push(relativePath);
+    }
+  }
+  return files.sort((a, b) => a.localeCompare(b));
+}
+
+// Read the model catalog: every model file in the app and library directories
+// with its format, size and (once loaded) geometry statistics
+async function readModelCatalog() {
+  const directories = [
+    { directory: 'app', path: APP_MODELS_DIR },
+    { directory: 'library', path: MODELS_LIBRARY_DIR }
+  ];
+
+  const models = [];
+  for (const { directory, path } of directories) {
+    for (const name of await listModelFiles(path)) {
+      const filePath = join(path, ...name.split('/'));
+      const { size } = await stat(filePath);
+      models.push({
+        name: name,
+        directory: directory,
+        format: getModelFormat(name),
+        size: size,
+        filePath: filePath,
+        ...loadedModelStats.get(`${directory}/${name}`)
+      });
+    }
+  }
+  return models;
+}
+
+// Catalog entry without server-side file paths (for tool responses and the HTTP catalog)
+function publicModelEntry({ filePath, ...entry }) {
+  return entry;
+}
+
+// Resolve a model file name (bare file name or path relative to its models directory, case-insensitive)
+// App models take precedence over library models with the same path
+// Returns {model} on success or {error} describing why the name could not be resolved
+async function resolveModelFile(name) {
+  const { entry, error } = findCatalogEntry(await readModelCatalog(), name, 'model');
+  return entry ? { model: entry } : { error };
+}
+
+// Find a file in a catalog (model or texture) by bare file name or relative path, case-insensitive
+// Returns {entry} on success or {error} describing why the name could not be resolved
+function findCatalogEntry(entries, name, kind) {
+  const requested = name.trim().replace(/\\/g, '/').replace(/^\/+/, '').toLowerCase();
+
+  const exactMatch = entries.find(entry => entry.name.toLowerCase() === requested);
+  if (exactMatch) {
+    return { entry: exactMatch };
+  }
+
+  const nameMatches = entries.filter(entry => entry.name.split('/').pop().toLowerCase() === requested);
+  if (nameMatches.length === 1) {
+    return { entry: nameMatches[0] };
+  }
+  if (nameMatches.length > 1) {
+    return { error: `Several ${kind} files are named "${name}": ${nameMatches.map(entry => entry.name).join(', ')}. Use the full path.` };
+  }
+  return {
+    error: `No ${kind} file "${name}" in the models directories. ` +
+      (entries.length > 0 ? `Available files: ${entries.map(entry => entry.name).join(', ')}` : `The models directories have no ${kind} files.`)
+  };
+}
+
+// Build the URL the browser loads a catalog file (model or texture) from
+// App files are fetched from the app's server; library files are embedded as data URLs
+async function modelCatalogUrl(model, mimeType = 'application/octet-stream') {
+  if (model.directory === 'app') {
+    return `${APP_MODELS_URL_PATH}/${model.name.split('/').map(encodeURIComponent).join('/')}`;
+  }
+  if (model.size > MAX_INLINE_MODEL_SIZE) {
+    throw new Error(`${model.name} is ${formatFileSize(model.size)}; library files larger than ${formatFileSize(MAX_INLINE_MODEL_SIZE)} cannot be sent to the browser`);
+  }
+  const data = await readFile(model.filePath);
+  return `data:${mimeType};base64,${data.toString('base64')}`;
+}
+
+// Format a byte count for display in tool responses
+function formatFileSize(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${roundForDisplay(bytes / (1024 * 1024), 1)} MB`;
+  }
+  if (bytes >= 1024) {
+    return `${roundForDisplay(bytes / 1024, 1)} KB`;
+  }
+  return `${bytes} bytes`;
+}
+
+// Format a bounding box for display in tool responses
+function formatBoundingBox(boundingBox) {
+  const { min, max } = boundingBox;
+  const size = {
+    x: max.x - min.x,
+    y: max.y - min.y,
+    z: max.z - min.z
+  };
+  return `size ${roundForDisplay(size.x)} x ${roundForDisplay(size.y)} x ${roundForDisplay(size.z)}`;
+}
+
+// Describe a loaded model's materials and mesh names for tool responses
+// (mesh names are what change_model_color accepts as a target)
+const MAX_LISTED_MESH_NAMES = 30;
+function formatModelMaterials(info) {
+  if (!info.originalMaterials) {
+    return '';
+  }
+  const names = info.meshNames || [];
+  const listed = names.slice(0, MAX_LISTED_MESH_NAMES).join(', ');
+  return ` Original materials kept (${info.meshCount} meshes)` +
+    (names.length > 0 ? `; named meshes: ${listed}${names.length > MAX_LISTED_MESH_NAMES ? `, and ${names.length - MAX_LISTED_MESH_NAMES} more` : ''}.` : '.');
+}
+
+// Timeout for model loading (60 seconds); downloading and parsing large scans takes longer than other commands
+const MODEL_LOAD_TIMEOUT = 60000;
+
+// Input parameters shared by the tools that load a model file (load_model and add_object)
+const modelSourceInputSchema = {
+  file: z.string().min(1).optional().describe('Model file name or path as listed by list_models'),
+  url: z.string().min(1).optional().describe('Model URL (http(s) URL or a path on the app\'s own server, e.g. "/models/scan.stl")'),
+  format: z.enum(modelFormats).optional().describe('Model format, if it cannot be told from the file extension (e.g., signed download URLs)'),
+  autoFit: z.boolean().optional().describe(
+    'Center the model on the rotation pivot and scale it to the studio size (defaults to true). ' +
+    'With false the model keeps its original units and the lights and camera limits are rescaled to its size instead.'
+  ),
+  preserveMaterials: z.boolean().optional().describe(
+    'Keep the file\'s scene graph: every mesh with its node transform and original materials and textures (defaults to false). ' +
+    'With false all meshes are merged into one mesh with a plain model material. ' +
+    'Only glTF/GLB and OBJ files have materials; STL and PLY models always use the model material.'
+  )
+};
+
+// Resolve the model a tool loads from its file or url argument (exactly one is required)
+// Returns {model, url, format, source} on success, where model is the catalog entry (null for URLs),
+// or {error} describing why the model cannot be loaded
+async function resolveModelSource({ file, url, format }) {
+  if ((file === undefined) === (url === undefined)) {
+    return { error: 'Error: Provide either file or url (exactly one).' };
+  }
+  if (url !== undefined) {
+    return { model: null, url: url, format: format, source: url };
+  }
+
+  try {
+    const resolved = await resolveModelFile(file);
+    if (resolved.error) {
+      return { error: resolved.error };
+    }
+    return {
+      model: resolved.model,
+      url: await modelCatalogUrl(resolved.model),
+      format: format || resolved.model.format,
+      source: resolved.model.name
+    };
+  } catch (error) {
+    return { error: `Error reading model file: ${error.message}` };
+  }
+}
+
+// Remember the geometry statistics of a loaded catalog model for list_models
+function recordModelStats(model, info) {
+  if (model) {
+    loadedModelStats.set(`${model.directory}/${model.name}`, {
+      boundingBox: info.boundingBox,
+      vertexCount: info.vertexCount,
+      triangleCount: info.triangleCount
+    });
+  }
+}
+
+// Describe a loaded model's geometry and fit for tool responses
+function formatModelInfo(info) {
+  return `${info.vertexCount} vertices, ${info.triangleCount} triangles` +
+    `${info.boundingBox ? `, ${formatBoundingBox(info.boundingBox)}` : ''}` +
+    `${info.normalized ? ', fitted to the studio' : `, original units, studio scale ${roundForDisplay(info.studioScale, 4)}`}`;
+}
+
+mcpServer.registerTool(
+  'load_model',
+  {
+    title: 'Load Model',
+    description: 'Replace the 3D model shown in the browser with a glTF/GLB, OBJ, STL or PLY model, without reloading the page. ' +
+      'Give either a file name from the server\'s model catalog (see list_models; e.g., "LeePerrySmith.glb" or "gltf/LeePerrySmith/LeePerrySmith.glb") ' +
+      'or a URL the browser can fetch. The model\'s position, rotation, scale and color carry over to the new model (its pivot is reset). ' +
+      'By default the model is centered and scaled to fit the studio, so models of any size (a 2 mm part or a 20 m building) are lit and framed sensibly. ' +
+      'To show several models side by side, use add_object instead.',
+    inputSchema: { ...modelSourceInputSchema, objectId: objectIdSchema }
+  },
+  async ({ file, url, format, autoFit = true, preserveMaterials = false, objectId }) => {
+    const resolved = await resolveModelSource({ file, url, format });
+    if (resolved.error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: resolved.error
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const outcome = await routeToCurrentSession({
+      type: 'loadModel',
+      url: resolved.url,
+      format: resolved.format,
+      source: resolved.source,
+      autoFit: autoFit,
+      preserveMaterials: preserveMaterials,
+      objectId: objectId
+    }, MODEL_LOAD_TIMEOUT);
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    const info = outcome.result.model || {};
+    recordModelStats(resolved.model, info);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Model loaded from ${resolved.source} (${formatModelInfo(info)}).` + formatModelMaterials(info)
+        }
+      ]
+    };
+  }
+);
+
+mcpServer.registerTool(
+  'restore_model_materials',
+  {
+    title: 'Restore Model Materials',
+    description: 'Put the model file\'s original materials back on every mesh, with their original colors, ' +
+      'undoing change_model_color. Only available for models loaded with preserveMaterials.',
+    inputSchema: { objectId: objectIdSchema }
+  },
+  async ({ objectId }) => {
+    const outcome = await routeToCurrentSession({
+      type: 'restoreModelMaterials',
+      objectId: objectId
+    });
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: 'Original model materials restored.'
+        }
+      ]
+    };
+  }
+);
+
+mcpServer.registerTool(
+  'fit_model_to_view',
+  {
+    title: 'Fit Model To View',
+    description: 'Re-center the model on its pivot, scale it to the studio size, rescale the light distances and sizes ' +
+      'and camera distance limits to match the whole scene, and reset the camera distance and zoom to the standard framing. ' +
+      'Use this when the model is off-center, too large or too small, or was loaded with autoFit: false.',
+    inputSchema: { objectId: objectIdSchema }
+  },
+  async ({ objectId }) => {
+    const outcome = await routeToCurrentSession({
+      type: 'fitModelToView',
+      objectId: objectId
+    });
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    const info = outcome.result.model || {};
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Model fitted to view (studio scale ${roundForDisplay(info.studioScale, 4)}, camera distance ${roundForDisplay(outcome.result.distance)}).`
+        }
+      ]
+    };
+  }
+);
+
+// Object tools
+// The scene holds one or more objects, each a model with a stable ID (e.g. "object-2") and a name
+// Model tools take an optional objectId and apply to the selected object without one
+
+// Format an object's position for tool responses
+function formatObjectPosition(position) {
+  return `(${roundForDisplay(position.x)}, ${roundForDisplay(position.y)}, ${roundForDisplay(position.z)})`;
+}
+
+mcpServer.registerTool(
+  'add_object',
+  {
+    title: 'Add Object',
+    description: 'Add another model to the scene as a new object, keeping the existing objects (e.g., to compare products side by side). ' +
+      'Takes the same model parameters as load_model. Without a position the object is placed to the right of the existing objects. ' +
+      'Returns the new object\'s ID for the objectId parameter of the model tools.',
+    inputSchema: {
+      ...modelSourceInputSchema,
+      name: z.string().min(1).max(100).optional().describe('Display name for the object (defaults to the file name without extension)'),
+      position: z.object({
+        x: z.number(),
+        y: z.number(),
+        z: z.number()
+      }).optional().describe('World position of the object\'s pivot (the default model sits at x: 0, y: -0.5, z: 0)'),
+      select: z.boolean().optional().describe('Select the new object, so model tools without objectId apply to it (defaults to true)')
+    }
+  },
+  async ({ file, url, format, autoFit = true, preserveMaterials = false, name, position, select = true }) => {
+    const resolved = await resolveModelSource({ file, url, format });
+    if (resolved.error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: resolved.error
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const outcome = await routeToCurrentSession({
+      type: 'addObject',
+      url: resolved.url,
+      format: resolved.format,
+      source: resolved.source,
+      autoFit: autoFit,
+      preserveMaterials: preserveMaterials,
+      name: name,
+      position: position,
+      select: select
+    }, MODEL_LOAD_TIMEOUT);
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    const object = outcome.result.object || {};
+    const info = outcome.result.model || {};
+    recordModelStats(resolved.model, info);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Added object ${object.id} "${object.name}" from ${resolved.source} at ${formatObjectPosition(object.position)} ` +
+            `(${formatModelInfo(info)}).${object.selected ? ' It is now the selected object.' : ''}` +
+            formatModelMaterials(info)
+        }
+      ]
+    };
+  }
+);
+
+mcpServer.registerTool(
+  'remove_object',
+  {
+    title: 'Remove Object',
+    description: 'Remove an object from the scene. The last object cannot be removed (use load_model to replace its model). ' +
+      'If the removed object was selected, the first remaining object is selected.',
+    inputSchema: {
+      objectId: z.string().min(1).describe('ID of the object to remove (see list_objects)')
+    }
+  },
+  async ({ objectId }) => {
+    const outcome = await routeToCurrentSession({
+      type: 'removeObject',
+      objectId: objectId
+    });
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Removed object ${objectId}. Selected object: ${outcome.result.selectedObjectId}.`
+        }
+      ]
+    };
+  }
+);
+
+mcpServer.registerTool(
+  'select_object',
+  {
+    title: 'Select Object',
+    description: 'Select the object that model tools without an objectId apply to. Dragging in the browser rotates the selected object.',
+    inputSchema: {
+      objectId: z.string().min(1).describe('ID of the object to select (see list_objects)')
+    }
+  },
+  async ({ objectId }) => {
+    const outcome = await routeToCurrentSession({
+      type: 'selectObject',
+      objectId: objectId
+    });
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    const object = outcome.result.object || { id: objectId };
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Selected object ${object.id}${object.name ? ` "${object.name}"` : ''}.`
+        }
+      ]
+    };
+  }
+);
+
+mcpServer.registerTool(
+  'list_objects',
+  {
+    title: 'List Objects',
+    description: 'List the objects in the scene with their IDs, names, model files, positions, scales and colors, and which one is selected.',
+    inputSchema: {
+      forceRefresh: z.boolean().optional().describe(
+        'Force refresh from browser (defaults to false, uses cache). ' +
+        'Set to true if: user manually interacted with the 3D app, state might have changed, ' +
+        'or accuracy is critical. Use false (default) if state was recently queried and no manual interactions occurred.'
+      )
+    }
+  },
+  async ({ forceRefresh = false }) => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: No active session found.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    try {
+      const { state, metadata } = await getState(sessionId, forceRefresh);
+      const objects = state.objects || [];
+      const lines = objects.map(object =>
+        `- ${object.id} "${object.name}"${object.selected ? ' (selected)' : ''}: ${object.source}, ` +
+        `position ${formatObjectPosition(object.position)}${object.pivot ? ` (pivot: ${object.pivot})` : ''}, ` +
+        `scale ${roundForDisplay(object.scale.x)} x ${roundForDisplay(object.scale.y)} x ${roundForDisplay(object.scale.z)}, ` +
+        `color ${object.color}`
+      );
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${formatStateResponse(`${objects.length} object(s)`, 'Scene objects', sessionId, forceRefresh, metadata)}\n${lines.join('\n')}`
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error retrieving scene objects: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+);
+
+mcpServer.registerTool(
+  'list_models',
+  {
+    title: 'List Models',
+    description: 'List the model files the server can load with load_model: file name, format and file size, ' +
+      'plus bounding box, vertex count and triangle count for models that have been loaded before. ' +
+      'Use this to offer the user a choice of models.',
+    inputSchema: {}
+  },
+  async () => {
+    let models;
+    try {
+      models = await readModelCatalog();
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error reading the models directories: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+
+    if (models.length === 0) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'No model files found. Add glTF/GLB, OBJ, STL or PLY files to public/models or the model library directory.'
+          }
+        ]
+      };
+    }
+
+    const lines = models.map(model => {
+      const stats = model.vertexCount !== undefined
+        ? `, ${model.vertexCount} vertices, ${model.triangleCount} triangles, ${formatBoundingBox(model.boundingBox)}`
+        : '';
+      return `- ${model.name} (${model.format}, ${formatFileSize(model.size)}, ${model.directory}${stats})`;
+    });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `${models.length} model(s):\n${lines.join('\n')}`
+        }
+      ]
+    };
+  }
+);
+
+// History tools (undo/redo of scene changes)
+const historyStepsSchema = z.number().int().positive().optional().describe('Number of changes to step through (defaults to 1)');
+
+// Describe a history entry for tool responses
+function formatHistoryEntry(entry, index) {
+  return `#${index + 1} ${new Date(entry.timestamp).toISOString()} after ${entry.cause}`;
+}
+
+mcpServer.registerTool(
+  'undo_last_change',
+  {
+    title: 'Undo Last Change',
+    description: 'Undo the most recent scene change(s), restoring the entire previous scene state in the browser ' +
+      '(the objects in the scene and the selection, model color, material, textures, position, scale and rotation, ambient, key, fill and added lights, background, environment, ground and camera). ' +
+      'Use list_scene_history to see what can be undone. Only changes made through tools are recorded.',
+    inputSchema: {
+      steps: historyStepsSchema,
+      ...transitionInputSchema
+    }
+  },
+  async ({ steps = 1, durationMs, easing }) => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: No active session found.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const history = sessionHistory.get(sessionId);
+    if (!history || history.index <= 0) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Nothing to undo.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const targetIndex = Math.max(0, history.index - steps);
+    const undoneEntries = history.entries.slice(targetIndex + 1, history.index + 1);
+    const outcome = await restoreHistoryEntry(sessionId, history, targetIndex, { durationMs, easing });
+
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Undid ${undoneEntries.length} change(s) (${undoneEntries.map(entry => entry.cause).join(', ')}). ` +
+            `Scene restored to ${formatHistoryEntry(history.entries[targetIndex], targetIndex)}.`
+        }
+      ]
+    };
+  }
+);
+
+mcpServer.registerTool(
+  'redo_change',
+  {
+    title: 'Redo Change',
+    description: 'Redo scene change(s) previously reverted with undo_last_change. ' +
+      'Redo is no longer possible once a new change has been made after undoing.',
+    inputSchema: {
+      steps: historyStepsSchema,
+      ...transitionInputSchema
+    }
+  },
+  async ({ steps = 1, durationMs, easing }) => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: No active session found.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const history = sessionHistory.get(sessionId);
+    if (!history || history.index >= history.entries.length - 1) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Nothing to redo.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const targetIndex = Math.min(history.entries.length - 1, history.index + steps);
+    const redoneEntries = history.entries.slice(history.index + 1, targetIndex + 1);
+    const outcome = await restoreHistoryEntry(sessionId, history, targetIndex, { durationMs, easing });
+
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Redid ${redoneEntries.length} change(s) (${redoneEntries.map(entry => entry.cause).join(', ')}). ` +
+            `Scene restored to ${formatHistoryEntry(history.entries[targetIndex], targetIndex)}.`
+        }
+      ]
+    };
+  }
+);
+
+mcpServer.registerTool(
+  'list_scene_history',
+  {
+    title: 'List Scene History',
+    description: `List the recorded scene history for this session (up to ${MAX_HISTORY_ENTRIES} entries), ` +
+      'showing which entry is current and how many changes can be undone or redone.',
+    inputSchema: {}
+  },
+  async () => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: No active session found.'
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const history = sessionHistory.get(sessionId);
+    if (!history || history.entries.length === 0) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'No scene history recorded yet.'
+          }
+        ]
+      };
+    }
+
+    const lines = history.entries.map((entry, index) =>
+      `${formatHistoryEntry(entry, index)}${index === history.index ? ' <- current' : ''}`
+    );
+    const undoCount = history.index;
+    const redoCount = history.entries.length - 1 - history.index;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Scene history (${undoCount} change(s) can be undone, ${redoCount} can be redone):\n${lines.join('\n')}`
+        }
+      ]
+    };
+  }
+);
+
+// Timeline tools (keyframed scene animations)
+// Keyframes hold (partial) scene states in the same shape as the scene://current/state resource;
+// the browser interpolates between them during playback
+const lightStateSchema = z.object({
+  intensity: z.number().nonnegative().optional(),
+  color: colorSchema.optional(),
+  position: z.object({
+    azimuth: azimuthSchema,
+    elevation: z.number().min(-90).max(90),
+    distance: z.number().positive().optional()
+  }).optional(),
+  size: z.object({
+    width: z.number().positive(),
+    height: z.number().positive()
+  }).optional()
+}).strict();
+
+// A light of the scene's light collection (see list_lights); lights that do not exist yet are added and need a type
+const collectionLightStateSchema = lightStateSchema.extend({
+  id: z.string().min(1),
+  name: z.string().min(1).optional(),
+  type: z.enum(lightTypes).optional(),
+  angle: z.number().positive().max(90).optional(),
+  penumbra: unitIntervalSchema.optional(),
+  groundColor: colorSchema.optional()
+}).strict();
+
+const sceneStateSchema = z.object({
+  model: z.object({
+    color: colorSchema.optional(),
+    position: vector3Schema.optional().describe('World position of the model pivot'),
+    scale: vector3Schema.optional(),
+    rotation: vector3Schema.optional().describe('Euler angles in degrees'),
+    material: z.object({
+      type: materialTypeSchema.optional(),
+      ...materialPropertiesInputSchema
+    }).strict().optional().describe('Model material properties (see set_model_material)')
+  }).strict().optional(),
+  background: colorSchema.optional(),
+  environment: z.object({
+    intensity: z.number().min(0).optional(),
+    rotation: z.number().optional().describe('Degrees around the vertical axis'),
+    background: z.boolean().optional()
+  }).strict().optional().describe('Settings of the loaded environment map (see set_environment)'),
+  ground: z.object(groundSettingsInputSchema).strict().optional().describe('Studio ground settings (see set_ground_plane); turns the ground on'),
+  ambient: z.object(setAmbientLightInputSchema).strict().optional().describe('Ambient fill settings (see set_ambient_light)'),
+  keyLight: lightStateSchema.optional(),
+  fillLight: lightStateSchema.optional(),
+  lights: z.array(collectionLightStateSchema).optional().describe(
+    'Every light of the scene, including "key" and "fill" (see list_lights); added lights missing from the list are removed'
+  ),
+  camera: z.object({
+    azimuth: z.number().optional(),
+    elevation: cameraElevationSchema.optional(),
+    distance: z.number().positive().optional(),
+    target: vector3Schema.optional(),
+    fov: z.number().positive().optional()
+  }).strict().optional()
+}).strict();
+
+const MAX_TIMELINE_TIME_MS = 600000;
+const timelineTimeSchema = z.number().int().min(0).max(MAX_TIMELINE_TIME_MS);
+
+// Convert color names to hex codes and direction names to numeric azimuths in a scene state
+function normalizeSceneState(state) {
+  const normalizeLight = (light) => ({
+    ...light,
+    ...(light.color !== undefined && { color: normalizeColorToHex(light.color) }),
+    ...(light.groundColor !== undefined && { groundColor: normalizeColorToHex(light.groundColor) }),
+    ...(light.position && { position: { ...light.position, azimuth: parseAzimuth(light.position.azimuth) } })
+  });
+
+  return {
+    ...state,
+    ...(state.model && {
+      model: {
+        ...state.model,
+        ...(state.model.color !== undefined && { color: normalizeColorToHex(state.model.color) }),
+        ...(state.model.material && { material: normalizeMaterialColors(state.model.material) })
+      }
+    }),
+    ...(state.background !== undefined && { background: normalizeColorToHex(state.background) }),
+    ...(state.ground && {
+      ground: {
+        ...state.ground,
+        ...(state.ground.color !== undefined && { color: normalizeColorToHex(state.ground.color) })
+      }
+    }),
+    ...(state.ambient && { ambient: normalizeLight(state.ambient) }),
+    ...(state.keyLight && { keyLight: normalizeLight(state.keyLight) }),
+    ...(state.fillLight && { fillLight: normalizeLight(state.fillLight) }),
+    ...(state.lights && { lights: state.lights.map(normalizeLight) })
+  };
+}
+
+// Get the session's timeline, creating an empty one if needed
+function getSessionTimeline(sessionId) {
+  if (!sessionTimelines.has(sessionId)) {
+    sessionTimelines.set(sessionId, { keyframes: [], loop: false });
+  }
+  return sessionTimelines.get(sessionId);
+}
+
+// Describe a timeline's length for tool responses
+function formatTimelineSummary(timeline) {
+  const durationMs = timeline.keyframes.length > 0 ? timeline.keyframes[timeline.keyframes.length - 1].timeMs : 0;
+  return `${timeline.keyframes.length} keyframe(s), duration ${durationMs} ms, looping ${timeline.loop ? 'on' : 'off'}`;
+}
+
+// Error response for timeline tools
+function timelineErrorResponse(message) {
+  return {
+    content: [
+      {
+        type: 'text',
+        text: message
+      }
+    ],
+    isError: true
+  };
+}
+
+mcpServer.registerTool(
+  'add_timeline_keyframe',
+  {
+    title: 'Add Timeline Keyframe',
+    description: 'Add a keyframe to this session\'s animation timeline at a time offset. ' +
+      'The keyframe holds a scene state (model, background, environment, ground, ambient, keyLight, fillLight, lights, camera - same shape as the scene://current/state resource); ' +
+      'omit state to capture the current scene (its settings and the selected object\'s model section; timelines do not add or remove objects). Values left out of a keyframe carry over from earlier keyframes. ' +
+      'A keyframe at an existing time replaces it. Build up the timeline, then use play_timeline.',
+    inputSchema: {
+      timeMs: timelineTimeSchema.describe(`Time offset of the keyframe in milliseconds (0-${MAX_TIMELINE_TIME_MS})`),
+      state: sceneStateSchema.optional().describe('Scene state at this keyframe (defaults to the current scene state)'),
+      easing: z.enum(transitionEasings).optional().describe('Easing for the segment leading into this keyframe (defaults to linear)')
+    }
+  },
+  async ({ timeMs, state, easing = 'linear' }) => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return timelineErrorResponse('Error: No active session found.');
+    }
+
+    let keyframeState;
+    if (state) {
+      keyframeState = normalizeSceneState(state);
+    } else {
+      try {
+        // A timeline animates the scene's settings, not its set of objects, so the captured objects list is dropped;
+        // selectedObjectId stays and keeps the model section on the object it was captured from
+        const { objects, ...currentState } = (await getState(sessionId, true)).state;
+        keyframeState = currentState;
+      } catch (error) {
+        return timelineErrorResponse(`Error capturing current scene state: ${error.message}`);
+      }
+    }
+
+    const timeline = getSessionTimeline(sessionId);
+    const replaced = timeline.keyframes.some(keyframe => keyframe.timeMs === timeMs);
+    timeline.keyframes = timeline.keyframes
+      .filter(keyframe => keyframe.timeMs !== timeMs)
+      .concat({ timeMs, state: keyframeState, easing })
+      .sort((a, b) => a.timeMs - b.timeMs);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Keyframe at ${timeMs} ms ${replaced ? 'replaced' : 'added'}${state ? '' : ' (captured current scene)'}. ` +
+            `Timeline: ${formatTimelineSummary(timeline)}.`
+        }
+      ]
+    };
+  }
+);
+
+mcpServer.registerTool(
+  'remove_timeline_keyframe',
+  {
+    title: 'Remove Timeline Keyframe',
+    description: 'Remove the keyframe at a time offset from this session\'s animation timeline.',
+    inputSchema: {
+      timeMs: timelineTimeSchema.describe('Time offset of the keyframe to remove in milliseconds')
+    }
+  },
+  async ({ timeMs }) => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return timelineErrorResponse('Error: No active session found.');
+    }
+
+    const timeline = getSessionTimeline(sessionId);
+    const remaining = timeline.keyframes.filter(keyframe => keyframe.timeMs !== timeMs);
+    if (remaining.length === timeline.keyframes.length) {
+      return timelineErrorResponse(`No keyframe at ${timeMs} ms. Use list_timeline to see keyframe times.`);
+    }
+    timeline.keyframes = remaining;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Removed keyframe at ${timeMs} ms. Timeline: ${formatTimelineSummary(timeline)}.`
+        }
+      ]
+    };
+  }
+);
+
+mcpServer.registerTool(
+  'list_timeline',
+  {
+    title: 'List Timeline',
+    description: 'List the keyframes of this session\'s animation timeline with the scene sections each one sets.',
+    inputSchema: {}
+  },
+  async () => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return timelineErrorResponse('Error: No active session found.');
+    }
+
+    const timeline = getSessionTimeline(sessionId);
+    if (timeline.keyframes.length === 0) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'The timeline is empty. Use add_timeline_keyframe to add keyframes.'
+          }
+        ]
+      };
+    }
+
+    const lines = timeline.keyframes.map(keyframe =>
+      `- ${keyframe.timeMs} ms (${keyframe.easing}): ${Object.keys(keyframe.state).join(', ')}`
+    );
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Timeline: ${formatTimelineSummary(timeline)}\n${lines.join('\n')}`
+        }
+      ]
+    };
+  }
+);
+
+mcpServer.registerTool(
+  'clear_timeline',
+  {
+    title: 'Clear Timeline',
+    description: 'Remove all keyframes from this session\'s animation timeline.',
+    inputSchema: {}
+  },
+  async () => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return timelineErrorResponse('Error: No active session found.');
+    }
+
+    getSessionTimeline(sessionId).keyframes = [];
+    return {
+      content: [
+        {
+          type: 'text',
+          text: 'Timeline cleared.'
+        }
+      ]
+    };
+  }
+);
+
+mcpServer.registerTool(
+  'play_timeline',
+  {
+    title: 'Play Timeline',
+    description: 'Play this session\'s animation timeline in the browser, interpolating smoothly between keyframes. ' +
+      'Resumes from the paused position (or restarts if playback had reached the end) unless fromMs is given. ' +
+      'Other scene changes and user interaction pause playback.',
+    inputSchema: {
+      fromMs: timelineTimeSchema.optional().describe('Time to start playing from in milliseconds')
+    }
+  },
+  async ({ fromMs }) => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return timelineErrorResponse('Error: No active session found.');
+    }
+
+    const timeline = getSessionTimeline(sessionId);
+    if (timeline.keyframes.length === 0) {
+      return timelineErrorResponse('The timeline is empty. Use add_timeline_keyframe to add keyframes first.');
+    }
+
+    const outcome = await routeToCurrentSession({
+      type: 'playTimeline',
+      keyframes: timeline.keyframes,
+      loop: timeline.loop,
+      fromMs: fromMs
+    });
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Playing timeline from ${Math.round(outcome.result?.timeMs ?? fromMs ?? 0)} ms (${formatTimelineSummary(timeline)}).`
+        }
+      ]
+    };
+  }
+);
+
+mcpServer.registerTool(
+  'pause_timeline',
+  {
+    title: 'Pause Timeline',
+    description: 'Pause timeline playback in the browser, leaving the scene at the current point of the animation.',
+    inputSchema: {}
+  },
+  async () => {
+    const outcome = await routeToCurrentSession({
+      type: 'pauseTimeline'
+    });
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Timeline paused at ${Math.round(outcome.result?.timeMs ?? 0)} ms.`
+        }
+      ]
+    };
+  }
+);
+
+mcpServer.registerTool(
+  'seek_timeline',
+  {
+    title: 'Seek Timeline',
+    description: 'Jump to a time in this session\'s animation timeline and show the scene at that point. ' +
+      'Playback continues from there if the timeline is playing.',
+    inputSchema: {
+      timeMs: timelineTimeSchema.describe('Time to jump to in milliseconds (clamped to the timeline duration)')
+    }
+  },
+  async ({ timeMs }) => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return timelineErrorResponse('Error: No active session found.');
+    }
+
+    const timeline = getSessionTimeline(sessionId);
+    if (timeline.keyframes.length === 0) {
+      return timelineErrorResponse('The timeline is empty. Use add_timeline_keyframe to add keyframes first.');
+    }
+
+    const outcome = await routeToCurrentSession({
+      type: 'seekTimeline',
+      keyframes: timeline.keyframes,
+      loop: timeline.loop,
+      timeMs: timeMs
+    });
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Timeline at ${Math.round(outcome.result?.timeMs ?? timeMs)} ms${outcome.result?.playing ? ' (playing)' : ''}.`
+        }
+      ]
+    };
+  }
+);
+
+mcpServer.registerTool(
+  'loop_timeline',
+  {
+    title: 'Loop Timeline',
+    description: 'Turn looping of this session\'s animation timeline on or off. When looping, playback wraps back to the start at the end.',
+    inputSchema: {
+      enabled: z.boolean().optional().describe('Whether the timeline loops (defaults to true)')
+    }
+  },
+  async ({ enabled = true }) => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return timelineErrorResponse('Error: No active session found.');
+    }
+
+    getSessionTimeline(sessionId).loop = enabled;
+
+    const outcome = await routeToCurrentSession({
+      type: 'loopTimeline',
+      loop: enabled
+    });
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Timeline looping turned ${enabled ? 'on' : 'off'}.`
+        }
+      ]
+    };
+  }
+);
+
+// Scene preset tools (named scene states persisted to disk)
+// Presets are stored as JSON files in the presets directory next to server.js
+const PRESETS_DIR = join(__dirname, 'presets');
+
+const presetNameSchema = z.string()
+  .trim()
+  .min(1)
+  .max(64)
+  .regex(/^[A-Za-z0-9][A-Za-z0-9 _-]*$/, 'Preset names may only contain letters, numbers, spaces, hyphens and underscores')
+  .describe('Preset name (e.g., "product shot", "moody portrait")');
+
+// Map a preset name to its file path (case-insensitive, spaces become hyphens)
+function presetFilePath(name, directory = PRESETS_DIR) {
+  const fileName = name.trim().toLowerCase().replace(/\s+/g, '-');
+  return join(directory, `${fileName}.json`);
+}
+
+// Read a preset file; returns null if the preset does not exist
+async function readPreset(name) {
+  try {
+    return JSON.parse(await readFile(presetFilePath(name), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Read all presets, sorted by name (unreadable files are skipped)
+async function readAllPresets() {
+  let fileNames;
+  try {
+    fileNames = await readdir(PRESETS_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const presets = [];
+  for (const fileName of fileNames.filter(name => name.endsWith('.json'))) {
+    try {
+      presets.push(JSON.parse(await readFile(join(PRESETS_DIR, fileName), 'utf8')));
+    } catch (error) {
+      console.warn(`Skipping unreadable preset file ${fileName}: ${error.message}`);
+    }
+  }
+  return presets.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Error response for preset tools
+function presetErrorResponse(message) {
+  return {
+    content: [
+      {
+        type: 'text',
+        text: message
+      }
+    ],
+    isError: true
+  };
+}
+
+mcpServer.registerTool(
+  'save_scene_preset',
+  {
+    title: 'Save Scene Preset',
+    description: 'Save the complete current scene state (objects, model, lights, background and camera) as a named preset. ' +
+      'Presets are stored on the server and survive restarts; recall them later with load_scene_preset.',
+    inputSchema: {
+      name: presetNameSchema,
+      overwrite: z.boolean().optional().describe('Replace an existing preset with the same name (defaults to false)')
+    }
+  },
+  async ({ name, overwrite = false }) => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return presetErrorResponse('Error: No active session found.');
+    }
+
+    try {
+      const existing = await readPreset(name);
+      if (existing && !overwrite) {
+        return presetErrorResponse(`A preset named "${existing.name}" already exists. Use overwrite: true to replace it.`);
+      }
+
+      const { state } = await getState(sessionId, true);
+      const preset = {
+        name: name,
+        savedAt: new Date().toISOString(),
+        state: state
+      };
+
+      await mkdir(PRESETS_DIR, { recursive: true });
+      await writeFile(presetFilePath(name), JSON.stringify(preset, null, 2) + '\n', 'utf8');
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Scene saved as preset "${name}"${existing ? ' (replaced existing preset)' : ''}.`
+          }
+        ]
+      };
+    } catch (error) {
+      return presetErrorResponse(`Error saving preset: ${error.message}`);
+    }
+  }
+);
+
+mcpServer.registerTool(
+  'load_scene_preset',
+  {
+    title: 'Load Scene Preset',
+    description: 'Restore a previously saved scene preset by name, applying its objects, model, lights, background and camera settings in one step. ' +
+      'Use list_scene_presets to see available presets. Loading a preset can be undone with undo_last_change.',
+    inputSchema: {
+      name: presetNameSchema,
+      ...transitionInputSchema
+    }
+  },
+  async ({ name, durationMs, easing }) => {
+    let preset;
+    try {
+      preset = await readPreset(name);
+    } catch (error) {
+      return presetErrorResponse(`Error reading preset: ${error.message}`);
+    }
+    if (!preset) {
+      return presetErrorResponse(`No preset named "${name}" found. Use list_scene_presets to see available presets.`);
+    }
+
+    const outcome = await routeToCurrentSession({
+      type: 'restoreSceneState',
+      state: await resolveStateAssets(preset.state, sessionStateCache.get(getCurrentSessionId())?.state),
+      durationMs: durationMs,
+      easing: easing
+    });
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Loaded preset "${preset.name}" (saved ${preset.savedAt}).`
+        }
+      ]
+    };
+  }
+);
+
+mcpServer.registerTool(
+  'list_scene_presets',
+  {
+    title: 'List Scene Presets',
+    description: 'List all saved scene presets with a short summary of each.',
+    inputSchema: {}
+  },
+  async () => {
+    let presets;
+    try {
+      presets = await readAllPresets();
+    } catch (error) {
+      return presetErrorResponse(`Error listing presets: ${error.message}`);
+    }
+
+    if (presets.length === 0) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'No scene presets saved yet. Use save_scene_preset to create one.'
+          }
+        ]
+      };
+    }
+
+    const lines = presets.map(preset => {
+      const { model, background } = preset.state || {};
+      const summary = [
+        model && model.color ? `model ${model.color}` : null,
+        background ? `background ${background}` : null
+      ].filter(Boolean).join(', ');
+      return `- ${preset.name} (saved ${preset.savedAt}${summary ? `; ${summary}` : ''})`;
+    });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Scene presets (${presets.length}):\n${lines.join('\n')}`
+        }
+      ]
+    };
+  }
+);
+
+mcpServer.registerTool(
+  'delete_scene_preset',
+  {
+    title: 'Delete Scene Preset',
+    description: 'Permanently delete a saved scene preset by name.',
+    inputSchema: {
+      name: presetNameSchema
+    }
+  },
+  async ({ name }) => {
+    try {
+      await unlink(presetFilePath(name));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return presetErrorResponse(`No preset named "${name}" found. Use list_scene_presets to see available presets.`);
+      }
+      return presetErrorResponse(`Error deleting preset: ${error.message}`);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Deleted preset "${name}".`
+        }
+      ]
+    };
+  }
+);
+
+// Material preset tools (named model material looks)
+// Built-in presets live in src/utils/material/materialPresets.js; users add their own as JSON files
+// in the material-presets directory next to server.js (or with save_material_preset):
+// { "name": "car paint", "description": "...", "color": "#a00000", "materialType": "physical", "properties": { ... } }
+const MATERIAL_PRESETS_DIR = join(__dirname, 'material-presets');
+
+const materialPresetSchema = z.object({
+  name: presetNameSchema,
+  description: z.string().max(200).optional(),
+  color: colorSchema.optional(),
+  materialType: materialTypeSchema.optional(),
+  properties: z.object(materialPropertiesInputSchema).strict()
+}).refine(
+  (preset) => preset.materialType !== 'standard' || !usesPhysicalProperties(preset.properties),
+  { message: 'Physical properties need materialType "physical"', path: ['materialType'] }
+);
+
+// Read the user's material preset files as { fileName, preset }, sorted by preset name
+// (unreadable and invalid files are skipped)
+async function readUserMaterialPresetFiles() {
+  let fileNames;
+  try {
+    fileNames = await readdir(MATERIAL_PRESETS_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const presets = [];
+  for (const fileName of fileNames.filter(name => name.endsWith('.json'))) {
+    try {
+      const result = materialPresetSchema.safeParse(JSON.parse(await readFile(join(MATERIAL_PRESETS_DIR, fileName), 'utf8')));
+      if (!result.success) {
+        throw new Error(result.error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`).join('; '));
+      }
+      presets.push({ fileName, preset: result.data });
+    } catch (error) {
+      console.warn(`Skipping invalid material preset file ${fileName}: ${error.message}`);
+    }
+  }
+  return presets.sort((a, b) => a.preset.name.localeCompare(b.preset.name));
+}
+
+// Read the user's material presets, sorted by name
+async function readUserMaterialPresets() {
+  return (await readUserMaterialPresetFiles()).map(({ preset }) => preset);
+}
+
+// Map a material preset name to its file path; names that findMaterialPreset treats as the same preset
+// ("car paint", "car_paint", "Car-Paint") share one file
+function materialPresetFilePath(name) {
+  return presetFilePath(normalizeMaterialPresetName(name), MATERIAL_PRESETS_DIR);
+}
+
+// Find a material preset by name: built-in presets first, then the user's presets
+// Returns { name, builtIn, preset } or null
+async function findMaterialPreset(name) {
+  const normalizedName = normalizeMaterialPresetName(name);
+  if (materialPresets.has(normalizedName)) {
+    return { name: normalizedName, builtIn: true, preset: materialPresets.get(normalizedName) };
+  }
+  const userPreset = (await readUserMaterialPresets())
+    .find(preset => normalizeMaterialPresetName(preset.name) === normalizedName);
+  return userPreset ? { name: userPreset.name, builtIn: false, preset: userPreset } : null;
+}
+
+mcpServer.registerTool(
+  'apply_material_preset',
+  {
+    title: 'Apply Material Preset',
+    description: 'Give the model a named material look in one step, setting its color and PBR material properties. ' +
+      `Built-in presets: ${Array.from(materialPresets.keys()).join(', ')}. ` +
+      'Users can add their own with save_material_preset; list_material_presets shows them all. ' +
+      'The model switches to the model material, so this also works on models loaded with preserveMaterials.',
+    inputSchema: {
+      name: z.string().min(1).describe('Preset name (e.g., "gold", "matte clay"); case, hyphens and underscores are ignored'),
+      objectId: objectIdSchema,
+      ...transitionInputSchema
+    }
+  },
+  async ({ name, objectId, durationMs, easing }) => {
+    let found;
+    try {
+      found = await findMaterialPreset(name);
+    } catch (error) {
+      return presetErrorResponse(`Error reading material presets: ${error.message}`);
+    }
+    if (!found) {
+      return presetErrorResponse(`No material preset named "${name}". Use list_material_presets to see available presets.`);
+    }
+
+    const { color, materialType, properties } = resolveMaterialPreset(found.preset);
+    const outcome = await routeToCurrentSession({
+      type: 'applyMaterialPreset',
+      color: color !== undefined ? normalizeColorToHex(color) : undefined,
+      materialType: materialType,
+      properties: normalizeMaterialColors(properties),
+      objectId: objectId,
+      durationMs: durationMs,
+      easing: easing
+    });
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Applied material preset "${found.name}": color ${outcome.result.color}, ${formatMaterial(outcome.result.material)}`
+        }
+      ]
+    };
+  }
+);
+
+mcpServer.registerTool(
+  'list_material_presets',
+  {
+    title: 'List Material Presets',
+    description: 'List the built-in and user-defined material presets that apply_material_preset accepts.',
+    inputSchema: {}
+  },
+  async () => {
+    let userPresets;
+    try {
+      userPresets = await readUserMaterialPresets();
+    } catch (error) {
+      return presetErrorResponse(`Error listing material presets: ${error.message}`);
+    }
+
+    const formatPreset = (name, preset) =>
+      `- ${name}${preset.description ? `: ${preset.description}` : ''}${preset.color ? ` (${preset.color})` : ''}`;
+    const builtInLines = Array.from(materialPresets.entries()).map(([name, preset]) => formatPreset(name, preset));
+    const userLines = userPresets.map(preset => formatPreset(preset.name, preset));
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Built-in material presets (${builtInLines.length}):\n${builtInLines.join('\n')}\n\n` +
+            (userLines.length > 0
+              ? `User material presets (${userLines.length}):\n${userLines.join('\n')}`
+              : 'No user material presets yet. Use save_material_preset to add one.')
+        }
+      ]
+    };
+  }
+);
+
+mcpServer.registerTool(
+  'save_material_preset',
+  {
+    title: 'Save Material Preset',
+    description: 'Register a named material preset on the server (stored as a JSON file), for use with apply_material_preset. ' +
+      'Properties that are left out are reset to their defaults when the preset is applied.',
+    inputSchema: {
+      name: presetNameSchema.describe('Material preset name (e.g., "car paint"); built-in preset names cannot be used'),
+      description: z.string().max(200).optional().describe('Short description of the look'),
+      color: colorSchema.optional().describe('Base color; leave out to keep the model\'s current color'),
+      materialType: materialTypeSchema.optional().describe('"standard" or "physical" (defaults to "physical" when physical properties are given)'),
+      properties: z.object(materialPropertiesInputSchema).strict().describe('Material properties, as for set_model_material'),
+      overwrite: z.boolean().optional().describe('Replace an existing user preset with the same name (defaults to false)')
+    }
+  },
+  async ({ overwrite = false, ...fields }) => {
+    const result = materialPresetSchema.safeParse(fields);
+    if (!result.success) {
+      return presetErrorResponse(`Invalid material preset: ${result.error.issues.map(issue => issue.message).join('; ')}`);
+    }
+    const preset = result.data;
+    if (materialPresets.has(normalizeMaterialPresetName(preset.name))) {
+      return presetErrorResponse(`"${preset.name}" is a built-in material preset. Choose another name.`);
+    }
+
+    try {
+      const existing = await findMaterialPreset(preset.name);
+      if (existing && !overwrite) {
+        return presetErrorResponse(`A material preset named "${existing.name}" already exists. Use overwrite: true to replace it.`);
+      }
+
+      await mkdir(MATERIAL_PRESETS_DIR, { recursive: true });
+      const filePath = materialPresetFilePath(preset.name);
+      await writeFile(filePath, JSON.stringify(preset, null, 2) + '\n', 'utf8');
+
+      // Presets saved under another file name (older files, or files added by hand) would otherwise keep
+      // a second preset with the same name next to the new file
+      if (existing) {
+        const normalizedName = normalizeMaterialPresetName(preset.name);
+        for (const { fileName, preset: other } of await readUserMaterialPresetFiles()) {
+          const otherPath = join(MATERIAL_PRESETS_DIR, fileName);
+          if (otherPath !== filePath && normalizeMaterialPresetName(other.name) === normalizedName) {
+            await unlink(otherPath);
+          }
+        }
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Material preset "${preset.name}" saved${existing ? ' (replaced existing preset)' : ''}.`
+          }
+        ]
+      };
+    } catch (error) {
+      return presetErrorResponse(`Error saving material preset: ${error.message}`);
+    }
+  }
+);
+
+// Texture tools (image maps and matcaps for the model material)
+// Texture images live in the same directories as the models (public/models and the model library directory)
+const textureFormats = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp'
+};
+const textureMaps = ['color', 'normal', 'roughness', 'ao', 'emissive'];
+
+// Get a texture image's format from its extension; returns null for other files
+function getTextureFormat(fileName) {
+  const extension = extname(fileName).slice(1).toLowerCase();
+  return extension in textureFormats ? extension : null;
+}
+
+// Read a catalog of asset files (texture images or environment maps) in the app and library models directories:
+// every file getFormat recognizes, with its format and size
+async function readAssetCatalog(getFormat) {
+  const directories = [
+    { directory: 'app', path: APP_MODELS_DIR },
+    { directory: 'library', path: MODELS_LIBRARY_DIR }
+  ];
+
+  const assets = [];
+  for (const { directory, path } of directories) {
+    for (const name of await listModelFiles(path, '', getFormat)) {
+      const filePath = join(path, ...name.split('/'));
+      const { size } = await stat(filePath);
+      assets.push({
+        name: name,
+        directory: directory,
+        format: getFormat(name),
+        size: size,
+        filePath: filePath
+      });
+    }
+  }
+  return assets;
+}
+
+// Resolve the image a texture tool loads from its file or url argument (at most one; neither gives {url: null})
+// Returns {url, source} on success or {error} describing why the image cannot be loaded
+async function resolveTextureSource({ file, url }) {
+  if (file !== undefined && url !== undefined) {
+    return { error: 'Error: Provide either file or url, not both.' };
+  }
+  if (file === undefined) {
+    return { url: url ?? null, source: url };
+  }
+
+  try {
+    const { entry, error } = findCatalogEntry(await readAssetCatalog(getTextureFormat), file, 'texture');
+    if (error) {
+      return { error };
+    }
+    return {
+      url: await modelCatalogUrl(entry, textureFormats[entry.format]),
+      source: entry.name
+    };
+  } catch (error) {
+    return { error: `Error reading texture file: ${error.message}` };
+  }
+}
+
+// Fill in the URLs of object models, catalog textures, matcaps and environment maps in a scene state before the
+// browser restores it (scene states leave out data URLs, so library files are only identified by their catalog name)
+// Objects the browser already shows (same ID and source in currentState, its cached state) need no model URL
+async function resolveStateAssets(state, currentState = null) {
+  if (!state) {
+    return state;
+  }
+
+  const resolveUrl = async (image, resolveSource) => {
+    if (image.url || image.source === 'default') {
+      return image;
+    }
+    const resolved = await resolveSource({ file: image.source });
+    return resolved.error ? image : { ...image, url: resolved.url };
+  };
+
+  // Textures and matcap of the model section or of an object
+  const resolveImages = async (model) => {
+    if (!model.textures && !model.matcap) {
+      return model;
+    }
+    const textures = model.textures ? {} : undefined;
+    for (const [map, texture] of Object.entries(model.textures || {})) {
+      textures[map] = await resolveUrl(texture, resolveTextureSource);
+    }
+    return {
+      ...model,
+      ...(textures && { textures }),
+      ...(model.matcap && { matcap: await resolveUrl(model.matcap, resolveTextureSource) })
+    };
+  };
+
+  // Objects are loaded again from their catalog file, or from their source if it is a URL (e.g., the startup model)
+  const shownObjects = currentState?.objects || [];
+  const resolveObjectModel = async (object) => {
+    if (object.url || !object.source || shownObjects.some(shown => shown.id === object.id && shown.source === object.source)) {
+      return object;
+    }
+    const resolved = await resolveModelSource({ file: object.source });
+    if (!resolved.error) {
+      return { ...object, url: resolved.url, format: object.format || resolved.format };
+    }
+    return /^([a-z][a-z0-9+.-]*:|\/)/i.test(object.source) ? { ...object, url: object.source } : object;
+  };
+
+  const { model, objects, environment } = state;
+  const resolvedState = { ...state };
+  if (model) {
+    resolvedState.model = await resolveImages(model);
+  }
+  if (objects) {
+    resolvedState.objects = [];
+    for (const object of objects) {
+      resolvedState.objects.push(await resolveImages(await resolveObjectModel(object)));
+    }
+  }
+  if (environment) {
+    resolvedState.environment = await resolveUrl(environment, resolveEnvironmentSource);
+  }
+  return resolvedState;
+}
+
+// Format texture maps for tool responses (e.g., "color bricks.jpg (repeat 2 x 2), normal bricks_normal.png")
+function formatTextures(textures) {
+  const entries = Object.entries(textures);
+  if (entries.length === 0) {
+    return 'none';
+  }
+  return entries.map(([map, { source, repeat, offset }]) => {
+    const transform = [
+      repeat.x !== 1 || repeat.y !== 1 ? `repeat ${roundForDisplay(repeat.x)} x ${roundForDisplay(repeat.y)}` : null,
+      offset.x !== 0 || offset.y !== 0 ? `offset ${roundForDisplay(offset.x)}, ${roundForDisplay(offset.y)}` : null
+    ].filter(Boolean).join(', ');
+    return `${map} ${source}${transform ? ` (${transform})` : ''}`;
+  }).join(', ');
+}
+
+// Error response for texture and environment tools
+function assetErrorResponse(message) {
+  return {
+    content: [
+      {
+        type: 'text',
+        text: message
+      }
+    ],
+    isError: true
+  };
+}
+
+const textureRepeatSchema = z.object({
+  x: z.number().positive(),
+  y: z.number().positive()
+});
+const textureOffsetSchema = z.object({
+  x: z.number(),
+  y: z.number()
+});
+
+mcpServer.registerTool(
+  'apply_texture',
+  {
+    title: 'Apply Texture',
+    description: 'Attach an image to the model material as a color (albedo), normal, roughness, ambient occlusion (ao) or emissive map. ' +
+      'Give a file name from list_textures or an image URL (PNG, JPEG or WebP); with neither, only the repeat and offset of the map change. ' +
+      'Textures need texture coordinates: glTF/GLB and OBJ models usually have them, STL and PLY models usually do not. ' +
+      'Like set_model_material, this affects the model material, which models loaded with preserveMaterials only show after ' +
+      'change_model_color with target "all".',
+    inputSchema: {
+      map: z.enum(textureMaps).describe('Map to set: "color", "normal", "roughness", "ao" or "emissive"'),
+      file: z.string().min(1).optional().describe('Image file name or path as listed by list_textures'),
+      url: z.string().min(1).optional().describe('Image URL (http(s) URL or a path on the app\'s own server, e.g. "/models/bricks.jpg")'),
+      repeat: textureRepeatSchema.optional().describe('How often the image repeats across the model in each direction (defaults to 1 x 1)'),
+      offset: textureOffsetSchema.optional().describe('Shift of the image in texture units (defaults to 0, 0)'),
+      objectId: objectIdSchema
+    }
+  },
+  async ({ map, file, url, repeat, offset, objectId }) => {
+    const resolved = await resolveTextureSource({ file, url });
+    if (resolved.error) {
+      return assetErrorResponse(resolved.error);
+    }
+    if (!resolved.url && !repeat && !offset) {
+      return assetErrorResponse('Error: give an image (file or url), or a repeat or offset to change.');
+    }
+
+    const outcome = await routeToCurrentSession({
+      type: 'applyTexture',
+      map: map,
+      url: resolved.url,
+      source: resolved.source,
+      repeat: repeat,
+      offset: offset,
+      objectId: objectId
+    }, MODEL_LOAD_TIMEOUT);
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    const { textures, textureCoordinates, modelMaterialInUse } = outcome.result;
+    const notes = [
+      textureCoordinates ? null : 'the model has no texture coordinates, so the texture does not show',
+      modelMaterialInUse ? null : 'the model currently shows its original materials; use change_model_color with target "all" to show the model material'
+    ].filter(Boolean);
     return {
       content: [
         {
           type: 'text',
-          text: `Key light distance set to ${distance} units`
+          text: `Model textures: ${formatTextures(textures)}.` + notes.map(note => `\nNote: ${note}.`).join('')
         }
       ]
     };
@@ -2930,31 +7074,457 @@ mcpServer.registerTool(
 );
 
 mcpServer.registerTool(
-  'set_fill_light_distance',
+  'remove_texture',
   {
-    title: 'Set Fill Light Distance',
-    description: 'Set the distance of the fill light from the model origin. Preserves current azimuth and elevation angles.',
+    title: 'Remove Texture',
+    description: 'Detach a texture map from the model material, or all of them.',
     inputSchema: {
-      distance: z.number().positive().describe('Distance from model origin (positive number, units)')
+      map: z.enum([...textureMaps, 'all']).describe('Map to remove ("color", "normal", "roughness", "ao" or "emissive"), or "all"'),
+      objectId: objectIdSchema
     }
   },
-  async ({ distance }) => {
-    routeToCurrentSession({
-      type: 'setFillLightDistance',
-      distance: distance
+  async ({ map, objectId }) => {
+    const outcome = await routeToCurrentSession({
+      type: 'removeTexture',
+      map: map,
+      objectId: objectId
     });
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Model textures: ${formatTextures(outcome.result.textures)}.`
+        }
+      ]
+    };
+  }
+);
+
+mcpServer.registerTool(
+  'set_matcap',
+  {
+    title: 'Set Matcap',
+    description: 'Show the model with a matcap material, a lit-sphere image that gives the surface a fixed, lighting-independent look ' +
+      '(clay, chrome, ...) for reviewing sculpted shapes. Give a matcap image file from list_textures or a URL, ' +
+      'or neither for a built-in neutral clay matcap. enabled: false puts the previous materials back. ' +
+      'Matcaps ignore the scene lights; change_model_color and set_model_material settings come back when the matcap is turned off ' +
+      '(change_model_color turns it off).',
+    inputSchema: {
+      file: z.string().min(1).optional().describe('Matcap image file name or path as listed by list_textures'),
+      url: z.string().min(1).optional().describe('Matcap image URL'),
+      enabled: z.boolean().optional().describe('false to turn the matcap off (defaults to true)'),
+      objectId: objectIdSchema
+    }
+  },
+  async ({ file, url, enabled = true, objectId }) => {
+    if (!enabled && (file !== undefined || url !== undefined)) {
+      return assetErrorResponse('Error: file and url are only used with enabled: true.');
+    }
+    const resolved = await resolveTextureSource({ file, url });
+    if (resolved.error) {
+      return assetErrorResponse(resolved.error);
+    }
+
+    const outcome = await routeToCurrentSession({
+      type: 'setMatcap',
+      enabled: enabled,
+      url: resolved.url,
+      source: resolved.source,
+      objectId: objectId
+    }, MODEL_LOAD_TIMEOUT);
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    const { matcap } = outcome.result;
+    return {
+      content: [
+        {
+          type: 'text',
+          text: matcap ? `Matcap "${matcap.source}" shown on the model.` : 'Matcap turned off; the model shows its materials.'
+        }
+      ]
+    };
+  }
+);
+
+mcpServer.registerTool(
+  'list_textures',
+  {
+    title: 'List Textures',
+    description: 'List the image files (PNG, JPEG, WebP) in the server\'s models directories that apply_texture and set_matcap can load.',
+    inputSchema: {}
+  },
+  async () => {
+    let textures;
+    try {
+      textures = await readAssetCatalog(getTextureFormat);
+    } catch (error) {
+      return assetErrorResponse(`Error reading the models directories: ${error.message}`);
+    }
+
+    if (textures.length === 0) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'No texture images found. Add PNG, JPEG or WebP files to public/models or the model library directory.'
+          }
+        ]
+      };
+    }
+
+    const lines = textures.map(texture => `- ${texture.name} (${texture.format}, ${formatFileSize(texture.size)}, ${texture.directory})`);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `${textures.length} texture image(s):\n${lines.join('\n')}`
+        }
+      ]
+    };
+  }
+);
+
+// Environment lighting tools (image-based lighting from HDR environment maps)
+// Environment maps (equirectangular .hdr or .exr images) live in the models directories, like texture images
+const environmentFormats = ['hdr', 'exr'];
+
+// Get an environment map's format from its extension; returns null for other files
+function getEnvironmentFormat(fileName) {
+  const extension = extname(fileName).slice(1).toLowerCase();
+  return environmentFormats.includes(extension) ? extension : null;
+}
+
+// Resolve the environment map set_environment loads from its file or url argument (at most one; neither gives {url: null})
+// Returns {url, format, source} on success or {error} describing why the map cannot be loaded
+async function resolveEnvironmentSource({ file, url }) {
+  if (file !== undefined && url !== undefined) {
+    return { error: 'Error: Provide either file or url, not both.' };
+  }
+  if (file === undefined) {
+    return { url: url ?? null, source: url };
+  }
+
+  try {
+    const { entry, error } = findCatalogEntry(await readAssetCatalog(getEnvironmentFormat), file, 'environment map');
+    if (error) {
+      return { error };
+    }
+    return {
+      url: await modelCatalogUrl(entry),
+      format: entry.format,
+      source: entry.name
+    };
+  } catch (error) {
+    return { error: `Error reading environment map: ${error.message}` };
+  }
+}
+
+// Describe environment settings for tool responses
+function formatEnvironment(environment) {
+  if (!environment) {
+    return 'none (the scene is lit by the area lights and ambient light only)';
+  }
+  return `${environment.source}, intensity ${roundForDisplay(environment.intensity)}, ` +
+    `rotation ${roundForDisplay(environment.rotation, 1)}°, ${environment.background ? 'shown as the background' : 'not shown as the background'}`;
+}
+
+mcpServer.registerTool(
+  'set_environment',
+  {
+    title: 'Set Environment',
+    description: 'Light the scene with an HDR environment map (image-based lighting): an equirectangular .hdr or .exr image ' +
+      'that surrounds the scene, giving metallic and glossy materials something to reflect and adding soft light from every direction. ' +
+      'Give a file name from list_environments or a URL to load a map; without one, the intensity, rotation and background settings ' +
+      'of the loaded map change. enabled: false removes the environment. ' +
+      'Showing the environment as the background replaces the background color until change_background_color is used.',
+    inputSchema: {
+      file: z.string().min(1).optional().describe('Environment map file name or path as listed by list_environments'),
+      url: z.string().min(1).optional().describe('Environment map URL (.hdr or .exr)'),
+      intensity: z.number().min(0).optional().describe('Lighting and reflection strength (1 is the image\'s own brightness; defaults to 1)'),
+      rotation: z.number().optional().describe('Rotation of the environment around the vertical axis, in degrees (defaults to 0)'),
+      background: z.boolean().optional().describe('Show the environment image as the scene background (defaults to false)'),
+      enabled: z.boolean().optional().describe('false to remove the environment lighting (defaults to true)'),
+      ...transitionInputSchema
+    }
+  },
+  async ({ file, url, intensity, rotation, background, enabled = true, durationMs, easing }) => {
+    if (!enabled && [file, url, intensity, rotation, background].some(value => value !== undefined)) {
+      return assetErrorResponse('Error: enabled: false cannot be combined with other settings.');
+    }
+    const resolved = await resolveEnvironmentSource({ file, url });
+    if (resolved.error) {
+      return assetErrorResponse(resolved.error);
+    }
+    if (enabled && !resolved.url && [intensity, rotation, background].every(value => value === undefined)) {
+      return assetErrorResponse('Error: give an environment map (file or url), or an intensity, rotation or background setting to change.');
+    }
+
+    const outcome = await routeToCurrentSession({
+      type: 'setEnvironment',
+      enabled: enabled,
+      url: resolved.url,
+      format: resolved.format,
+      source: resolved.source,
+      intensity: intensity,
+      rotation: rotation,
+      background: background,
+      durationMs: durationMs,
+      easing: easing
+    }, MODEL_LOAD_TIMEOUT);
+    if (!outcome.success) {
+      return commandFailureResponse(outcome);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Environment: ${formatEnvironment(outcome.result.environment)}.`
+        }
+      ]
+    };
+  }
+);
+
+mcpServer.registerTool(
+  'get_environment',
+  {
+    title: 'Get Environment',
+    description: 'Get the environment map lighting the scene, with its intensity, rotation and whether it is shown as the background.',
+    inputSchema: {
+      forceRefresh: z.boolean().optional().describe(
+        'Force refresh from browser (defaults to false, uses cache). ' +
+        'Set to true if: user manually interacted with the 3D app, state might have changed, ' +
+        'or accuracy is critical. Use false (default) if state was recently queried and no manual interactions occurred.'
+      )
+    }
+  },
+  async ({ forceRefresh = false }) => {
+    const sessionId = getCurrentSessionId();
+    if (!sessionId) {
+      return assetErrorResponse('Error: No active session found.');
+    }
+
+    try {
+      const { state, metadata } = await getState(sessionId, forceRefresh);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: formatStateResponse(formatEnvironment(state.environment), 'Environment', sessionId, forceRefresh, metadata)
+          }
+        ]
+      };
+    } catch (error) {
+      return assetErrorResponse(`Error retrieving environment: ${error.message}`);
+    }
+  }
+);
+
+mcpServer.registerTool(
+  'list_environments',
+  {
+    title: 'List Environments',
+    description: 'List the HDR environment maps (.hdr, .exr) in the server\'s models directories that set_environment can load.',
+    inputSchema: {}
+  },
+  async () => {
+    let environments;
+    try {
+      environments = await readAssetCatalog(getEnvironmentFormat);
+    } catch (error) {
+      return assetErrorResponse(`Error reading the models directories: ${error.message}`);
+    }
+
+    if (environments.length === 0) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'No environment maps found. Add equirectangular .hdr or .exr files to public/models or the model library directory.'
+          }
+        ]
+      };
+    }
 
+    const lines = environments.map(environment => `- ${environment.name} (${environment.format}, ${formatFileSize(environment.size)}, ${environment.directory})`);
     return {
       content: [
         {
           type: 'text',
-          text: `Fill light distance set to ${distance} units`
+          text: `${environments.length} environment map(s):\n${lines.join('\n')}`
         }
       ]
     };
   }
 );
 
+// Scene state resources
+// Structured JSON views of the session's scene state, served from sessionStateCache
+// Clients can subscribe to receive notifications/resources/updated when the browser reports a change
+const sceneResources = [
+  {
+    name: 'scene-state',
+    uri: 'scene://current/state',
+    title: 'Scene State',
+    description: 'Complete current scene state: model (the selected object), objects, background, environment, ground, ambient fill, key and fill lights, the light collection, and camera',
+    select: (state) => state
+  },
+  {
+    name: 'scene-model',
+    uri: 'scene://current/model',
+    title: 'Model',
+    description: 'Current color, position, scale, rotation (Euler angles in degrees), material, textures and matcap of the selected object\'s model',
+    select: (state) => state.model
+  },
+  {
+    name: 'scene-objects',
+    uri: 'scene://current/objects',
+    title: 'Objects',
+    description: 'Objects in the scene with their IDs, names, model sources, positions, rotations, scales and colors, and the selected object ID',
+    select: (state) => ({ selectedObjectId: state.selectedObjectId, objects: state.objects })
+  },
+  {
+    name: 'scene-key-light',
+    uri: 'scene://current/lights/key',
+    title: 'Key Light',
+    description: 'Current key light intensity, color, camera-centric spherical position and size',
+    select: (state) => state.keyLight
+  },
+  {
+    name: 'scene-fill-light',
+    uri: 'scene://current/lights/fill',
+    title: 'Fill Light',
+    description: 'Current fill light intensity, color, camera-centric spherical position and size',
+    select: (state) => state.fillLight
+  },
+  {
+    name: 'scene-ambient-light',
+    uri: 'scene://current/lights/ambient',
+    title: 'Ambient Light',
+    description: 'Current ambient fill mode (ambient or hemisphere), intensity, color and ground color',
+    select: (state) => state.ambient ?? null
+  },
+  {
+    name: 'scene-lights',
+    uri: 'scene://current/lights',
+    title: 'Lights',
+    description: 'Every light in the scene (the key and fill lights and lights added with add_light) with its ID, name, type, intensity, color, camera-centric spherical position and type-specific settings',
+    select: (state) => state.lights ?? []
+  },
+  {
+    name: 'scene-environment',
+    uri: 'scene://current/environment',
+    title: 'Environment',
+    description: 'Current environment map source, intensity, rotation and background setting (null without environment lighting)',
+    select: (state) => state.environment ?? null
+  },
+  {
+    name: 'scene-camera',
+    uri: 'scene://current/camera',
+    title: 'Camera',
+    description: 'Current camera position around the selected object (azimuth, elevation, distance), the point it looks at and field of view',
+    select: (state) => state.camera
+  }
+];
+
+for (const resource of sceneResources) {
+  mcpServer.registerResource(
+    resource.name,
+    resource.uri,
+    {
+      title: resource.title,
+      description: resource.description,
+      mimeType: 'application/json'
+    },
+    async (uri) => {
+      const sessionId = getCurrentSessionId();
+      if (!sessionId) {
+        throw new Error('No active session found.');
+      }
+
+      const { state } = await getState(sessionId, false);
+      return {
+        contents: [
+          {
+            uri: uri.href,
+            mimeType: 'application/json',
+            text: JSON.stringify(resource.select(state) ?? null, null, 2)
+          }
+        ]
+      };
+    }
+  );
+}
+
+// Advertise resource subscriptions and track them per session
+mcpServer.server.registerCapabilities({ resources: { subscribe: true } });
+
+mcpServer.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+  const sessionId = getCurrentSessionId();
+  const { uri } = request.params;
+  if (!sceneResources.some(resource => resource.uri === uri)) {
+    throw new Error(`Unknown resource: ${uri}`);
+  }
+  if (sessionId) {
+    if (!resourceSubscriptions.has(sessionId)) {
+      resourceSubscriptions.set(sessionId, new Set());
+    }
+    resourceSubscriptions.get(sessionId).add(uri);
+    console.error(`Session ${sessionId} subscribed to ${uri}`);
+  }
+  return {};
+});
+
+mcpServer.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+  const sessionId = getCurrentSessionId();
+  const subscriptions = sessionId ? resourceSubscriptions.get(sessionId) : null;
+  if (subscriptions) {
+    subscriptions.delete(request.params.uri);
+  }
+  return {};
+});
+
+// Send resources/updated notifications for subscribed resources whose content changed
+// Called whenever a browser stateUpdate arrives for the session
+function notifySceneResourceSubscribers(sessionId, previousState, state) {
+  const subscriptions = resourceSubscriptions.get(sessionId);
+  if (!subscriptions || subscriptions.size === 0) {
+    return;
+  }
+
+  for (const resource of sceneResources) {
+    if (!subscriptions.has(resource.uri)) {
+      continue;
+    }
+    const before = previousState ? JSON.stringify(resource.select(previousState)) : undefined;
+    const after = JSON.stringify(resource.select(state));
+    if (before === after) {
+      continue;
+    }
+
+    const notification = {
+      method: 'notifications/resources/updated',
+      params: { uri: resource.uri }
+    };
+    // In HTTP mode each session has its own transport; in STDIO mode the server has a single transport
+    const sendPromise = isStdioMode
+      ? mcpServer.server.notification(notification)
+      : transports[sessionId]
+        ? transports[sessionId].send({ jsonrpc: '2.0', ...notification })
+        : Promise.resolve();
+    sendPromise.catch((error) => {
+      console.warn(`Failed to notify session ${sessionId} about ${resource.uri}: ${error.message}`);
+    });
+  }
+}
+
 // Register tool: get_browser_connection_url
 mcpServer.registerTool(
   'get_browser_connection_url',
@@ -3094,6 +7664,10 @@ app.post('/mcp', async (req, res) => {
           if (sid && transports[sid]) {
             console.error(`MCP session closed: ${sid}`);
             delete transports[sid];
+            sessionHistory.delete(sid);
+            resourceSubscriptions.delete(sid);
+            sessionTimelines.delete(sid);
+            activeTurntables.delete(sid);
           }
         };
 
@@ -3128,6 +7702,10 @@ app.post('/mcp', async (req, res) => {
         if (sid && transports[sid]) {
           console.error(`MCP session closed: ${sid}`);
           delete transports[sid];
+          sessionHistory.delete(sid);
+          resourceSubscriptions.delete(sid);
+          sessionTimelines.delete(sid);
+          activeTurntables.delete(sid);
         }
       };
 
@@ -3266,6 +7844,119 @@ app.delete('/mcp', async (req, res) => {
 });
 }
 
+// Model library HTTP routes for tooling outside MCP - only in HTTP mode
+// Registered before the static files so they are not shadowed by dist/models
+if (!isStdioMode) {
+// Model catalog as JSON
+app.get('/models', async (req, res) => {
+  try {
+    const models = await readModelCatalog();
+    res.json({ models: models.map(publicModelEntry) });
+  } catch (error) {
+    console.error('Error reading model catalog:', error);
+    res.status(500).json({ error: 'Error reading model catalog' });
+  }
+});
+
+// Upload a model file into the model library (multipart/form-data with a "file" field)
+// An optional "name" field renames the file; ?overwrite=true replaces an existing file
+const parseModelUpload = express.raw({ type: 'multipart/form-data', limit: MAX_MODEL_UPLOAD_SIZE });
+app.post('/models', (req, res, next) => {
+  parseModelUpload(req, res, (error) => {
+    if (error) {
+      const tooLarge = error.type === 'entity.too.large';
+      res.status(tooLarge ? 413 : 400).json({
+        error: tooLarge ? `Model files are limited to ${formatFileSize(MAX_MODEL_UPLOAD_SIZE)}` : 'Invalid upload'
+      });
+      return;
+    }
+    next();
+  });
+}, async (req, res) => {
+  if (!Buffer.isBuffer(req.body)) {
+    res.status(400).json({ error: 'Expected a multipart/form-data upload with a "file" field' });
+    return;
+  }
+
+  let formData;
+  try {
+    // Parse the multipart body with the Fetch API's form data parser
+    formData = await new Request('http://localhost/models', {
+      method: 'POST',
+      headers: { 'content-type': req.headers['content-type'] },
+      body: req.body
+    }).formData();
+  } catch (error) {
+    res.status(400).json({ error: `Invalid multipart upload: ${error.message}` });
+    return;
+  }
+
+  const file = formData.get('file');
+  if (!file || typeof file === 'string') {
+    res.status(400).json({ error: 'Missing "file" field' });
+    return;
+  }
+
+  const name = (formData.get('name') || file.name || '').trim();
+  if (!modelUploadNamePattern.test(name)) {
+    res.status(400).json({ error: 'File names may only contain letters, numbers, spaces, dots, hyphens and underscores' });
+    return;
+  }
+  if (!getModelFormat(name)) {
+    res.status(415).json({ error: `Unsupported model format. Allowed extensions: ${modelFormats.map(format => `.${format}`).join(', ')}` });
+    return;
+  }
+
+  try {
+    const filePath = join(MODELS_LIBRARY_DIR, name);
+    const existing = await stat(filePath).catch(() => null);
+    if (existing && req.query.overwrite !== 'true') {
+      res.status(409).json({ error: `A model named "${name}" already exists. Use ?overwrite=true to replace it.` });
+      return;
+    }
+
+    await mkdir(MODELS_LIBRARY_DIR, { recursive: true });
+    await writeFile(filePath, Buffer.from(await file.arrayBuffer()));
+    loadedModelStats.delete(`library/${name}`);
+    console.error(`Model uploaded to library: ${name} (${file.size} bytes)`);
+
+    res.status(existing ? 200 : 201).json({
+      model: {
+        name: name,
+        directory: 'library',
+        format: getModelFormat(name),
+        size: file.size
+      }
+    });
+  } catch (error) {
+    console.error('Error saving uploaded model:', error);
+    res.status(500).json({ error: 'Error saving uploaded model' });
+  }
+});
+
+// Download a model file by name (as listed in the catalog)
+// Other files under /models (textures, HDR environments, the .bin and texture files next to a .gltf) are left to the
+// static file handler of the unified deployment
+app.get('/models/*path', async (req, res, next) => {
+  try {
+    const name = req.params.path.join('/');
+    if (!getModelFormat(name)) {
+      next();
+      return;
+    }
+    const { model, error } = await resolveModelFile(name);
+    if (!model) {
+      res.status(404).json({ error: error });
+      return;
+    }
+    res.download(model.filePath, model.name.split('/').pop());
+  } catch (error) {
+    console.error('Error serving model file:', error);
+    res.status(500).json({ error: 'Error serving model file' });
+  }
+});
+}
+
 // Serve static files from dist folder (for unified deployment) - only in HTTP mode
 if (!isStdioMode) {
   const __filename = fileURLToPath(import.meta.url);
@@ -3278,8 +7969,8 @@ if (!isStdioMode) {
     // Use middleware function instead of route pattern to avoid path-to-regexp issues
     // This will only be called for routes that don't match static files
     app.use((req, res, next) => {
-      // Skip if this is an MCP route
-      if (req.path.startsWith('/mcp')) {
+      // Skip if this is an MCP route, or a file under /models that does not exist (a 404 rather than the page)
+      if (req.path.startsWith('/mcp') || req.path.startsWith('/models/')) {
         return next();
       }
       // Only handle GET requests for SPA routing
@@ -4,6 +4,9 @@ import { RotationController } from './RotationController.js';
 import { WebSocketClient } from './WebSocketClient.js';
 import { RayPicker } from './RayPicker.js';
 import { InteractionModeManager } from './InteractionModeManager.js';
+import { TransitionManager } from './TransitionManager.js';
+import { TimelinePlayer } from './TimelinePlayer.js';
+import { STANDARD_MATERIAL_PROPERTIES, PHYSICAL_MATERIAL_PROPERTIES } from './Model.js';
 import { CONFIG } from './constants.js';
 
 /**
@@ -24,6 +27,7 @@ export class Application {
     this.rotationController.onRender = () => {
       this.sceneManager.render(this.cameraController.getCamera());
     };
+    this.rotationController.camera = this.cameraController.getCamera();
     
     // Initialize arcball view bounds
     const rect = this.canvas.getBoundingClientRect();
@@ -36,6 +40,16 @@ export class Application {
     this.sceneManager.setCameraController(this.cameraController);
     this.sceneManager.setRotationController(this.rotationController);
     
+    // Smooth transitions for commands that request a duration
+    this.transitionManager = new TransitionManager(() => this.sceneManager.getTransitionChannels());
+    
+    // Keyframe timeline playback (interpolates with the transition manager's channels)
+    this.timelinePlayer = new TimelinePlayer(
+      this.transitionManager,
+      (state) => this.applySceneState(state),
+      () => this.getSceneState()
+    );
+    
     // Track mouse velocity for momentum
     this.lastMousePosition = { x: 0, y: 0 };
     this.lastMouseTime = 0;
@@ -65,16 +79,122 @@ export class Application {
         this._showToolNotification(command.toolName);
       }],
       ['changeColor', (command) => {
-        this.sceneManager.changeModelColor(command.color);
+        this.sceneManager.changeModelColor(command.color, command.target || 'all', command.objectId);
+        return { color: this.sceneManager.getModelColor(command.objectId) };
+      }],
+      ['restoreModelMaterials', (command) => {
+        this.sceneManager.restoreModelMaterials(command.objectId);
+        return { model: this.sceneManager.getModelInfo(command.objectId) };
+      }],
+      // Model material (PBR) properties; physical properties upgrade the material to MeshPhysicalMaterial
+      ['setModelMaterial', (command) => {
+        const properties = Object.fromEntries(Object.entries(command).filter(([name]) =>
+          name in STANDARD_MATERIAL_PROPERTIES || name in PHYSICAL_MATERIAL_PROPERTIES));
+        this.sceneManager.setModelMaterial(properties, command.materialType, command.objectId);
+        return {
+          material: this.sceneManager.getModelMaterial(command.objectId),
+          modelMaterialInUse: this.sceneManager.getModelInfo(command.objectId).modelMaterialInUse
+        };
+      }],
+      // Material presets are resolved by the server into a color and a full set of material properties
+      ['applyMaterialPreset', (command) => {
+        const color = command.color || this.sceneManager.getModelColor(command.objectId);
+        this.sceneManager.changeModelColor(color, 'all', command.objectId);
+        this.sceneManager.setModelMaterial(command.properties, command.materialType, command.objectId);
+        return {
+          color: this.sceneManager.getModelColor(command.objectId),
+          material: this.sceneManager.getModelMaterial(command.objectId)
+        };
+      }],
+      // Texture maps of the model material; without a URL only the repeat and offset change
+      ['applyTexture', async (command) => {
+        if (command.url) {
+          await this.sceneManager.setModelTexture(command.map, command.url, command.source, command.repeat, command.offset, command.objectId);
+        } else {
+          this.sceneManager.setModelTextureTransform(command.map, command.repeat, command.offset, command.objectId);
+        }
+        return {
+          textures: this.sceneManager.getModelTextures(command.objectId),
+          textureCoordinates: this.sceneManager.modelHasTextureCoordinates(command.objectId),
+          modelMaterialInUse: this.sceneManager.getModelInfo(command.objectId).modelMaterialInUse
+        };
+      }],
+      ['removeTexture', (command) => {
+        this.sceneManager.clearModelTexture(command.map, command.objectId);
+        return { textures: this.sceneManager.getModelTextures(command.objectId) };
+      }],
+      ['setMatcap', async (command) => {
+        if (command.enabled === false) {
+          this.sceneManager.clearModelMatcap(command.objectId);
+        } else {
+          await this.sceneManager.setModelMatcap(command.url || null, command.source, command.objectId);
+        }
+        return { matcap: this.sceneManager.getModelMatcap(command.objectId) };
+      }],
+      // Image-based lighting; without a URL only the settings of the loaded environment change
+      ['setEnvironment', async (command) => {
+        if (command.enabled === false) {
+          this.sceneManager.clearEnvironment();
+          return { environment: null };
+        }
+        if (command.url) {
+          await this.sceneManager.loadEnvironment(command.url, command.format, command.source);
+        } else if (!this.sceneManager.getEnvironment()) {
+          throw new Error('No environment map is loaded. Give an HDR or EXR image to load one.');
+        }
+        this.sceneManager.applyEnvironmentSettings({
+          intensity: command.intensity,
+          rotation: command.rotation,
+          background: command.background
+        });
+        return { environment: this.sceneManager.getEnvironment() };
+      }],
+      // Studio floor / cyclorama with a shadow catcher lit from the key light's direction
+      ['setGroundPlane', (command) => {
+        this.sceneManager.setGroundPlane({
+          enabled: command.enabled,
+          shape: command.shape,
+          color: command.color,
+          roughness: command.roughness,
+          reflectivity: command.reflectivity,
+          shadows: command.shadows,
+          shadowOpacity: command.shadowOpacity
+        });
+        return { ground: this.sceneManager.getGroundPlane() };
       }],
       ['changeSize', (command) => {
-        this.sceneManager.changeModelSize(command.size);
+        this.sceneManager.changeModelSize(command.size, command.objectId);
+        return { scale: this.sceneManager.getModelScale(command.objectId) };
       }],
       ['scaleModel', (command) => {
-        this.sceneManager.scaleModel(command.x, command.y, command.z);
+        this.sceneManager.scaleModel(command.x, command.y, command.z, command.objectId);
+        return { scale: this.sceneManager.getModelScale(command.objectId) };
+      }],
+      // Objects: several models in the scene, addressed by ID
+      ['addObject', async (command) => {
+        const objectId = await this.sceneManager.addObject(command.url, command.format, command.source, {
+          name: command.name,
+          position: command.position,
+          autoFit: command.autoFit !== false,
+          preserveMaterials: command.preserveMaterials === true,
+          select: command.select !== false
+        });
+        return {
+          object: this.sceneManager.getObjects().find((object) => object.id === objectId),
+          model: this.sceneManager.getModelInfo(objectId)
+        };
+      }],
+      ['removeObject', (command) => {
+        this.sceneManager.removeObject(command.objectId);
+        return { selectedObjectId: this.sceneManager.getSelectedObjectId() };
+      }],
+      ['selectObject', (command) => {
+        this.sceneManager.selectObject(command.objectId);
+        return { object: this.sceneManager.getObjects().find((object) => object.selected) };
       }],
       ['changeBackgroundColor', (command) => {
         this.sceneManager.changeBackgroundColor(command.color);
+        return { background: this.sceneManager.getBackgroundColor() };
       }],
       ['getBackgroundColor', (command) => {
         const color = this.sceneManager.getBackgroundColor();
@@ -83,33 +203,42 @@ export class Application {
       // Key light controls
       ['setKeyLightIntensity', (command) => {
         this.sceneManager.setKeyLightIntensity(command.intensity);
+        return { intensity: this.sceneManager.getKeyLightIntensity() };
       }],
       ['setKeyLightColor', (command) => {
         this.sceneManager.setKeyLightColor(command.color);
+        return { color: this.sceneManager.getKeyLightColor() };
       }],
       ['swingKeyLightUp', () => {
         this.sceneManager.swingKeyLightUp();
+        return { position: this.sceneManager.getKeyLightPositionSpherical() };
       }],
       ['swingKeyLightDown', () => {
         this.sceneManager.swingKeyLightDown();
+        return { position: this.sceneManager.getKeyLightPositionSpherical() };
       }],
       ['swingKeyLightLeft', () => {
         this.sceneManager.swingKeyLightLeft();
+        return { position: this.sceneManager.getKeyLightPositionSpherical() };
       }],
       ['swingKeyLightRight', () => {
         this.sceneManager.swingKeyLightRight();
+        return { position: this.sceneManager.getKeyLightPositionSpherical() };
       }],
       ['walkKeyLightIn', () => {
         this.sceneManager.walkKeyLightIn();
+        return { position: this.sceneManager.getKeyLightPositionSpherical() };
       }],
       ['walkKeyLightOut', () => {
         this.sceneManager.walkKeyLightOut();
+        return { position: this.sceneManager.getKeyLightPositionSpherical() };
       }],
       ['setKeyLightPositionSpherical', (command) => {
         this.sceneManager.setKeyLightPositionSpherical(
           command.azimuth,
           command.elevation
         );
+        return { position: this.sceneManager.getKeyLightPositionSpherical() };
       }],
       ['getKeyLightPositionSpherical', (command) => {
         const position = this.sceneManager.getKeyLightPositionSpherical();
@@ -129,36 +258,92 @@ export class Application {
         const size = this.sceneManager.getKeyLightSize();
         console.log('Key light size:', size);
       }],
+      // Ambient fill (uniform or sky/ground hemisphere)
+      ['setAmbientLight', (command) => {
+        this.sceneManager.setAmbientLight({
+          mode: command.mode,
+          intensity: command.intensity,
+          color: command.color,
+          groundColor: command.groundColor
+        });
+        return { ambient: this.sceneManager.getAmbientLight() };
+      }],
+      // Light collection: added lights and ID-targeted controls for any light, including "key" and "fill"
+      ['addLight', (command) => {
+        const lightId = this.sceneManager.addLight(command.lightType, {
+          name: command.name,
+          azimuth: command.azimuth,
+          elevation: command.elevation,
+          distance: command.distance,
+          color: command.color,
+          intensity: command.intensity,
+          width: command.width,
+          height: command.height,
+          angle: command.angle,
+          penumbra: command.penumbra,
+          groundColor: command.groundColor
+        });
+        return { light: this.sceneManager.getLight(lightId) };
+      }],
+      ['removeLight', (command) => {
+        this.sceneManager.removeLight(command.lightId);
+        return { lights: this.sceneManager.getLights() };
+      }],
+      ['setLightPosition', (command) => {
+        this.sceneManager.setLightPosition(command.lightId, {
+          azimuth: command.azimuth,
+          elevation: command.elevation,
+          distance: command.distance
+        });
+        return { light: this.sceneManager.getLight(command.lightId) };
+      }],
+      ['setLightIntensity', (command) => {
+        this.sceneManager.setLightProperties(command.lightId, { intensity: command.intensity });
+        return { light: this.sceneManager.getLight(command.lightId) };
+      }],
+      ['setLightColor', (command) => {
+        this.sceneManager.setLightProperties(command.lightId, { color: command.color });
+        return { light: this.sceneManager.getLight(command.lightId) };
+      }],
       // Fill light controls
       ['setFillLightIntensity', (command) => {
         this.sceneManager.setFillLightIntensity(command.intensity);
+        return { intensity: this.sceneManager.getFillLightIntensity() };
       }],
       ['setFillLightColor', (command) => {
         this.sceneManager.setFillLightColor(command.color);
+        return { color: this.sceneManager.getFillLightColor() };
       }],
       ['swingFillLightUp', () => {
         this.sceneManager.swingFillLightUp();
+        return { position: this.sceneManager.getFillLightPositionSpherical() };
       }],
       ['swingFillLightDown', () => {
         this.sceneManager.swingFillLightDown();
+        return { position: this.sceneManager.getFillLightPositionSpherical() };
       }],
       ['swingFillLightLeft', () => {
         this.sceneManager.swingFillLightLeft();
+        return { position: this.sceneManager.getFillLightPositionSpherical() };
       }],
       ['swingFillLightRight', () => {
         this.sceneManager.swingFillLightRight();
+        return { position: this.sceneManager.getFillLightPositionSpherical() };
       }],
       ['walkFillLightIn', () => {
         this.sceneManager.walkFillLightIn();
+        return { position: this.sceneManager.getFillLightPositionSpherical() };
       }],
       ['walkFillLightOut', () => {
         this.sceneManager.walkFillLightOut();
+        return { position: this.sceneManager.getFillLightPositionSpherical() };
       }],
       ['setFillLightPositionSpherical', (command) => {
         this.sceneManager.setFillLightPositionSpherical(
           command.azimuth,
           command.elevation
         );
+        return { position: this.sceneManager.getFillLightPositionSpherical() };
       }],
       ['getFillLightPositionSpherical', (command) => {
         const position = this.sceneManager.getFillLightPositionSpherical();
@@ -181,21 +366,35 @@ export class Application {
       // Camera control commands
       ['dollyCamera', (command) => {
         this.sceneManager.dollyCamera(command.distance);
+        return { distance: this.sceneManager.getCameraDistance() };
       }],
       ['dollyCameraIn', (command) => {
         this.sceneManager.dollyCameraIn(command.amount);
+        return { distance: this.sceneManager.getCameraDistance() };
       }],
       ['dollyCameraOut', (command) => {
         this.sceneManager.dollyCameraOut(command.amount);
+        return { distance: this.sceneManager.getCameraDistance() };
+      }],
+      ['setCameraPositionSpherical', (command) => {
+        this.sceneManager.setCameraPositionSpherical(command);
+        return { position: this.sceneManager.getCameraPositionSpherical() };
+      }],
+      ['orbitCamera', (command) => {
+        this.sceneManager.orbitCamera(command.azimuth ?? 0, command.elevation ?? 0);
+        return { position: this.sceneManager.getCameraPositionSpherical() };
       }],
       ['setCameraFOV', (command) => {
         this.sceneManager.setCameraFOV(command.fov);
+        return { fov: this.sceneManager.getCameraFOV() };
       }],
       ['increaseCameraFOV', (command) => {
         this.sceneManager.increaseCameraFOV(command.amount);
+        return { fov: this.sceneManager.getCameraFOV() };
       }],
       ['decreaseCameraFOV', (command) => {
         this.sceneManager.decreaseCameraFOV(command.amount);
+        return { fov: this.sceneManager.getCameraFOV() };
       }],
       ['getCameraDistance', (command) => {
         const distance = this.sceneManager.getCameraDistance();
@@ -224,67 +423,197 @@ export class Application {
         this.sceneManager.setModelRotation(
           command.x,
           command.y,
-          command.z
+          command.z,
+          command.objectId
+        );
+        return { rotation: this.sceneManager.getModelRotation(command.objectId) };
+      }],
+      // Model position and pivot (the area lights orbit the selected object's pivot)
+      ['setModelPosition', (command) => {
+        this.sceneManager.setModelPosition(command.x, command.y, command.z, command.objectId);
+        return { position: this.sceneManager.getModelPosition(command.objectId) };
+      }],
+      ['nudgeModel', (command) => {
+        this.sceneManager.nudgeModel(command.direction, command.distance, command.objectId);
+        return { position: this.sceneManager.getModelPosition(command.objectId) };
+      }],
+      ['setModelPivot', (command) => {
+        this.sceneManager.setModelPivot(command.pivot, command.point, command.objectId);
+        return {
+          pivot: this.sceneManager.getModelInfo(command.objectId).pivot,
+          position: this.sceneManager.getModelPosition(command.objectId)
+        };
+      }],
+      // Replace the model with one loaded from a URL (the server resolves model library file names to URLs)
+      ['loadModel', async (command) => {
+        await this.sceneManager.loadModel(
+          command.url,
+          command.format,
+          command.source,
+          command.autoFit !== false,
+          command.preserveMaterials === true,
+          command.objectId
         );
+        return { model: this.sceneManager.getModelInfo(command.objectId) };
+      }],
+      ['fitModelToView', (command) => {
+        this.sceneManager.fitModelToView(command.objectId);
+        return {
+          model: this.sceneManager.getModelInfo(command.objectId),
+          distance: this.sceneManager.getCameraDistance()
+        };
+      }],
+      // Turntable mode: continuous spin advanced from the render loop
+      ['startTurntable', (command) => {
+        this.sceneManager.startTurntable(command.axis, command.speed, command.direction, command.objectId);
+        return {
+          turntable: this.sceneManager.getTurntable(),
+          rotation: this.sceneManager.getModelRotation(command.objectId)
+        };
+      }],
+      ['stopTurntable', (command) => {
+        const turntable = this.sceneManager.getTurntable();
+        this.sceneManager.stopTurntable();
+        return { rotation: this.sceneManager.getModelRotation(turntable ? turntable.objectId : null) };
       }],
       ['rotateModelClockwise', (command) => {
-        this.sceneManager.rotateModelClockwise(command.degrees);
+        this.sceneManager.rotateModelClockwise(command.degrees, command.objectId);
+        return { rotation: this.sceneManager.getModelRotation(command.objectId) };
       }],
       ['rotateModelCounterclockwise', (command) => {
-        this.sceneManager.rotateModelCounterclockwise(command.degrees);
+        this.sceneManager.rotateModelCounterclockwise(command.degrees, command.objectId);
+        return { rotation: this.sceneManager.getModelRotation(command.objectId) };
       }],
       ['nudgeModelPitchUp', (command) => {
-        this.sceneManager.nudgeModelPitchUp(command.degrees);
+        this.sceneManager.nudgeModelPitchUp(command.degrees, command.objectId);
+        return { rotation: this.sceneManager.getModelRotation(command.objectId) };
       }],
       ['nudgeModelPitchDown', (command) => {
-        this.sceneManager.nudgeModelPitchDown(command.degrees);
+        this.sceneManager.nudgeModelPitchDown(command.degrees, command.objectId);
+        return { rotation: this.sceneManager.getModelRotation(command.objectId) };
       }],
       ['nudgeModelRoll', (command) => {
-        this.sceneManager.nudgeModelRoll(command.degrees);
+        this.sceneManager.nudgeModelRoll(command.degrees, command.objectId);
+        return { rotation: this.sceneManager.getModelRotation(command.objectId) };
       }],
       // Key light relative adjustment commands
       ['rotateKeyLightClockwise', (command) => {
         this.sceneManager.rotateKeyLightClockwise(command.degrees);
+        return { position: this.sceneManager.getKeyLightPositionSpherical() };
       }],
       ['rotateKeyLightCounterclockwise', (command) => {
         this.sceneManager.rotateKeyLightCounterclockwise(command.degrees);
+        return { position: this.sceneManager.getKeyLightPositionSpherical() };
       }],
       ['nudgeKeyLightElevationUp', (command) => {
         this.sceneManager.nudgeKeyLightElevationUp(command.degrees);
+        return { position: this.sceneManager.getKeyLightPositionSpherical() };
       }],
       ['nudgeKeyLightElevationDown', (command) => {
         this.sceneManager.nudgeKeyLightElevationDown(command.degrees);
+        return { position: this.sceneManager.getKeyLightPositionSpherical() };
       }],
       ['moveKeyLightTowardDirection', (command) => {
         this.sceneManager.moveKeyLightTowardDirection(
           command.direction,
           command.degrees
         );
+        return { position: this.sceneManager.getKeyLightPositionSpherical() };
       }],
       // Fill light relative adjustment commands
       ['rotateFillLightClockwise', (command) => {
         this.sceneManager.rotateFillLightClockwise(command.degrees);
+        return { position: this.sceneManager.getFillLightPositionSpherical() };
       }],
       ['rotateFillLightCounterclockwise', (command) => {
         this.sceneManager.rotateFillLightCounterclockwise(command.degrees);
+        return { position: this.sceneManager.getFillLightPositionSpherical() };
       }],
       ['nudgeFillLightElevationUp', (command) => {
         this.sceneManager.nudgeFillLightElevationUp(command.degrees);
+        return { position: this.sceneManager.getFillLightPositionSpherical() };
       }],
       ['nudgeFillLightElevationDown', (command) => {
         this.sceneManager.nudgeFillLightElevationDown(command.degrees);
+        return { position: this.sceneManager.getFillLightPositionSpherical() };
       }],
       ['moveFillLightTowardDirection', (command) => {
         this.sceneManager.moveFillLightTowardDirection(
           command.direction,
           command.degrees
         );
+        return { position: this.sceneManager.getFillLightPositionSpherical() };
       }],
       ['setKeyLightDistance', (command) => {
         this.sceneManager.setKeyLightDistance(command.distance);
+        return { position: this.sceneManager.getKeyLightPositionSpherical() };
       }],
       ['setFillLightDistance', (command) => {
         this.sceneManager.setFillLightDistance(command.distance);
+        return { position: this.sceneManager.getFillLightPositionSpherical() };
+      }],
+      // Batch of commands executed as one unit (validated by the server beforehand)
+      // Steps run in order; after the first failure the remaining steps are skipped
+      ['executeBatch', async (command) => {
+        const steps = [];
+        let failure = null;
+        let failedStepType = null;
+        for (const step of command.steps) {
+          if (failure) {
+            steps.push({ type: step.type, success: false, skipped: true });
+            continue;
+          }
+          const handler = this.commandHandlers.get(step.type);
+          try {
+            if (!handler) {
+              throw new Error(`Unknown command type: ${step.type}`);
+            }
+            const result = await handler(step);
+            steps.push({ type: step.type, success: true, result: result || {} });
+          } catch (error) {
+            failure = error;
+            failedStepType = step.type;
+            steps.push({ type: step.type, success: false, error: error.message });
+          }
+        }
+        if (failure) {
+          const error = new Error(`Batch step "${failedStepType}" failed: ${failure.message}`);
+          error.result = { steps };
+          throw error;
+        }
+        return { steps };
+      }],
+      // Render a frame and return it as a base64 PNG
+      ['captureScreenshot', (command) => {
+        return this.sceneManager.captureScreenshot({
+          width: command.width,
+          height: command.height,
+          transparentBackground: command.transparentBackground
+        });
+      }],
+      // Keyframe timeline playback; the server sends the session's keyframes with play and seek
+      ['playTimeline', (command) => {
+        this.timelinePlayer.load(command.keyframes, command.loop);
+        this.timelinePlayer.play(command.fromMs);
+        return this.timelinePlayer.getStatus();
+      }],
+      ['pauseTimeline', () => {
+        this.timelinePlayer.pause();
+        return this.timelinePlayer.getStatus();
+      }],
+      ['seekTimeline', (command) => {
+        this.timelinePlayer.load(command.keyframes, command.loop);
+        this.timelinePlayer.seek(command.timeMs);
+        return this.timelinePlayer.getStatus();
+      }],
+      ['loopTimeline', (command) => {
+        this.timelinePlayer.setLoop(command.loop);
+        return this.timelinePlayer.getStatus();
+      }],
+      // Restore a complete scene state snapshot (used by undo/redo and scene presets)
+      ['restoreSceneState', async (command) => {
+        await this.restoreSceneState(command.state);
+        return { state: this.getSceneState() };
       }]
     ]);
   }
@@ -292,6 +621,8 @@ export class Application {
   _setupEventListeners() {
     // Mouse events for rotation
     this.canvas.addEventListener('mousedown', (e) => {
+      this._interruptAnimations();
+      
       const rect = this.canvas.getBoundingClientRect();
       const x = e.clientX - rect.left;
       const y = e.clientY - rect.top;
@@ -399,6 +730,7 @@ export class Application {
     // Mode-aware: handle camera wheel in model rotation mode, area light dolly in area light mode
     this.canvas.addEventListener('wheel', (e) => {
       e.preventDefault();
+      this._interruptAnimations();
       
       // Handle area light dolly when in area light manipulation mode and hovering over a light
       if (this.interactionModeManager.isAreaLightMode() && this.currentHoveredAreaLight) {
@@ -455,7 +787,18 @@ export class Application {
     });
   }
 
+  /**
+   * Hands control to the user when they start interacting with the scene
+   * Running transitions jump to their target and timeline playback pauses
+   */
+  _interruptAnimations() {
+    this.transitionManager.finish();
+    this.timelinePlayer.pause();
+  }
+
   _handleTouchStart(e) {
+    this._interruptAnimations();
+    
     if (e.touches.length === 2) {
       // Two-finger touch - prepare for pinch zoom
       const touch1 = e.touches[0];
@@ -513,6 +856,10 @@ export class Application {
       },
       (connected) => {
         this._updateConnectionStatus(connected);
+        // Report the initial scene state so the server has a baseline for undo history
+        if (connected) {
+          this._sendStateUpdate();
+        }
       },
       sessionId,
       (forceRefresh) => {
@@ -545,21 +892,76 @@ export class Application {
     }
   }
 
-  _handleWebSocketCommand(command) {
-    // Skip state updates for getter commands and toolCall notifications
-    const isGetterCommand = command.type.startsWith('get');
+  async _handleWebSocketCommand(command) {
+    // Skip state updates for getter commands (including screenshots) and toolCall notifications
+    const isGetterCommand = command.type.startsWith('get') || command.type === 'captureScreenshot';
     const isToolCallNotification = command.type === 'toolCall';
     
     const handler = this.commandHandlers.get(command.type);
-    if (handler) {
-      handler(command);
+    if (!handler) {
+      console.warn('Unknown command type:', command.type);
+      this._sendCommandAck(command, false, `Unknown command type: ${command.type}`);
+      return;
+    }
+
+    const isStateChangingCommand = !isGetterCommand && !isToolCallNotification;
+    const transitionStart = isStateChangingCommand && command.durationMs > 0
+      ? this.transitionManager.captureSnapshot()
+      : null;
+    if (isStateChangingCommand) {
+      // Commands build on the target of any running transition
+      this.transitionManager.finish();
+      // Direct scene changes stop timeline playback (timeline commands manage playback themselves)
+      if (!command.type.endsWith('Timeline')) {
+        this.timelinePlayer.pause();
+      }
+    }
+
+    try {
+      const result = await handler(command);
+      
+      // The command has been applied instantly; report its target state, then animate toward it
+      const targetState = isStateChangingCommand ? this.getSceneState() : null;
+      if (transitionStart) {
+        this.transitionManager.start(
+          transitionStart,
+          this.transitionManager.captureSnapshot(),
+          command.durationMs,
+          command.easing
+        );
+      }
       
       // Send state update after executing state-modifying commands
-      if (!isGetterCommand && !isToolCallNotification) {
-        this._sendStateUpdate();
+      // (before the ack, so the server's state cache is current when the tool resolves)
+      if (isStateChangingCommand) {
+        this._sendStateUpdate(command, targetState);
       }
-    } else {
-      console.warn('Unknown command type:', command.type);
+      this._sendCommandAck(command, true, null, result);
+    } catch (error) {
+      console.error(`Error executing command ${command.type}:`, error);
+      // The command may have partially applied, so report the resulting state as well
+      if (isStateChangingCommand) {
+        this._sendStateUpdate(command);
+      }
+      this._sendCommandAck(command, false, error.message || 'Command failed', error.result);
+    }
+  }
+
+  /**
+   * Acknowledges a command to the server with its outcome
+   * Only commands carrying a requestId (sent by MCP tools) are acknowledged; getter commands are not, since the server
+   * reads state through state queries (requestState / stateResponse) and never waits for their ack
+   * @param {Object} command - The command being acknowledged
+   * @param {boolean} success - Whether the command was applied
+   * @param {string|null} error - Error message if the command failed
+   * @param {Object} result - Resulting values after the command (e.g. clamped distances)
+   */
+  _sendCommandAck(command, success, error = null, result = {}) {
+    if (command.type.startsWith('get')) {
+      return;
+    }
+    if (command.requestId && this.wsClient && this.wsClient.isConnected()) {
+      this.wsClient.sendCommandAck(command.requestId, success, error, result || {});
     }
   }
 
@@ -631,6 +1033,10 @@ export class Application {
   _startAnimation() {
     const animate = () => {
       requestAnimationFrame(animate);
+      const now = performance.now();
+      this.transitionManager.update(now);
+      this.timelinePlayer.update(now);
+      this.rotationController.updateTurntable(now);
       this.sceneManager.render(this.cameraController.getCamera());
     };
     animate();
@@ -644,10 +1050,20 @@ export class Application {
     return {
       model: {
         color: this.sceneManager.getModelColor(),
+        position: this.sceneManager.getModelPosition(),
         scale: this.sceneManager.getModelScale(),
-        rotation: this.sceneManager.getModelRotation()
+        rotation: this.sceneManager.getModelRotation(),
+        material: this.sceneManager.getModelMaterial(),
+        textures: this.sceneManager.getModelTextures(),
+        matcap: this.sceneManager.getModelMatcap()
       },
+      // Every object in the scene; "model" above describes the selected one
+      selectedObjectId: this.sceneManager.getSelectedObjectId(),
+      objects: this.sceneManager.getObjects(),
       background: this.sceneManager.getBackgroundColor(),
+      environment: this.sceneManager.getEnvironment(),
+      ground: this.sceneManager.getGroundPlane(),
+      ambient: this.sceneManager.getAmbientLight(),
       keyLight: {
         intensity: this.sceneManager.getKeyLightIntensity(),
         color: this.sceneManager.getKeyLightColor(),
@@ -660,20 +1076,190 @@ export class Application {
         position: this.sceneManager.getFillLightPositionSpherical(),
         size: this.sceneManager.getFillLightSize()
       },
+      // Every light in the collection, including the key and fill lights above
+      lights: this.sceneManager.getLights(),
       camera: {
-        distance: this.sceneManager.getCameraDistance(),
+        ...this.sceneManager.getCameraPositionSpherical(),
+        target: this.sceneManager.getCameraTarget(),
         fov: this.sceneManager.getCameraFOV()
       }
     };
   }
 
+  /**
+   * Applies a complete scene state (as returned by getSceneState)
+   * Sections or fields missing from the state are left unchanged; texture maps, the matcap and the environment image
+   * are restored by restoreSceneState (timeline keyframes, which apply states synchronously, leave them unchanged)
+   * The objects list restores the listed objects and the selection; only restoreSceneState, which also loads the
+   * objects missing from the scene, removes the objects missing from it (see SceneManager.applyObjectsState). The model
+   * section applies to the state's selected object. The lights list adds and removes lights to match it
+   * (see SceneManager.applyLightsState)
+   * The camera is placed before the lights, whose camera-centric positions are relative to the view they were saved in
+   * @param {Object} state - Scene state object
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.pruneObjects=false] - Remove the objects missing from the state's objects list
+   */
+  applySceneState(state, { pruneObjects = false } = {}) {
+    const { model, objects, selectedObjectId, background, environment, ground, ambient, keyLight, fillLight, lights, camera } = state;
+
+    if (objects) {
+      this.sceneManager.applyObjectsState(objects, selectedObjectId, { prune: pruneObjects });
+    }
+
+    if (model) {
+      const objectId = this._getStateObjectId(state);
+      if (model.color) {
+        this.sceneManager.setModelMaterialColor(model.color, objectId);
+      }
+      if (model.position) {
+        this.sceneManager.setModelPosition(model.position.x, model.position.y, model.position.z, objectId);
+      }
+      if (model.scale) {
+        this.sceneManager.scaleModel(model.scale.x, model.scale.y, model.scale.z, objectId);
+      }
+      if (model.rotation) {
+        this.sceneManager.setModelRotation(model.rotation.x, model.rotation.y, model.rotation.z, objectId);
+      }
+      if (model.material) {
+        const { type, ...properties } = model.material;
+        this.sceneManager.setModelMaterial(properties, type, objectId);
+      }
+    }
+
+    if (background) {
+      this.sceneManager.changeBackgroundColor(background);
+    }
+
+    if (environment) {
+      this.sceneManager.applyEnvironmentSettings(environment);
+    }
+
+    if (ground !== undefined) {
+      // A null ground (as reported by getSceneState) hides it
+      this.sceneManager.setGroundPlane(ground ? { enabled: true, ...ground } : { enabled: false });
+    }
+
+    if (ambient) {
+      this.sceneManager.setAmbientLight(ambient);
+    }
+
+    if (camera) {
+      if (camera.target) {
+        this.sceneManager.setCameraTarget(camera.target.x, camera.target.y, camera.target.z);
+      }
+      if (camera.azimuth !== undefined || camera.elevation !== undefined || camera.distance !== undefined) {
+        this.sceneManager.setCameraPositionSpherical(camera);
+      }
+      if (camera.fov !== undefined) {
+        this.sceneManager.setCameraFOV(camera.fov);
+      }
+    }
+
+    if (keyLight) {
+      this._applyLightState(keyLight, {
+        setIntensity: (intensity) => this.sceneManager.setKeyLightIntensity(intensity),
+        setColor: (color) => this.sceneManager.setKeyLightColor(color),
+        setPositionSpherical: (azimuth, elevation) => this.sceneManager.setKeyLightPositionSpherical(azimuth, elevation),
+        setDistance: (distance) => this.sceneManager.setKeyLightDistance(distance),
+        setSize: (width, height) => this.sceneManager.setKeyLightSize(width, height)
+      });
+    }
+
+    if (fillLight) {
+      this._applyLightState(fillLight, {
+        setIntensity: (intensity) => this.sceneManager.setFillLightIntensity(intensity),
+        setColor: (color) => this.sceneManager.setFillLightColor(color),
+        setPositionSpherical: (azimuth, elevation) => this.sceneManager.setFillLightPositionSpherical(azimuth, elevation),
+        setDistance: (distance) => this.sceneManager.setFillLightDistance(distance),
+        setSize: (width, height) => this.sceneManager.setFillLightSize(width, height)
+      });
+    }
+
+    if (lights) {
+      this.sceneManager.applyLightsState(lights);
+    }
+  }
+
+  /**
+   * Restores a scene state, including the model's texture maps and matcap and the environment map
+   * (which load images, so unlike applySceneState this is asynchronous)
+   * @param {Object} state - Scene state object
+   * @returns {Promise<void>}
+   */
+  async restoreSceneState(state) {
+    if (state.objects) {
+      await this.sceneManager.loadObjectsState(state.objects);
+    }
+    this.applySceneState(state, { pruneObjects: true });
+    for (const object of state.objects || []) {
+      if (!this.sceneManager.hasObject(object.id)) {
+        continue;
+      }
+      if (object.textures) {
+        await this.sceneManager.applyModelTextureState(object.textures, object.id);
+      }
+      if (object.matcap !== undefined) {
+        await this.sceneManager.applyModelMatcapState(object.matcap, object.id);
+      }
+    }
+    const { model } = state;
+    const objectId = this._getStateObjectId(state);
+    if (model && model.textures) {
+      await this.sceneManager.applyModelTextureState(model.textures, objectId);
+    }
+    if (model && model.matcap !== undefined) {
+      await this.sceneManager.applyModelMatcapState(model.matcap, objectId);
+    }
+    if (state.environment !== undefined) {
+      await this.sceneManager.applyEnvironmentState(state.environment);
+    }
+  }
+
+  /**
+   * Gets the object a scene state's model section applies to: the state's selected object if the scene has it
+   * @param {Object} state - Scene state object
+   * @returns {string|null} Object ID, or null for the scene's selected object
+   */
+  _getStateObjectId(state) {
+    return state.selectedObjectId && this.sceneManager.hasObject(state.selectedObjectId) ? state.selectedObjectId : null;
+  }
+
+  /**
+   * Applies a light section of a scene state using the given setters
+   * @param {Object} lightState - Light state ({intensity, color, position, size})
+   * @param {Object} setters - Setter functions for the target light
+   */
+  _applyLightState(lightState, setters) {
+    if (lightState.intensity !== undefined) {
+      setters.setIntensity(lightState.intensity);
+    }
+    if (lightState.color) {
+      setters.setColor(lightState.color);
+    }
+    if (lightState.position) {
+      // Direction first (preserves distance), then distance (preserves direction)
+      setters.setPositionSpherical(lightState.position.azimuth, lightState.position.elevation);
+      if (lightState.position.distance !== undefined) {
+        setters.setDistance(lightState.position.distance);
+      }
+    }
+    if (lightState.size) {
+      setters.setSize(lightState.size.width, lightState.size.height);
+    }
+  }
+
   /**
    * Sends state update to server (push update after command execution)
+   * @param {Object} command - The command that caused the update (omitted for the initial state)
+   * @param {Object} state - State to report (defaults to the current scene state; transitions report their target)
    */
-  _sendStateUpdate() {
+  _sendStateUpdate(command = null, state = null) {
     if (this.wsClient && this.wsClient.isConnected()) {
-      const state = this.getSceneState();
-      this.wsClient.sendStateUpdate(state);
+      state = state || this.getSceneState();
+      this.wsClient.sendStateUpdate(state, {
+        requestId: command ? command.requestId : undefined,
+        commandType: command ? command.type : 'initial'
+      });
     }
   }
 }
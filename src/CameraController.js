@@ -2,7 +2,11 @@ import * as THREE from 'three';
 import { CONFIG } from './constants.js';
 
 /**
- * Manages the camera: creation, positioning, distance (dolly), and field of view (FOV) handling
+ * Manages the camera: creation, positioning, distance (dolly), orbit, and field of view (FOV) handling
+ * The camera orbits a target point (the selected object's pivot, set by SceneManager) and always looks at it;
+ * its position is given by spherical coordinates around the target in the world frame:
+ * azimuth 0° = front (+Z), 90° = right (+X), 180° = back, 270° = left,
+ * elevation 0° = level with the target, 90° = top (looking straight down)
  */
 export class CameraController {
   constructor() {
@@ -13,6 +17,11 @@ export class CameraController {
     this.maxFOV = CONFIG.CAMERA.FOV_MAX;
     this.dollySpeed = CONFIG.CAMERA.DOLLY_SPEED;
     this.fovSpeed = CONFIG.CAMERA.FOV_SPEED;
+    this.studioScale = 1; // Model size relative to CONFIG.MODEL.TARGET_RADIUS
+    this.target = new THREE.Vector3(0, 0, 0); // Point the camera orbits and looks at
+    this.distance = CONFIG.CAMERA.INITIAL_DISTANCE;
+    this.azimuth = 0; // Degrees, not wrapped to 0-360 so transitions take the short way around (see setOrbit)
+    this.elevation = 0; // Degrees (-90 to 90)
     
     // Touch pinch state
     this.initialPinchDistance = 0;
@@ -28,7 +37,23 @@ export class CameraController {
       CONFIG.CAMERA.NEAR,
       CONFIG.CAMERA.FAR
     );
-    this.camera.position.z = CONFIG.CAMERA.INITIAL_DISTANCE;
+    this._updateCamera();
+  }
+
+  /**
+   * Places the camera on its orbit and points it at the target
+   * The orientation comes from yaw (azimuth) and pitch (elevation) without roll, so the horizon stays level
+   * and the view from the top is well defined
+   */
+  _updateCamera() {
+    const azimuth = THREE.MathUtils.degToRad(this.azimuth);
+    const elevation = THREE.MathUtils.degToRad(this.elevation);
+    this.camera.position.set(
+      Math.sin(azimuth) * Math.cos(elevation),
+      Math.sin(elevation),
+      Math.cos(azimuth) * Math.cos(elevation)
+    ).multiplyScalar(this.distance).add(this.target);
+    this.camera.quaternion.setFromEuler(new THREE.Euler(-elevation, azimuth, 0, 'YXZ'));
   }
 
   handleWheel(deltaY, isShiftPressed = false) {
@@ -48,7 +73,7 @@ export class CameraController {
       touch2.clientX - touch1.clientX,
       touch2.clientY - touch1.clientY
     );
-    this.initialCameraDistance = this.camera.position.z;
+    this.initialCameraDistance = this.distance;
   }
 
   updatePinchZoom(touch1, touch2) {
@@ -58,10 +83,10 @@ export class CameraController {
     );
     
     const pinchDelta = this.initialPinchDistance - currentPinchDistance;
-    const dollyDelta = pinchDelta * CONFIG.INTERACTION.PINCH_ZOOM_SENSITIVITY;
+    const dollyDelta = pinchDelta * CONFIG.INTERACTION.PINCH_ZOOM_SENSITIVITY * this.studioScale;
     const newDistance = this.initialCameraDistance + dollyDelta;
     
-    this.camera.position.z = this._clampDistance(newDistance);
+    this.dollyCamera(newDistance);
   }
 
   _applyFOVChange(fovDelta) {
@@ -72,9 +97,8 @@ export class CameraController {
   }
 
   _applyDolly(dollyDelta) {
-    // Dollying: change camera distance (position.z)
-    const newDistance = this.camera.position.z + dollyDelta;
-    this.camera.position.z = this._clampDistance(newDistance);
+    // Dollying: change camera distance along the line of sight
+    this.dollyCamera(this.distance + dollyDelta);
   }
 
   _clampDistance(value) {
@@ -93,6 +117,31 @@ export class CameraController {
     this.camera.updateProjectionMatrix();
   }
 
+  /**
+   * Rescales the distance limits, dolly speed and clipping planes for the model size
+   * The camera distance is scaled by the same ratio, so the framing stays the same
+   * @param {number} scale - Model size relative to CONFIG.MODEL.TARGET_RADIUS
+   */
+  setStudioScale(scale) {
+    const ratio = scale / this.studioScale;
+    this.studioScale = scale;
+    this.minDistance = CONFIG.CAMERA.MIN_DISTANCE * scale;
+    this.maxDistance = CONFIG.CAMERA.MAX_DISTANCE * scale;
+    this.dollySpeed = CONFIG.CAMERA.DOLLY_SPEED * scale;
+    this.camera.near = CONFIG.CAMERA.NEAR * scale;
+    this.camera.far = CONFIG.CAMERA.FAR * scale;
+    this.camera.updateProjectionMatrix();
+    this.dollyCamera(this.distance * ratio);
+  }
+
+  /**
+   * Gets the camera distance limits
+   * @returns {{min: number, max: number}} Minimum and maximum distance
+   */
+  getDistanceLimits() {
+    return { min: this.minDistance, max: this.maxDistance };
+  }
+
   /**
    * Gets the Three.js camera instance
    * @returns {THREE.PerspectiveCamera} The camera
@@ -104,15 +153,16 @@ export class CameraController {
   // Public methods for camera control
 
   /**
-   * Sets the camera distance from the origin (dollying)
-   * @param {number} distance - Distance from origin (clamped to MIN_DISTANCE - MAX_DISTANCE)
+   * Sets the camera distance from the target (dollying)
+   * @param {number} distance - Distance from the target (clamped to MIN_DISTANCE - MAX_DISTANCE)
    */
   dollyCamera(distance) {
-    this.camera.position.z = this._clampDistance(distance);
+    this.distance = this._clampDistance(distance);
+    this._updateCamera();
   }
 
   /**
-   * Moves the camera closer to the origin (dolly in)
+   * Moves the camera closer to the target (dolly in)
    * @param {number} amount - Optional amount to move (defaults to DOLLY_SPEED)
    */
   dollyCameraIn(amount = null) {
@@ -121,7 +171,7 @@ export class CameraController {
   }
 
   /**
-   * Moves the camera farther from the origin (dolly out)
+   * Moves the camera farther from the target (dolly out)
    * @param {number} amount - Optional amount to move (defaults to DOLLY_SPEED)
    */
   dollyCameraOut(amount = null) {
@@ -157,11 +207,66 @@ export class CameraController {
   }
 
   /**
-   * Gets the current camera distance from origin
+   * Gets the current camera distance from the orbit target
    * @returns {number} Current camera distance
    */
   getCameraDistance() {
-    return this.camera.position.z;
+    return this.distance;
+  }
+
+  /**
+   * Moves the camera around the target to the given azimuth and elevation (the distance is kept)
+   * The azimuth is reached the short way around from the current one, so animated moves do not spin the long way
+   * @param {number} azimuth - Degrees: 0 = front, 90 = right, 180 = back, 270 = left
+   * @param {number} elevation - Degrees from -90 (bottom) to 90 (top); clamped
+   */
+  setOrbit(azimuth, elevation) {
+    const delta = ((azimuth - this.azimuth) % 360 + 540) % 360 - 180;
+    this.azimuth += delta;
+    this.elevation = Math.max(-90, Math.min(90, elevation));
+    this._updateCamera();
+  }
+
+  /**
+   * Orbits the camera around the target by the given angles
+   * @param {number} deltaAzimuth - Degrees; positive moves the camera to its right
+   * @param {number} deltaElevation - Degrees; positive moves the camera up (the elevation is clamped to -90 to 90)
+   */
+  orbit(deltaAzimuth, deltaElevation) {
+    this.azimuth += deltaAzimuth;
+    this.elevation = Math.max(-90, Math.min(90, this.elevation + deltaElevation));
+    this._updateCamera();
+  }
+
+  /**
+   * Sets the point the camera orbits and looks at (the camera keeps its angles and distance, so it moves along)
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} z - Z coordinate
+   */
+  setTarget(x, y, z) {
+    this.target.set(x, y, z);
+    this._updateCamera();
+  }
+
+  /**
+   * Gets the point the camera orbits and looks at
+   * @returns {THREE.Vector3} Target position in world coordinates
+   */
+  getTarget() {
+    return this.target.clone();
+  }
+
+  /**
+   * Gets the camera position around the target
+   * @returns {{azimuth: number, elevation: number, distance: number}} Azimuth (0-360) and elevation in degrees, and distance
+   */
+  getOrbit() {
+    return {
+      azimuth: ((this.azimuth % 360) + 360) % 360,
+      elevation: this.elevation,
+      distance: this.distance
+    };
   }
 
   /**
@@ -0,0 +1,191 @@
+import * as THREE from 'three';
+import { HDRLoader } from 'three/addons/loaders/HDRLoader.js';
+import { EXRLoader } from 'three/addons/loaders/EXRLoader.js';
+import { CONFIG } from './constants.js';
+import { Model } from './Model.js';
+
+/**
+ * Loaders for the supported environment map formats, keyed by file extension
+ */
+const ENVIRONMENT_LOADERS = {
+  hdr: () => new HDRLoader(),
+  exr: () => new EXRLoader()
+};
+
+export const ENVIRONMENT_FORMATS = Object.keys(ENVIRONMENT_LOADERS);
+
+/**
+ * Image-based lighting from an equirectangular HDR/EXR environment map
+ * The map is prefiltered with PMREM and set as scene.environment, so every physically based material
+ * is lit by it and reflects it; it can also be shown as the scene background
+ * SceneManager composes the background (environment or background color) from isShownAsBackground()
+ */
+export class EnvironmentLighting {
+  /**
+   * @param {THREE.Scene} scene - Scene to light
+   * @param {THREE.WebGLRenderer} renderer - Renderer used to prefilter environment maps
+   */
+  constructor(scene, renderer) {
+    this.scene = scene;
+    this.renderer = renderer;
+    this.texture = null; // Equirectangular source texture (shown as the background)
+    this.envMap = null; // PMREM-filtered texture (scene.environment)
+    this.source = null;
+    this.url = null;
+    this.showAsBackground = false;
+    this.pendingUrl = null;
+    this.setIntensity(CONFIG.LIGHTING.ENVIRONMENT.INTENSITY);
+    this.setRotation(CONFIG.LIGHTING.ENVIRONMENT.ROTATION);
+  }
+
+  /**
+   * Loads an environment map and lights the scene with it, replacing the current environment
+   * Intensity, rotation and the background setting carry over
+   * @param {string} url - URL of an equirectangular .hdr or .exr image
+   * @param {string} [format] - "hdr" or "exr" (defaults to the file extension of the URL, or of the source for data URLs)
+   * @param {string} [source] - Name to report for the environment (defaults to the URL; used for data URLs)
+   * @returns {Promise<void>}
+   * @throws {Error} If the format is unsupported or the image cannot be loaded
+   */
+  async load(url, format = null, source = url) {
+    const extension = (format || Model.getFormatFromUrl(url) || Model.getFormatFromUrl(source) || '').toLowerCase();
+    const createLoader = ENVIRONMENT_LOADERS[extension];
+    if (!createLoader) {
+      throw new Error(`Unsupported environment format "${extension || 'unknown'}". Supported formats: ${ENVIRONMENT_FORMATS.join(', ')}`);
+    }
+
+    this.pendingUrl = url;
+    let texture;
+    try {
+      texture = await createLoader().loadAsync(url);
+    } catch (error) {
+      throw new Error(`Failed to load environment map: ${error.message || error}`);
+    }
+    if (this.pendingUrl !== url) {
+      // A newer environment was requested while this one loaded
+      texture.dispose();
+      return;
+    }
+    texture.mapping = THREE.EquirectangularReflectionMapping;
+
+    const pmremGenerator = new THREE.PMREMGenerator(this.renderer);
+    const envMap = pmremGenerator.fromEquirectangular(texture).texture;
+    pmremGenerator.dispose();
+
+    this._disposeTextures();
+    this.texture = texture;
+    this.envMap = envMap;
+    this.source = source;
+    this.url = url;
+    this.scene.environment = envMap;
+  }
+
+  /**
+   * Removes the environment lighting (and the environment background)
+   */
+  clear() {
+    this.pendingUrl = null;
+    this._disposeTextures();
+    this.scene.environment = null;
+    this.source = null;
+    this.url = null;
+    this.showAsBackground = false;
+  }
+
+  /**
+   * Checks whether an environment map is loaded
+   * @returns {boolean} True if the scene is lit by an environment map
+   */
+  isLoaded() {
+    return this.envMap !== null;
+  }
+
+  /**
+   * Sets how strongly the environment lights and reflects on materials
+   * @param {number} intensity - Intensity multiplier (1 is the image's own brightness)
+   */
+  setIntensity(intensity) {
+    this.scene.environmentIntensity = intensity;
+  }
+
+  /**
+   * Gets the environment intensity
+   * @returns {number} Intensity multiplier
+   */
+  getIntensity() {
+    return this.scene.environmentIntensity;
+  }
+
+  /**
+   * Turns the environment (lighting and background) around the vertical axis
+   * @param {number} degrees - Rotation in degrees
+   */
+  setRotation(degrees) {
+    const radians = THREE.MathUtils.degToRad(degrees);
+    this.scene.environmentRotation.set(0, radians, 0);
+    this.scene.backgroundRotation.set(0, radians, 0);
+  }
+
+  /**
+   * Gets the environment rotation around the vertical axis
+   * @returns {number} Rotation in degrees
+   */
+  getRotation() {
+    return THREE.MathUtils.radToDeg(this.scene.environmentRotation.y);
+  }
+
+  /**
+   * Sets whether the environment image is shown as the scene background
+   * (applied by SceneManager, which otherwise shows the background color)
+   * @param {boolean} visible - True to show the environment behind the model
+   */
+  setShownAsBackground(visible) {
+    this.showAsBackground = visible;
+  }
+
+  /**
+   * Checks whether the environment image should be shown as the background
+   * @returns {boolean} True if an environment is loaded and set to show as the background
+   */
+  isShownAsBackground() {
+    return this.showAsBackground && this.texture !== null;
+  }
+
+  /**
+   * Gets the equirectangular environment texture (the background image)
+   * @returns {THREE.Texture|null} Texture, or null when no environment is loaded
+   */
+  getTexture() {
+    return this.texture;
+  }
+
+  /**
+   * Gets the environment settings
+   * Data URLs are left out (they are too large for scene states); such environments are identified by their source
+   * @returns {{source: string, url?: string, intensity: number, rotation: number, background: boolean}|null}
+   *   Environment, or null when no environment is loaded
+   */
+  getState() {
+    if (!this.isLoaded()) {
+      return null;
+    }
+    return {
+      source: this.source,
+      ...(!this.url.startsWith('data:') && { url: this.url }),
+      intensity: this.getIntensity(),
+      rotation: this.getRotation(),
+      background: this.showAsBackground
+    };
+  }
+
+  _disposeTextures() {
+    if (this.texture) {
+      this.texture.dispose();
+    }
+    if (this.envMap) {
+      this.envMap.dispose();
+    }
+    this.texture = null;
+    this.envMap = null;
+  }
+}
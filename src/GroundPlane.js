@@ -0,0 +1,253 @@
+import * as THREE from 'three';
+import { CONFIG } from './constants.js';
+
+/**
+ * Studio ground under the models: a flat floor or an infinity-curve cyclorama (floor sweeping up into a back wall),
+ * and a shadow catcher that shows the models' shadows
+ * RectAreaLights cannot cast shadows, so the shadows come from a directional light that only casts shadows
+ * (intensity 0, so it adds no light) and follows the key light's direction (see update())
+ * The ground lies in a group placed under the models by SceneManager (see setPlacement())
+ */
+export class GroundPlane {
+  /**
+   * @param {THREE.Scene} scene - Scene to add the ground to
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.group = new THREE.Group();
+    this.group.visible = false;
+    this.shape = 'floor'; // "floor", "cyclorama" or "none" (shadow catcher only)
+    this.scale = 1;
+    this.surface = null;
+
+    this.material = new THREE.MeshPhysicalMaterial({
+      color: CONFIG.GROUND.COLOR,
+      roughness: CONFIG.GROUND.ROUGHNESS,
+      reflectivity: CONFIG.GROUND.REFLECTIVITY,
+      side: THREE.DoubleSide
+    });
+
+    // Shadow catcher: transparent except where shadows fall, just above the floor so it draws over it
+    this.shadowCatcher = new THREE.Mesh(
+      new THREE.PlaneGeometry(1, 1),
+      new THREE.ShadowMaterial({ opacity: CONFIG.GROUND.SHADOW_OPACITY })
+    );
+    this.shadowCatcher.rotation.x = -Math.PI / 2;
+    this.shadowCatcher.position.y = 0.001;
+    this.shadowCatcher.receiveShadow = true;
+    this.group.add(this.shadowCatcher);
+
+    this.shadowLight = new THREE.DirectionalLight(0xffffff, 0);
+    this.shadowLight.castShadow = false;
+    this.shadowLight.shadow.mapSize.set(CONFIG.GROUND.SHADOW_MAP_SIZE, CONFIG.GROUND.SHADOW_MAP_SIZE);
+    this.shadowLight.shadow.radius = CONFIG.GROUND.SHADOW_RADIUS;
+    this.shadowLight.shadow.bias = -0.0005;
+
+    this.scene.add(this.group);
+    this.scene.add(this.shadowLight);
+    this.scene.add(this.shadowLight.target);
+    this._buildSurface();
+  }
+
+  /**
+   * Shows or hides the ground (surface, shadow catcher and shadows)
+   * @param {boolean} enabled - True to show the ground
+   */
+  setEnabled(enabled) {
+    this.group.visible = enabled;
+    this._updateShadowCasting();
+  }
+
+  /**
+   * Checks whether the ground is shown
+   * @returns {boolean} True if the ground is shown
+   */
+  isEnabled() {
+    return this.group.visible;
+  }
+
+  /**
+   * Sets the ground shape
+   * @param {string} shape - "floor", "cyclorama" (floor curving up into a back wall behind the models)
+   *   or "none" (no visible surface; only the shadow catcher, so shadows fall on the background)
+   */
+  setShape(shape) {
+    if (!['floor', 'cyclorama', 'none'].includes(shape)) {
+      throw new Error(`Unknown ground shape "${shape}". Shapes: floor, cyclorama, none`);
+    }
+    this.shape = shape;
+    this._buildSurface();
+  }
+
+  /**
+   * Positions the ground under the models and sizes it for the studio
+   * @param {THREE.Vector3} position - Point on the floor under the models' center (y is the floor height)
+   * @param {number} scale - Studio scale (model size relative to CONFIG.MODEL.TARGET_RADIUS)
+   */
+  setPlacement(position, scale) {
+    this.group.position.copy(position);
+    if (scale !== this.scale) {
+      this.scale = scale;
+      this._buildSurface();
+    }
+  }
+
+  /**
+   * Sets the ground surface color
+   * @param {string} color - Hex color string (e.g., "#9a9a9a")
+   */
+  setColor(color) {
+    this.material.color.set(color);
+  }
+
+  /**
+   * Sets the ground surface roughness
+   * @param {number} roughness - 0 (polished) to 1 (matte)
+   */
+  setRoughness(roughness) {
+    this.material.roughness = roughness;
+  }
+
+  /**
+   * Sets how strongly the ground surface reflects light (the specular reflectivity of a non-metal;
+   * sharp reflections also need low roughness and an environment map)
+   * @param {number} reflectivity - 0 to 1
+   */
+  setReflectivity(reflectivity) {
+    this.material.reflectivity = reflectivity;
+  }
+
+  /**
+   * Turns the shadow catcher and the shadow-casting light on or off
+   * @param {boolean} enabled - True to show the models' shadows on the ground
+   */
+  setShadows(enabled) {
+    this.shadowCatcher.visible = enabled;
+    this._updateShadowCasting();
+  }
+
+  /**
+   * Sets how dark the shadows are
+   * @param {number} opacity - 0 (invisible) to 1 (black)
+   */
+  setShadowOpacity(opacity) {
+    this.shadowCatcher.material.opacity = opacity;
+  }
+
+  /**
+   * Moves the shadow light to shine from the key light's direction (called every frame)
+   * @param {THREE.Vector3} center - Orbit center of the lights (world coordinates)
+   * @param {THREE.Vector3} direction - Direction from the center toward the key light
+   */
+  update(center, direction) {
+    if (!this.shadowLight.castShadow) {
+      return;
+    }
+    const distance = CONFIG.GROUND.SHADOW_LIGHT_DISTANCE * this.scale;
+    this.shadowLight.target.position.copy(center);
+    this.shadowLight.position.copy(direction).normalize().multiplyScalar(distance).add(center);
+    this.shadowLight.target.updateMatrixWorld();
+  }
+
+  /**
+   * Gets the ground settings
+   * @returns {{shape: string, color: string, roughness: number, reflectivity: number, shadows: boolean, shadowOpacity: number}|null}
+   *   Settings, or null when the ground is hidden
+   */
+  getState() {
+    if (!this.isEnabled()) {
+      return null;
+    }
+    return {
+      shape: this.shape,
+      color: '#' + this.material.color.getHexString(),
+      roughness: this.material.roughness,
+      // Reflectivity is stored as an index of refraction; rounding hides the conversion error
+      reflectivity: Math.round(this.material.reflectivity * 1e6) / 1e6,
+      shadows: this.shadowCatcher.visible,
+      shadowOpacity: this.shadowCatcher.material.opacity
+    };
+  }
+
+  _updateShadowCasting() {
+    this.shadowLight.castShadow = this.group.visible && this.shadowCatcher.visible;
+  }
+
+  /**
+   * Rebuilds the ground surface and shadow catcher for the current shape and studio scale
+   * and fits the shadow camera around them
+   */
+  _buildSurface() {
+    if (this.surface) {
+      this.group.remove(this.surface);
+      this.surface.geometry.dispose();
+      this.surface = null;
+    }
+
+    const size = CONFIG.GROUND.SIZE * this.scale;
+    if (this.shape === 'floor') {
+      this.surface = new THREE.Mesh(new THREE.PlaneGeometry(size, size), this.material);
+      this.surface.rotation.x = -Math.PI / 2;
+    } else if (this.shape === 'cyclorama') {
+      this.surface = new THREE.Mesh(GroundPlane._createCycloramaGeometry(size, this.scale), this.material);
+    }
+    if (this.surface) {
+      this.group.add(this.surface);
+    }
+
+    // The shadow catcher covers the floor up to the back wall; shadows fall around the models
+    const depth = this.shape === 'cyclorama' ? size / 2 + CONFIG.GROUND.CYCLORAMA.DEPTH * this.scale : size;
+    this.shadowCatcher.geometry.dispose();
+    this.shadowCatcher.geometry = new THREE.PlaneGeometry(size, depth);
+    this.shadowCatcher.position.z = (size - depth) / 2;
+
+    const extent = CONFIG.MODEL.TARGET_RADIUS * 3 * this.scale;
+    const camera = this.shadowLight.shadow.camera;
+    camera.left = -extent;
+    camera.right = extent;
+    camera.top = extent;
+    camera.bottom = -extent;
+    camera.near = 0.1 * this.scale;
+    camera.far = CONFIG.GROUND.SHADOW_LIGHT_DISTANCE * 2 * this.scale;
+    camera.updateProjectionMatrix();
+  }
+
+  /**
+   * Builds an infinity-curve cyclorama: a floor that sweeps up into a back wall behind the models
+   * (the wall is at -z, facing the camera), without a visible corner
+   * @param {number} size - Floor width and depth
+   * @param {number} scale - Studio scale for the wall distance, curve radius and wall height
+   * @returns {THREE.BufferGeometry} Cyclorama geometry (y = 0 is the floor)
+   */
+  static _createCycloramaGeometry(size, scale) {
+    const { DEPTH, RADIUS, HEIGHT } = CONFIG.GROUND.CYCLORAMA;
+    const wallZ = -DEPTH * scale;
+    const radius = RADIUS * scale;
+    const height = HEIGHT * scale;
+    const curveSegments = 24;
+
+    // Profile in (z, y) from the front edge of the floor, through the curve, to the top of the wall
+    const profile = [new THREE.Vector2(size / 2, 0)];
+    for (let i = 0; i <= curveSegments; i++) {
+      const angle = (i / curveSegments) * (Math.PI / 2);
+      profile.push(new THREE.Vector2(wallZ + radius - radius * Math.sin(angle), radius - radius * Math.cos(angle)));
+    }
+    profile.push(new THREE.Vector2(wallZ, height));
+
+    const positions = [];
+    const indices = [];
+    for (const point of profile) {
+      positions.push(-size / 2, point.y, point.x, size / 2, point.y, point.x);
+    }
+    for (let i = 0; i < profile.length - 1; i++) {
+      const a = i * 2;
+      indices.push(a, a + 1, a + 2, a + 1, a + 3, a + 2);
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setIndex(indices);
+    geometry.computeVertexNormals();
+    return geometry;
+  }
+}
@@ -1,46 +1,886 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
+import { STLLoader } from 'three/addons/loaders/STLLoader.js';
+import { PLYLoader } from 'three/addons/loaders/PLYLoader.js';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
 import { CONFIG } from './constants.js';
 
 /**
- * Represents a 3D model with its geometry, material, and mesh
+ * Loaders for each supported model format
+ * Each entry creates its three.js loader and extracts the loaded result as an Object3D or BufferGeometry
+ */
+const MODEL_FORMATS = {
+  gltf: { createLoader: () => new GLTFLoader(), extract: (gltf) => gltf.scene },
+  glb: { createLoader: () => new GLTFLoader(), extract: (gltf) => gltf.scene },
+  obj: { createLoader: () => new OBJLoader(), extract: (group) => group },
+  stl: { createLoader: () => new STLLoader(), extract: (geometry) => geometry },
+  ply: { createLoader: () => new PLYLoader(), extract: (geometry) => geometry }
+};
+
+/**
+ * Supported model file extensions (lowercase, without the dot)
+ */
+const MODEL_FORMAT_EXTENSIONS = Object.keys(MODEL_FORMATS);
+
+/**
+ * Editable properties of the model material, by kind ('number', 'color' as a hex string, or 'boolean')
+ * The physical properties need a MeshPhysicalMaterial (see setMaterialType())
+ */
+export const STANDARD_MATERIAL_PROPERTIES = {
+  roughness: 'number',
+  metalness: 'number',
+  emissive: 'color',
+  emissiveIntensity: 'number',
+  opacity: 'number',
+  flatShading: 'boolean',
+  wireframe: 'boolean'
+};
+
+export const PHYSICAL_MATERIAL_PROPERTIES = {
+  clearcoat: 'number',
+  clearcoatRoughness: 'number',
+  sheen: 'number',
+  sheenRoughness: 'number',
+  sheenColor: 'color',
+  transmission: 'number',
+  ior: 'number',
+  thickness: 'number'
+};
+
+/**
+ * Texture map slots of the model material, keyed by the map names the texture tools use
+ */
+export const TEXTURE_SLOTS = {
+  color: 'map',
+  normal: 'normalMap',
+  roughness: 'roughnessMap',
+  ao: 'aoMap',
+  emissive: 'emissiveMap'
+};
+
+/**
+ * Represents a 3D model with its geometry, materials, and scene objects
  * Handles all model-related creation and configuration
+ *
+ * The model is a small hierarchy:
+ * - object: added to the scene; carries the model's position, rotation and scale
+ * - fitGroup: scales the loaded content to the studio's target size (auto-fit) and offsets it so
+ *   the chosen pivot point (center, bottom or a custom point) sits at the object's origin
+ * - content: the loaded model - either a single mesh with the model material (all meshes merged),
+ *   or the file's own scene graph with its meshes, node transforms and original materials
  */
 export class Model {
   constructor() {
-    this.geometry = null;
+    this.object = null;
+    this.fitGroup = null;
+    this.content = null;
     this.material = null;
-    this.mesh = null;
-    this.loader = new GLTFLoader();
+    this.source = null;
+    this.format = null; // File format the model was loaded with (null when taken from the URL's extension)
+    this.sourceBoundingBox = null;
+    this.sourceCenter = new THREE.Vector3();
+    this.sourceRadius = 0;
+    this.normalized = false;
+    this.pivot = { mode: 'origin', point: new THREE.Vector3() };
+    this.originalMaterials = new Map();
+    this.originalColors = new Map();
+    this.meshMaterials = new Map();
+    this.textures = new Map(); // Map<slot, {source, url, repeat, offset}> of the model material's texture maps
+    this.matcap = null; // {source, url} while the matcap material is shown
+    this.matcapMaterial = null;
+    this.materialsBeforeMatcap = new Map();
   }
 
   /**
-   * Loads the GLTF model asynchronously
+   * Loads the model asynchronously (the default model unless a URL is given)
+   * @param {string} [url=CONFIG.MODEL.URL] - URL of a glTF/GLB, OBJ, STL or PLY file
+   * @param {string} [format] - File format (defaults to the URL's file extension)
+   * @param {string} [source] - Name to report for the model (defaults to the URL; used for data URLs)
+   * @param {boolean} [autoFit=true] - Center the model on its origin and scale it to CONFIG.MODEL.TARGET_RADIUS
+   * @param {boolean} [preserveMaterials=false] - Keep the file's scene graph, meshes and materials (see replace())
    * @returns {Promise<void>}
    */
-  async load() {
-    await this._loadModel('/models/gltf/LeePerrySmith/LeePerrySmith.glb');
+  async load(url = CONFIG.MODEL.URL, format = null, source = url, autoFit = true, preserveMaterials = false) {
     this._createMaterial();
-    this._createMesh();
+    this._createObject();
+    this._setContent(await this._loadContent(url, format, preserveMaterials), autoFit);
+    this.source = source;
+    this.format = format;
   }
 
-  async _loadModel(url) {
+  /**
+   * Frees the model's GPU resources (geometries, materials and textures)
+   * The model cannot be used afterwards
+   */
+  dispose() {
+    this._disposeContent(this.content);
+    this._disposeMatcap();
+    for (const property of Object.values(TEXTURE_SLOTS)) {
+      if (this.material[property]) {
+        this.material[property].dispose();
+      }
+    }
+    this.material.dispose();
+  }
+
+  /**
+   * Replaces the model with a model loaded from a URL
+   * The model object is kept, so its position, rotation, scale and material color carry over to the new model
+   * (the pivot is reset: centered for auto-fit models, the file's origin otherwise)
+   * @param {string} url - URL of a glTF/GLB, OBJ, STL or PLY file
+   * @param {string} [format] - File format (defaults to the URL's file extension)
+   * @param {string} [source] - Name to report for the model (defaults to the URL; used for data URLs)
+   * @param {boolean} [autoFit=true] - Center the model on its origin and scale it to CONFIG.MODEL.TARGET_RADIUS
+   * @param {boolean} [preserveMaterials=false] - Keep the file's scene graph, meshes and materials
+   *   instead of merging all meshes into one mesh with the model material
+   * @returns {Promise<void>}
+   */
+  async replace(url, format = null, source = url, autoFit = true, preserveMaterials = false) {
+    const content = await this._loadContent(url, format, preserveMaterials);
+    this.fitGroup.remove(this.content);
+    this._disposeContent(this.content);
+    this._setContent(content, autoFit);
+    this.source = source;
+    this.format = format;
+    if (this.matcapMaterial) {
+      this._showMatcap();
+    }
+  }
 
-      return new Promise((resolve, reject) => {
+  async _loadContent(url, format = null, preserveMaterials = false) {
+    const extension = (format || Model.getFormatFromUrl(url) || '').toLowerCase();
+    const modelFormat = MODEL_FORMATS[extension];
+    if (!modelFormat) {
+      throw new Error(`Unsupported model format "${extension || 'unknown'}". Supported formats: ${MODEL_FORMAT_EXTENSIONS.join(', ')}`);
+    }
 
-          const onLoad = (gltf) => {
-              // Extract geometry from the first child of the scene
-              this.geometry = gltf.scene.children[0].geometry;
-              resolve();
-          }
+    let loaded;
+    try {
+      loaded = modelFormat.extract(await modelFormat.createLoader().loadAsync(url));
+    } catch (error) {
+      console.error('Error loading model:', error);
+      throw new Error(`Failed to load model: ${error.message || error}`);
+    }
+
+    if (preserveMaterials && !loaded.isBufferGeometry) {
+      if (Model._collectMeshes(loaded).length === 0) {
+        throw new Error('The model file does not contain any meshes');
+      }
+      return loaded;
+    }
+
+    const geometry = loaded.isBufferGeometry ? loaded : this._mergeMeshGeometries(loaded);
+    if (!geometry.getAttribute('normal')) {
+      geometry.computeVertexNormals();
+    }
+    return new THREE.Mesh(geometry, this.material);
+  }
 
-          const onError = (error) => {
-              console.error('Error loading model:', error);
-              reject(error);
+  _setContent(content, autoFit) {
+    this.content = content;
+    this.originalMaterials.clear();
+    this.originalColors.clear();
+    this.meshMaterials.clear();
+    for (const mesh of Model._collectMeshes(content)) {
+      mesh.castShadow = true; // Shadows show when the studio ground is on (see GroundPlane)
+      if (mesh.material !== this.material) {
+        this.originalMaterials.set(mesh, mesh.material);
+        for (const material of Model._materialList(mesh.material)) {
+          if (material.color) {
+            this.originalColors.set(material, material.color.clone());
           }
+        }
+      }
+    }
+
+    this._measureContent();
+    this.fitGroup.add(content);
+    this.normalized = false;
+    this.pivot = { mode: 'origin', point: new THREE.Vector3() };
+    if (autoFit) {
+      this.normalize();
+    } else {
+      this._applyFit();
+    }
+  }
+
+  /**
+   * Measures the loaded content (including its node transforms) in the file's units:
+   * bounding box, and the bounding sphere around the box center
+   */
+  _measureContent() {
+    this.content.updateMatrixWorld(true);
+    const meshes = Model._collectMeshes(this.content);
+    const box = new THREE.Box3();
+    const vertex = new THREE.Vector3();
+    const forEachVertex = (callback) => {
+      for (const mesh of meshes) {
+        const position = mesh.geometry.getAttribute('position');
+        for (let i = 0; i < position.count; i++) {
+          callback(vertex.fromBufferAttribute(position, i).applyMatrix4(mesh.matrixWorld));
+        }
+      }
+    };
+
+    forEachVertex((point) => box.expandByPoint(point));
+    this.sourceBoundingBox = box;
+    box.getCenter(this.sourceCenter);
+    let radiusSquared = 0;
+    forEachVertex((point) => {
+      radiusSquared = Math.max(radiusSquared, point.distanceToSquared(this.sourceCenter));
+    });
+    this.sourceRadius = Math.sqrt(radiusSquared);
+  }
+
+  /**
+   * Scales the model so its bounding sphere has radius CONFIG.MODEL.TARGET_RADIUS and places its pivot
+   * on the model origin (a model without a pivot is centered)
+   */
+  normalize() {
+    this.normalized = true;
+    if (this.pivot.mode === 'origin') {
+      this.pivot.mode = 'center';
+    }
+    this._applyFit();
+  }
+
+  /**
+   * Sets the point of the model that sits on the model object's origin (what the model rotates and scales around)
+   * @param {string} mode - "center" (bounding box center), "bottom" (center of the bounding box's bottom face)
+   *   or "custom"
+   * @param {{x: number, y: number, z: number}} [point] - For "custom": offset from the bounding box center,
+   *   in fitted model units (the same units as getRadius())
+   */
+  setPivot(mode, point = null) {
+    this.pivot = {
+      mode,
+      point: mode === 'custom' && point ? new THREE.Vector3(point.x, point.y, point.z) : new THREE.Vector3()
+    };
+    this._applyFit();
+  }
+
+  /**
+   * Gets the model's pivot
+   * @returns {{mode: string, point: THREE.Vector3}} Pivot mode ("origin" is the file's own origin, for models
+   *   that were not auto-fit) and, for "custom", the offset from the bounding box center
+   */
+  getPivot() {
+    return { mode: this.pivot.mode, point: this.pivot.point.clone() };
+  }
+
+  /**
+   * Gets the offset of the loaded content from the model object's origin (set by auto-fit and the pivot)
+   * @returns {THREE.Vector3} Offset in model object units
+   */
+  getFitOffset() {
+    return this.fitGroup.position.clone();
+  }
+
+  /**
+   * Applies the auto-fit scale and the pivot offset to the fit group
+   */
+  _applyFit() {
+    const scale = this.normalized && this.sourceRadius > 0 ? CONFIG.MODEL.TARGET_RADIUS / this.sourceRadius : 1;
+    const pivotPoint = new THREE.Vector3();
+    switch (this.pivot.mode) {
+      case 'center':
+        pivotPoint.copy(this.sourceCenter);
+        break;
+      case 'bottom':
+        pivotPoint.set(this.sourceCenter.x, this.sourceBoundingBox.min.y, this.sourceCenter.z);
+        break;
+      case 'custom':
+        pivotPoint.copy(this.pivot.point).divideScalar(scale).add(this.sourceCenter);
+        break;
+    }
+    this.fitGroup.scale.set(scale, scale, scale);
+    this.fitGroup.position.copy(pivotPoint).multiplyScalar(-scale);
+  }
+
+  /**
+   * Gets the radius of the model's bounding sphere (after auto-fit, before the model scale is applied)
+   * @returns {number} Radius in model units
+   */
+  getRadius() {
+    return this.sourceRadius * this.fitGroup.scale.x;
+  }
+
+  /**
+   * Gets the bounding box of the model as loaded from its file (in the file's units, before normalization)
+   * @returns {THREE.Box3} Bounding box
+   */
+  getSourceBoundingBox() {
+    return this.sourceBoundingBox;
+  }
+
+  /**
+   * Checks whether the model has been centered and scaled to the target radius
+   * @returns {boolean} True if normalized
+   */
+  isNormalized() {
+    return this.normalized;
+  }
+
+  /**
+   * Checks whether the model keeps the materials from its file
+   * (false when its meshes were merged into one mesh with the model material)
+   * @returns {boolean} True if the original materials are kept
+   */
+  hasOriginalMaterials() {
+    return this.originalMaterials.size > 0;
+  }
+
+  /**
+   * Gets the names of the model's meshes (unnamed meshes are left out)
+   * @returns {string[]} Unique mesh names in scene graph order
+   */
+  getMeshNames() {
+    const names = new Set();
+    for (const mesh of Model._collectMeshes(this.content)) {
+      if (mesh.name) {
+        names.add(mesh.name);
+      }
+    }
+    return [...names];
+  }
+
+  /**
+   * Counts the vertices and triangles of all meshes in the model
+   * @returns {{meshCount: number, vertexCount: number, triangleCount: number}} Geometry statistics
+   */
+  getGeometryStats() {
+    let vertexCount = 0;
+    let triangleCount = 0;
+    const meshes = Model._collectMeshes(this.content);
+    for (const { geometry } of meshes) {
+      const count = geometry.getAttribute('position').count;
+      vertexCount += count;
+      triangleCount += Math.floor((geometry.index ? geometry.index.count : count) / 3);
+    }
+    return { meshCount: meshes.length, vertexCount, triangleCount };
+  }
+
+  /**
+   * Sets the model color on a set of materials
+   * - "all": the model material gets the color and every mesh is switched to it (a uniform studio look)
+   * - "original": the file's original materials are put back and their base color is set
+   *   (textures are kept; the color tints them)
+   * - a mesh or node name: only that part of the model gets the color, on its own copy of its original material
+   * @param {number} hexColor - Color as a number (e.g., 0xff0000)
+   * @param {string} [target="all"] - "all", "original", or a mesh or node name (case-insensitive)
+   * @throws {Error} If the target needs original materials the model does not have, or no mesh has the name
+   */
+  setColor(hexColor, target = 'all') {
+    if (target === 'all') {
+      this.material.color.setHex(hexColor);
+      this._useMaterials(() => this.material);
+      return;
+    }
+
+    if (!this.hasOriginalMaterials()) {
+      throw new Error('The model was loaded without its original materials; only target "all" is available. ' +
+        'Load it with preserveMaterials to keep the file\'s materials.');
+    }
+
+    if (target === 'original') {
+      this._useMaterials((mesh) => this.originalMaterials.get(mesh));
+      for (const material of this.originalColors.keys()) {
+        material.color.setHex(hexColor);
+      }
+      return;
+    }
+
+    const meshes = this._findMeshes(target);
+    this.clearMatcap();
+    for (const mesh of meshes) {
+      if (!this.meshMaterials.has(mesh)) {
+        const original = this.originalMaterials.get(mesh);
+        const copy = Array.isArray(original) ? original.map((material) => material.clone()) : original.clone();
+        this.meshMaterials.set(mesh, copy);
+        mesh.material = copy;
+      }
+      for (const material of Model._materialList(this.meshMaterials.get(mesh))) {
+        if (material.color) {
+          material.color.setHex(hexColor);
+        }
+      }
+    }
+  }
+
+  /**
+   * Puts the file's original materials back on every mesh, with their original colors
+   * @throws {Error} If the model was loaded without its original materials
+   */
+  restoreOriginalMaterials() {
+    if (!this.hasOriginalMaterials()) {
+      throw new Error('The model was loaded without its original materials. Load it with preserveMaterials to keep the file\'s materials.');
+    }
+    this._useMaterials((mesh) => this.originalMaterials.get(mesh));
+    for (const [material, color] of this.originalColors) {
+      material.color.copy(color);
+    }
+  }
+
+  /**
+   * Checks whether every mesh shows the model material (so model material edits are visible)
+   * @returns {boolean} True if no mesh uses an original or per-mesh material
+   */
+  usesModelMaterial() {
+    return Model._collectMeshes(this.content).every((mesh) => mesh.material === this.material);
+  }
+
+  /**
+   * Gets the model material type
+   * @returns {string} "standard" (MeshStandardMaterial) or "physical" (MeshPhysicalMaterial)
+   */
+  getMaterialType() {
+    return this.material.isMeshPhysicalMaterial ? 'physical' : 'standard';
+  }
+
+  /**
+   * Switches the model material between MeshStandardMaterial and MeshPhysicalMaterial
+   * The color and standard properties carry over; switching to "standard" drops the physical properties
+   * @param {string} type - "standard" or "physical"
+   */
+  setMaterialType(type) {
+    if (type === this.getMaterialType()) {
+      return;
+    }
+
+    const previous = this.material;
+    const MaterialClass = type === 'physical' ? THREE.MeshPhysicalMaterial : THREE.MeshStandardMaterial;
+    this.material = new MaterialClass({ color: previous.color });
+    this._setMaterialValues(this.material, this.getMaterialProperties(previous));
+    for (const property of Object.values(TEXTURE_SLOTS)) {
+      this.material[property] = previous[property];
+    }
+    for (const mesh of Model._collectMeshes(this.content)) {
+      if (mesh.material === previous) {
+        mesh.material = this.material;
+      }
+      if (this.materialsBeforeMatcap.get(mesh) === previous) {
+        this.materialsBeforeMatcap.set(mesh, this.material);
+      }
+    }
+    previous.dispose();
+  }
+
+  /**
+   * Gets the editable properties of the model material (physical properties only for the physical material)
+   * @param {THREE.MeshStandardMaterial} [material] - Material to read (defaults to the model material)
+   * @returns {Object} Property values; colors as hex strings (e.g., "#000000")
+   */
+  getMaterialProperties(material = this.material) {
+    const properties = {};
+    const kinds = material.isMeshPhysicalMaterial
+      ? { ...STANDARD_MATERIAL_PROPERTIES, ...PHYSICAL_MATERIAL_PROPERTIES }
+      : STANDARD_MATERIAL_PROPERTIES;
+    for (const [name, kind] of Object.entries(kinds)) {
+      properties[name] = kind === 'color' ? '#' + material[name].getHexString() : material[name];
+    }
+    return properties;
+  }
+
+  /**
+   * Sets properties of the model material; properties that are not given keep their values
+   * Setting a physical property switches the material to MeshPhysicalMaterial
+   * @param {Object} properties - Values for STANDARD_MATERIAL_PROPERTIES and PHYSICAL_MATERIAL_PROPERTIES;
+   *   colors as hex strings
+   * @throws {Error} If a property name is unknown
+   */
+  setMaterialProperties(properties) {
+    const unknown = Object.keys(properties)
+      .filter((name) => !(name in STANDARD_MATERIAL_PROPERTIES) && !(name in PHYSICAL_MATERIAL_PROPERTIES));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown material properties: ${unknown.join(', ')}`);
+    }
+    if (Object.keys(properties).some((name) => name in PHYSICAL_MATERIAL_PROPERTIES)) {
+      this.setMaterialType('physical');
+    }
+    this._setMaterialValues(this.material, properties);
+  }
+
+  _setMaterialValues(material, properties) {
+    for (const [name, value] of Object.entries(properties)) {
+      if (value === undefined || !(name in material)) {
+        continue;
+      }
+      if (material[name] && material[name].isColor) {
+        material[name].set(value);
+      } else {
+        material[name] = value;
+      }
+    }
+
+    // Shading and blending changes need a shader recompile
+    const transparent = material.opacity < 1;
+    if ('flatShading' in properties || transparent !== material.transparent) {
+      material.transparent = transparent;
+      material.needsUpdate = true;
+    }
+  }
+
+  /**
+   * Checks whether every mesh has texture coordinates (texture maps have no effect without them)
+   * @returns {boolean} True if all meshes have a uv attribute
+   */
+  hasTextureCoordinates() {
+    return Model._collectMeshes(this.content).every((mesh) => mesh.geometry.getAttribute('uv'));
+  }
+
+  /**
+   * Loads an image and attaches it to the model material as a texture map
+   * The texture repeats; an emissive map also turns a black emissive color white so the map shows
+   * @param {string} slot - Map name: "color", "normal", "roughness", "ao" or "emissive" (see TEXTURE_SLOTS)
+   * @param {string} url - Image URL (PNG, JPEG or WebP)
+   * @param {string} [source] - Name to report for the texture (defaults to the URL; used for data URLs)
+   * @param {{x: number, y: number}} [repeat] - How often the texture repeats across the UV space (defaults to 1 x 1)
+   * @param {{x: number, y: number}} [offset] - Texture offset in UV units (defaults to 0, 0)
+   * @returns {Promise<void>}
+   * @throws {Error} If the map name is unknown or the image cannot be loaded
+   */
+  async setTexture(slot, url, source = url, repeat = { x: 1, y: 1 }, offset = { x: 0, y: 0 }) {
+    const property = Model._getTextureProperty(slot);
+    const entry = { source, url, repeat: { ...repeat }, offset: { ...offset } };
+    this.textures.set(slot, entry);
+
+    let texture;
+    try {
+      texture = await new THREE.TextureLoader().loadAsync(url);
+    } catch (error) {
+      if (this.textures.get(slot) === entry) {
+        this.textures.delete(slot);
+      }
+      throw new Error(`Failed to load texture: ${error.message || error}`);
+    }
+    if (this.textures.get(slot) !== entry) {
+      // A newer texture was requested for the map while this one loaded
+      texture.dispose();
+      return;
+    }
+
+    if (slot === 'color' || slot === 'emissive') {
+      texture.colorSpace = THREE.SRGBColorSpace;
+    }
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    const previous = this.material[property];
+    this.material[property] = texture;
+    if (slot === 'emissive' && this.material.emissive.getHex() === 0) {
+      this.material.emissive.set(0xffffff);
+    }
+    this.setTextureTransform(slot, entry.repeat, entry.offset);
+    this.material.needsUpdate = true;
+    if (previous) {
+      previous.dispose();
+    }
+  }
+
+  /**
+   * Sets how a texture map repeats and where it starts
+   * @param {string} slot - Map name (see TEXTURE_SLOTS)
+   * @param {{x: number, y: number}} [repeat] - Repeat count in each direction (unchanged if omitted)
+   * @param {{x: number, y: number}} [offset] - Offset in UV units (unchanged if omitted)
+   * @throws {Error} If the map name is unknown or no texture is attached to the map
+   */
+  setTextureTransform(slot, repeat = null, offset = null) {
+    const property = Model._getTextureProperty(slot);
+    const entry = this.textures.get(slot);
+    if (!entry) {
+      throw new Error(`The model has no ${slot} map`);
+    }
+    if (repeat) {
+      entry.repeat = { x: repeat.x, y: repeat.y };
+    }
+    if (offset) {
+      entry.offset = { x: offset.x, y: offset.y };
+    }
+    const texture = this.material[property];
+    if (texture) {
+      texture.repeat.set(entry.repeat.x, entry.repeat.y);
+      texture.offset.set(entry.offset.x, entry.offset.y);
+    }
+  }
+
+  /**
+   * Detaches a texture map from the model material
+   * @param {string} slot - Map name (see TEXTURE_SLOTS), or "all" for every map
+   * @throws {Error} If the map name is unknown
+   */
+  clearTexture(slot) {
+    const slots = slot === 'all' ? Object.keys(TEXTURE_SLOTS) : [slot];
+    for (const name of slots) {
+      const property = Model._getTextureProperty(name);
+      this.textures.delete(name);
+      if (this.material[property]) {
+        this.material[property].dispose();
+        this.material[property] = null;
+        this.material.needsUpdate = true;
+      }
+    }
+  }
+
+  /**
+   * Gets the texture maps attached to the model material
+   * Data URLs are left out (they are too large for scene states); such textures are identified by their source
+   * @returns {Object<string, {source: string, url?: string, repeat: Object, offset: Object}>} Textures by map name
+   */
+  getTextures() {
+    const textures = {};
+    for (const [slot, { source, url, repeat, offset }] of this.textures) {
+      textures[slot] = {
+        source,
+        ...(url && !url.startsWith('data:') && { url }),
+        repeat: { ...repeat },
+        offset: { ...offset }
+      };
+    }
+    return textures;
+  }
+
+  static _getTextureProperty(slot) {
+    const property = TEXTURE_SLOTS[slot];
+    if (!property) {
+      throw new Error(`Unknown texture map "${slot}". Maps: ${Object.keys(TEXTURE_SLOTS).join(', ')}`);
+    }
+    return property;
+  }
+
+  /**
+   * Shows the model with a matcap material (a "material capture" image that bakes lighting into the surface),
+   * a quick look for reviewing sculpted shapes that ignores the scene lights
+   * The previous materials come back with clearMatcap()
+   * @param {string|null} url - Matcap image URL, or null for a built-in neutral clay matcap
+   * @param {string} [source] - Name to report for the matcap (defaults to the URL, or "default")
+   * @returns {Promise<void>}
+   * @throws {Error} If the image cannot be loaded
+   */
+  async setMatcap(url, source = url || 'default') {
+    let texture;
+    try {
+      texture = url ? await new THREE.TextureLoader().loadAsync(url) : Model._createDefaultMatcap();
+    } catch (error) {
+      throw new Error(`Failed to load matcap: ${error.message || error}`);
+    }
+    texture.colorSpace = THREE.SRGBColorSpace;
+
+    if (this.matcapMaterial) {
+      const previous = this.matcapMaterial.matcap;
+      this.matcapMaterial.matcap = texture;
+      this.matcapMaterial.needsUpdate = true;
+      previous.dispose();
+    } else {
+      this.matcapMaterial = new THREE.MeshMatcapMaterial({ matcap: texture });
+      this._showMatcap();
+    }
+    this.matcap = { source, url };
+  }
+
+  /**
+   * Puts the materials shown before setMatcap() back on the model
+   */
+  clearMatcap() {
+    for (const [mesh, material] of this.materialsBeforeMatcap) {
+      if (mesh.material === this.matcapMaterial) {
+        mesh.material = material;
+      }
+    }
+    this._disposeMatcap();
+  }
+
+  /**
+   * Gets the matcap shown on the model (data URLs are left out, as for getTextures())
+   * @returns {{source: string, url?: string}|null} Matcap, or null when the model shows its materials
+   */
+  getMatcap() {
+    if (!this.matcap) {
+      return null;
+    }
+    const { source, url } = this.matcap;
+    return { source, ...(url && !url.startsWith('data:') && { url }) };
+  }
+
+  _showMatcap() {
+    this.materialsBeforeMatcap.clear();
+    for (const mesh of Model._collectMeshes(this.content)) {
+      this.materialsBeforeMatcap.set(mesh, mesh.material);
+      mesh.material = this.matcapMaterial;
+    }
+  }
+
+  _disposeMatcap() {
+    if (this.matcapMaterial) {
+      this.matcapMaterial.matcap.dispose();
+      this.matcapMaterial.dispose();
+    }
+    this.matcapMaterial = null;
+    this.matcap = null;
+    this.materialsBeforeMatcap.clear();
+  }
+
+  /**
+   * Draws a neutral clay matcap: a lit sphere with a soft key highlight and a darker rim
+   * @returns {THREE.CanvasTexture} Matcap texture
+   */
+  static _createDefaultMatcap() {
+    const size = 256;
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const context = canvas.getContext('2d');
+    const gradient = context.createRadialGradient(size * 0.38, size * 0.32, size * 0.02, size / 2, size / 2, size / 2);
+    gradient.addColorStop(0, '#f4eee8');
+    gradient.addColorStop(0.35, '#c9bdb2');
+    gradient.addColorStop(0.8, '#7d726a');
+    gradient.addColorStop(1, '#3e3835');
+    context.fillStyle = '#3e3835';
+    context.fillRect(0, 0, size, size);
+    context.fillStyle = gradient;
+    context.beginPath();
+    context.arc(size / 2, size / 2, size / 2, 0, Math.PI * 2);
+    context.fill();
+    return new THREE.CanvasTexture(canvas);
+  }
+
+  /**
+   * Assigns materials to every mesh, discarding per-mesh material copies
+   * @param {Function} getMaterial - Returns the material for a mesh
+   */
+  _useMaterials(getMaterial) {
+    this._disposeMatcap();
+    for (const mesh of Model._collectMeshes(this.content)) {
+      mesh.material = getMaterial(mesh);
+    }
+    for (const copy of this.meshMaterials.values()) {
+      Model._materialList(copy).forEach((material) => material.dispose());
+    }
+    this.meshMaterials.clear();
+  }
+
+  /**
+   * Finds the meshes of a named part of the model: meshes with the name, and meshes below nodes with the name
+   * @param {string} name - Mesh or node name (case-insensitive)
+   * @returns {THREE.Mesh[]} Meshes
+   * @throws {Error} If nothing in the model has the name
+   */
+  _findMeshes(name) {
+    const requested = name.trim().toLowerCase();
+    const meshes = new Set();
+    this.content.traverse((object) => {
+      if (object.name.toLowerCase() === requested) {
+        Model._collectMeshes(object).forEach((mesh) => meshes.add(mesh));
+      }
+    });
+    if (meshes.size === 0) {
+      const names = this.getMeshNames();
+      throw new Error(`No mesh named "${name}" in the model. ` +
+        (names.length > 0 ? `Mesh names: ${names.join(', ')}` : 'The model\'s meshes are unnamed.'));
+    }
+    return [...meshes];
+  }
+
+  /**
+   * Frees the GPU resources of the current content before it is replaced (the model material is kept)
+   * @param {THREE.Object3D} content - Content that is being replaced
+   */
+  _disposeContent(content) {
+    const materials = new Set();
+    for (const mesh of Model._collectMeshes(content)) {
+      mesh.geometry.dispose();
+      Model._materialList(mesh.material).forEach((material) => materials.add(material));
+    }
+    for (const original of [...this.originalMaterials.values(), ...this.materialsBeforeMatcap.values()]) {
+      Model._materialList(original).forEach((material) => materials.add(material));
+    }
+    materials.delete(this.material);
+    materials.delete(this.matcapMaterial);
+    for (const material of materials) {
+      for (const value of Object.values(material)) {
+        if (value && value.isTexture) {
+          value.dispose();
+        }
+      }
+      material.dispose();
+    }
+  }
+
+  /**
+   * Gets all meshes with geometry below (and including) an object
+   * @param {THREE.Object3D} root - Object to search
+   * @returns {THREE.Mesh[]} Meshes in scene graph order
+   */
+  static _collectMeshes(root) {
+    const meshes = [];
+    root.traverse((object) => {
+      if (object.isMesh && object.geometry.getAttribute('position')) {
+        meshes.push(object);
+      }
+    });
+    return meshes;
+  }
 
-          this.loader.load(url, onLoad, undefined, onError);
+  /**
+   * Gets a mesh's materials as an array (meshes may have one material or an array of them)
+   * @param {THREE.Material|THREE.Material[]} material - Mesh material
+   * @returns {THREE.Material[]} Materials
+   */
+  static _materialList(material) {
+    return Array.isArray(material) ? material : [material];
+  }
+
+  /**
+   * Combines the geometries of all meshes in a loaded scene into one geometry
+   * Mesh transforms are baked in; attributes other than position, normal and uv are dropped when merging
+   * @param {THREE.Object3D} root - Loaded scene or group
+   * @returns {THREE.BufferGeometry} Combined geometry
+   */
+  _mergeMeshGeometries(root) {
+    root.updateMatrixWorld(true);
+    const meshes = Model._collectMeshes(root);
+
+    if (meshes.length === 0) {
+      throw new Error('The model file does not contain any meshes');
+    }
+    if (meshes.length === 1) {
+      return meshes[0].geometry.clone().applyMatrix4(meshes[0].matrixWorld);
+    }
+
+    // Texture coordinates are kept when every mesh has them
+    const keptAttributes = ['position', 'normal'];
+    if (meshes.every((mesh) => mesh.geometry.getAttribute('uv'))) {
+      keptAttributes.push('uv');
+    }
+    const parts = meshes.map((mesh) => {
+      const part = mesh.geometry.index ? mesh.geometry.toNonIndexed() : mesh.geometry.clone();
+      for (const name of Object.keys(part.attributes)) {
+        if (!keptAttributes.includes(name)) {
+          part.deleteAttribute(name);
+        }
+      }
+      part.morphAttributes = {};
+      part.clearGroups();
+      if (!part.getAttribute('normal')) {
+        part.computeVertexNormals();
+      }
+      return part.applyMatrix4(mesh.matrixWorld);
     });
+    const merged = mergeGeometries(parts);
+    if (!merged) {
+      throw new Error('The model meshes could not be combined');
+    }
+    return merged;
+  }
+
+  /**
+   * Gets the model format from a URL's file extension
+   * @param {string} url - Model URL
+   * @returns {string|null} Lowercase extension without the dot, or null if there is none
+   */
+  static getFormatFromUrl(url) {
+    const path = url.split(/[?#]/)[0];
+    const match = path.match(/\.([A-Za-z0-9]+)$/);
+    return match ? match[1].toLowerCase() : null;
   }
 
   _createMaterial() {
@@ -48,38 +888,47 @@ export class Model {
     this.material = new THREE.MeshStandardMaterial({ color: CONFIG.MODEL.COLOR });
   }
 
-  _createMesh() {
-    // Create a mesh (geometry + material)
-    this.mesh = new THREE.Mesh(this.geometry, this.material);
+  _createObject() {
+    // The model object carries the model's position, rotation and scale; the fit group holds the loaded content
+    this.object = new THREE.Group();
+    this.fitGroup = new THREE.Group();
+    this.object.add(this.fitGroup);
     // Position model at model origin
     const origin = CONFIG.MODEL.ORIGIN;
-    this.mesh.position.set(origin.x, origin.y, origin.z);
+    this.object.position.set(origin.x, origin.y, origin.z);
     // Apply initial scale
-    this.mesh.scale.set(CONFIG.MODEL.SIZE, CONFIG.MODEL.SIZE, CONFIG.MODEL.SIZE);
+    this.object.scale.set(CONFIG.MODEL.SIZE, CONFIG.MODEL.SIZE, CONFIG.MODEL.SIZE);
   }
 
   /**
-   * Gets the Three.js mesh object that can be added to a scene
-   * @returns {THREE.Mesh} The model mesh
+   * Gets the Three.js object that can be added to a scene
+   * @returns {THREE.Group} The model object
    */
-  getMesh() {
-    return this.mesh;
+  getObject() {
+    return this.object;
   }
 
   /**
-   * Gets the model's geometry
-   * @returns {THREE.BufferGeometry} The model geometry
+   * Gets the model material (used by merged models, and by every mesh after a color change with target "all")
+   * @returns {THREE.MeshStandardMaterial} The model material
    */
-  getGeometry() {
-    return this.geometry;
+  getMaterial() {
+    return this.material;
   }
 
   /**
-   * Gets the model's material
-   * @returns {THREE.MeshStandardMaterial} The model material
+   * Gets where the current model was loaded from
+   * @returns {string} Model URL or library file name
    */
-  getMaterial() {
-    return this.material;
+  getSource() {
+    return this.source;
   }
-}
 
+  /**
+   * Gets the file format the model was loaded with
+   * @returns {string|null} Format, or null if it was taken from the URL's file extension
+   */
+  getFormat() {
+    return this.format;
+  }
+}
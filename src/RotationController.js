@@ -32,8 +32,17 @@ export class RotationController {
     this.angleOfRotation = 0;
     this.axisOfRotation = new THREE.Vector3(0, 0, 0);
 
+    // Turntable (continuous auto-rotation) state
+    // The turntable keeps spinning the object it was started for, even after another object is selected
+    this.turntable = null;
+    this.turntableModel = null;
+    this.lastTurntableTime = null;
+
     // Render callback (will be set by Application)
     this.onRender = null;
+
+    // Camera the drag is relative to (will be set by Application); drags follow the screen after the camera orbits
+    this.camera = null;
   }
 
   /**
@@ -73,6 +82,11 @@ export class RotationController {
     }
     this.axisOfRotation.normalize();
 
+    // The axis is in camera space: turn it into world space
+    if (this.camera) {
+      this.axisOfRotation.applyQuaternion(this.camera.quaternion);
+    }
+
     // Create quaternion for this rotation
     const quaternionDrag = new THREE.Quaternion();
     quaternionDrag.setFromAxisAngle(this.axisOfRotation, this.angleOfRotation);
@@ -243,6 +257,46 @@ export class RotationController {
     this.startVector.set(0, 0, 0);
   }
 
+  /**
+   * Switches the object that drags, momentum and rotation commands rotate (e.g. when another object is selected)
+   * Any drag or momentum of the previous object is stopped
+   * @param {THREE.Object3D} model - Object to rotate
+   */
+  setModel(model) {
+    this.stopDrag();
+    this.model = model;
+    this.quaternion.copy(model.quaternion);
+    this.quaternionTouchDown.copy(model.quaternion);
+  }
+
+  /**
+   * Runs rotation commands on another object without disturbing the current object's drag or momentum
+   * @param {THREE.Object3D} model - Object to rotate
+   * @param {Function} callback - Called with this controller temporarily rotating the object
+   * @returns {*} The callback's return value
+   */
+  withModel(model, callback) {
+    if (model === this.model) {
+      return callback(this);
+    }
+
+    const current = {
+      model: this.model,
+      quaternion: this.quaternion.clone(),
+      quaternionTouchDown: this.quaternionTouchDown.clone()
+    };
+    this.model = model;
+    this.quaternion.copy(model.quaternion);
+    this.quaternionTouchDown.copy(model.quaternion);
+    try {
+      return callback(this);
+    } finally {
+      this.model = current.model;
+      this.quaternion.copy(current.quaternion);
+      this.quaternionTouchDown.copy(current.quaternionTouchDown);
+    }
+  }
+
   /**
    * Gets the model rotation as Euler angles in degrees
    * @returns {{x: number, y: number, z: number}} Euler angles in degrees (XYZ order)
@@ -281,6 +335,85 @@ export class RotationController {
     }
   }
 
+  /**
+   * Sets the model rotation from a quaternion (used for smooth transitions)
+   * @param {THREE.Quaternion} quaternion - The new model orientation
+   */
+  setRotationQuaternion(quaternion) {
+    this.model.quaternion.copy(quaternion);
+    // Update internal quaternion state to match
+    this.quaternion.copy(quaternion);
+    this.quaternionTouchDown.copy(quaternion);
+  }
+
+  /**
+   * Starts spinning the model continuously around a world axis (turntable mode)
+   * The rotation is advanced from the render loop via updateTurntable()
+   * @param {string} axis - World axis to spin around: 'x', 'y' or 'z' (defaults to 'y')
+   * @param {number} speed - Rotation speed in degrees per second (defaults to 30)
+   * @param {string} direction - 'clockwise' or 'counterclockwise', viewed from the positive end of the axis (defaults to 'counterclockwise')
+   */
+  startTurntable(axis = 'y', speed = 30, direction = 'counterclockwise') {
+    this.turntable = { axis, speed, direction };
+    this.turntableModel = this.model;
+    this.lastTurntableTime = null;
+  }
+
+  /**
+   * Stops turntable mode, leaving the model at its current orientation
+   */
+  stopTurntable() {
+    this.turntable = null;
+    this.turntableModel = null;
+    this.lastTurntableTime = null;
+  }
+
+  /**
+   * Gets the object the turntable spins
+   * @returns {THREE.Object3D|null} Spinning object, or null when the turntable is stopped
+   */
+  getTurntableModel() {
+    return this.turntableModel;
+  }
+
+  /**
+   * Gets the turntable settings
+   * @returns {{axis: string, speed: number, direction: string}|null} Settings, or null when the turntable is stopped
+   */
+  getTurntable() {
+    return this.turntable ? { ...this.turntable } : null;
+  }
+
+  /**
+   * Advances the turntable rotation (called from the render loop)
+   * Paused while the user drags the model; resumes from the dragged orientation on release
+   * @param {number} now - Current time in milliseconds (performance.now())
+   */
+  updateTurntable(now) {
+    if (!this.turntable) {
+      return;
+    }
+
+    const lastTime = this.lastTurntableTime;
+    this.lastTurntableTime = now;
+    if (lastTime === null || this.isDragging) {
+      return;
+    }
+
+    const { axis, speed, direction } = this.turntable;
+    const sign = direction === 'clockwise' ? -1 : 1;
+    const angle = THREE.MathUtils.degToRad(sign * speed * (now - lastTime) / 1000);
+    const axisVector = new THREE.Vector3(axis === 'x' ? 1 : 0, axis === 'y' ? 1 : 0, axis === 'z' ? 1 : 0);
+
+    // Pre-multiply so the model spins around the world axis regardless of its orientation
+    const step = new THREE.Quaternion().setFromAxisAngle(axisVector, angle);
+    if (this.turntableModel === this.model) {
+      this.setRotationQuaternion(step.multiply(this.model.quaternion));
+    } else {
+      this.turntableModel.quaternion.premultiply(step);
+    }
+  }
+
   /**
    * Rotates the model clockwise around Y axis (yaw) relative to current rotation
    * @param {number} degrees - Amount to rotate in degrees (defaults to 10°)
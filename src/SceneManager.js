@@ -1,7 +1,10 @@
 import * as THREE from 'three';
 import { CONFIG } from './constants.js';
-import { Model } from './Model.js';
+import { Model, STANDARD_MATERIAL_PROPERTIES, PHYSICAL_MATERIAL_PROPERTIES } from './Model.js';
 import { AreaLight } from './AreaLight.js';
+import { StudioLight, LIGHT_TYPES } from './StudioLight.js';
+import { EnvironmentLighting } from './EnvironmentLighting.js';
+import { GroundPlane } from './GroundPlane.js';
 import { RectAreaLightUniformsLib } from 'three/addons/lights/RectAreaLightUniformsLib.js';
 import { RectAreaLightHelper } from 'three/addons/helpers/RectAreaLightHelper.js';
 
@@ -14,12 +17,20 @@ export class SceneManager {
     this.camera = camera;
     this.scene = null;
     this.renderer = null;
-    this.model = null;
-    this.keyLight = null;
+    this.objects = new Map(); // Map<id, {id, name, model: Model}> of the models in the scene
+    this.selectedObjectId = null; // Object that model commands without an object ID apply to
+    this.nextObjectNumber = 1;
+    this.lights = new Map(); // Map<id, StudioLight> of the studio lights, including the key and fill lights
+    this.nextLightNumber = 1;
+    this.ambientLight = null; // Uniform ambient fill (THREE.AmbientLight)
+    this.hemisphereLight = null; // Sky/ground ambient fill, used instead of the ambient light in hemisphere mode
+    this.keyLight = null; // Built-in entries of the light collection (AreaLight), which cannot be removed
     this.fillLight = null;
-    this.keyLightHelper = null;
-    this.fillLightHelper = null;
+    this.environment = null; // Image-based lighting (EnvironmentLighting)
+    this.backgroundColor = null; // Background color (THREE.Color), shown unless the environment is the background
+    this.ground = null; // Studio floor and shadow catcher (GroundPlane)
     this.rotationController = null; // Set by Application after initialization
+    this.studioScale = 1; // Model size relative to CONFIG.MODEL.TARGET_RADIUS (scales lights and camera limits)
   }
 
   async initialize() {
@@ -34,51 +45,50 @@ export class SceneManager {
   }
 
   _createRenderer() {
-    this.renderer = new THREE.WebGLRenderer({ canvas: this.canvas });
+    // Alpha channel enables transparent-background screenshots; the canvas itself stays opaque
+    this.renderer = new THREE.WebGLRenderer({ canvas: this.canvas, alpha: true });
+    this.renderer.setClearColor(0x000000, 1);
     this.renderer.setSize(window.innerWidth, window.innerHeight);
+    // Shadows are only cast by the ground's shadow light, while the ground shows shadows
+    this.renderer.shadowMap.enabled = true;
     
     // Initialize RectAreaLight uniforms library (required for area lights)
     RectAreaLightUniformsLib.init();
   }
 
   async _createModel() {
-    this.model = new Model();
-    await this.model.load();
-    this.scene.add(this.model.getMesh());
+    const model = new Model();
+    await model.load();
+    this.selectedObjectId = this._addObjectEntry(model).id;
   }
 
   _createLights() {
     // Ambient light for minimal general illumination
-    const ambientLight = new THREE.AmbientLight(
-      CONFIG.LIGHTING.AMBIENT.COLOR,
-      CONFIG.LIGHTING.AMBIENT.INTENSITY
-    );
-    this.scene.add(ambientLight);
+    // Both fills share intensity and (sky) color; only the one for the current mode is visible
+    const { MODE, COLOR, GROUND_COLOR, INTENSITY } = CONFIG.LIGHTING.AMBIENT;
+    this.ambientLight = new THREE.AmbientLight(COLOR, INTENSITY);
+    this.hemisphereLight = new THREE.HemisphereLight(COLOR, GROUND_COLOR, INTENSITY);
+    this.scene.add(this.ambientLight, this.hemisphereLight);
+    this.setAmbientLight({ mode: MODE });
 
     // Key light - main light source
-    this.keyLight = new AreaLight('key');
-    this.scene.add(this.keyLight.getLight()); // Add parent group to scene
-    // Add helper to visualize the key light (attach to light object, not parent)
-    this.keyLightHelper = new RectAreaLightHelper(this.keyLight.getLightObject());
-    this.keyLight.getLightObject().add(this.keyLightHelper);
-    this.keyLight.setHelper(this.keyLightHelper);
-    
-    // Create highlight overlay for key light
-    this.keyLight.createHighlightOverlay();
+    this.keyLight = this._addLightEntry(new AreaLight('key'));
 
     // Fill light - softer light to fill shadows
-    this.fillLight = new AreaLight('fill');
-    this.scene.add(this.fillLight.getLight()); // Add parent group to scene
-    // Add helper to visualize the fill light (attach to light object, not parent)
-    this.fillLightHelper = new RectAreaLightHelper(this.fillLight.getLightObject());
-    this.fillLight.getLightObject().add(this.fillLightHelper);
-    this.fillLight.setHelper(this.fillLightHelper);
-    
-    // Create highlight overlay for fill light
-    this.fillLight.createHighlightOverlay();
+    this.fillLight = this._addLightEntry(new AreaLight('fill'));
+
+    // Image-based lighting, off until an environment map is loaded
+    this.environment = new EnvironmentLighting(this.scene, this.renderer);
+
+    // Studio floor and shadow catcher, hidden until set_ground_plane
+    this.ground = new GroundPlane(this.scene);
   }
 
   render(camera) {
+    if (this.ground && this.ground.isEnabled()) {
+      // The shadow follows the key light wherever it is moved
+      this.ground.update(this.keyLight.getOrbitCenter(), this.keyLight.getPositionCartesian());
+    }
     this.renderer.render(this.scene, camera);
   }
 
@@ -86,8 +96,74 @@ export class SceneManager {
     this.renderer.setSize(window.innerWidth, window.innerHeight);
   }
 
+  /**
+   * Renders a single frame and captures it as a PNG image
+   * The canvas is temporarily resized for the capture and restored afterwards
+   * If only one of width/height is given, the other follows the current canvas aspect ratio
+   * @param {Object} options - Capture options
+   * @param {number} [options.width] - Image width in pixels (defaults to current canvas width)
+   * @param {number} [options.height] - Image height in pixels (defaults to current canvas height)
+   * @param {boolean} [options.transparentBackground=false] - Render without the scene background
+   * @returns {{data: string, mimeType: string, width: number, height: number}} Base64-encoded PNG data
+   */
+  captureScreenshot(options = {}) {
+    const { transparentBackground = false } = options;
+    const originalSize = this.renderer.getSize(new THREE.Vector2());
+    const originalPixelRatio = this.renderer.getPixelRatio();
+    const originalAspect = this.camera.aspect;
+    const originalBackground = this.scene.background;
+    const originalClearAlpha = this.renderer.getClearAlpha();
+    const canvasAspect = originalSize.x / originalSize.y;
+
+    let width = options.width;
+    let height = options.height;
+    if (!width && !height) {
+      width = originalSize.x;
+      height = originalSize.y;
+    } else if (!width) {
+      width = Math.round(height * canvasAspect);
+    } else if (!height) {
+      height = Math.round(width / canvasAspect);
+    }
+
+    try {
+      this.renderer.setPixelRatio(1);
+      this.renderer.setSize(width, height, false);
+      this.camera.aspect = width / height;
+      this.camera.updateProjectionMatrix();
+
+      if (transparentBackground) {
+        this.scene.background = null;
+        this.renderer.setClearAlpha(0);
+      }
+
+      // Read the drawing buffer in the same task as the render (no preserveDrawingBuffer needed)
+      this.renderer.render(this.scene, this.camera);
+      const dataUrl = this.canvas.toDataURL('image/png');
+
+      return {
+        data: dataUrl.substring(dataUrl.indexOf(',') + 1),
+        mimeType: 'image/png',
+        width: width,
+        height: height
+      };
+    } finally {
+      this.scene.background = originalBackground;
+      this.renderer.setClearAlpha(originalClearAlpha);
+      this.renderer.setPixelRatio(originalPixelRatio);
+      this.renderer.setSize(originalSize.x, originalSize.y, false);
+      this.camera.aspect = originalAspect;
+      this.camera.updateProjectionMatrix();
+      this.render(this.camera);
+    }
+  }
+
+  /**
+   * Gets the selected object's Three.js object (the one mouse drags rotate)
+   * @returns {THREE.Object3D} Selected model object
+   */
   getModel() {
-    return this.model.getMesh();
+    return this._getModel().getObject();
   }
 
   // Camera control methods
@@ -174,12 +250,70 @@ export class SceneManager {
     return 0;
   }
 
+  /**
+   * Moves the camera around its target (orbiting); the camera keeps looking at the target, the selected object's pivot
+   * Lights stay where they are in the scene, so their camera-centric azimuths change with the view
+   * @param {Object} position - Omitted values keep their current setting
+   * @param {number} [position.azimuth] - Degrees: 0 = front, 90 = right, 180 = back, 270 = left
+   * @param {number} [position.elevation] - Degrees from -90 (bottom) to 90 (top)
+   * @param {number} [position.distance] - Distance from the target (clamped to the dolly limits)
+   */
+  setCameraPositionSpherical({ azimuth, elevation, distance } = {}) {
+    const current = this.cameraController.getOrbit();
+    this.cameraController.setOrbit(azimuth ?? current.azimuth, elevation ?? current.elevation);
+    if (distance !== undefined) {
+      this.cameraController.dollyCamera(distance);
+    }
+    this.render(this.camera);
+  }
+
+  /**
+   * Orbits the camera around its target by the given angles
+   * @param {number} deltaAzimuth - Degrees; positive moves the camera to its right
+   * @param {number} deltaElevation - Degrees; positive moves the camera up
+   */
+  orbitCamera(deltaAzimuth, deltaElevation) {
+    this.cameraController.orbit(deltaAzimuth, deltaElevation);
+    this.render(this.camera);
+  }
+
+  /**
+   * Gets the camera position around its target
+   * @returns {{azimuth: number, elevation: number, distance: number}} Azimuth (0-360) and elevation in degrees, and distance
+   */
+  getCameraPositionSpherical() {
+    return this.cameraController.getOrbit();
+  }
+
+  /**
+   * Sets the point the camera orbits and looks at; it is reset to the selected object's pivot whenever that
+   * moves or the selection changes
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} z - Z coordinate
+   */
+  setCameraTarget(x, y, z) {
+    this.cameraController.setTarget(x, y, z);
+    this.render(this.camera);
+  }
+
+  /**
+   * Gets the point the camera orbits and looks at
+   * @returns {{x: number, y: number, z: number}} Target position in world coordinates
+   */
+  getCameraTarget() {
+    const { x, y, z } = this.cameraController.getTarget();
+    return { x, y, z };
+  }
+
   /**
    * Sets the camera controller reference (called by Application after initialization)
+   * The camera starts out orbiting the selected object's pivot
    * @param {CameraController} cameraController - The camera controller instance
    */
   setCameraController(cameraController) {
     this.cameraController = cameraController;
+    this._updateOrbitCenter();
   }
 
   /**
@@ -190,45 +324,447 @@ export class SceneManager {
     this.rotationController = rotationController;
   }
 
+  // Object methods
+  // Model methods take an optional object ID and apply to the selected object when it is omitted
+
+  /**
+   * Adds a model loaded from a URL to the scene as a new object
+   * Without a position, the object is placed to the right of the existing objects
+   * @param {string} url - Model URL (glTF/GLB, OBJ, STL or PLY)
+   * @param {string} [format] - File format (defaults to the URL's file extension)
+   * @param {string} [source] - Name to report for the model (defaults to the URL)
+   * @param {Object} [options] - Object options
+   * @param {string} [options.name] - Display name (defaults to the file name without extension)
+   * @param {{x: number, y: number, z: number}} [options.position] - World position of the object's pivot
+   * @param {boolean} [options.autoFit=true] - Center the model and scale it to the studio's target size
+   * @param {boolean} [options.preserveMaterials=false] - Keep the file's meshes, node transforms and materials
+   * @param {boolean} [options.select=true] - Select the new object
+   * @param {string} [options.id] - Object ID (defaults to "object-<n>"; scene states restore objects with their IDs)
+   * @returns {Promise<string>} ID of the new object
+   * @throws {Error} If the model cannot be loaded or the ID is already used
+   */
+  async addObject(url, format = null, source = url, options = {}) {
+    const { name, position, autoFit = true, preserveMaterials = false, select = true, id = null } = options;
+    if (id && this.objects.has(id)) {
+      throw new Error(`An object with ID "${id}" already exists`);
+    }
+    const model = new Model();
+    await model.load(url, format, source, autoFit, preserveMaterials);
+    const entry = this._addObjectEntry(model, name, id);
+    if (position) {
+      model.getObject().position.set(position.x, position.y, position.z);
+    } else {
+      this._placeBesideObjects(entry);
+    }
+    if (select) {
+      this.selectObject(entry.id);
+    }
+    this._fitStudioToScene();
+    this.render(this.camera);
+    return entry.id;
+  }
+
+  /**
+   * Removes an object from the scene and frees its resources
+   * If the object was selected, the first remaining object is selected
+   * @param {string} objectId - ID of the object to remove
+   * @throws {Error} If the ID is unknown or the object is the last one in the scene
+   */
+  removeObject(objectId) {
+    const entry = this._getObjectEntry(objectId);
+    if (this.objects.size === 1) {
+      throw new Error(`"${entry.name}" is the only object in the scene and cannot be removed. Use load_model to replace its model.`);
+    }
+
+    const object = entry.model.getObject();
+    if (this.rotationController && this.rotationController.getTurntableModel() === object) {
+      this.rotationController.stopTurntable();
+    }
+    this.scene.remove(object);
+    this.objects.delete(entry.id);
+    entry.model.dispose();
+    if (this.selectedObjectId === entry.id) {
+      this.selectObject(this.objects.keys().next().value);
+    }
+    this._fitStudioToScene();
+    this.render(this.camera);
+  }
+
+  /**
+   * Selects the object that model commands without an object ID and mouse drags apply to
+   * The lights move with the selection: they orbit the selected object's pivot
+   * @param {string} objectId - ID of the object to select
+   * @throws {Error} If the ID is unknown
+   */
+  selectObject(objectId) {
+    const entry = this._getObjectEntry(objectId);
+    this.selectedObjectId = entry.id;
+    if (this.rotationController) {
+      this.rotationController.setModel(entry.model.getObject());
+    }
+    this._updateOrbitCenter();
+  }
+
+  /**
+   * Checks whether the scene has an object with the given ID
+   * @param {string} objectId - Object ID
+   * @returns {boolean} True if the object exists
+   */
+  hasObject(objectId) {
+    return this.objects.has(objectId);
+  }
+
+  /**
+   * Gets the ID of the selected object
+   * @returns {string} Object ID
+   */
+  getSelectedObjectId() {
+    return this.selectedObjectId;
+  }
+
+  /**
+   * Gets the objects in the scene with their name, model source and load options, placement, color, material,
+   * textures and matcap
+   * @returns {Array<{id: string, name: string, source: string, format: string|null, autoFit: boolean, preserveMaterials: boolean, selected: boolean, position: Object, pivot: string, rotation: Object, scale: Object, color: string, material: Object, textures: Object, matcap: Object|null}>} Objects in the order they were added
+   */
+  getObjects() {
+    return [...this.objects.values()].map((entry) => ({
+      id: entry.id,
+      name: entry.name,
+      source: entry.model.getSource(),
+      format: entry.model.getFormat(),
+      autoFit: entry.model.isNormalized(),
+      preserveMaterials: entry.model.hasOriginalMaterials(),
+      selected: entry.id === this.selectedObjectId,
+      position: this.getModelPosition(entry.id),
+      pivot: entry.model.getPivot().mode,
+      rotation: this.getModelRotation(entry.id),
+      scale: this.getModelScale(entry.id),
+      color: this.getModelColor(entry.id),
+      material: this.getModelMaterial(entry.id),
+      textures: entry.model.getTextures(),
+      matcap: entry.model.getMatcap()
+    }));
+  }
+
+  _addObjectEntry(model, name = null, id = null) {
+    const entry = {
+      id: id || `object-${this.nextObjectNumber++}`,
+      name: name || SceneManager._objectNameFromSource(model.getSource()),
+      model: model
+    };
+    const number = /^object-(\d+)$/.exec(entry.id);
+    if (number) {
+      this.nextObjectNumber = Math.max(this.nextObjectNumber, Number(number[1]) + 1);
+    }
+    this.objects.set(entry.id, entry);
+    this.scene.add(model.getObject());
+    return entry;
+  }
+
+  /**
+   * Loads the models of a scene state's objects list: objects missing from the scene are added (unselected) and
+   * objects showing another model get it back; applyObjectsState then applies their placement and materials
+   * @param {Array<Object>} objects - Objects as returned by getObjects, with the URL to load each model from
+   * @returns {Promise<void>}
+   */
+  async loadObjectsState(objects) {
+    for (const object of objects) {
+      const entry = this.objects.get(object.id);
+      if (entry && entry.model.getSource() === object.source) {
+        continue;
+      }
+      if (!object.url) {
+        console.warn(`Cannot restore the object "${object.name}" (${object.source}): the scene state has no URL for it`);
+        continue;
+      }
+      const autoFit = object.autoFit !== false;
+      const preserveMaterials = object.preserveMaterials === true;
+      if (entry) {
+        await this.loadModel(object.url, object.format, object.source, autoFit, preserveMaterials, object.id);
+      } else {
+        await this.addObject(object.url, object.format, object.source, {
+          id: object.id,
+          name: object.name,
+          position: object.position,
+          autoFit,
+          preserveMaterials,
+          select: false
+        });
+      }
+    }
+  }
+
+  /**
+   * Applies a scene state's objects list: the listed objects get their name, placement, color and material back,
+   * and the selection is restored last
+   * Listed objects that are not in the scene are skipped (loadObjectsState adds them). Objects missing from the list
+   * are only removed with options.prune, which restoring a complete state (undo, redo, presets) passes
+   * @param {Array<Object>} objects - Objects as returned by getObjects
+   * @param {string} [selectedObjectId] - ID of the object to select
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.prune=false] - Remove the objects missing from the list
+   */
+  applyObjectsState(objects, selectedObjectId = null, { prune = false } = {}) {
+    const listedIds = new Set(objects.map((object) => object.id));
+    // The scene keeps at least one object: states whose objects are all missing leave the scene's objects alone
+    if (prune && [...this.objects.keys()].some((id) => listedIds.has(id))) {
+      for (const id of [...this.objects.keys()]) {
+        if (!listedIds.has(id)) {
+          this.removeObject(id);
+        }
+      }
+    }
+
+    for (const object of objects) {
+      const entry = this.objects.get(object.id);
+      if (!entry) {
+        continue;
+      }
+      if (object.name) {
+        entry.name = object.name;
+      }
+      if (object.position) {
+        entry.model.getObject().position.set(object.position.x, object.position.y, object.position.z);
+      }
+      if (object.rotation) {
+        this.setModelRotation(object.rotation.x, object.rotation.y, object.rotation.z, object.id);
+      }
+      if (object.scale) {
+        this.scaleModel(object.scale.x, object.scale.y, object.scale.z, object.id);
+      }
+      if (object.color) {
+        this.setModelMaterialColor(object.color, object.id);
+      }
+      if (object.material) {
+        const { type, ...properties } = object.material;
+        this.setModelMaterial(properties, type, object.id);
+      }
+    }
+
+    if (selectedObjectId && this.objects.has(selectedObjectId)) {
+      this.selectObject(selectedObjectId);
+    }
+    this._fitStudioToScene();
+    this._updateOrbitCenter();
+  }
+
+  /**
+   * Gets an object by ID
+   * @param {string} [objectId] - Object ID (defaults to the selected object)
+   * @returns {{id: string, name: string, model: Model}} Object entry
+   * @throws {Error} If the ID is unknown
+   */
+  _getObjectEntry(objectId = null) {
+    const entry = this.objects.get(objectId ?? this.selectedObjectId);
+    if (!entry) {
+      throw new Error(`No object with ID "${objectId}". Object IDs: ${[...this.objects.keys()].join(', ')}`);
+    }
+    return entry;
+  }
+
+  _getModel(objectId = null) {
+    return this._getObjectEntry(objectId).model;
+  }
+
+  /**
+   * Places an object to the right of the other objects, at the model origin's height and depth
+   * @param {{model: Model}} entry - Object to place
+   */
+  _placeBesideObjects(entry) {
+    let right = null;
+    let largestRadius = 0;
+    for (const other of this.objects.values()) {
+      if (other !== entry) {
+        const radius = SceneManager._getObjectRadius(other.model);
+        right = Math.max(right ?? -Infinity, other.model.getObject().position.x + radius);
+        largestRadius = Math.max(largestRadius, radius);
+      }
+    }
+    if (right === null) {
+      return;
+    }
+
+    const radius = SceneManager._getObjectRadius(entry.model);
+    const gap = CONFIG.MODEL.OBJECT_SPACING * Math.max(largestRadius, radius);
+    const origin = CONFIG.MODEL.ORIGIN;
+    entry.model.getObject().position.set(right + gap + radius, origin.y, origin.z);
+  }
+
+  /**
+   * Gets a model's bounding sphere radius including its scale
+   * @param {Model} model - Model
+   * @returns {number} Radius in world units
+   */
+  static _getObjectRadius(model) {
+    const scale = model.getObject().scale;
+    return model.getRadius() * Math.max(Math.abs(scale.x), Math.abs(scale.y), Math.abs(scale.z));
+  }
+
+  /**
+   * Derives an object name from a model source: the file name without its extension
+   * @param {string} source - Model URL or library file name
+   * @returns {string} Object name
+   */
+  static _objectNameFromSource(source) {
+    const fileName = (source || 'model').split(/[?#]/)[0].split('/').pop();
+    return fileName.replace(/\.[A-Za-z0-9]+$/, '') || 'model';
+  }
+
+  // Model position methods
+
+  /**
+   * Gets the model position (the world position of its pivot)
+   * @param {string} [objectId] - Object ID (defaults to the selected object)
+   * @returns {{x: number, y: number, z: number}} World position
+   */
+  getModelPosition(objectId = null) {
+    const position = this._getModel(objectId).getObject().position;
+    return { x: position.x, y: position.y, z: position.z };
+  }
+
+  /**
+   * Moves the model so its pivot is at a world position
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} z - Z coordinate
+   * @param {string} [objectId] - Object ID (defaults to the selected object)
+   */
+  setModelPosition(x, y, z, objectId = null) {
+    this._getModel(objectId).getObject().position.set(x, y, z);
+    this._updateOrbitCenter();
+    this._placeGround();
+    this.render(this.camera);
+  }
+
+  /**
+   * Moves the model relative to the camera view
+   * @param {string} direction - 'left', 'right', 'up', 'down', 'toward camera' or 'away from camera'
+   * @param {number} [distance] - Distance to move (defaults to CONFIG.INTERACTION.MODEL_NUDGE_AMOUNT, scaled with the studio)
+   * @param {string} [objectId] - Object ID (defaults to the selected object)
+   */
+  nudgeModel(direction, distance = null, objectId = null) {
+    const axis = SceneManager._cameraDirection(this.camera, direction);
+    const amount = distance ?? CONFIG.INTERACTION.MODEL_NUDGE_AMOUNT * this.studioScale;
+    this._getModel(objectId).getObject().position.addScaledVector(axis, amount);
+    this._updateOrbitCenter();
+    this._placeGround();
+    this.render(this.camera);
+  }
+
+  /**
+   * Sets the point the model rotates and scales around, without moving the model on screen
+   * (the model position is shifted so the model stays where it is)
+   * @param {string} mode - "center", "bottom" or "custom" (see Model.setPivot)
+   * @param {{x: number, y: number, z: number}} [point] - For "custom": offset from the model's bounding box center,
+   *   in model units before the model scale (the model's auto-fit radius is CONFIG.MODEL.TARGET_RADIUS)
+   * @param {string} [objectId] - Object ID (defaults to the selected object)
+   */
+  setModelPivot(mode, point = null, objectId = null) {
+    const model = this._getModel(objectId);
+    const object = model.getObject();
+    const offsetBefore = model.getFitOffset();
+    model.setPivot(mode, point);
+    const shift = offsetBefore.sub(model.getFitOffset()).multiply(object.scale).applyQuaternion(object.quaternion);
+    object.position.add(shift);
+    this._updateOrbitCenter();
+    this.render(this.camera);
+  }
+
+  /**
+   * Gets a unit vector pointing in a direction of the camera view, in world coordinates
+   * @param {THREE.Camera} camera - The camera
+   * @param {string} direction - 'left', 'right', 'up', 'down', 'toward camera' or 'away from camera'
+   * @returns {THREE.Vector3} Direction vector
+   * @throws {Error} If the direction is unknown
+   */
+  static _cameraDirection(camera, direction) {
+    // Camera matrix columns: 0 = screen right, 1 = screen up, 2 = toward the viewer
+    const columns = {
+      'right': [0, 1],
+      'left': [0, -1],
+      'up': [1, 1],
+      'down': [1, -1],
+      'toward camera': [2, 1],
+      'away from camera': [2, -1]
+    };
+    if (!columns[direction]) {
+      throw new Error(`Unknown direction "${direction}". Directions: ${Object.keys(columns).join(', ')}`);
+    }
+    const [column, sign] = columns[direction];
+    camera.updateMatrixWorld();
+    return new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, column).normalize().multiplyScalar(sign);
+  }
+
+  /**
+   * Moves the lights' orbit center and the camera target to the selected object's pivot, so the lights
+   * and the camera keep their placement relative to it when it moves or the selection changes
+   */
+  _updateOrbitCenter() {
+    const entry = this.objects.get(this.selectedObjectId);
+    if (!entry) {
+      return;
+    }
+    const center = entry.model.getObject().position;
+    for (const light of this.lights.values()) {
+      light.setOrbitCenter(center.x, center.y, center.z);
+    }
+    if (this.cameraController) {
+      this.cameraController.setTarget(center.x, center.y, center.z);
+    }
+  }
+
   // Model rotation control methods
 
   /**
    * Gets the model rotation as Euler angles in degrees
+   * @param {string} [objectId] - Object ID (defaults to the selected object)
    * @returns {{x: number, y: number, z: number}} Euler angles in degrees (XYZ order)
    */
-  getModelRotation() {
+  getModelRotation(objectId = null) {
+    const object = this._getModel(objectId).getObject();
     if (this.rotationController) {
-      return this.rotationController.getRotationEuler();
+      return this.rotationController.withModel(object, (controller) => controller.getRotationEuler());
     }
     return { x: 0, y: 0, z: 0 };
   }
 
   /**
    * Gets the current model color
+   * @param {string} [objectId] - Object ID (defaults to the selected object)
    * @returns {string} Hex color code (e.g., "#ff0000")
    */
-  getModelColor() {
-    if (this.model) {
-      const color = this.model.getMaterial().color;
-      return '#' + color.getHexString().padStart(6, '0');
-    }
-    return '#808080'; // Default color
+  getModelColor(objectId = null) {
+    const color = this._getModel(objectId).getMaterial().color;
+    return '#' + color.getHexString().padStart(6, '0');
   }
 
   /**
    * Gets the current model scale in each dimension
+   * @param {string} [objectId] - Object ID (defaults to the selected object)
    * @returns {{x: number, y: number, z: number}} Scale factors (positive numbers)
    */
-  getModelScale() {
-    if (this.model) {
-      const scale = this.model.getMesh().scale;
-      return {
-        x: scale.x,
-        y: scale.y,
-        z: scale.z
-      };
+  getModelScale(objectId = null) {
+    const scale = this._getModel(objectId).getObject().scale;
+    return {
+      x: scale.x,
+      y: scale.y,
+      z: scale.z
+    };
+  }
+
+  /**
+   * Runs a rotation command on an object through the rotation controller
+   * @param {string|null} objectId - Object ID (defaults to the selected object)
+   * @param {Function} rotate - Called with the rotation controller rotating the object
+   */
+  _rotateModel(objectId, rotate) {
+    const object = this._getModel(objectId).getObject();
+    if (this.rotationController) {
+      this.rotationController.withModel(object, rotate);
+      // Trigger render after rotation change
+      this.render(this.camera);
     }
-    return { x: 1, y: 1, z: 1 }; // Default scale
   }
 
   /**
@@ -236,94 +772,465 @@ export class SceneManager {
    * @param {number} x - Rotation around X axis in degrees (pitch)
    * @param {number} y - Rotation around Y axis in degrees (yaw)
    * @param {number} z - Rotation around Z axis in degrees (roll)
+   * @param {string} [objectId] - Object ID (defaults to the selected object)
    */
-  setModelRotation(x, y, z) {
-    if (this.rotationController) {
-      this.rotationController.setRotationEuler(x, y, z);
-      // Trigger render after rotation change
-      this.render(this.camera);
-    }
+  setModelRotation(x, y, z, objectId = null) {
+    this._rotateModel(objectId, (controller) => controller.setRotationEuler(x, y, z));
   }
 
   /**
    * Rotates the model clockwise around Y axis (yaw) relative to current rotation
    * @param {number} degrees - Amount to rotate in degrees (defaults to 10°)
+   * @param {string} [objectId] - Object ID (defaults to the selected object)
    */
-  rotateModelClockwise(degrees = 10) {
-    if (this.rotationController) {
-      this.rotationController.rotateClockwise(degrees);
-      this.render(this.camera);
-    }
+  rotateModelClockwise(degrees = 10, objectId = null) {
+    this._rotateModel(objectId, (controller) => controller.rotateClockwise(degrees));
   }
 
   /**
    * Rotates the model counterclockwise around Y axis (yaw) relative to current rotation
    * @param {number} degrees - Amount to rotate in degrees (defaults to 10°)
+   * @param {string} [objectId] - Object ID (defaults to the selected object)
    */
-  rotateModelCounterclockwise(degrees = 10) {
-    if (this.rotationController) {
-      this.rotationController.rotateCounterclockwise(degrees);
-      this.render(this.camera);
-    }
+  rotateModelCounterclockwise(degrees = 10, objectId = null) {
+    this._rotateModel(objectId, (controller) => controller.rotateCounterclockwise(degrees));
   }
 
   /**
    * Adjusts the model pitch (X axis rotation) upward relative to current rotation
    * @param {number} degrees - Amount to increase pitch in degrees (defaults to 5°)
+   * @param {string} [objectId] - Object ID (defaults to the selected object)
    */
-  nudgeModelPitchUp(degrees = 5) {
-    if (this.rotationController) {
-      this.rotationController.nudgePitchUp(degrees);
-      this.render(this.camera);
-    }
+  nudgeModelPitchUp(degrees = 5, objectId = null) {
+    this._rotateModel(objectId, (controller) => controller.nudgePitchUp(degrees));
   }
 
   /**
    * Adjusts the model pitch (X axis rotation) downward relative to current rotation
    * @param {number} degrees - Amount to decrease pitch in degrees (defaults to 5°)
+   * @param {string} [objectId] - Object ID (defaults to the selected object)
    */
-  nudgeModelPitchDown(degrees = 5) {
-    if (this.rotationController) {
-      this.rotationController.nudgePitchDown(degrees);
-      this.render(this.camera);
-    }
+  nudgeModelPitchDown(degrees = 5, objectId = null) {
+    this._rotateModel(objectId, (controller) => controller.nudgePitchDown(degrees));
   }
 
   /**
    * Adjusts the model roll (Z axis rotation) relative to current rotation
    * @param {number} degrees - Amount to adjust roll in degrees (positive = clockwise, defaults to 5°)
+   * @param {string} [objectId] - Object ID (defaults to the selected object)
    */
-  nudgeModelRoll(degrees = 5) {
+  nudgeModelRoll(degrees = 5, objectId = null) {
+    this._rotateModel(objectId, (controller) => controller.nudgeRoll(degrees));
+  }
+
+  /**
+   * Starts spinning the model continuously around a world axis (turntable mode)
+   * Only one object spins at a time; starting the turntable for another object moves it there
+   * @param {string} axis - World axis to spin around: 'x', 'y' or 'z'
+   * @param {number} speed - Rotation speed in degrees per second
+   * @param {string} direction - 'clockwise' or 'counterclockwise'
+   * @param {string} [objectId] - Object ID (defaults to the selected object)
+   */
+  startTurntable(axis, speed, direction, objectId = null) {
+    this._rotateModel(objectId, (controller) => controller.startTurntable(axis, speed, direction));
+  }
+
+  /**
+   * Stops turntable mode, leaving the model at its current orientation
+   */
+  stopTurntable() {
     if (this.rotationController) {
-      this.rotationController.nudgeRoll(degrees);
-      this.render(this.camera);
+      this.rotationController.stopTurntable();
+    }
+  }
+
+  /**
+   * Gets the turntable settings and the ID of the spinning object
+   * @returns {{axis: string, speed: number, direction: string, objectId: string}|null} Settings, or null when the turntable is stopped
+   */
+  getTurntable() {
+    const turntable = this.rotationController ? this.rotationController.getTurntable() : null;
+    if (!turntable) {
+      return null;
     }
+    const turntableModel = this.rotationController.getTurntableModel();
+    const entry = [...this.objects.values()].find((object) => object.model.getObject() === turntableModel);
+    return { ...turntable, objectId: entry ? entry.id : null };
   }
 
   /**
    * Gets the model instance for full manipulation access
+   * @param {string} [objectId] - Object ID (defaults to the selected object)
    * @returns {Model} The model instance
    */
-  getModelInstance() {
-    return this.model;
+  getModelInstance(objectId = null) {
+    return this._getModel(objectId);
+  }
+
+  /**
+   * Replaces an object's model with one loaded from a URL (glTF/GLB, OBJ, STL or PLY)
+   * The model's position, rotation, scale and material color are kept; its pivot is reset
+   * @param {string} url - Model URL
+   * @param {string} [format] - File format (defaults to the URL's file extension)
+   * @param {string} [source] - Name to report for the model (defaults to the URL)
+   * @param {boolean} [autoFit=true] - Center the model and scale it to the studio's target size
+   * @param {boolean} [preserveMaterials=false] - Keep the file's meshes, node transforms and materials
+   * @param {string} [objectId] - Object ID (defaults to the selected object)
+   * @returns {Promise<void>}
+   */
+  async loadModel(url, format = null, source = url, autoFit = true, preserveMaterials = false, objectId = null) {
+    await this._getModel(objectId).replace(url, format, source, autoFit, preserveMaterials);
+    this._fitStudioToScene();
+    this.render(this.camera);
+  }
+
+  /**
+   * Scales a model to the target size around its pivot (centering models without one), rescales the studio to the scene
+   * and resets the camera framing (distance and zoom)
+   * @param {string} [objectId] - Object ID (defaults to the selected object)
+   */
+  fitModelToView(objectId = null) {
+    this._getModel(objectId).normalize();
+    this._fitStudioToScene();
+    if (this.cameraController) {
+      this.cameraController.setCameraFOV(1);
+      this.cameraController.dollyCamera(CONFIG.CAMERA.INITIAL_DISTANCE * this.studioScale);
+    }
+    this.render(this.camera);
+  }
+
+  /**
+   * Rescales the studio to the scene's size (the sphere around the model origin enclosing every object,
+   * including the model scales): light distances and sizes, and the camera's distance limits and clipping planes
+   * This keeps scenes of any size lit and framed like a single model of CONFIG.MODEL.TARGET_RADIUS
+   */
+  _fitStudioToScene() {
+    const origin = CONFIG.MODEL.ORIGIN;
+    const originVector = new THREE.Vector3(origin.x, origin.y, origin.z);
+    let radius = 0;
+    for (const { model } of this.objects.values()) {
+      const distance = model.getObject().position.distanceTo(originVector);
+      radius = Math.max(radius, distance + SceneManager._getObjectRadius(model));
+    }
+    const scale = radius / CONFIG.MODEL.TARGET_RADIUS;
+    if (!(scale > 0) || !Number.isFinite(scale)) {
+      return;
+    }
+
+    const ratio = scale / this.studioScale;
+    this.studioScale = scale;
+    if (this.cameraController) {
+      this.cameraController.setStudioScale(scale);
+    }
+    for (const studioLight of this.lights.values()) {
+      const position = studioLight.getPositionCartesian().multiplyScalar(ratio);
+      studioLight.setPositionCartesian(position.x, position.y, position.z);
+      if (studioLight instanceof AreaLight) {
+        const light = studioLight.getLightObject();
+        light.width *= ratio;
+        light.height *= ratio;
+      }
+    }
+    this._placeGround();
+  }
+
+  /**
+   * Puts the ground under the objects: at the height of their lowest point, centered below them,
+   * and sized for the studio scale
+   * Called when the ground is turned on and when objects are loaded, added, removed, moved, scaled or fitted
+   * (not on rotations, so the ground stays put under a spinning turntable)
+   */
+  _placeGround() {
+    if (!this.ground) {
+      return;
+    }
+    const bounds = new THREE.Box3();
+    for (const { model } of this.objects.values()) {
+      bounds.expandByObject(model.getObject());
+    }
+    if (bounds.isEmpty()) {
+      return;
+    }
+    const center = bounds.getCenter(new THREE.Vector3());
+    this.ground.setPlacement(new THREE.Vector3(center.x, bounds.min.y, center.z), this.studioScale);
+  }
+
+  /**
+   * Shows, hides or changes the studio ground (fields that are missing are unchanged)
+   * Turning the ground on places it under the objects
+   * @param {Object} settings - Ground settings
+   * @param {boolean} [settings.enabled=true] - False to hide the ground and its shadows
+   * @param {string} [settings.shape] - "floor", "cyclorama" or "none" (shadow catcher only)
+   * @param {string} [settings.color] - Surface color as a hex string
+   * @param {number} [settings.roughness] - Surface roughness (0-1)
+   * @param {number} [settings.reflectivity] - Surface reflectivity (0-1)
+   * @param {boolean} [settings.shadows] - Show the objects' shadows, cast from the key light's direction
+   * @param {number} [settings.shadowOpacity] - Shadow darkness (0-1)
+   * @throws {Error} If the shape is unknown
+   */
+  setGroundPlane(settings) {
+    const { enabled = true, shape, color, roughness, reflectivity, shadows, shadowOpacity } = settings;
+    if (!enabled) {
+      this.ground.setEnabled(false);
+      return;
+    }
+    if (shape !== undefined) {
+      this.ground.setShape(shape);
+    }
+    if (color !== undefined) {
+      this.ground.setColor(color);
+    }
+    if (roughness !== undefined) {
+      this.ground.setRoughness(roughness);
+    }
+    if (reflectivity !== undefined) {
+      this.ground.setReflectivity(reflectivity);
+    }
+    if (shadows !== undefined) {
+      this.ground.setShadows(shadows);
+    }
+    if (shadowOpacity !== undefined) {
+      this.ground.setShadowOpacity(shadowOpacity);
+    }
+    if (!this.ground.isEnabled()) {
+      this._placeGround();
+      this.ground.setEnabled(true);
+    }
+  }
+
+  /**
+   * Gets the studio ground settings
+   * @returns {{shape: string, color: string, roughness: number, reflectivity: number, shadows: boolean, shadowOpacity: number}|null}
+   *   Settings, or null when the ground is hidden
+   */
+  getGroundPlane() {
+    return this.ground.getState();
+  }
+
+  /**
+   * Gets information about a model's geometry
+   * Bounding box is in the model file's units (before auto-fit and the model's scale)
+   * @param {string} [objectId] - Object ID (defaults to the selected object)
+   * @returns {{objectId: string, source: string, meshCount: number, vertexCount: number, triangleCount: number, boundingBox: {min: Object, max: Object}, originalMaterials: boolean, modelMaterialInUse: boolean, meshNames: string[], normalized: boolean, pivot: {mode: string, point: Object}, studioScale: number}} Model information
+   */
+  getModelInfo(objectId = null) {
+    const entry = this._getObjectEntry(objectId);
+    const model = entry.model;
+    const { min, max } = model.getSourceBoundingBox();
+    const pivot = model.getPivot();
+    return {
+      objectId: entry.id,
+      source: model.getSource(),
+      ...model.getGeometryStats(),
+      originalMaterials: model.hasOriginalMaterials(),
+      modelMaterialInUse: model.usesModelMaterial(),
+      meshNames: model.getMeshNames(),
+      boundingBox: {
+        min: { x: min.x, y: min.y, z: min.z },
+        max: { x: max.x, y: max.y, z: max.z }
+      },
+      normalized: model.isNormalized(),
+      pivot: { mode: pivot.mode, point: { x: pivot.point.x, y: pivot.point.y, z: pivot.point.z } },
+      studioScale: this.studioScale
+    };
   }
 
   /**
    * Changes the color of the model
    * @param {string} color - Hex color string (e.g., "#ff0000")
+   * @param {string} [target="all"] - Materials to color: "all", "original", or a mesh name (see Model.setColor)
+   * @param {string} [objectId] - Object ID (defaults to the selected object)
    */
-  changeModelColor(color) {
+  changeModelColor(color, target = 'all', objectId = null) {
     const hexColor = parseInt(color.replace('#', ''), 16);
-    this.model.getMaterial().color.setHex(hexColor);
+    this._getModel(objectId).setColor(hexColor, target);
+  }
+
+  /**
+   * Sets the color of a model's material without changing which materials the meshes use
+   * Used when applying scene states, whose model color is the model material's color
+   * @param {string} color - Hex color string (e.g., "#ff0000")
+   * @param {string} [objectId] - Object ID (defaults to the selected object)
+   */
+  setModelMaterialColor(color, objectId = null) {
+    this._getModel(objectId).getMaterial().color.set(color);
+  }
+
+  /**
+   * Puts the model file's original materials back on every mesh
+   * @param {string} [objectId] - Object ID (defaults to the selected object)
+   */
+  restoreModelMaterials(objectId = null) {
+    this._getModel(objectId).restoreOriginalMaterials();
+  }
+
+  /**
+   * Gets the model material's type and editable properties
+   * @param {string} [objectId] - Object ID (defaults to the selected object)
+   * @returns {Object} {type: "standard"|"physical", roughness, metalness, emissive, ...} (see Model.getMaterialProperties)
+   */
+  getModelMaterial(objectId = null) {
+    const model = this._getModel(objectId);
+    return { type: model.getMaterialType(), ...model.getMaterialProperties() };
+  }
+
+  /**
+   * Sets properties of the model material (the material change_model_color with target "all" uses)
+   * @param {Object} properties - Material properties to change (see Model.setMaterialProperties)
+   * @param {string} [type] - "standard" or "physical"; physical properties switch to "physical" on their own
+   * @param {string} [objectId] - Object ID (defaults to the selected object)
+   * @throws {Error} If physical properties are given with type "standard", or a property is unknown
+   */
+  setModelMaterial(properties, type = null, objectId = null) {
+    const physical = Object.keys(properties).filter((name) => name in PHYSICAL_MATERIAL_PROPERTIES);
+    if (type === 'standard' && physical.length > 0) {
+      throw new Error(`Physical material properties (${physical.join(', ')}) need the material type "physical"`);
+    }
+    const model = this._getModel(objectId);
+    if (type) {
+      model.setMaterialType(type);
+    }
+    model.setMaterialProperties(properties);
+    this.render(this.camera);
+  }
+
+  /**
+   * Attaches a texture map to the model material
+   * @param {string} map - Map name: "color", "normal", "roughness", "ao" or "emissive"
+   * @param {string} url - Image URL
+   * @param {string} [source] - Name to report for the texture (defaults to the URL)
+   * @param {{x: number, y: number}} [repeat] - Repeat count in each direction (defaults to 1 x 1)
+   * @param {{x: number, y: number}} [offset] - Offset in UV units (defaults to 0, 0)
+   * @param {string} [objectId] - Object ID (defaults to the selected object)
+   * @returns {Promise<void>}
+   * @throws {Error} If the map name is unknown or the image cannot be loaded
+   */
+  async setModelTexture(map, url, source = url, repeat = undefined, offset = undefined, objectId = null) {
+    await this._getModel(objectId).setTexture(map, url, source, repeat, offset);
+  }
+
+  /**
+   * Changes how a texture map of the model material repeats and where it starts
+   * @param {string} map - Map name (see setModelTexture)
+   * @param {{x: number, y: number}} [repeat] - Repeat count in each direction (unchanged if omitted)
+   * @param {{x: number, y: number}} [offset] - Offset in UV units (unchanged if omitted)
+   * @param {string} [objectId] - Object ID (defaults to the selected object)
+   * @throws {Error} If the model material has no texture on the map
+   */
+  setModelTextureTransform(map, repeat = null, offset = null, objectId = null) {
+    this._getModel(objectId).setTextureTransform(map, repeat, offset);
+  }
+
+  /**
+   * Detaches a texture map from the model material
+   * @param {string} map - Map name (see setModelTexture), or "all"
+   * @param {string} [objectId] - Object ID (defaults to the selected object)
+   */
+  clearModelTexture(map, objectId = null) {
+    this._getModel(objectId).clearTexture(map);
+  }
+
+  /**
+   * Gets the texture maps of the model material
+   * @param {string} [objectId] - Object ID (defaults to the selected object)
+   * @returns {Object<string, {source: string, url?: string, repeat: Object, offset: Object}>} Textures by map name
+   */
+  getModelTextures(objectId = null) {
+    return this._getModel(objectId).getTextures();
+  }
+
+  /**
+   * Checks whether a model has texture coordinates (needed for texture maps to show)
+   * @param {string} [objectId] - Object ID (defaults to the selected object)
+   * @returns {boolean} True if every mesh has texture coordinates
+   */
+  modelHasTextureCoordinates(objectId = null) {
+    return this._getModel(objectId).hasTextureCoordinates();
+  }
+
+  /**
+   * Shows a model with a matcap material (see Model.setMatcap)
+   * @param {string|null} url - Matcap image URL, or null for the built-in clay matcap
+   * @param {string} [source] - Name to report for the matcap (defaults to the URL, or "default")
+   * @param {string} [objectId] - Object ID (defaults to the selected object)
+   * @returns {Promise<void>}
+   */
+  async setModelMatcap(url, source = undefined, objectId = null) {
+    await this._getModel(objectId).setMatcap(url, source);
+  }
+
+  /**
+   * Puts the materials shown before the matcap back on a model
+   * @param {string} [objectId] - Object ID (defaults to the selected object)
+   */
+  clearModelMatcap(objectId = null) {
+    this._getModel(objectId).clearMatcap();
+  }
+
+  /**
+   * Gets the matcap shown on a model
+   * @param {string} [objectId] - Object ID (defaults to the selected object)
+   * @returns {{source: string, url?: string}|null} Matcap, or null when the model shows its materials
+   */
+  getModelMatcap(objectId = null) {
+    return this._getModel(objectId).getMatcap();
+  }
+
+  /**
+   * Makes a model's texture maps match a scene state: textures with the same image only get their
+   * repeat and offset set, others are loaded, and maps missing from the state are removed
+   * Textures without a URL (e.g., loaded from data URLs the state leaves out) cannot be restored and are skipped
+   * @param {Object<string, {source: string, url?: string, repeat: Object, offset: Object}>} textures - Textures by map name
+   * @param {string} [objectId] - Object ID (defaults to the selected object)
+   * @returns {Promise<void>}
+   */
+  async applyModelTextureState(textures, objectId = null) {
+    const model = this._getModel(objectId);
+    const current = model.getTextures();
+    for (const map of Object.keys(current)) {
+      if (!textures[map]) {
+        model.clearTexture(map);
+      }
+    }
+    for (const [map, texture] of Object.entries(textures)) {
+      if (current[map] && current[map].source === texture.source) {
+        model.setTextureTransform(map, texture.repeat, texture.offset);
+      } else if (texture.url) {
+        await model.setTexture(map, texture.url, texture.source, texture.repeat, texture.offset);
+      } else {
+        console.warn(`Cannot restore the ${map} map "${texture.source}": the scene state has no URL for it`);
+      }
+    }
+  }
+
+  /**
+   * Makes a model's matcap match a scene state
+   * @param {{source: string, url?: string}|null} matcap - Matcap, or null to show the model's materials
+   * @param {string} [objectId] - Object ID (defaults to the selected object)
+   * @returns {Promise<void>}
+   */
+  async applyModelMatcapState(matcap, objectId = null) {
+    const model = this._getModel(objectId);
+    const current = model.getMatcap();
+    if (!matcap) {
+      model.clearMatcap();
+    } else if (!current || current.source !== matcap.source) {
+      if (matcap.url || matcap.source === 'default') {
+        await model.setMatcap(matcap.url || null, matcap.source);
+      } else {
+        console.warn(`Cannot restore the matcap "${matcap.source}": the scene state has no URL for it`);
+      }
+    }
   }
 
   /**
    * Changes the uniform size of the model by scaling
    * @param {number} size - New size value (scale factor)
+   * @param {string} [objectId] - Object ID (defaults to the selected object)
    */
-  changeModelSize(size) {
+  changeModelSize(size, objectId = null) {
     // Use uniform scale instead of geometry recreation for GLTF models
-    this.model.getMesh().scale.set(size, size, size);
+    this._getModel(objectId).getObject().scale.set(size, size, size);
   }
 
   /**
@@ -331,33 +1238,363 @@ export class SceneManager {
    * @param {number} x - Scale factor for X axis
    * @param {number} y - Scale factor for Y axis
    * @param {number} z - Scale factor for Z axis
+   * @param {string} [objectId] - Object ID (defaults to the selected object)
    */
-  scaleModel(x, y, z) {
-    this.model.getMesh().scale.set(x, y, z);
+  scaleModel(x, y, z, objectId = null) {
+    this._getModel(objectId).getObject().scale.set(x, y, z);
+    this._placeGround();
   }
 
   /**
    * Changes the background color of the scene
+   * An environment shown as the background is hidden, so the color shows
    * @param {string} color - Hex color string (e.g., "#000000")
    */
   changeBackgroundColor(color) {
     const hexColor = parseInt(color.replace('#', ''), 16);
-    this.scene.background = new THREE.Color(hexColor);
+    this.backgroundColor = new THREE.Color(hexColor);
+    if (this.environment) {
+      this.environment.setShownAsBackground(false);
+    }
+    this._updateBackground();
   }
 
   /**
-   * Gets the current scene background color
+   * Gets the current scene background color (also while the environment is shown as the background)
    * @returns {string} Hex color code (e.g., "#000000")
    */
   getBackgroundColor() {
-    if (this.scene && this.scene.background) {
-      if (this.scene.background instanceof THREE.Color) {
-        return '#' + this.scene.background.getHexString().padStart(6, '0');
-      }
+    if (this.backgroundColor) {
+      return '#' + this.backgroundColor.getHexString().padStart(6, '0');
     }
     return '#000000'; // Default black
   }
 
+  /**
+   * Shows the environment image or the background color behind the scene
+   */
+  _updateBackground() {
+    this.scene.background = this.environment && this.environment.isShownAsBackground()
+      ? this.environment.getTexture()
+      : this.backgroundColor;
+  }
+
+  /**
+   * Lights the scene with an equirectangular HDR/EXR environment map (image-based lighting)
+   * Intensity, rotation and the background setting carry over from the previous environment
+   * @param {string} url - Environment map URL
+   * @param {string} [format] - "hdr" or "exr" (defaults to the URL's file extension)
+   * @param {string} [source] - Name to report for the environment (defaults to the URL)
+   * @returns {Promise<void>}
+   * @throws {Error} If the format is unsupported or the image cannot be loaded
+   */
+  async loadEnvironment(url, format = null, source = url) {
+    await this.environment.load(url, format, source);
+    this._updateBackground();
+  }
+
+  /**
+   * Removes the environment lighting and background
+   */
+  clearEnvironment() {
+    this.environment.clear();
+    this._updateBackground();
+  }
+
+  /**
+   * Sets how strongly the environment lights the scene
+   * @param {number} intensity - Intensity multiplier (1 is the image's own brightness)
+   */
+  setEnvironmentIntensity(intensity) {
+    this.environment.setIntensity(intensity);
+  }
+
+  /**
+   * Turns the environment around the vertical axis
+   * @param {number} degrees - Rotation in degrees
+   */
+  setEnvironmentRotation(degrees) {
+    this.environment.setRotation(degrees);
+  }
+
+  /**
+   * Shows or hides the environment image as the scene background (the background color shows otherwise)
+   * @param {boolean} visible - True to show the environment as the background
+   * @throws {Error} If no environment is loaded
+   */
+  setEnvironmentBackground(visible) {
+    if (visible && !this.environment.isLoaded()) {
+      throw new Error('No environment map is loaded');
+    }
+    this.environment.setShownAsBackground(visible);
+    this._updateBackground();
+  }
+
+  /**
+   * Gets the environment settings
+   * @returns {{source: string, url?: string, intensity: number, rotation: number, background: boolean}|null}
+   *   Environment, or null when the scene has no environment lighting
+   */
+  getEnvironment() {
+    return this.environment.getState();
+  }
+
+  /**
+   * Makes the environment match a scene state: a different image is loaded, a missing one is removed,
+   * and the intensity, rotation and background setting are applied
+   * Environments without a URL (e.g., loaded from data URLs the state leaves out) cannot be reloaded and are skipped
+   * @param {{source: string, url?: string, intensity?: number, rotation?: number, background?: boolean}|null} environment - Environment state
+   * @returns {Promise<void>}
+   */
+  async applyEnvironmentState(environment) {
+    if (!environment) {
+      this.clearEnvironment();
+      return;
+    }
+    const current = this.environment.getState();
+    if (!current || current.source !== environment.source) {
+      if (!environment.url) {
+        console.warn(`Cannot restore the environment "${environment.source}": the scene state has no URL for it`);
+        return;
+      }
+      await this.loadEnvironment(environment.url, null, environment.source);
+    }
+    this.applyEnvironmentSettings(environment);
+  }
+
+  /**
+   * Applies environment intensity, rotation and background setting (fields that are missing are unchanged)
+   * Used by scene states; the environment image itself is loaded by applyEnvironmentState
+   * @param {{intensity?: number, rotation?: number, background?: boolean}} settings - Environment settings
+   */
+  applyEnvironmentSettings(settings) {
+    if (settings.intensity !== undefined) {
+      this.setEnvironmentIntensity(settings.intensity);
+    }
+    if (settings.rotation !== undefined) {
+      this.setEnvironmentRotation(settings.rotation);
+    }
+    if (settings.background !== undefined && this.environment.isLoaded()) {
+      this.setEnvironmentBackground(settings.background);
+    }
+  }
+
+  // Ambient fill methods
+
+  /**
+   * Sets the ambient fill: a uniform ambient light, or a hemisphere light that blends a sky color (from above)
+   * into a ground color (from below); settings that are left out are unchanged
+   * @param {Object} settings - Ambient settings
+   * @param {string} [settings.mode] - "ambient" or "hemisphere"
+   * @param {number} [settings.intensity] - Intensity (0.0 or higher)
+   * @param {string} [settings.color] - Hex color of the ambient light (the sky color in hemisphere mode)
+   * @param {string} [settings.groundColor] - Hex ground color of the hemisphere mode
+   */
+  setAmbientLight(settings) {
+    if (settings.mode !== undefined) {
+      if (settings.mode !== 'ambient' && settings.mode !== 'hemisphere') {
+        throw new Error(`Unknown ambient mode "${settings.mode}". Ambient modes: ambient, hemisphere`);
+      }
+      this.ambientLight.visible = settings.mode === 'ambient';
+      this.hemisphereLight.visible = settings.mode === 'hemisphere';
+    }
+    if (settings.intensity !== undefined) {
+      this.ambientLight.intensity = settings.intensity;
+      this.hemisphereLight.intensity = settings.intensity;
+    }
+    if (settings.color !== undefined) {
+      this.ambientLight.color.set(settings.color);
+      this.hemisphereLight.color.set(settings.color);
+    }
+    if (settings.groundColor !== undefined) {
+      this.hemisphereLight.groundColor.set(settings.groundColor);
+    }
+  }
+
+  /**
+   * Gets the ambient fill settings
+   * @returns {{mode: string, intensity: number, color: string, groundColor: string}} Ambient settings
+   */
+  getAmbientLight() {
+    return {
+      mode: this.hemisphereLight.visible ? 'hemisphere' : 'ambient',
+      intensity: this.ambientLight.intensity,
+      color: '#' + this.ambientLight.color.getHexString(),
+      groundColor: '#' + this.hemisphereLight.groundColor.getHexString()
+    };
+  }
+
+  // Light collection methods (the key and fill lights are the built-in entries)
+
+  /**
+   * Adds a light to the scene's light collection, orbiting the selected object's pivot like the key and fill lights
+   * @param {string} type - Light type: "rectArea", "spot", "point", "directional" or "hemisphere"
+   * @param {Object} [options] - Light settings
+   * @param {string} [options.id] - Light ID (defaults to "light-<n>"; scene states restore lights with their IDs)
+   * @param {string} [options.name] - Display name (defaults to the type, e.g. "spot light")
+   * @param {number} [options.azimuth] - Camera-centric azimuth in degrees (defaults to 0°, behind the model)
+   * @param {number} [options.elevation] - Elevation in degrees (defaults to 30°)
+   * @param {number} [options.distance] - Distance from the orbit center (defaults to the key light's distance)
+   * @param {string} [options.color] - Hex color
+   * @param {number} [options.intensity] - Intensity (defaults depend on the type)
+   * @param {number} [options.width] - Width (rect area lights)
+   * @param {number} [options.height] - Height (rect area lights)
+   * @param {number} [options.angle] - Beam angle from the axis in degrees (spot lights)
+   * @param {number} [options.penumbra] - Soft beam edge fraction, 0-1 (spot lights)
+   * @param {string} [options.groundColor] - Hex color lighting surfaces that face down (hemisphere lights)
+   * @returns {string} ID of the new light
+   * @throws {Error} If the type is unknown or the ID is already used
+   */
+  addLight(type, options = {}) {
+    if (!LIGHT_TYPES.includes(type)) {
+      throw new Error(`Unknown light type "${type}". Light types: ${LIGHT_TYPES.join(', ')}`);
+    }
+    const { id: requestedId, azimuth, elevation, distance, ...settings } = options;
+    const id = requestedId || `light-${this.nextLightNumber++}`;
+    if (this.lights.has(id)) {
+      throw new Error(`A light with ID "${id}" already exists`);
+    }
+    const number = /^light-(\d+)$/.exec(id);
+    if (number) {
+      this.nextLightNumber = Math.max(this.nextLightNumber, Number(number[1]) + 1);
+    }
+
+    settings.name = settings.name || `${type === 'rectArea' ? 'area' : type} light`;
+    const light = this._addLightEntry(type === 'rectArea' ? new AreaLight(id, settings) : new StudioLight(id, type, settings));
+
+    const center = this.keyLight.getOrbitCenter();
+    light.setOrbitCenter(center.x, center.y, center.z);
+    light.setPositionSpherical(
+      azimuth ?? CONFIG.LIGHTING.ADDED_LIGHT.AZIMUTH,
+      elevation ?? CONFIG.LIGHTING.ADDED_LIGHT.ELEVATION,
+      this.camera
+    );
+    light.setDistance(distance ?? this.keyLight.getPositionSpherical(this.camera).distance, this.camera);
+    return id;
+  }
+
+  /**
+   * Adds a light to the collection and the scene; area lights get their helper and hover overlay
+   * @param {StudioLight} light - The light
+   * @returns {StudioLight} The light
+   */
+  _addLightEntry(light) {
+    this.lights.set(light.getId(), light);
+    this.scene.add(light.getLight()); // Add parent group to scene
+    if (light instanceof AreaLight) {
+      // Add helper to visualize the area light (attach to light object, not parent)
+      const helper = new RectAreaLightHelper(light.getLightObject());
+      light.getLightObject().add(helper);
+      light.setHelper(helper);
+      light.createHighlightOverlay();
+    }
+    return light;
+  }
+
+  /**
+   * Removes a light added with addLight
+   * @param {string} lightId - Light ID
+   * @throws {Error} If the ID is unknown or is the key or fill light
+   */
+  removeLight(lightId) {
+    const light = this._getLight(lightId);
+    if (light === this.keyLight || light === this.fillLight) {
+      throw new Error(`The ${light.getName()} is built in and cannot be removed. Set its intensity to 0 to turn it off.`);
+    }
+    light.dispose();
+    this.lights.delete(lightId);
+  }
+
+  /**
+   * Gets a light of the collection
+   * @param {string} lightId - Light ID
+   * @returns {StudioLight} The light
+   * @throws {Error} If the ID is unknown
+   */
+  _getLight(lightId) {
+    const light = this.lights.get(lightId);
+    if (!light) {
+      throw new Error(`No light with ID "${lightId}". Light IDs: ${[...this.lights.keys()].join(', ')}`);
+    }
+    return light;
+  }
+
+  /**
+   * Sets properties of a light (see StudioLight.setProperties and AreaLight.setProperties)
+   * @param {string} lightId - Light ID
+   * @param {Object} properties - Properties to set (color, intensity, width, height, angle, penumbra, groundColor)
+   */
+  setLightProperties(lightId, properties) {
+    this._getLight(lightId).setProperties(properties);
+  }
+
+  /**
+   * Positions a light with camera-centric spherical coordinates; coordinates that are left out are unchanged
+   * @param {string} lightId - Light ID
+   * @param {{azimuth?: number, elevation?: number, distance?: number}} position - Spherical coordinates
+   */
+  setLightPosition(lightId, position) {
+    const light = this._getLight(lightId);
+    if (position.azimuth !== undefined || position.elevation !== undefined) {
+      const current = light.getPositionSpherical(this.camera);
+      light.setPositionSpherical(
+        position.azimuth ?? current.azimuth,
+        position.elevation ?? current.elevation,
+        this.camera
+      );
+    }
+    if (position.distance !== undefined) {
+      light.setDistance(position.distance, this.camera);
+    }
+  }
+
+  /**
+   * Gets the settings of a light
+   * @param {string} lightId - Light ID
+   * @returns {Object} Light settings: id, name, type, color, intensity, position, and the settings of its type
+   */
+  getLight(lightId) {
+    return this._getLight(lightId).getState(this.camera);
+  }
+
+  /**
+   * Gets the settings of every light in the collection, the key and fill lights first
+   * @returns {Array<Object>} Light settings (see getLight)
+   */
+  getLights() {
+    return [...this.lights.values()].map((light) => light.getState(this.camera));
+  }
+
+  /**
+   * Makes the light collection match a scene state's lights list: lights in the list are added or updated,
+   * added lights missing from it are removed (the key and fill lights are only updated)
+   * @param {Array<Object>} lights - Light settings, as returned by getLights
+   */
+  applyLightsState(lights) {
+    const listedIds = new Set(lights.map((light) => light.id));
+    for (const light of [...this.lights.values()]) {
+      if (light !== this.keyLight && light !== this.fillLight && !listedIds.has(light.getId())) {
+        this.removeLight(light.getId());
+      }
+    }
+
+    for (const { id, name, type, position, size, ...properties } of lights) {
+      const existing = this.lights.get(id);
+      const typeChanged = existing && type !== undefined && existing.getType() !== type;
+      if (typeChanged && existing !== this.keyLight && existing !== this.fillLight) {
+        this.removeLight(id);
+      }
+      if (!this.lights.has(id)) {
+        this.addLight(type, { id, name, ...position, ...size, ...properties });
+        continue;
+      }
+      this.setLightProperties(id, { ...size, ...properties });
+      if (position) {
+        this.setLightPosition(id, position);
+      }
+    }
+  }
+
   // Key light control methods
   setKeyLightIntensity(intensity) {
     if (this.keyLight) {
@@ -367,17 +1604,16 @@ export class SceneManager {
 
   setKeyLightPosition(x, y, z) {
     if (this.keyLight) {
-      // Convert world position to relative position (relative to model origin)
-      const origin = CONFIG.MODEL.ORIGIN;
-      const relativeX = x - origin.x;
-      const relativeY = y - origin.y;
-      const relativeZ = z - origin.z;
+      // Convert world position to relative position (relative to the light's orbit center)
+      const center = this.keyLight.getOrbitCenter();
+      const relativeX = x - center.x;
+      const relativeY = y - center.y;
+      const relativeZ = z - center.z;
       
       // Set position relative to parent group
       this.keyLight.getLightObject().position.set(relativeX, relativeY, relativeZ);
       // Re-orient toward target (world coordinates)
-      const target = CONFIG.LIGHTING.KEY_LIGHT.TARGET || { x: 0, y: 0, z: 0 };
-      this.keyLight.getLightObject().lookAt(target.x, target.y, target.z);
+      this.keyLight.aimAtTarget();
     }
   }
 
@@ -468,17 +1704,16 @@ export class SceneManager {
 
   setFillLightPosition(x, y, z) {
     if (this.fillLight) {
-      // Convert world position to relative position (relative to model origin)
-      const origin = CONFIG.MODEL.ORIGIN;
-      const relativeX = x - origin.x;
-      const relativeY = y - origin.y;
-      const relativeZ = z - origin.z;
+      // Convert world position to relative position (relative to the light's orbit center)
+      const center = this.fillLight.getOrbitCenter();
+      const relativeX = x - center.x;
+      const relativeY = y - center.y;
+      const relativeZ = z - center.z;
       
       // Set position relative to parent group
       this.fillLight.getLightObject().position.set(relativeX, relativeY, relativeZ);
       // Re-orient toward target (world coordinates)
-      const target = CONFIG.LIGHTING.FILL_LIGHT.TARGET || { x: 0, y: 0, z: 0 };
-      this.fillLight.getLightObject().lookAt(target.x, target.y, target.z);
+      this.fillLight.aimAtTarget();
     }
   }
 
@@ -787,29 +2022,249 @@ export class SceneManager {
    * @returns {Array<THREE.Object3D>} Array of pickable objects
    */
   getAreaLightHelpers() {
-    const pickers = [];
-    if (this.keyLight && this.keyLight.getPickerGeometry()) {
-      pickers.push(this.keyLight.getPickerGeometry());
-    }
-    if (this.fillLight && this.fillLight.getPickerGeometry()) {
-      pickers.push(this.fillLight.getPickerGeometry());
+    return this.getAreaLights()
+      .map((areaLight) => areaLight.getPickerGeometry())
+      .filter((picker) => picker);
+  }
+
+  /**
+   * Gets the animatable scene values for smooth transitions (see TransitionManager)
+   * Each channel has a name, an interpolation kind, and a getter/setter working on raw Three.js values
+   * @returns {Array<{name: string, kind: string, get: Function, set: Function}>} Transition channels
+   */
+  getTransitionChannels() {
+    const channels = [];
+    for (const { id, model } of this.objects.values()) {
+      const object = model.getObject();
+      channels.push(
+        {
+          name: `${id}:modelColor`,
+          kind: 'color',
+          get: () => model.getMaterial().color.clone(),
+          set: (color) => model.getMaterial().color.copy(color)
+        },
+        ...this._getMaterialChannels(id, model),
+        {
+          name: `${id}:modelPosition`,
+          kind: 'vector',
+          get: () => object.position.clone(),
+          set: (position) => {
+            object.position.copy(position);
+            if (id === this.selectedObjectId) {
+              this._updateOrbitCenter();
+            }
+            this._placeGround();
+          }
+        },
+        {
+          name: `${id}:modelScale`,
+          kind: 'vector',
+          get: () => object.scale.clone(),
+          set: (scale) => {
+            object.scale.copy(scale);
+            this._placeGround();
+          }
+        },
+        {
+          name: `${id}:modelRotation`,
+          kind: 'quaternion',
+          get: () => object.quaternion.clone(),
+          set: (quaternion) => {
+            if (this.rotationController) {
+              this.rotationController.withModel(object, (controller) => controller.setRotationQuaternion(quaternion));
+            } else {
+              object.quaternion.copy(quaternion);
+            }
+          }
+        }
+      );
+    }
+
+    channels.push(
+      {
+        name: 'background',
+        kind: 'color',
+        get: () => (this.backgroundColor ? this.backgroundColor.clone() : null),
+        set: (color) => {
+          this.backgroundColor = color ? color.clone() : null;
+          this._updateBackground();
+        }
+      },
+      {
+        name: 'groundColor',
+        kind: 'color',
+        get: () => this.ground.material.color.clone(),
+        set: (color) => this.ground.material.color.copy(color)
+      },
+      {
+        name: 'groundRoughness',
+        kind: 'number',
+        get: () => this.ground.material.roughness,
+        set: (roughness) => this.ground.setRoughness(roughness)
+      },
+      {
+        name: 'groundReflectivity',
+        kind: 'number',
+        get: () => this.ground.material.reflectivity,
+        set: (reflectivity) => this.ground.setReflectivity(reflectivity)
+      },
+      {
+        name: 'shadowOpacity',
+        kind: 'number',
+        get: () => this.ground.shadowCatcher.material.opacity,
+        set: (opacity) => this.ground.setShadowOpacity(opacity)
+      },
+      {
+        name: 'ambientIntensity',
+        kind: 'number',
+        get: () => this.ambientLight.intensity,
+        set: (intensity) => this.setAmbientLight({ intensity })
+      },
+      {
+        name: 'ambientColor',
+        kind: 'color',
+        get: () => this.ambientLight.color.clone(),
+        set: (color) => {
+          this.ambientLight.color.copy(color);
+          this.hemisphereLight.color.copy(color);
+        }
+      },
+      {
+        name: 'ambientGroundColor',
+        kind: 'color',
+        get: () => this.hemisphereLight.groundColor.clone(),
+        set: (color) => this.hemisphereLight.groundColor.copy(color)
+      },
+      {
+        name: 'environmentIntensity',
+        kind: 'number',
+        get: () => this.environment.getIntensity(),
+        set: (intensity) => this.environment.setIntensity(intensity)
+      },
+      {
+        name: 'environmentRotation',
+        kind: 'number',
+        get: () => this.environment.getRotation(),
+        set: (degrees) => this.environment.setRotation(degrees)
+      },
+      {
+        name: 'cameraTarget',
+        kind: 'vector',
+        get: () => this.cameraController.getTarget(),
+        set: (target) => this.cameraController.setTarget(target.x, target.y, target.z)
+      },
+      {
+        name: 'cameraDistance',
+        kind: 'number',
+        get: () => this.cameraController.getCameraDistance(),
+        set: (distance) => this.cameraController.dollyCamera(distance)
+      },
+      {
+        // The unwrapped azimuth, so transitions take the short way around
+        name: 'cameraAzimuth',
+        kind: 'number',
+        get: () => this.cameraController.azimuth,
+        set: (azimuth) => this.cameraController.setOrbit(azimuth, this.cameraController.elevation)
+      },
+      {
+        name: 'cameraElevation',
+        kind: 'number',
+        get: () => this.cameraController.elevation,
+        set: (elevation) => this.cameraController.setOrbit(this.cameraController.azimuth, elevation)
+      },
+      {
+        name: 'cameraZoom',
+        kind: 'number',
+        get: () => this.camera.zoom,
+        set: (zoom) => {
+          this.camera.zoom = zoom;
+          this.camera.updateProjectionMatrix();
+        }
+      }
+    );
+
+    for (const studioLight of this.lights.values()) {
+      const light = studioLight.getLightObject();
+      const id = studioLight.getId();
+      channels.push(
+        {
+          name: `${id}:lightColor`,
+          kind: 'color',
+          get: () => light.color.clone(),
+          set: (color) => {
+            light.color.copy(color);
+            if (studioLight instanceof AreaLight) {
+              studioLight.updateHighlightColor();
+            }
+          }
+        },
+        {
+          name: `${id}:lightIntensity`,
+          kind: 'number',
+          get: () => light.intensity,
+          set: (intensity) => {
+            light.intensity = intensity;
+          }
+        },
+        {
+          name: `${id}:lightPosition`,
+          kind: 'spherical',
+          get: () => studioLight.getPositionCartesian(),
+          set: (position) => studioLight.setPositionCartesian(position.x, position.y, position.z)
+        }
+      );
+      if (studioLight instanceof AreaLight) {
+        channels.push(
+          {
+            name: `${id}:lightWidth`,
+            kind: 'number',
+            get: () => light.width,
+            set: (width) => {
+              light.width = width;
+            }
+          },
+          {
+            name: `${id}:lightHeight`,
+            kind: 'number',
+            get: () => light.height,
+            set: (height) => {
+              light.height = height;
+            }
+          }
+        );
+      }
     }
-    return pickers;
+
+    return channels;
   }
 
   /**
-   * Gets array of AreaLight instances
+   * Gets transition channels for the numeric and color properties of a model's material
+   * (physical properties only while the model uses the physical material)
+   * @param {string} id - Object ID
+   * @param {Model} model - The object's model
+   * @returns {Array<{name: string, kind: string, get: Function, set: Function}>} Transition channels
+   */
+  _getMaterialChannels(id, model) {
+    const kinds = model.getMaterialType() === 'physical'
+      ? { ...STANDARD_MATERIAL_PROPERTIES, ...PHYSICAL_MATERIAL_PROPERTIES }
+      : STANDARD_MATERIAL_PROPERTIES;
+    return Object.entries(kinds)
+      .filter(([, kind]) => kind !== 'boolean')
+      .map(([name, kind]) => ({
+        name: `${id}:material.${name}`,
+        kind,
+        get: () => (kind === 'color' ? model.getMaterial()[name].clone() : model.getMaterial()[name]),
+        set: (value) => model.setMaterialProperties({ [name]: value })
+      }));
+  }
+
+  /**
+   * Gets the area lights of the light collection (the key and fill lights, and rect area lights added with addLight)
    * @returns {Array<AreaLight>} Array of area light instances
    */
   getAreaLights() {
-    const lights = [];
-    if (this.keyLight) {
-      lights.push(this.keyLight);
-    }
-    if (this.fillLight) {
-      lights.push(this.fillLight);
-    }
-    return lights;
+    return [...this.lights.values()].filter((light) => light instanceof AreaLight);
   }
 
   /**
@@ -822,19 +2277,9 @@ export class SceneManager {
       return null;
     }
 
+    // Find the area light whose picker geometry was hit
     const intersectedObject = intersection.object;
-    
-    // Check if intersection is with key light picker geometry
-    if (this.keyLight && intersectedObject === this.keyLight.getPickerGeometry()) {
-      return this.keyLight;
-    }
-    
-    // Check if intersection is with fill light picker geometry
-    if (this.fillLight && intersectedObject === this.fillLight.getPickerGeometry()) {
-      return this.fillLight;
-    }
-
-    return null;
+    return this.getAreaLights().find((areaLight) => intersectedObject === areaLight.getPickerGeometry()) || null;
   }
 }
 
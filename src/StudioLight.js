@@ -0,0 +1,538 @@
+import * as THREE from 'three';
+import { CONFIG } from './constants.js';
+import { sphericalToCartesian, cartesianToSpherical, directionToAzimuthAngle } from './utils/coordinates/CoordinateSystem.js';
+
+/**
+ * Light types a studio light can have (rect area lights are AreaLight instances)
+ */
+export const LIGHT_TYPES = ['rectArea', 'spot', 'point', 'directional', 'hemisphere'];
+
+/**
+ * Represents a light in the studio's light collection: spot, point, directional or hemisphere
+ * (rect area lights, including the key and fill lights, use the AreaLight subclass)
+ * The light rotates around an orbit center via a parent group: the model origin (0, -0.5, 0) at first,
+ * then the selected object's pivot (see SceneManager._updateOrbitCenter)
+ * Positions are camera-centric spherical coordinates around the orbit center, as for the key and fill lights
+ */
+export class StudioLight {
+  /**
+   * @param {string} id - Light ID (e.g., "key", "fill", "light-1")
+   * @param {string} type - Light type (one of LIGHT_TYPES)
+   * @param {Object} [options] - Initial settings
+   * @param {string} [options.name] - Display name (defaults to the ID)
+   * @param {number|string} [options.color] - Light color
+   * @param {number} [options.intensity] - Light intensity
+   * @param {{x: number, y: number, z: number}} [options.position] - World position, relative to the default model origin
+   * @param {{x: number, y: number, z: number}} [options.target] - Point the light aims at, relative to the default model origin
+   */
+  constructor(id, type, options = {}) {
+    this.id = id;
+    this.type = type;
+    this.name = options.name || id;
+    this.target = options.target || { x: 0, y: 0, z: 0 };
+    this.parentGroup = null;
+    this.light = null;
+
+    this._createLight(options);
+    this._configureLight(options.position || CONFIG.LIGHTING.KEY_LIGHT.POSITION);
+  }
+
+  _createLight(options) {
+    // Create parent group positioned at model origin (rotation pivot)
+    this.parentGroup = new THREE.Object3D();
+    const origin = CONFIG.MODEL.ORIGIN;
+    this.parentGroup.position.set(origin.x, origin.y, origin.z);
+
+    // Create the actual light as a child of the parent group
+    this.light = this._createLightObject(options);
+    this.parentGroup.add(this.light);
+    if (this.light.target) {
+      // Spot and directional lights aim at a target object, which follows the orbit center with the light
+      this.parentGroup.add(this.light.target);
+    }
+  }
+
+  /**
+   * Creates the Three.js light for this light's type
+   * Spot and point lights have no distance falloff, so their intensities compare with the other light types
+   * @param {Object} options - Initial settings (see constructor)
+   * @returns {THREE.Light} The light
+   */
+  _createLightObject(options) {
+    const defaults = CONFIG.LIGHTING.ADDED_LIGHT[this.type];
+    if (!defaults || this.type === 'rectArea') {
+      throw new Error(`Unsupported light type "${this.type}". Light types: ${LIGHT_TYPES.join(', ')}`);
+    }
+    const color = options.color ?? CONFIG.LIGHTING.ADDED_LIGHT.COLOR;
+    const intensity = options.intensity ?? defaults.INTENSITY;
+
+    switch (this.type) {
+      case 'spot':
+        return new THREE.SpotLight(
+          color,
+          intensity,
+          0,
+          THREE.MathUtils.degToRad(options.angle ?? defaults.ANGLE),
+          options.penumbra ?? defaults.PENUMBRA,
+          0
+        );
+      case 'point':
+        return new THREE.PointLight(color, intensity, 0, 0);
+      case 'directional':
+        return new THREE.DirectionalLight(color, intensity);
+      default:
+        return new THREE.HemisphereLight(color, options.groundColor ?? defaults.GROUND_COLOR, intensity);
+    }
+  }
+
+  _configureLight(worldPosition) {
+    const origin = CONFIG.MODEL.ORIGIN;
+
+    // Set position relative to parent (model origin)
+    this.light.position.set(
+      worldPosition.x - origin.x,
+      worldPosition.y - origin.y,
+      worldPosition.z - origin.z
+    );
+
+    // Set rotation to point the light toward the target
+    this.aimAtTarget();
+  }
+
+  /**
+   * Points the light at its target
+   * The target is relative to the default model origin, so it follows the orbit center when that moves
+   * Spot and directional lights aim with their target object; other lights are oriented with lookAt()
+   */
+  aimAtTarget() {
+    const origin = CONFIG.MODEL.ORIGIN;
+    const center = this.parentGroup.position;
+    const target = new THREE.Vector3(
+      this.target.x - origin.x + center.x,
+      this.target.y - origin.y + center.y,
+      this.target.z - origin.z + center.z
+    );
+
+    if (this.light.target) {
+      this.parentGroup.updateWorldMatrix(true, false);
+      this.light.target.position.copy(this.parentGroup.worldToLocal(target));
+    } else {
+      this.light.lookAt(target);
+    }
+  }
+
+  /**
+   * Gets the point the light orbits (the rotation pivot of the parent group)
+   * @returns {THREE.Vector3} Orbit center in world coordinates
+   */
+  getOrbitCenter() {
+    return this.parentGroup.position.clone();
+  }
+
+  /**
+   * Moves the point the light orbits, carrying the light along so its offset from the pivot is unchanged
+   * @param {number} x - X coordinate of the orbit center (world)
+   * @param {number} y - Y coordinate of the orbit center (world)
+   * @param {number} z - Z coordinate of the orbit center (world)
+   */
+  setOrbitCenter(x, y, z) {
+    this.parentGroup.position.set(x, y, z);
+    this.aimAtTarget();
+  }
+
+  /**
+   * Gets the parent group (for scene addition)
+   * This is the rotation pivot positioned at the model origin
+   * @returns {THREE.Object3D} The parent group
+   */
+  getLight() {
+    return this.parentGroup;
+  }
+
+  /**
+   * Gets the actual Three.js light (for property access and helper attachment)
+   * @returns {THREE.Light} The light
+   */
+  getLightObject() {
+    return this.light;
+  }
+
+  /**
+   * Gets the light ID ('key', 'fill', or the ID of an added light)
+   * @returns {string} The light ID
+   */
+  getId() {
+    return this.id;
+  }
+
+  /**
+   * Gets the light type (one of LIGHT_TYPES)
+   * @returns {string} The light type
+   */
+  getType() {
+    return this.type;
+  }
+
+  /**
+   * Gets the light's display name
+   * @returns {string} The name
+   */
+  getName() {
+    return this.name;
+  }
+
+  /**
+   * Sets light properties; properties that do not apply to the light's type are ignored
+   * @param {Object} properties - Properties to set
+   * @param {string} [properties.color] - Hex color (e.g., "#ffffff")
+   * @param {number} [properties.intensity] - Intensity (0.0 or higher)
+   * @param {string} [properties.groundColor] - Hex color lighting surfaces that face down (hemisphere lights)
+   * @param {number} [properties.angle] - Beam angle from the axis in degrees (spot lights)
+   * @param {number} [properties.penumbra] - Fraction of the beam that fades out at its edge, 0-1 (spot lights)
+   */
+  setProperties(properties) {
+    if (properties.color !== undefined) {
+      this.light.color.set(properties.color);
+    }
+    if (properties.intensity !== undefined) {
+      this.light.intensity = properties.intensity;
+    }
+    if (properties.groundColor !== undefined && this.light.groundColor) {
+      this.light.groundColor.set(properties.groundColor);
+    }
+    if (this.type === 'spot') {
+      if (properties.angle !== undefined) {
+        this.light.angle = THREE.MathUtils.degToRad(properties.angle);
+      }
+      if (properties.penumbra !== undefined) {
+        this.light.penumbra = properties.penumbra;
+      }
+    }
+  }
+
+  /**
+   * Gets the light's settings: ID, name, type, color, intensity and camera-centric spherical position,
+   * plus the settings specific to its type
+   * @param {THREE.PerspectiveCamera} camera - The camera (for camera-centric reference frame)
+   * @returns {Object} Light settings
+   */
+  getState(camera) {
+    const state = {
+      id: this.id,
+      name: this.name,
+      type: this.type,
+      color: '#' + this.light.color.getHexString(),
+      intensity: this.light.intensity,
+      position: this.getPositionSpherical(camera)
+    };
+    if (this.type === 'spot') {
+      state.angle = Math.round(THREE.MathUtils.radToDeg(this.light.angle) * 100) / 100;
+      state.penumbra = this.light.penumbra;
+    }
+    if (this.type === 'hemisphere') {
+      state.groundColor = '#' + this.light.groundColor.getHexString();
+    }
+    return state;
+  }
+
+  /**
+   * Removes the light from the scene and frees its resources
+   */
+  dispose() {
+    this.parentGroup.removeFromParent();
+    this.light.dispose();
+  }
+
+  /**
+   * Rotates the light around the model origin using Euler angles
+   * @param {number} deltaX - Horizontal rotation delta (left/right movement)
+   * @param {number} deltaY - Vertical rotation delta (up/down movement)
+   */
+  rotate(deltaX, deltaY) {
+    if (!this.parentGroup) {
+      return;
+    }
+
+    // Apply rotation to parent group (rotation pivot at model origin)
+    // Horizontal movement (deltaX) rotates around Y axis (vertical axis)
+    // Vertical movement (deltaY) rotates around X axis (horizontal axis)
+    this.parentGroup.rotation.y += deltaX;
+    this.parentGroup.rotation.x += deltaY;
+
+    // After rotating the parent, update the light's lookAt to maintain target orientation
+    this.aimAtTarget();
+  }
+
+  /**
+   * Gets the parent group's rotation (Euler angles)
+   * @returns {THREE.Euler} The rotation Euler angles
+   */
+  getRotation() {
+    return this.parentGroup ? this.parentGroup.rotation : new THREE.Euler();
+  }
+
+  /**
+   * Gets the light position relative to the model origin, including any swing rotation of the parent group
+   * @returns {THREE.Vector3} Position relative to the model origin (axes aligned with world axes)
+   */
+  _getPivotRelativePosition() {
+    return this.light.position.clone().applyQuaternion(this.parentGroup.quaternion);
+  }
+
+  /**
+   * Places the light at a position relative to the model origin, compensating for the parent group's swing rotation
+   * @param {number} x - X coordinate relative to model origin
+   * @param {number} y - Y coordinate relative to model origin
+   * @param {number} z - Z coordinate relative to model origin
+   */
+  _setPivotRelativePosition(x, y, z) {
+    const inverseRotation = this.parentGroup.quaternion.clone().invert();
+    this.light.position.set(x, y, z).applyQuaternion(inverseRotation);
+  }
+
+  /**
+   * Moves the light along the radial vector from the model origin to the light's current position
+   * (dollying in/out from the origin)
+   *
+   * This composes nicely with setPositionSpherical():
+   * - setPositionSpherical() changes azimuth/elevation while preserving distance
+   * - dolly() then moves along the radial line from origin to the light's current position
+   * This allows natural workflow: rotate to desired position, then adjust distance along the normal
+   *
+   * @param {number} delta - Movement delta (positive moves away from origin, negative moves toward)
+   */
+  dolly(delta) {
+    if (!this.light || !this.parentGroup) {
+      return;
+    }
+
+    // Get current position relative to parent (which is at model origin)
+    const currentPosition = this.light.position.clone();
+    const currentDistance = currentPosition.length();
+
+    // Calculate direction vector from origin to light position (radial direction)
+    let direction;
+    if (currentDistance > 0.0001) {
+      // Normalize to get radial direction vector
+      direction = currentPosition.clone().normalize();
+    } else {
+      // If light is at origin, use a default direction (forward along Z)
+      direction = new THREE.Vector3(0, 0, 1);
+    }
+
+    // Calculate movement vector along the radial direction
+    const movement = direction.multiplyScalar(delta);
+
+    // Calculate new position by moving along the radial line
+    const newPosition = currentPosition.add(movement);
+
+    // Update light position
+    this.light.position.copy(newPosition);
+
+    // After moving, update the light's lookAt to maintain target orientation
+    this.aimAtTarget();
+  }
+
+  /**
+   * Sets the light position using camera-centric spherical coordinates
+   * Preserves the current distance - only changes azimuth and elevation
+   * @param {number|string} azimuth - Horizontal angle in degrees (0-360) or direction name (e.g., "north", "northwest", "NW")
+   *   0° = camera forward (North), 90° = camera right (East), 180° = behind camera (South), 270° = camera left (West)
+   * @param {number} elevation - Vertical angle in degrees (0-90), 0° = horizon, 90° = overhead
+   * @param {THREE.PerspectiveCamera} camera - The camera (for camera-centric reference frame)
+   */
+  setPositionSpherical(azimuth, elevation, camera) {
+    if (!this.light || !this.parentGroup || !camera) {
+      return;
+    }
+
+    // Get current distance from existing position
+    const currentPosition = this.light.position.clone();
+    const currentDistance = currentPosition.length();
+
+    // Use current distance (or default to 1 if at origin)
+    const distance = currentDistance > 0.0001 ? currentDistance : 1.0;
+
+    // Convert spherical coordinates to Cartesian (relative to model origin)
+    const cartesian = sphericalToCartesian(azimuth, elevation, distance, camera);
+
+    // Set position relative to model origin (accounts for parent group swing rotation)
+    this._setPivotRelativePosition(cartesian.x, cartesian.y, cartesian.z);
+
+    // Update the light's lookAt to maintain target orientation
+    this.aimAtTarget();
+  }
+
+  /**
+   * Gets the current light position as camera-centric spherical coordinates
+   * @param {THREE.PerspectiveCamera} camera - The camera (for camera-centric reference frame)
+   * @returns {{azimuth: number, elevation: number, distance: number}} Spherical coordinates (numeric values only)
+   */
+  getPositionSpherical(camera) {
+    if (!this.light || !this.parentGroup || !camera) {
+      return { azimuth: 0, elevation: 0, distance: 0 };
+    }
+
+    // Get position relative to model origin (including parent group swing rotation)
+    const relativePosition = this._getPivotRelativePosition();
+
+    // Convert to spherical coordinates
+    return cartesianToSpherical(
+      relativePosition.x,
+      relativePosition.y,
+      relativePosition.z,
+      camera
+    );
+  }
+
+  /**
+   * Rotates the light clockwise (decreases azimuth) relative to current position
+   * @param {number} degrees - Amount to rotate in degrees (defaults to 10°)
+   * @param {THREE.PerspectiveCamera} camera - The camera (for camera-centric reference frame)
+   */
+  rotateClockwise(degrees = 10, camera) {
+    if (!this.light || !this.parentGroup || !camera) {
+      return;
+    }
+
+    const current = this.getPositionSpherical(camera);
+    const newAzimuth = (current.azimuth - degrees + 360) % 360;
+    this.setPositionSpherical(newAzimuth, current.elevation, camera);
+  }
+
+  /**
+   * Rotates the light counterclockwise (increases azimuth) relative to current position
+   * @param {number} degrees - Amount to rotate in degrees (defaults to 10°)
+   * @param {THREE.PerspectiveCamera} camera - The camera (for camera-centric reference frame)
+   */
+  rotateCounterclockwise(degrees = 10, camera) {
+    if (!this.light || !this.parentGroup || !camera) {
+      return;
+    }
+
+    const current = this.getPositionSpherical(camera);
+    const newAzimuth = (current.azimuth + degrees) % 360;
+    this.setPositionSpherical(newAzimuth, current.elevation, camera);
+  }
+
+  /**
+   * Adjusts the light elevation upward relative to current position
+   * @param {number} degrees - Amount to increase elevation in degrees (defaults to 5°)
+   * @param {THREE.PerspectiveCamera} camera - The camera (for camera-centric reference frame)
+   */
+  nudgeElevationUp(degrees = 5, camera) {
+    if (!this.light || !this.parentGroup || !camera) {
+      return;
+    }
+
+    const current = this.getPositionSpherical(camera);
+    const newElevation = Math.min(90, current.elevation + degrees);
+    this.setPositionSpherical(current.azimuth, newElevation, camera);
+  }
+
+  /**
+   * Adjusts the light elevation downward relative to current position
+   * @param {number} degrees - Amount to decrease elevation in degrees (defaults to 5°)
+   * @param {THREE.PerspectiveCamera} camera - The camera (for camera-centric reference frame)
+   */
+  nudgeElevationDown(degrees = 5, camera) {
+    if (!this.light || !this.parentGroup || !camera) {
+      return;
+    }
+
+    const current = this.getPositionSpherical(camera);
+    const newElevation = Math.max(0, current.elevation - degrees);
+    this.setPositionSpherical(current.azimuth, newElevation, camera);
+  }
+
+  /**
+   * Moves the light toward a specific direction relative to current position
+   * @param {number|string} targetDirection - Target direction (numeric azimuth or direction name)
+   * @param {number} degrees - Amount to move toward target in degrees (defaults to 10°)
+   * @param {THREE.PerspectiveCamera} camera - The camera (for camera-centric reference frame)
+   */
+  moveTowardDirection(targetDirection, degrees = 10, camera) {
+    if (!this.light || !this.parentGroup || !camera) {
+      return;
+    }
+
+    // Convert direction name to numeric azimuth if needed
+    const targetAzimuth = directionToAzimuthAngle(targetDirection);
+    if (targetAzimuth === null) {
+      // If not a valid direction, treat as numeric
+      const numValue = typeof targetDirection === 'number' ? targetDirection : parseFloat(targetDirection);
+      if (isNaN(numValue)) {
+        return; // Invalid direction
+      }
+      var targetAzimuthNum = numValue;
+    } else {
+      var targetAzimuthNum = targetAzimuth;
+    }
+
+    const current = this.getPositionSpherical(camera);
+
+    // Calculate shortest angular distance to target
+    let diff = targetAzimuthNum - current.azimuth;
+    if (diff > 180) diff -= 360;
+    if (diff < -180) diff += 360;
+
+    // Move toward target by specified amount
+    const moveAmount = Math.sign(diff) * Math.min(Math.abs(diff), degrees);
+    const newAzimuth = (current.azimuth + moveAmount + 360) % 360;
+
+    this.setPositionSpherical(newAzimuth, current.elevation, camera);
+  }
+
+  /**
+   * Sets the light distance from model origin (preserves azimuth and elevation)
+   * @param {number} distance - Radial distance from model origin
+   * @param {THREE.PerspectiveCamera} camera - The camera (for camera-centric reference frame)
+   */
+  setDistance(distance, camera) {
+    if (!this.light || !this.parentGroup || !camera) {
+      return;
+    }
+
+    // Get current azimuth and elevation
+    const current = this.getPositionSpherical(camera);
+
+    // Convert spherical coordinates to Cartesian with new distance
+    // Preserves azimuth and elevation, only changes distance
+    const cartesian = sphericalToCartesian(current.azimuth, current.elevation, distance, camera);
+
+    // Set position relative to model origin (accounts for parent group swing rotation)
+    this._setPivotRelativePosition(cartesian.x, cartesian.y, cartesian.z);
+
+    // Update the light's lookAt to maintain target orientation
+    this.aimAtTarget();
+  }
+
+  /**
+   * Gets the light position as Cartesian coordinates (relative to model origin)
+   * @returns {THREE.Vector3} Position relative to the model origin
+   */
+  getPositionCartesian() {
+    if (!this.light || !this.parentGroup) {
+      return new THREE.Vector3();
+    }
+    return this._getPivotRelativePosition();
+  }
+
+  /**
+   * Sets the light position using Cartesian coordinates (relative to model origin)
+   * @param {number} x - X coordinate relative to model origin
+   * @param {number} y - Y coordinate relative to model origin
+   * @param {number} z - Z coordinate relative to model origin
+   */
+  setPositionCartesian(x, y, z) {
+    if (!this.light || !this.parentGroup) {
+      return;
+    }
+
+    // Set position relative to model origin (accounts for parent group swing rotation)
+    this._setPivotRelativePosition(x, y, z);
+
+    // Update the light's lookAt to maintain target orientation
+    this.aimAtTarget();
+  }
+}
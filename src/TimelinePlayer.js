@@ -0,0 +1,178 @@
+import { EASING_FUNCTIONS } from './TransitionManager.js';
+
+/**
+ * Plays keyframed scene animations
+ * Keyframes hold scene states (as returned by Application.getSceneState()) at time offsets;
+ * playback interpolates between them with the TransitionManager's channel interpolation
+ * and is advanced from the application's render loop
+ */
+export class TimelinePlayer {
+  /**
+   * @param {TransitionManager} transitionManager - Provides snapshots and interpolation of scene channels
+   * @param {Function} applySceneState - Applies a (partial) scene state object to the scene
+   * @param {Function} getSceneState - Returns the complete current scene state
+   */
+  constructor(transitionManager, applySceneState, getSceneState) {
+    this.transitionManager = transitionManager;
+    this.applySceneState = applySceneState;
+    this.getSceneState = getSceneState;
+    this.keyframes = [];
+    this.loop = false;
+    this.playing = false;
+    this.currentTimeMs = 0;
+    this.lastFrameTime = 0;
+  }
+
+  /**
+   * Loads keyframes, converting each scene state into a channel snapshot
+   * States are applied in time order, so values missing from a keyframe carry over from earlier keyframes
+   * The scene itself is left unchanged: the complete scene state is restored afterwards, since keyframes also change
+   * what the channels do not cover (lights they add or remove, the ground shape, the ambient mode, material types)
+   * A timeline animates the scene's settings, not its set of objects: the keyframes' objects lists are ignored, so
+   * loading and playing keeps the scene's objects and selection (a keyframe's selectedObjectId only picks the object
+   * its model section applies to)
+   * @param {Array<{timeMs: number, state: Object, easing: string}>} keyframes - Keyframes to load
+   * @param {boolean} loop - Whether playback wraps around at the end
+   */
+  load(keyframes, loop = false) {
+    const originalState = this.getSceneState();
+    const originalSnapshot = this.transitionManager.captureSnapshot();
+    this.keyframes = [...keyframes]
+      .sort((a, b) => a.timeMs - b.timeMs)
+      .map(keyframe => {
+        const { objects, ...state } = keyframe.state;
+        this.applySceneState(state);
+        return {
+          timeMs: keyframe.timeMs,
+          easing: keyframe.easing,
+          snapshot: this.transitionManager.captureSnapshot()
+        };
+      });
+    this.applySceneState(originalState);
+    this.transitionManager.applySnapshot(originalSnapshot);
+    this.loop = loop;
+    this.currentTimeMs = Math.min(this.currentTimeMs, this.getDurationMs());
+  }
+
+  /**
+   * Gets the timeline duration (time of the last keyframe)
+   * @returns {number} Duration in milliseconds
+   */
+  getDurationMs() {
+    return this.keyframes.length > 0 ? this.keyframes[this.keyframes.length - 1].timeMs : 0;
+  }
+
+  /**
+   * Starts or resumes playback
+   * Playback restarts from the beginning if it had reached the end
+   * @param {number|undefined} fromMs - Optional time to start from
+   */
+  play(fromMs) {
+    if (this.keyframes.length === 0) {
+      return;
+    }
+    if (fromMs !== undefined) {
+      this.currentTimeMs = Math.max(0, Math.min(fromMs, this.getDurationMs()));
+    } else if (this.currentTimeMs >= this.getDurationMs()) {
+      this.currentTimeMs = 0;
+    }
+    this.playing = true;
+    this.lastFrameTime = performance.now();
+    this._applyTime(this.currentTimeMs);
+  }
+
+  /**
+   * Pauses playback at the current time
+   */
+  pause() {
+    this.playing = false;
+  }
+
+  /**
+   * Jumps to a time and shows the scene at that point (keeps playing if already playing)
+   * @param {number} timeMs - Time in milliseconds (clamped to the timeline duration)
+   */
+  seek(timeMs) {
+    if (this.keyframes.length === 0) {
+      return;
+    }
+    this.currentTimeMs = Math.max(0, Math.min(timeMs, this.getDurationMs()));
+    this.lastFrameTime = performance.now();
+    this._applyTime(this.currentTimeMs);
+  }
+
+  /**
+   * Sets whether playback wraps around at the end
+   * @param {boolean} loop - True to loop
+   */
+  setLoop(loop) {
+    this.loop = loop;
+  }
+
+  /**
+   * Checks whether the timeline is playing
+   * @returns {boolean} True while playing
+   */
+  isPlaying() {
+    return this.playing;
+  }
+
+  /**
+   * Gets the playback status
+   * @returns {{playing: boolean, timeMs: number, durationMs: number, loop: boolean}} Playback status
+   */
+  getStatus() {
+    return {
+      playing: this.playing,
+      timeMs: this.currentTimeMs,
+      durationMs: this.getDurationMs(),
+      loop: this.loop
+    };
+  }
+
+  /**
+   * Advances playback (called from the render loop)
+   * @param {number} now - Current time in milliseconds (performance.now())
+   */
+  update(now) {
+    if (!this.playing) {
+      return;
+    }
+
+    const durationMs = this.getDurationMs();
+    this.currentTimeMs += now - this.lastFrameTime;
+    this.lastFrameTime = now;
+
+    if (this.currentTimeMs >= durationMs) {
+      if (this.loop && durationMs > 0) {
+        this.currentTimeMs %= durationMs;
+      } else {
+        this.currentTimeMs = durationMs;
+        this.playing = false;
+      }
+    }
+    this._applyTime(this.currentTimeMs);
+  }
+
+  _applyTime(timeMs) {
+    const keyframes = this.keyframes;
+    if (timeMs <= keyframes[0].timeMs) {
+      this.transitionManager.applySnapshot(keyframes[0].snapshot);
+      return;
+    }
+
+    // Find the segment containing timeMs; each keyframe's easing applies to the segment leading into it
+    for (let i = 1; i < keyframes.length; i++) {
+      const from = keyframes[i - 1];
+      const to = keyframes[i];
+      if (timeMs <= to.timeMs) {
+        const progress = (timeMs - from.timeMs) / (to.timeMs - from.timeMs);
+        const ease = EASING_FUNCTIONS[to.easing] || EASING_FUNCTIONS.linear;
+        this.transitionManager.applyInterpolated(from.snapshot, to.snapshot, ease(progress));
+        return;
+      }
+    }
+
+    this.transitionManager.applySnapshot(keyframes[keyframes.length - 1].snapshot);
+  }
+}
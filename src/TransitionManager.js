@@ -0,0 +1,193 @@
+import * as THREE from 'three';
+import { lerpThreeJSColorsOklab } from './utils/color/color.js';
+
+/**
+ * Easing curves mapping linear progress (0-1) to eased progress (0-1)
+ */
+export const EASING_FUNCTIONS = {
+  'linear': (t) => t,
+  'ease-in': (t) => t * t * t,
+  'ease-out': (t) => 1 - Math.pow(1 - t, 3),
+  'ease-in-out': (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
+};
+
+/**
+ * Interpolators for each channel kind
+ * - number: linear
+ * - vector: component-wise linear (e.g. scale)
+ * - color: perceptual OKLab interpolation (null colors snap at the end)
+ * - quaternion: spherical linear interpolation (slerp)
+ * - spherical: position moving along the sphere around the origin (direction slerp, radius lerp)
+ */
+const INTERPOLATORS = {
+  number: (from, to, t) => from + (to - from) * t,
+  vector: (from, to, t) => from.clone().lerp(to, t),
+  color: (from, to, t) => {
+    if (!from || !to) {
+      return t < 1 ? from : to;
+    }
+    return lerpThreeJSColorsOklab(from, to, t);
+  },
+  quaternion: (from, to, t) => new THREE.Quaternion().slerpQuaternions(from, to, t),
+  spherical: (from, to, t) => {
+    const fromRadius = from.length();
+    const toRadius = to.length();
+    if (fromRadius < 0.0001 || toRadius < 0.0001) {
+      return from.clone().lerp(to, t);
+    }
+    const fromDirection = from.clone().divideScalar(fromRadius);
+    const toDirection = to.clone().divideScalar(toRadius);
+    const fullRotation = new THREE.Quaternion().setFromUnitVectors(fromDirection, toDirection);
+    const partialRotation = new THREE.Quaternion().slerp(fullRotation, t);
+    return fromDirection.applyQuaternion(partialRotation).multiplyScalar(fromRadius + (toRadius - fromRadius) * t);
+  }
+};
+
+/**
+ * Equality checks for each channel kind (used to animate only the channels a command changed)
+ */
+const EQUALS = {
+  number: (a, b) => Math.abs(a - b) < 1e-9,
+  vector: (a, b) => a.distanceTo(b) < 1e-9,
+  color: (a, b) => (a && b ? a.equals(b) : a === b),
+  quaternion: (a, b) => Math.abs(a.dot(b)) > 1 - 1e-12,
+  spherical: (a, b) => a.distanceTo(b) < 1e-9
+};
+
+/**
+ * Animates scene changes from their current values to new target values in the render loop
+ * Works on "channels" provided by the SceneManager: named values with a kind, a getter and a setter
+ * Commands are applied instantly to compute their target, then the changed channels are reverted
+ * and interpolated back to the target over the requested duration
+ */
+export class TransitionManager {
+  /**
+   * @param {Function} getChannels - Returns the animatable scene values as
+   *   Array<{name: string, kind: string, get: Function, set: Function}>
+   *   (called for every snapshot, since objects can be added to and removed from the scene)
+   */
+  constructor(getChannels) {
+    this.getChannels = getChannels;
+    this.activeTransition = null;
+  }
+
+  /**
+   * Captures the current value of every channel
+   * @returns {Object<string, *>} Snapshot keyed by channel name
+   */
+  captureSnapshot() {
+    const snapshot = {};
+    for (const channel of this.getChannels()) {
+      snapshot[channel.name] = channel.get();
+    }
+    return snapshot;
+  }
+
+  /**
+   * Gets the channels that have values in all of the given snapshots
+   * (objects added or removed after a snapshot was taken are left out)
+   * @param {...Object<string, *>} snapshots - Snapshots from captureSnapshot()
+   * @returns {Array<{name: string, kind: string, get: Function, set: Function}>} Channels
+   */
+  _channelsIn(...snapshots) {
+    return this.getChannels().filter(channel => snapshots.every(snapshot => channel.name in snapshot));
+  }
+
+  /**
+   * Sets every channel to the values in a snapshot
+   * @param {Object<string, *>} snapshot - Snapshot from captureSnapshot()
+   */
+  applySnapshot(snapshot) {
+    for (const channel of this._channelsIn(snapshot)) {
+      channel.set(snapshot[channel.name]);
+    }
+  }
+
+  /**
+   * Sets every channel to its value interpolated between two snapshots
+   * @param {Object<string, *>} from - Snapshot at t = 0
+   * @param {Object<string, *>} to - Snapshot at t = 1
+   * @param {number} t - Interpolation factor between 0 and 1 (already eased)
+   */
+  applyInterpolated(from, to, t) {
+    for (const channel of this._channelsIn(from, to)) {
+      const unchanged = EQUALS[channel.kind](from[channel.name], to[channel.name]);
+      const value = unchanged || t >= 1
+        ? to[channel.name]
+        : INTERPOLATORS[channel.kind](from[channel.name], to[channel.name], t);
+      channel.set(value);
+    }
+  }
+
+  /**
+   * Starts animating from one snapshot to another
+   * Only channels that differ between the snapshots are animated; they are reset to their start values immediately
+   * @param {Object<string, *>} from - Snapshot of the starting values
+   * @param {Object<string, *>} to - Snapshot of the target values
+   * @param {number} durationMs - Transition duration in milliseconds
+   * @param {string} easing - Easing curve name (see EASING_FUNCTIONS)
+   */
+  start(from, to, durationMs, easing = 'ease-in-out') {
+    const changedChannels = this._channelsIn(from, to)
+      .filter(channel => !EQUALS[channel.kind](from[channel.name], to[channel.name]));
+    if (changedChannels.length === 0 || durationMs <= 0) {
+      return;
+    }
+
+    this.activeTransition = {
+      from,
+      to,
+      channels: changedChannels,
+      startTime: performance.now(),
+      durationMs,
+      ease: EASING_FUNCTIONS[easing] || EASING_FUNCTIONS['ease-in-out']
+    };
+    this._applyProgress(0);
+  }
+
+  /**
+   * Advances the active transition (called from the render loop)
+   * @param {number} now - Current time in milliseconds (performance.now())
+   */
+  update(now) {
+    if (!this.activeTransition) {
+      return;
+    }
+
+    const progress = Math.min(1, (now - this.activeTransition.startTime) / this.activeTransition.durationMs);
+    this._applyProgress(progress);
+    if (progress >= 1) {
+      this.activeTransition = null;
+    }
+  }
+
+  /**
+   * Jumps the active transition to its target values
+   * Called before new commands and user interactions so they start from the target state
+   */
+  finish() {
+    if (this.activeTransition) {
+      this._applyProgress(1);
+      this.activeTransition = null;
+    }
+  }
+
+  /**
+   * Checks whether a transition is running
+   * @returns {boolean} True while animating
+   */
+  isAnimating() {
+    return this.activeTransition !== null;
+  }
+
+  _applyProgress(progress) {
+    const { from, to, channels, ease } = this.activeTransition;
+    const t = progress >= 1 ? 1 : ease(progress);
+    for (const channel of channels) {
+      const value = t >= 1
+        ? to[channel.name]
+        : INTERPOLATORS[channel.kind](from[channel.name], to[channel.name], t);
+      channel.set(value);
+    }
+  }
+}
@@ -295,16 +295,38 @@ export class WebSocketClient {
     }
   }
 
+  /**
+   * Send command acknowledgement to server
+   * @param {string} requestId - Request ID of the command being acknowledged
+   * @param {boolean} success - Whether the command was applied successfully
+   * @param {string|null} error - Error message if the command failed
+   * @param {object} result - Resulting values after the command was applied (e.g. after clamping)
+   */
+  sendCommandAck(requestId, success, error, result) {
+    if (this.isConnected()) {
+      this.ws.send(JSON.stringify({
+        type: 'commandAck',
+        requestId: requestId,
+        success: success,
+        error: error,
+        result: result
+      }));
+    }
+  }
+
   /**
    * Send state update to server (push update)
    * @param {object} state - State object to send
+   * @param {object} cause - Command that caused the update: {requestId, commandType} (optional)
    */
-  sendStateUpdate(state) {
+  sendStateUpdate(state, cause = {}) {
     if (this.isConnected()) {
       this.ws.send(JSON.stringify({
         type: 'stateUpdate',
         state: state,
-        timestamp: Date.now()
+        timestamp: Date.now(),
+        requestId: cause.requestId,
+        commandType: cause.commandType
       }));
     }
   }
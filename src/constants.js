@@ -23,17 +23,29 @@ export const CONFIG = {
     MODEL: {
         SIZE: 1,
         COLOR: getAppleCrayonColorByName('snow'),
-        ORIGIN: { x: 0, y: -0.5, z: 0 },  // Model origin - center of rotation for area lights
+        ORIGIN: { x: 0, y: -0.5, z: 0 },  // Model origin - initial model position and center of rotation for area lights
+        URL: '/models/gltf/LeePerrySmith/LeePerrySmith.glb',  // Model loaded at startup
+        TARGET_RADIUS: 5.5,  // Bounding sphere radius loaded models are scaled to (the studio is set up for this size)
+        OBJECT_SPACING: 0.25,  // Gap between objects placed side by side, relative to the larger object's radius
     },
 
     // Lighting settings
     LIGHTING:
         {
+            // Ambient fill: uniform, or a hemisphere light blending a sky color (COLOR) into a ground color
             AMBIENT:
                 {
+                    MODE: 'ambient',  // 'ambient' or 'hemisphere'
                     COLOR: 0xffffff,
+                    GROUND_COLOR: 0x444444,
                     INTENSITY: 0.1,
                 },
+            // Image-based lighting from an HDR environment map (off until an environment is loaded)
+            ENVIRONMENT:
+                {
+                    INTENSITY: 1,
+                    ROTATION: 0,  // Degrees around the vertical axis
+                },
             // Key light - main light source (brighter, positioned at ~45 degrees)
             KEY_LIGHT:
                 {
@@ -74,7 +86,36 @@ export const CONFIG = {
                             z: 0
                         },
                 },
+            // Lights added with add_light (rim, hair, background, ...): defaults by light type
+            ADDED_LIGHT:
+                {
+                    COLOR: 0xffffff,
+                    AZIMUTH: 0,  // Camera forward (behind the model): a rim light
+                    ELEVATION: 30,
+                    rectArea: { INTENSITY: 2, WIDTH: 4, HEIGHT: 4 },
+                    spot: { INTENSITY: 3, ANGLE: 30, PENUMBRA: 0.3 },  // Angle in degrees from the beam axis
+                    point: { INTENSITY: 2 },
+                    directional: { INTENSITY: 1.5 },
+                    hemisphere: { INTENSITY: 0.5, GROUND_COLOR: 0x444444 },
+                },
+        },
+
+    // Studio floor / cyclorama and shadow catcher (off until set_ground_plane; distances scale with the studio)
+    GROUND: {
+        COLOR: 0x9a9a9a,
+        ROUGHNESS: 0.8,
+        REFLECTIVITY: 0.5,
+        SIZE: 100,  // Width and depth of the floor
+        CYCLORAMA: {
+            DEPTH: 6,  // Distance from the models to the back wall
+            RADIUS: 4,  // Radius of the curve between floor and wall
+            HEIGHT: 20,  // Height of the back wall
         },
+        SHADOW_OPACITY: 0.5,
+        SHADOW_MAP_SIZE: 2048,
+        SHADOW_RADIUS: 4,  // Shadow edge softness
+        SHADOW_LIGHT_DISTANCE: 15,  // Distance of the shadow light from the orbit center, along the key light direction
+    },
 
     // Interaction settings
     INTERACTION: {
@@ -84,6 +125,7 @@ export const CONFIG = {
         AREA_LIGHT_DOLLY_SENSITIVITY: 0.1,  // Sensitivity for area light dolly (movement along axis)
         AREA_LIGHT_SWING_AMOUNT: 10,  // Amount to swing light (in degrees) for each command
         AREA_LIGHT_WALK_AMOUNT: 1.0,  // Amount to walk light in/out (distance units) for each command
+        MODEL_NUDGE_AMOUNT: 0.5,  // Amount to move the model (distance units, scaled with the studio) for each nudge
     },
 };
 
@@ -353,6 +353,64 @@ function lerpAppleCrayonColors(colorName1, colorName2, t) {
     return color1.clone().lerp(color2, clampedT);
 }
 
+/**
+ * Converts a THREE.Color (linear sRGB working space) to OKLab
+ * @param {THREE.Color} color - The color to convert
+ * @returns {{L: number, a: number, b: number}} OKLab coordinates
+ */
+function threeJSColorToOklab(color) {
+    const l = Math.cbrt(0.4122214708 * color.r + 0.5363325363 * color.g + 0.0514459929 * color.b);
+    const m = Math.cbrt(0.2119034982 * color.r + 0.6806995451 * color.g + 0.1073969566 * color.b);
+    const s = Math.cbrt(0.0883024619 * color.r + 0.2817188376 * color.g + 0.6299787005 * color.b);
+
+    return {
+        L: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    };
+}
+
+/**
+ * Converts OKLab coordinates to a THREE.Color (linear sRGB working space)
+ * @param {{L: number, a: number, b: number}} lab - OKLab coordinates
+ * @param {THREE.Color} target - Color to write the result into
+ * @returns {THREE.Color} The target color
+ */
+function oklabToThreeJSColor(lab, target) {
+    const l = (lab.L + 0.3963377774 * lab.a + 0.2158037573 * lab.b) ** 3;
+    const m = (lab.L - 0.1055613458 * lab.a - 0.0638541728 * lab.b) ** 3;
+    const s = (lab.L - 0.0894841775 * lab.a - 1.2914855480 * lab.b) ** 3;
+
+    // Clamp to the displayable gamut
+    const clamp = (value) => Math.max(0, Math.min(1, value));
+    return target.setRGB(
+        clamp(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+        clamp(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+        clamp(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s),
+        THREE.LinearSRGBColorSpace
+    );
+}
+
+/**
+ * Interpolates between two THREE.Color objects in the perceptual OKLab color space
+ * Avoids the muddy, darkened midpoints of interpolating RGB values directly
+ * @param {THREE.Color} color1 - Start color
+ * @param {THREE.Color} color2 - End color
+ * @param {number} t - Interpolation factor between 0 and 1 (0 = color1, 1 = color2)
+ * @param {THREE.Color} target - Color to write the result into (defaults to a new color)
+ * @returns {THREE.Color} The interpolated color
+ */
+function lerpThreeJSColorsOklab(color1, color2, t, target = new THREE.Color()) {
+    const lab1 = threeJSColorToOklab(color1);
+    const lab2 = threeJSColorToOklab(color2);
+
+    return oklabToThreeJSColor({
+        L: lab1.L + (lab2.L - lab1.L) * t,
+        a: lab1.a + (lab2.a - lab1.a) * t,
+        b: lab1.b + (lab2.b - lab1.b) * t
+    }, target);
+}
+
 export {
     appleCrayonColors,
     appleCrayonColorsHexStrings,
@@ -363,6 +421,7 @@ export {
     getRandomGrayAppleCrayonColor,
     getAppleCrayonColorByName,
     lerpAppleCrayonColors,
+    lerpThreeJSColorsOklab,
     colorComplements
 };
 
@@ -5,10 +5,11 @@ import * as THREE from 'three';
  * 
  * Coordinate System Convention:
  * - Azimuth (0-360°): Horizontal angle from camera's perspective
- *   - 0° = North (camera forward, toward model) = -Z direction
- *   - 90° = East (camera right) = +X direction
- *   - 180° = South (behind camera) = +Z direction
- *   - 270° = West (camera left) = -X direction
+ *   - 0° = North (camera forward, toward model) = -Z direction in the front view
+ *   - 90° = East (camera right) = +X direction in the front view
+ *   - 180° = South (behind camera) = +Z direction in the front view
+ *   - 270° = West (camera left) = -X direction in the front view
+ *   - The frame follows the camera as it orbits: directions are the camera's, flattened onto the horizontal plane
  * - Elevation (0-90°): Vertical angle above horizon
  *   - 0° = Horizon (horizontal plane)
  *   - 90° = Directly overhead (+Y direction)
@@ -180,6 +181,29 @@ export function getCameraUp(camera) {
   return up.normalize();
 }
 
+/**
+ * Gets the camera's forward and right directions flattened onto the horizontal plane (normalized)
+ * These stay well defined when the camera looks down at the model (even straight down, from the top view),
+ * where its forward vector is vertical
+ * @param {THREE.PerspectiveCamera} camera - The camera
+ * @returns {{forward: THREE.Vector3, right: THREE.Vector3}} Horizontal basis vectors in world space
+ */
+export function getCameraHorizontalBasis(camera) {
+  const worldUp = new THREE.Vector3(0, 1, 0);
+  const right = getCameraRight(camera);
+  right.sub(worldUp.clone().multiplyScalar(right.dot(worldUp)));
+
+  if (right.length() > 0.0001) {
+    right.normalize();
+    return { forward: new THREE.Vector3().crossVectors(worldUp, right), right };
+  }
+
+  // Camera rolled onto its side: fall back to its forward direction
+  const forward = getCameraForward(camera);
+  forward.sub(worldUp.clone().multiplyScalar(forward.dot(worldUp))).normalize();
+  return { forward, right: new THREE.Vector3().crossVectors(forward, worldUp) };
+}
+
 /**
  * Converts camera-centric spherical coordinates to world-space Cartesian coordinates
  * @param {number|string} azimuth - Horizontal angle in degrees (0-360) or direction name (e.g., "north", "northwest")
@@ -199,46 +223,20 @@ export function sphericalToCartesian(azimuth, elevation, distance, camera) {
   const azimuthRad = THREE.MathUtils.degToRad(azimuthAngle);
   const elevationRad = THREE.MathUtils.degToRad(elevation);
   
-  // Get camera's basis vectors in world space
-  const forward = getCameraForward(camera);
-  const right = getCameraRight(camera);
+  // Get camera's horizontal basis vectors in world space
+  const { forward, right } = getCameraHorizontalBasis(camera);
   const worldUp = new THREE.Vector3(0, 1, 0); // Always world Y (gravity)
   
   // In camera-centric coordinates:
-  // - Forward (0° azimuth) points toward the model (camera's -Z)
+  // - Forward (0° azimuth) points toward the model (camera's -Z, flattened)
   // - Right (90° azimuth) points to camera's right (+X)
   // - Up is always world Y (gravity)
   
   // Calculate horizontal direction vector in camera-centric space
   // azimuth 0° = forward, 90° = right, 180° = -forward, 270° = -right
-  const horizontalDir = new THREE.Vector3();
-  horizontalDir.addScaledVector(forward, Math.cos(azimuthRad));
-  horizontalDir.addScaledVector(right, Math.sin(azimuthRad));
-  
-  // Project onto horizontal plane (perpendicular to world Y)
-  // Remove vertical component by subtracting projection onto world Y
-  const verticalComponent = horizontalDir.dot(worldUp);
-  const horizontalPlaneDir = horizontalDir.clone().sub(worldUp.clone().multiplyScalar(verticalComponent));
-  
-  // Normalize horizontal direction
-  if (horizontalPlaneDir.length() > 0.0001) {
-    horizontalPlaneDir.normalize();
-  } else {
-    // If horizontal direction is vertical (camera looking straight up/down),
-    // use a default horizontal direction (forward projected onto horizontal plane)
-    const forwardHorizontal = forward.clone();
-    forwardHorizontal.sub(worldUp.clone().multiplyScalar(forward.dot(worldUp)));
-    if (forwardHorizontal.length() > 0.0001) {
-      forwardHorizontal.normalize();
-      horizontalPlaneDir.copy(forwardHorizontal);
-    } else {
-      // If forward is also vertical, use right projected onto horizontal plane
-      const rightHorizontal = right.clone();
-      rightHorizontal.sub(worldUp.clone().multiplyScalar(right.dot(worldUp)));
-      rightHorizontal.normalize();
-      horizontalPlaneDir.copy(rightHorizontal);
-    }
-  }
+  const horizontalPlaneDir = new THREE.Vector3();
+  horizontalPlaneDir.addScaledVector(forward, Math.cos(azimuthRad));
+  horizontalPlaneDir.addScaledVector(right, Math.sin(azimuthRad));
   
   // Combine horizontal direction with elevation
   // elevation 0° = horizontal, 90° = vertical up (world Y)
@@ -273,9 +271,8 @@ export function cartesianToSpherical(x, y, z, camera) {
   // Normalize position to get direction vector
   const direction = position.clone().normalize();
   
-  // Get camera's basis vectors
-  const forward = getCameraForward(camera);
-  const right = getCameraRight(camera);
+  // Get camera's horizontal basis vectors
+  const { forward, right } = getCameraHorizontalBasis(camera);
   const worldUp = new THREE.Vector3(0, 1, 0); // Always world Y (gravity)
   
   // Calculate elevation (angle from horizontal plane)
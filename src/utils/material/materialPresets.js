@@ -0,0 +1,138 @@
+/**
+ * Material presets - friendly names for model material looks
+ *
+ * Each preset maps to MeshStandardMaterial / MeshPhysicalMaterial settings:
+ * - color: base color as a hex string (omitted when the look works in any color, e.g. plastic)
+ * - materialType: "standard" or "physical"
+ * - properties: material properties (see Model.setMaterialProperties); colors as hex strings
+ *
+ * Properties a preset leaves out are reset to MATERIAL_PRESET_DEFAULTS, so a preset gives the same look
+ * whatever the material looked like before. Flat shading and wireframe are display modes and are kept.
+ */
+
+/**
+ * Values for the properties a preset does not set
+ */
+const MATERIAL_PRESET_DEFAULTS = {
+  standard: {
+    roughness: 1,
+    metalness: 0,
+    emissive: '#000000',
+    emissiveIntensity: 1,
+    opacity: 1
+  },
+  physical: {
+    clearcoat: 0,
+    clearcoatRoughness: 0,
+    sheen: 0,
+    sheenRoughness: 1,
+    sheenColor: '#000000',
+    transmission: 0,
+    ior: 1.5,
+    thickness: 0
+  }
+};
+
+/**
+ * Built-in material presets, keyed by lowercase name
+ */
+const materialPresets = new Map([
+  ['matte clay', {
+    description: 'Unglazed sculpting clay: fully matte, no reflections',
+    color: '#B9A89A',
+    materialType: 'standard',
+    properties: { roughness: 1, metalness: 0 }
+  }],
+  ['glossy plastic', {
+    description: 'Injection-molded plastic with a glossy coat (keeps the current color)',
+    materialType: 'physical',
+    properties: { roughness: 0.35, metalness: 0, clearcoat: 0.6, clearcoatRoughness: 0.1 }
+  }],
+  ['brushed metal', {
+    description: 'Brushed steel or aluminum: metallic with blurred reflections',
+    color: '#C8C8C8',
+    materialType: 'standard',
+    properties: { roughness: 0.45, metalness: 1 }
+  }],
+  ['gold', {
+    description: 'Polished yellow gold',
+    color: '#FFC356',
+    materialType: 'standard',
+    properties: { roughness: 0.2, metalness: 1 }
+  }],
+  ['chrome', {
+    description: 'Mirror-like chrome plating',
+    color: '#E8E8E8',
+    materialType: 'standard',
+    properties: { roughness: 0.05, metalness: 1 }
+  }],
+  ['marble', {
+    description: 'Polished white marble',
+    color: '#F2EFEA',
+    materialType: 'physical',
+    properties: { roughness: 0.25, metalness: 0, clearcoat: 0.8, clearcoatRoughness: 0.08 }
+  }],
+  ['jade', {
+    description: 'Translucent green jade',
+    color: '#4F9A6A',
+    materialType: 'physical',
+    properties: { roughness: 0.2, metalness: 0, clearcoat: 0.5, clearcoatRoughness: 0.1, transmission: 0.35, thickness: 2, ior: 1.61 }
+  }],
+  ['wax', {
+    description: 'Candle wax: soft, slightly translucent',
+    color: '#F3E5C5',
+    materialType: 'physical',
+    properties: { roughness: 0.45, metalness: 0, sheen: 0.4, sheenRoughness: 0.6, sheenColor: '#FFF3D6', transmission: 0.15, thickness: 3, ior: 1.45 }
+  }],
+  ['skin', {
+    description: 'Human skin: soft highlights with a warm sheen',
+    color: '#E0AC8E',
+    materialType: 'physical',
+    properties: { roughness: 0.55, metalness: 0, sheen: 0.3, sheenRoughness: 0.8, sheenColor: '#FFCDB2', ior: 1.4 }
+  }]
+]);
+
+/**
+ * Normalizes a material preset name for lookup: lowercase, with hyphens, underscores and repeated spaces as single spaces
+ * @param {string} name - Preset name (e.g., "Matte-Clay")
+ * @returns {string} Normalized name (e.g., "matte clay")
+ */
+function normalizeMaterialPresetName(name) {
+  return name.trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+}
+
+/**
+ * Checks whether material properties include properties that need MeshPhysicalMaterial
+ * @param {Object} properties - Material properties
+ * @returns {boolean} True if any property is a physical one (clearcoat, sheen, transmission, ...)
+ */
+function usesPhysicalProperties(properties) {
+  return Object.keys(properties).some((name) => name in MATERIAL_PRESET_DEFAULTS.physical);
+}
+
+/**
+ * Expands a preset into the full material settings to apply: its properties on top of the defaults for its type
+ * (presets without a type are "physical" when they set physical properties)
+ * @param {{color?: string, materialType?: string, properties?: Object}} preset - Material preset
+ * @returns {{color: string|undefined, materialType: string, properties: Object}} Settings to apply
+ */
+function resolveMaterialPreset(preset) {
+  const properties = preset.properties || {};
+  const materialType = preset.materialType || (usesPhysicalProperties(properties) ? 'physical' : 'standard');
+  return {
+    color: preset.color,
+    materialType,
+    properties: {
+      ...MATERIAL_PRESET_DEFAULTS.standard,
+      ...(materialType === 'physical' ? MATERIAL_PRESET_DEFAULTS.physical : {}),
+      ...properties
+    }
+  };
+}
+
+export {
+  materialPresets,
+  normalizeMaterialPresetName,
+  resolveMaterialPreset,
+  usesPhysicalProperties
+};